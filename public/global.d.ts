@@ -1383,8 +1383,15 @@ interface FunctionToolRegister {
  * @param description Description of the function tool
  * @param params JSON schema for the parameters of the function tool
  * @param required Whether the function tool should be forced to be used
+ * @param action Function that executes the tool. When provided, its result is sent back to the model.
  */
-declare function registerFunctionTool(name: string, description: string, params: object, required: boolean): Promise<void>;
+declare function registerFunctionTool(name: string, description: string, params: object, required: boolean, action?: FunctionToolAction): Promise<void>;
+
+/**
+ * Executes a function tool with the parameters provided by the model.
+ * The returned value is sent back to the model, objects are serialized to JSON.
+ */
+type FunctionToolAction = (parameters: Record<string, any>) => any | Promise<any>;
 
 /**
  * Callback data for the `LLM_FUNCTION_TOOL_CALL` event type that is triggered when a function tool is called.
@@ -1399,3 +1406,26 @@ interface FunctionToolCall {
      */
     arguments: string;
 }
+
+/**
+ * A function tool call requested by the model. Once executed, holds the result sent back to the model.
+ * Executed tool calls are saved in the `extra.tool_invocations` of the resulting chat message.
+ */
+interface FunctionToolInvocation {
+    /**
+     * Unique identifier of the tool call
+     */
+    id: string;
+    /**
+     * Name of the called function tool
+     */
+    name: string;
+    /**
+     * JSON object with the parameters passed to the function tool
+     */
+    arguments: string;
+    /**
+     * Result of the function tool, if it was executed
+     */
+    result?: string;
+}
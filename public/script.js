@@ -1,5 +1,5 @@
 import { humanizedDateTime, favsToHotswap, getMessageTimeStamp, dragElement, isMobile, initRossMods, shouldSendOnEnter } from './scripts/RossAscends-mods.js';
-import { userStatsHandler, statMesProcess, initStats } from './scripts/stats.js';
+import { userStatsHandler, statMesProcess, initStats, recordTokenUsage } from './scripts/stats.js';
 import {
     generateKoboldWithStreaming,
     kai_settings,
@@ -192,6 +192,10 @@ import { NOTE_MODULE_NAME, initAuthorsNote, metadata_keys, setFloatingPrompt, sh
 import { registerPromptManagerMigration } from './scripts/PromptManager.js';
 import { getRegexedString, regex_placement } from './scripts/extensions/regex/engine.js';
 import { initLogprobs, saveLogprobsForActiveMessage } from './scripts/logprobs.js';
+import { initChatSearch } from './scripts/chat-search.js';
+import { initConnectionProfiles } from './scripts/connection-profiles.js';
+import { openPromptDiffPopup } from './scripts/prompt-diff.js';
+import { initServerPlugins } from './scripts/server-plugins.js';
 import { FILTER_STATES, FILTER_TYPES, FilterHelper, isFilterState } from './scripts/filters.js';
 import { getCfgPrompt, getGuidanceScale, initCfg } from './scripts/cfg-scale.js';
 import {
@@ -223,7 +227,7 @@ import { BulkEditOverlay, CharacterContextMenu } from './scripts/BulkEditOverlay
 import { loadMancerModels, loadOllamaModels, loadTogetherAIModels, loadInfermaticAIModels, loadOpenRouterModels, loadVllmModels, loadAphroditeModels, loadDreamGenModels } from './scripts/textgen-models.js';
 import { appendFileContent, hasPendingFileAttachment, populateFileAttachment, decodeStyleTags, encodeStyleTags, isExternalMediaAllowed, getCurrentEntityId } from './scripts/chats.js';
 import { initPresetManager } from './scripts/preset-manager.js';
-import { evaluateMacros } from './scripts/macros.js';
+import { evaluateMacros, registerMacro, unregisterMacro } from './scripts/macros.js';
 import { currentUser, setUserControls } from './scripts/user.js';
 import { POPUP_TYPE, callGenericPopup } from './scripts/popup.js';
 import { renderTemplate, renderTemplateAsync } from './scripts/templates.js';
@@ -424,6 +428,7 @@ export const event_types = {
     CHARACTER_DELETED: 'characterDeleted',
     CHARACTER_DUPLICATED: 'character_duplicated',
     SMOOTH_STREAM_TOKEN_RECEIVED: 'smooth_stream_token_received',
+    STREAM_TOKEN_RECEIVED: 'stream_token_received',
     FILE_ATTACHMENT_DELETED: 'file_attachment_deleted',
     WORLDINFO_FORCE_ACTIVATE: 'worldinfo_force_activate',
     OPEN_CHARACTER_LIBRARY: 'open_character_library',
@@ -447,8 +452,14 @@ reloadMarkdownProcessor();
 
 // array for prompt token calculations
 console.debug('initializing Prompt Itemization Array on Startup');
+// Legacy browser storage for itemized prompts, only read to migrate them to the server
 const promptStorage = new localforage.createInstance({ name: 'SillyTavern_Prompts' });
 export let itemizedPrompts = [];
+/**
+ * Owner of the currently loaded itemized prompts, used to save them to the right chat after switching.
+ * @type {{chat_name: string, avatar_url?: string, is_group: boolean}|null}
+ */
+let itemizedPromptsOwner = null;
 
 export const systemUserName = 'SillyTavern System';
 let default_user_name = 'User';
@@ -883,6 +894,9 @@ async function firstLoadInit() {
     initStats();
     initCfg();
     initLogprobs();
+    initChatSearch();
+    initConnectionProfiles();
+    initServerPlugins();
     doDailyExtensionUpdatesCheck();
     hideLoader();
     await eventSource.emit(event_types.APP_READY);
@@ -920,6 +934,23 @@ export function setActiveGroup(entityOrKey) {
     active_group = getTagKeyForEntity(entityOrKey);
 }
 
+/**
+ * Gets the request body that identifies the chat owning the itemized prompts.
+ * @param {string} chatId Chat ID
+ * @returns {{chat_name: string, avatar_url?: string, is_group: boolean}} Request body
+ */
+function getItemizedPromptsOwner(chatId) {
+    if (itemizedPromptsOwner && itemizedPromptsOwner.chat_name === chatId) {
+        return itemizedPromptsOwner;
+    }
+
+    if (selected_group) {
+        return { chat_name: chatId, is_group: true };
+    }
+
+    return { chat_name: chatId, avatar_url: characters[this_chid]?.avatar, is_group: false };
+}
+
 /**
  * Gets the itemized prompts for a chat.
  * @param {string} chatId Chat ID to load
@@ -928,12 +959,37 @@ export async function loadItemizedPrompts(chatId) {
     try {
         if (!chatId) {
             itemizedPrompts = [];
+            itemizedPromptsOwner = null;
             return;
         }
 
-        itemizedPrompts = await promptStorage.getItem(chatId);
+        itemizedPromptsOwner = getItemizedPromptsOwner(chatId);
+
+        const response = await fetch('/api/chats/itemized/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(itemizedPromptsOwner),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Error loading itemized prompts: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        itemizedPrompts = data.prompts;
+
+        // Migrate prompts that were previously kept in the browser storage
+        if (!data.exists) {
+            const legacyPrompts = await promptStorage.getItem(chatId);
+
+            if (Array.isArray(legacyPrompts) && legacyPrompts.length) {
+                console.log(`Migrating ${legacyPrompts.length} itemized prompts for chat ${chatId} to the server`);
+                itemizedPrompts = legacyPrompts;
+                await saveItemizedPrompts(chatId);
+            }
+        }
 
-        if (!itemizedPrompts) {
+        if (!Array.isArray(itemizedPrompts)) {
             itemizedPrompts = [];
         }
     } catch {
@@ -952,7 +1008,23 @@ export async function saveItemizedPrompts(chatId) {
             return;
         }
 
-        await promptStorage.setItem(chatId, itemizedPrompts);
+        const owner = getItemizedPromptsOwner(chatId);
+
+        if (!owner.is_group && !owner.avatar_url) {
+            return;
+        }
+
+        const response = await fetch('/api/chats/itemized/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ ...owner, prompts: itemizedPrompts }),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Error saving itemized prompts: ${response.statusText}`);
+        }
+
+        await promptStorage.removeItem(chatId);
     } catch {
         console.log('Error saving itemized prompts for chat', chatId);
     }
@@ -989,18 +1061,24 @@ export async function deleteItemizedPrompts(chatId) {
         }
 
         await promptStorage.removeItem(chatId);
+        await fetch('/api/chats/itemized/delete', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(getItemizedPromptsOwner(chatId)),
+        });
     } catch {
         console.log('Error deleting itemized prompts for chat', chatId);
     }
 }
 
 /**
- * Empties the itemized prompts array and caches.
+ * Empties the itemized prompts of the current chat and the legacy browser cache.
  */
 export async function clearItemizedPrompts() {
     try {
         await promptStorage.clear();
         itemizedPrompts = [];
+        await deleteItemizedPrompts(getCurrentChatId());
     } catch {
         console.log('Error clearing itemized prompts');
     }
@@ -2051,6 +2129,21 @@ export function appendMediaToMessage(mes, messageElement) {
     } else {
         messageElement.find('.mes_file_container').remove();
     }
+
+    // Add function tool invocations to message
+    messageElement.find('.mes_tool_invocations').remove();
+    if (Array.isArray(mes.extra?.tool_invocations) && mes.extra.tool_invocations.length) {
+        const template = $('#message_tool_invocations_template .mes_tool_invocations').clone();
+        template.find('.mes_tool_invocations_count').text(`(${mes.extra.tool_invocations.length})`);
+        for (const invocation of mes.extra.tool_invocations) {
+            const invocationTemplate = $('#message_tool_invocation_template .mes_tool_invocation').clone();
+            invocationTemplate.find('.mes_tool_invocation_name').text(invocation.name);
+            invocationTemplate.find('.mes_tool_invocation_arguments').text(invocation.arguments);
+            invocationTemplate.find('.mes_tool_invocation_result').text(invocation.result ?? '');
+            template.find('.mes_tool_invocations_list').append(invocationTemplate);
+        }
+        messageElement.find('.mes_text').before(template);
+    }
 }
 
 /**
@@ -2716,6 +2809,8 @@ class StreamingProcessor {
         this.swipes = [];
         /** @type {import('./scripts/logprobs.js').TokenLogprobs[]} */
         this.messageLogprobs = [];
+        /** @type {{prompt_tokens?: number, completion_tokens?: number}|undefined} Usage reported by the API in the stream */
+        this.usage = undefined;
     }
 
     showMessageButtons(messageId) {
@@ -2813,6 +2908,9 @@ class StreamingProcessor {
             mesText.html(formattedText);
             $(`#chat .mes[mesid="${messageId}"] .mes_timer`).text(timePassed.timerValue).attr('title', timePassed.timerTitle);
             this.setFirstSwipe(messageId);
+
+            // The final text is announced by the message rendered events
+            !isFinal && eventSource.emit(event_types.STREAM_TOKEN_RECEIVED, processedText, messageId);
         }
 
         if (!scrollLock) {
@@ -2911,7 +3009,7 @@ class StreamingProcessor {
     }
 
     /**
-     * @returns {Generator<{ text: string, swipes: string[], logprobs: import('./scripts/logprobs.js').TokenLogprobs }, void, void>}
+     * @returns {Generator<{ text: string, swipes: string[], logprobs: import('./scripts/logprobs.js').TokenLogprobs, usage?: {prompt_tokens?: number, completion_tokens?: number} }, void, void>}
      */
     *nullStreamingGeneration() {
         throw new Error('Generation function for streaming is not hooked up');
@@ -2933,13 +3031,14 @@ class StreamingProcessor {
         try {
             const sw = new Stopwatch(1000 / power_user.streaming_fps);
             const timestamps = [];
-            for await (const { text, swipes, logprobs } of this.generator()) {
+            for await (const { text, swipes, logprobs, usage } of this.generator()) {
                 timestamps.push(Date.now());
                 if (this.isStopped) {
                     return;
                 }
 
                 this.result = text;
+                this.usage = usage ?? this.usage;
                 this.swipes = Array.from(swipes ?? []);
                 if (logprobs) {
                     this.messageLogprobs.push(...(Array.isArray(logprobs) ? logprobs : [logprobs]));
@@ -3051,7 +3150,10 @@ export async function generateRaw(prompt, api, instructOverride, quietToLoud, sy
             throw new Error(data.error);
         }
 
-        const message = cleanUpMessage(extractMessageFromData(data), false, false, true);
+        const rawMessage = extractMessageFromData(data);
+        recordTokenUsage({ type: 'quiet', prompt: generateData.prompt || generateData.input || generateData, completion: rawMessage, model: getGeneratingModel(), usage: data.usage, api });
+
+        const message = cleanUpMessage(rawMessage, false, false, true);
 
         if (!message) {
             throw new Error('No message generated');
@@ -4124,6 +4226,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
 
             hideSwipeButtons();
             let getMessage = await streamingProcessor.generate();
+            recordTokenUsage({ type, prompt: additionalPromptStuff.rawPrompt, completion: getMessage, model: getGeneratingModel(), usage: streamingProcessor?.usage });
             let messageChunk = cleanUpMessage(getMessage, isImpersonate, isContinue, false);
 
             if (isContinue) {
@@ -4169,6 +4272,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
         let getMessage = extractMessageFromData(data);
         let title = extractTitleFromData(data);
         kobold_horde_model = title;
+        recordTokenUsage({ type, prompt: generate_data.prompt || generate_data.input, completion: getMessage, model: getGeneratingModel(), usage: data.usage });
 
         const swipes = extractMultiSwipes(data, type);
 
@@ -4203,6 +4307,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
 
                 // This relies on `saveReply` having been called to add the message to the chat, so it must be last.
                 parseAndSaveLogprobs(data, continue_mag);
+                saveToolInvocations(data);
             }
 
             if (type !== 'quiet') {
@@ -4922,6 +5027,32 @@ function extractTitleFromData(data) {
     return undefined;
 }
 
+/**
+ * Saves the function tool invocations of a generation to the last message in the chat.
+ * @param {object} data Generation response data
+ */
+function saveToolInvocations(data) {
+    if (!Array.isArray(data?.tool_invocations) || !data.tool_invocations.length) {
+        return;
+    }
+
+    const messageId = chat.length - 1;
+    const message = chat[messageId];
+
+    if (!message || message.is_user) {
+        return;
+    }
+
+    message.extra = message.extra || {};
+    message.extra.tool_invocations = data.tool_invocations;
+
+    if (message.swipe_info?.[message.swipe_id]?.extra) {
+        message.swipe_info[message.swipe_id].extra.tool_invocations = data.tool_invocations;
+    }
+
+    appendMediaToMessage(message, $(`#chat .mes[mesid="${messageId}"]`));
+}
+
 /**
  * parseAndSaveLogprobs receives the full data response for a non-streaming
  * generation, parses logprobs for all tokens in the message, and saves them
@@ -7653,6 +7784,8 @@ window['SillyTavern'].getContext = function () {
         deactivateSendButtons,
         saveReply,
         registerSlashCommand: registerSlashCommand,
+        registerMacro: registerMacro,
+        unregisterMacro: unregisterMacro,
         executeSlashCommands: executeSlashCommands,
         timestampToMoment: timestampToMoment,
         /**
@@ -8212,31 +8345,41 @@ async function disableInstructCallback() {
 }
 
 /**
- * @param {string} text API name
+ * Gets the name of the connected API, as accepted by /api.
+ * @returns {string} API name, or an empty string if it is unknown
  */
-async function connectAPISlash(_, text) {
-    if (!text.trim()) {
-        for (const [key, config] of Object.entries(CONNECT_API_MAP)) {
-            if (config.selected !== main_api) continue;
+export function getConnectedApiName() {
+    for (const [key, config] of Object.entries(CONNECT_API_MAP)) {
+        if (config.selected !== main_api) continue;
 
-            if (config.source) {
-                if (oai_settings.chat_completion_source === config.source) {
-                    return key;
-                } else {
-                    continue;
-                }
+        if (config.source) {
+            if (oai_settings.chat_completion_source === config.source) {
+                return key;
+            } else {
+                continue;
             }
+        }
 
-            if (config.type) {
-                if (textgen_settings.type === config.type) {
-                    return key;
-                } else {
-                    continue;
-                }
+        if (config.type) {
+            if (textgen_settings.type === config.type) {
+                return key;
+            } else {
+                continue;
             }
-
-            return key;
         }
+
+        return key;
+    }
+
+    return '';
+}
+
+/**
+ * @param {string} text API name
+ */
+export async function connectAPISlash(_, text) {
+    if (!text.trim()) {
+        return getConnectedApiName();
     }
 
     const apiConfig = CONNECT_API_MAP[text.toLowerCase()];
@@ -8349,6 +8492,15 @@ async function importCharacter(file, preserveFileName = false) {
             oldSelectedChar = characters[this_chid].avatar;
         }
 
+        if (Array.isArray(data.attachments) && data.attachments.length) {
+            const avatarFileName = `${data.file_name}.png`;
+            if (!extension_settings.character_attachments) {
+                extension_settings.character_attachments = {};
+            }
+            extension_settings.character_attachments[avatarFileName] = data.attachments;
+            saveSettingsDebounced();
+        }
+
         await getCharacters();
         select_rm_info('char_import', data.file_name, oldSelectedChar);
         if (power_user.import_card_tags) {
@@ -8611,7 +8763,7 @@ function addDebugFunctions() {
         alert(message);
     });
 
-    registerDebugFunction('clearPrompts', 'Delete itemized prompts', 'Deletes all itemized prompts from the local storage.', async () => {
+    registerDebugFunction('clearPrompts', 'Delete itemized prompts', 'Deletes itemized prompts of the current chat and the legacy local storage cache.', async () => {
         await clearItemizedPrompts();
         toastr.info('Itemized prompts deleted.');
         if (getCurrentChatId()) {
@@ -9690,6 +9842,11 @@ jQuery(async function () {
         toastr.info('Copied!', '', { timeOut: 2000 });
     });
 
+    $(document).on('pointerup', '#comparePromptItemization', function () {
+        const mesId = itemizedPrompts[PromptArrayItemForRawPromptDisplay]?.mesId;
+        openPromptDiffPopup(itemizedPrompts, mesId);
+    });
+
     $(document).on('pointerup', '#showRawPrompt', function () {
         //console.log(itemizedPrompts[PromptArrayItemForRawPromptDisplay].rawPrompt);
         console.log(PromptArrayItemForRawPromptDisplay);
@@ -10023,6 +10180,11 @@ jQuery(async function () {
         await createOrEditCharacter();
         const body = { format, avatar_url: characters[this_chid].avatar };
 
+        // CharX archives also carry the character Data Bank files
+        if (format === 'charx') {
+            body.attachments = extension_settings.character_attachments?.[characters[this_chid].avatar] ?? [];
+        }
+
         const response = await fetch('/api/characters/export', {
             method: 'POST',
             headers: getRequestHeaders(),
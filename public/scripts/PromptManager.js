@@ -4,6 +4,7 @@ import { callPopup, event_types, eventSource, is_send_press, main_api, substitut
 import { is_group_generating } from './group-chats.js';
 import { Message, TokenHandler } from './openai.js';
 import { power_user } from './power-user.js';
+import { evaluateCondition } from './variables.js';
 import { debounce, waitUntilCondition, escapeHtml } from './utils.js';
 import { debounce_timeout } from './constants.js';
 import { renderTemplateAsync } from './templates.js';
@@ -72,7 +73,7 @@ const registerPromptManagerMigration = () => {
  * Represents a prompt.
  */
 class Prompt {
-    identifier; role; content; name; system_prompt; position; injection_position; injection_depth; forbid_overrides;
+    identifier; role; content; name; system_prompt; position; injection_position; injection_depth; forbid_overrides; condition;
 
     /**
      * Create a new Prompt instance.
@@ -87,8 +88,9 @@ class Prompt {
      * @param {number} param0.injection_position - The insert position of the prompt.
      * @param {number} param0.injection_depth - The depth of the prompt in the chat.
      * @param {boolean} param0.forbid_overrides - Indicates if the prompt should not be overridden.
+     * @param {string} param0.condition - The condition expression that must be true for the prompt to be sent.
      */
-    constructor({ identifier, role, content, name, system_prompt, position, injection_depth, injection_position, forbid_overrides } = {}) {
+    constructor({ identifier, role, content, name, system_prompt, position, injection_depth, injection_position, forbid_overrides, condition } = {}) {
         this.identifier = identifier;
         this.role = role;
         this.content = content;
@@ -98,6 +100,7 @@ class Prompt {
         this.injection_depth = injection_depth;
         this.injection_position = injection_position;
         this.forbid_overrides = forbid_overrides;
+        this.condition = condition;
     }
 }
 
@@ -247,6 +250,9 @@ class PromptManager {
         // Token usage of last dry run
         this.tokenUsage = 0;
 
+        // Condition results of the most recent prompt collection, by prompt identifier
+        this.conditionResults = {};
+
         // Error state, contains error message.
         this.error = null;
 
@@ -356,6 +362,8 @@ class PromptManager {
                 this.loadMessagesIntoInspectForm(messages);
 
                 this.showPopup('inspect');
+            } else if (false === this.conditionResults[promptID]) {
+                toastr.info(`The condition of this prompt was not met, so it was not sent: ${this.getPromptById(promptID)?.condition}`);
             }
         };
 
@@ -431,6 +439,7 @@ class PromptManager {
             document.getElementById(this.configuration.prefix + 'prompt_manager_depth_block').style.visibility = prompt.injection_position === INJECTION_POSITION.ABSOLUTE ? 'visible' : 'hidden';
             document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_forbid_overrides').checked = prompt.forbid_overrides ?? false;
             document.getElementById(this.configuration.prefix + 'prompt_manager_forbid_overrides_block').style.visibility = this.overridablePrompts.includes(prompt.identifier) ? 'visible' : 'hidden';
+            document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_condition').value = prompt.condition ?? '';
 
             if (!this.systemPrompts.includes(promptId)) {
                 document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_injection_position').removeAttribute('disabled');
@@ -733,6 +742,7 @@ class PromptManager {
         prompt.injection_position = Number(document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_injection_position').value);
         prompt.injection_depth = Number(document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_injection_depth').value);
         prompt.forbid_overrides = document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_forbid_overrides').checked;
+        prompt.condition = document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_condition').value.trim();
     }
 
     /**
@@ -1157,6 +1167,7 @@ class PromptManager {
         const injectionDepthBlock = document.getElementById(this.configuration.prefix + 'prompt_manager_depth_block');
         const forbidOverridesField = document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_forbid_overrides');
         const forbidOverridesBlock = document.getElementById(this.configuration.prefix + 'prompt_manager_forbid_overrides_block');
+        const conditionField = document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_condition');
 
         nameField.value = prompt.name ?? '';
         roleField.value = prompt.role ?? '';
@@ -1167,6 +1178,7 @@ class PromptManager {
         injectionPositionField.removeAttribute('disabled');
         forbidOverridesField.checked = prompt.forbid_overrides ?? false;
         forbidOverridesBlock.style.visibility = this.overridablePrompts.includes(prompt.identifier) ? 'visible' : 'hidden';
+        conditionField.value = prompt.condition ?? '';
 
         if (this.systemPrompts.includes(prompt.identifier)) {
             injectionPositionField.setAttribute('disabled', 'disabled');
@@ -1252,6 +1264,7 @@ class PromptManager {
         const injectionDepthBlock = document.getElementById(this.configuration.prefix + 'prompt_manager_depth_block');
         const forbidOverridesField = document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_forbid_overrides');
         const forbidOverridesBlock = document.getElementById(this.configuration.prefix + 'prompt_manager_forbid_overrides_block');
+        const conditionField = document.getElementById(this.configuration.prefix + 'prompt_manager_popup_entry_form_condition');
 
         nameField.value = '';
         roleField.selectedIndex = 0;
@@ -1262,6 +1275,7 @@ class PromptManager {
         injectionDepthBlock.style.visibility = 'unset';
         forbidOverridesBlock.style.visibility = 'unset';
         forbidOverridesField.checked = false;
+        conditionField.value = '';
 
         roleField.disabled = false;
     }
@@ -1280,9 +1294,19 @@ class PromptManager {
     getPromptCollection() {
         const promptOrder = this.getPromptOrderForCharacter(this.activeCharacter);
 
+        this.conditionResults = {};
         const promptCollection = new PromptCollection();
         promptOrder.forEach(entry => {
-            if (true === entry.enabled) {
+            if (true === entry.enabled && !this.isPromptConditionMet(this.getPromptById(entry.identifier))) {
+                this.conditionResults[entry.identifier] = false;
+
+                // Same as disabled, but keep the main prompt for relative inserts.
+                if (entry.identifier === 'main') {
+                    const prompt = structuredClone(this.getPromptById(entry.identifier));
+                    prompt.content = '';
+                    promptCollection.add(this.preparePrompt(prompt));
+                }
+            } else if (true === entry.enabled) {
                 const prompt = this.getPromptById(entry.identifier);
                 if (prompt) promptCollection.add(this.preparePrompt(prompt));
             } else if (!entry.enabled && entry.identifier === 'main') {
@@ -1297,6 +1321,25 @@ class PromptManager {
         return promptCollection;
     }
 
+    /**
+     * Checks whether the condition of a prompt is met. Prompts without a condition always pass.
+     * Macros in the condition are substituted in each operand after it is parsed.
+     * @param {object} prompt - The prompt to check.
+     * @returns {boolean} True if the prompt should be sent.
+     */
+    isPromptConditionMet(prompt) {
+        if (!prompt?.condition) {
+            return true;
+        }
+
+        try {
+            return evaluateCondition(prompt.condition);
+        } catch (error) {
+            console.error(`Failed to evaluate the condition of prompt "${prompt.identifier}"`, error);
+            return false;
+        }
+    }
+
     /**
      * Setter for messages property
      *
@@ -1497,6 +1540,8 @@ class PromptManager {
             const isUserPrompt = !prompt.marker && !prompt.system_prompt && prompt.injection_position !== INJECTION_POSITION.ABSOLUTE;
             const isInjectionPrompt = !prompt.marker && prompt.injection_position === INJECTION_POSITION.ABSOLUTE;
             const isOverriddenPrompt = Array.isArray(this.overriddenPrompts) && this.overriddenPrompts.includes(prompt.identifier);
+            const isConditionUnmet = false === this.conditionResults[prompt.identifier];
+            const conditionTitle = prompt.condition ? escapeHtml(`${isConditionUnmet ? 'Condition not met' : 'Condition'}: ${prompt.condition}`) : '';
             const importantClass = isImportantPrompt ? `${prefix}prompt_manager_important` : '';
             listItemHtml += `
                 <li class="${prefix}prompt_manager_prompt ${draggableClass} ${enabledClass} ${markerClass} ${importantClass}" data-pm-identifier="${prompt.identifier}">
@@ -1509,6 +1554,7 @@ class PromptManager {
                         ${this.isPromptInspectionAllowed(prompt) ? `<a title="${encodedName}" class="prompt-manager-inspect-action">${encodedName}</a>` : `<span title="${encodedName}">${encodedName}</span>`}
                         ${isInjectionPrompt ? `<small class="prompt-manager-injection-depth">@ ${prompt.injection_depth}</small>` : ''}
                         ${isOverriddenPrompt ? '<small class="fa-solid fa-address-card prompt-manager-overridden" title="Pulled from a character card"></small>' : ''}
+                        ${prompt.condition ? `<small class="fa-solid fa-code-branch prompt-manager-condition ${isConditionUnmet ? 'prompt-manager-condition-unmet' : ''}" title="${conditionTitle}"></small>` : ''}
                     </span>
                     <span>
                             <span class="prompt_manager_prompt_controls">
@@ -32,6 +32,9 @@
  * @property {string} automation_id - An identifier used for automation purposes related to the extension.
  * @property {number} role - The specific function or purpose of the extension.
  * @property {boolean} vectorized - Indicates if the extension is optimized for vectorized processing.
+ * @property {number} sticky - The number of messages the entry stays active after being triggered.
+ * @property {number} cooldown - The number of messages the entry cannot be triggered after its activation ends.
+ * @property {number} delay - The number of messages the chat must have before the entry can be triggered.
  * @property {number} display_index - The order in which the extension should be displayed for user interfaces.
  */
 
@@ -0,0 +1,304 @@
+import {
+    characters,
+    chat,
+    getRequestHeaders,
+    openCharacterChat,
+    selectCharacterById,
+    showMoreMessages,
+    this_chid,
+} from '../script.js';
+import { groups, openGroupById, openGroupChat, selected_group } from './group-chats.js';
+import { hideLoader, showLoader } from './loader.js';
+import { Popup, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { flashHighlight, timestampToMoment } from './utils.js';
+
+/**
+ * A single message returned by the chat search endpoint.
+ * @typedef {Object} ChatSearchMessage
+ * @property {number} message_id - Index of the message in the chat
+ * @property {string} name - Name of the message author
+ * @property {boolean} is_user - Whether the message was sent by the user
+ * @property {string|number} send_date - Send date of the message
+ * @property {string} mes - Message text
+ */
+
+/**
+ * A search hit with its surrounding context.
+ * @typedef {ChatSearchMessage & Object} ChatSearchResult
+ * @property {string} file_name - Name of the chat file
+ * @property {string|null} avatar_url - Avatar of the character that owns the chat
+ * @property {string|null} group_id - ID of the group that owns the chat
+ * @property {string|null} group_name - Name of the group that owns the chat
+ * @property {boolean} is_group - Whether the chat is a group chat
+ * @property {number} match_start - Start index of the match in the message text
+ * @property {number} match_length - Length of the match
+ * @property {ChatSearchMessage[]} context_before - Messages preceding the hit
+ * @property {ChatSearchMessage[]} context_after - Messages following the hit
+ */
+
+/**
+ * Number of messages to show around each search hit.
+ */
+const SEARCH_CONTEXT_SIZE = 1;
+
+/**
+ * Searches through all chats of the current user.
+ * @param {object} params Search parameters
+ * @param {string} [params.query] Search query. Wrap in double quotes for an exact phrase.
+ * @param {boolean} [params.regex] Treat the query as a regular expression
+ * @param {boolean} [params.caseSensitive] Perform a case-sensitive search
+ * @param {string} [params.author] Only match messages sent by this name
+ * @param {string} [params.dateFrom] Only match messages sent after this date
+ * @param {string} [params.dateTo] Only match messages sent before this date
+ * @param {string} [params.avatarUrl] Only search chats of this character
+ * @param {string} [params.groupId] Only search chats of this group
+ * @returns {Promise<{results: ChatSearchResult[], truncated: boolean}>} Search results
+ */
+export async function searchChats({ query, regex, caseSensitive, author, dateFrom, dateTo, avatarUrl, groupId }) {
+    const response = await fetch('/api/chats/search', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            query,
+            regex,
+            case_sensitive: caseSensitive,
+            author,
+            date_from: dateFrom,
+            date_to: dateTo,
+            avatar_url: avatarUrl,
+            group_id: groupId,
+            context: SEARCH_CONTEXT_SIZE,
+        }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || response.statusText);
+    }
+
+    return await response.json();
+}
+
+/**
+ * Scrolls the chat to a message, rendering older messages if they are hidden by chat truncation.
+ * @param {number} messageId Index of the message in the chat
+ * @returns {boolean} True if the message was found
+ */
+export function jumpToMessage(messageId) {
+    if (!chat[messageId]) {
+        return false;
+    }
+
+    let firstRendered = Number($('#chat').children('.mes').first().attr('mesid'));
+    while (firstRendered > messageId) {
+        showMoreMessages();
+        const newFirstRendered = Number($('#chat').children('.mes').first().attr('mesid'));
+
+        if (newFirstRendered === firstRendered) {
+            break;
+        }
+
+        firstRendered = newFirstRendered;
+    }
+
+    const element = $(`#chat .mes[mesid="${messageId}"]`);
+
+    if (element.length === 0) {
+        return false;
+    }
+
+    element[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    flashHighlight(element, 5000);
+    return true;
+}
+
+/**
+ * Opens the chat that contains the search result and scrolls to the matching message.
+ * @param {ChatSearchResult} result Search result
+ */
+async function openSearchResult(result) {
+    const chatId = result.file_name.replace('.jsonl', '');
+
+    if (result.is_group) {
+        const group = groups.find(x => x.id === result.group_id);
+
+        if (!group) {
+            toastr.error('The group of this chat no longer exists.');
+            return;
+        }
+
+        if (selected_group !== group.id) {
+            await openGroupById(group.id);
+        }
+
+        if (group.chat_id !== chatId) {
+            await openGroupChat(group.id, chatId);
+        }
+    } else {
+        const characterId = characters.findIndex(x => x.avatar === result.avatar_url);
+
+        if (characterId === -1) {
+            toastr.error('The character of this chat no longer exists.');
+            return;
+        }
+
+        if (selected_group || String(this_chid) !== String(characterId)) {
+            await selectCharacterById(String(characterId));
+        }
+
+        if (characters[characterId].chat !== chatId) {
+            await openCharacterChat(chatId);
+        }
+    }
+
+    if (!jumpToMessage(result.message_id)) {
+        toastr.warning('Could not find the message in the chat. It may have been deleted.');
+    }
+}
+
+/**
+ * Gets a display name for the owner of a chat.
+ * @param {ChatSearchResult} result Search result
+ * @returns {string} Character or group name
+ */
+function getResultSourceName(result) {
+    if (result.is_group) {
+        return result.group_name || result.group_id;
+    }
+
+    const character = characters.find(x => x.avatar === result.avatar_url);
+    return character?.name || String(result.avatar_url).replace('.png', '');
+}
+
+/**
+ * Renders a single message of a search result.
+ * @param {ChatSearchMessage} message Message to render
+ * @param {{start: number, length: number}|null} match Match to highlight
+ * @returns {JQuery<HTMLElement>} Rendered message
+ */
+function renderSearchMessage(message, match) {
+    const element = $('<div class="chat_search_message"></div>');
+    const name = $('<b></b>').text(`${message.name}: `);
+    element.append(name);
+
+    if (!match || !match.length) {
+        element.append(document.createTextNode(message.mes));
+        element.addClass(match ? 'hit' : 'context');
+        return element;
+    }
+
+    const { start, length } = match;
+    element.addClass('hit');
+    element.append(document.createTextNode(message.mes.slice(0, start)));
+    element.append($('<mark></mark>').text(message.mes.slice(start, start + length)));
+    element.append(document.createTextNode(message.mes.slice(start + length)));
+    return element;
+}
+
+/**
+ * Renders the search results into the popup.
+ * @param {JQuery<HTMLElement>} view Popup content
+ * @param {ChatSearchResult[]} results Search results
+ * @param {Popup} popup Popup instance
+ */
+function renderSearchResults(view, results, popup) {
+    const container = view.find('.chat_search_results').empty();
+    const template = view.find('.chat_search_result_template .chat_search_result');
+
+    for (const result of results) {
+        const element = template.clone();
+        const date = timestampToMoment(result.send_date);
+        element.find('.chat_search_result_source').text(getResultSourceName(result));
+        element.find('.chat_search_result_file').text(`${result.file_name}${date.isValid() ? ` · ${date.format('lll')}` : ''}`);
+
+        const messages = element.find('.chat_search_result_messages');
+        result.context_before.forEach(x => messages.append(renderSearchMessage(x, null)));
+        messages.append(renderSearchMessage(result, { start: result.match_start, length: result.match_length }));
+        result.context_after.forEach(x => messages.append(renderSearchMessage(x, null)));
+
+        const onSelect = async () => {
+            popup.completeAffirmative();
+            try {
+                showLoader();
+                $('#shadow_select_chat_popup').css('display', 'none');
+                await openSearchResult(result);
+            } finally {
+                hideLoader();
+            }
+        };
+
+        element.on('click', onSelect);
+        element.on('keydown', (e) => e.key === 'Enter' && onSelect());
+        container.append(element);
+    }
+}
+
+/**
+ * Opens the popup for searching through all chats.
+ * @param {string} [initialQuery] Query to prefill the search field with
+ */
+export async function openChatSearchPopup(initialQuery = '') {
+    const view = $(await renderTemplateAsync('chatSearch'));
+    const popup = new Popup(view, POPUP_TYPE.TEXT, '', { wide: true, large: true, okButton: 'Close', allowVerticalScrolling: true });
+    const status = view.find('.chat_search_status');
+
+    const runSearch = async () => {
+        const query = String(view.find('.chat_search_query').val());
+        const author = String(view.find('.chat_search_author').val()).trim();
+        const dateFrom = String(view.find('.chat_search_from').val());
+        const dateTo = String(view.find('.chat_search_to').val());
+        const currentOnly = view.find('.chat_search_current').is(':checked');
+
+        if (!query.trim() && !author) {
+            return;
+        }
+
+        status.text('Searching...');
+        view.find('.chat_search_results').empty();
+
+        try {
+            const { results, truncated } = await searchChats({
+                query: query.trim(),
+                regex: view.find('.chat_search_regex').is(':checked'),
+                caseSensitive: view.find('.chat_search_case').is(':checked'),
+                author,
+                dateFrom: dateFrom ? `${dateFrom}T00:00:00` : undefined,
+                dateTo: dateTo ? `${dateTo}T23:59:59.999` : undefined,
+                avatarUrl: currentOnly && !selected_group ? characters[this_chid]?.avatar : undefined,
+                groupId: currentOnly && selected_group ? selected_group : undefined,
+            });
+
+            status.text(`${results.length} result(s)${truncated ? ' (incomplete, refine the search to see more)' : ''}`);
+            renderSearchResults(view, results, popup);
+        } catch (error) {
+            console.error('Chat search failed', error);
+            status.text(`Search failed: ${error.message}`);
+        }
+    };
+
+    view.find('.chat_search_submit').on('click', runSearch);
+    view.find('input').on('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            e.stopPropagation();
+            runSearch();
+        }
+    });
+
+    view.find('.chat_search_query').val(initialQuery);
+    view.find('.chat_search_current').prop('disabled', this_chid === undefined && !selected_group);
+
+    const promise = popup.show();
+    view.find('.chat_search_query').trigger('focus');
+
+    if (initialQuery) {
+        runSearch();
+    }
+
+    await promise;
+}
+
+export function initChatSearch() {
+    $('#chat_search_all_button').on('click', () => openChatSearchPopup(String($('#select_chat_search').val())));
+}
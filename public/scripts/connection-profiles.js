@@ -0,0 +1,542 @@
+import { characters, chat_metadata, connectAPISlash, event_types, eventSource, getConnectedApiName, saveSettingsDebounced, this_chid } from '../script.js';
+import { extension_settings, saveMetadataDebounced } from './extensions.js';
+import { selected_group } from './group-chats.js';
+import { instruct_presets } from './instruct-mode.js';
+import { context_presets, power_user } from './power-user.js';
+import { POPUP_RESULT, POPUP_TYPE, callGenericPopup } from './popup.js';
+import { SECRET_KEYS, secret_state } from './secrets.js';
+import { SlashCommand } from './slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument } from './slash-commands/SlashCommandArgument.js';
+import { SlashCommandParser } from './slash-commands/SlashCommandParser.js';
+import { uuidv4 } from './utils.js';
+
+/**
+ * @typedef {object} ConnectionProfile
+ * @property {string} id Unique profile ID
+ * @property {string} name Profile name
+ * @property {string} api Connection API key, as accepted by /api
+ * @property {string} model Model name
+ * @property {string} preset Generation settings preset name
+ * @property {string} instruct Instruct template name
+ * @property {boolean} instructEnabled Whether instruct mode is enabled
+ * @property {string} context Context template name
+ * @property {string} tokenizer Tokenizer key
+ * @property {string} stopStrings JSON-serialized array of custom stopping strings
+ * @property {string} secretKey Name of the secret holding the API key for the connection
+ */
+
+const CHAT_PROFILE_KEY = 'connection_profile';
+
+/**
+ * A profile property, read and applied either directly or by a slash command.
+ * @typedef {object} ProfileField
+ * @property {string} property Profile property
+ * @property {string} label Display label
+ * @property {string} [command] Slash command that reads and applies the value
+ * @property {() => string} [read] Reads the current value
+ * @property {(value: string) => Promise<any>|void} [apply] Applies a value
+ */
+
+/**
+ * Profile properties in the order of application.
+ * Preset goes before the model, since Chat Completion presets may include a model.
+ * Context goes after instruct, since selecting an instruct template may select a bound context template.
+ * @type {ProfileField[]}
+ */
+const PROFILE_FIELDS = [
+    { property: 'api', label: 'API', read: getConnectedApiName, apply: (value) => connectAPISlash(null, value) },
+    { property: 'preset', command: 'preset', label: 'Preset' },
+    { property: 'model', command: 'model', label: 'Model' },
+    { property: 'instruct', label: 'Instruct Template', read: () => power_user.instruct.preset, apply: (value) => selectPresetOption('#instruct_presets', instruct_presets, value) },
+    { property: 'context', label: 'Context Template', read: () => power_user.context.preset, apply: (value) => selectPresetOption('#context_presets', context_presets, value) },
+    { property: 'tokenizer', command: 'tokenizer', label: 'Tokenizer' },
+    { property: 'stopStrings', command: 'stop-strings', label: 'Stopping Strings' },
+];
+
+/**
+ * Secrets used by the APIs that require a key, keyed by the /api name.
+ */
+const API_SECRET_KEYS = {
+    'horde': SECRET_KEYS.HORDE,
+    'novel': SECRET_KEYS.NOVEL,
+    'ooba': SECRET_KEYS.OOBA,
+    'tabby': SECRET_KEYS.TABBY,
+    'llamacpp': SECRET_KEYS.LLAMACPP,
+    'mancer': SECRET_KEYS.MANCER,
+    'vllm': SECRET_KEYS.VLLM,
+    'aphrodite': SECRET_KEYS.APHRODITE,
+    'koboldcpp': SECRET_KEYS.KOBOLDCPP,
+    'kcpp': SECRET_KEYS.KOBOLDCPP,
+    'togetherai': SECRET_KEYS.TOGETHERAI,
+    'infermaticai': SECRET_KEYS.INFERMATICAI,
+    'dreamgen': SECRET_KEYS.DREAMGEN,
+    'openrouter-text': SECRET_KEYS.OPENROUTER,
+    'openai': SECRET_KEYS.OPENAI,
+    'oai': SECRET_KEYS.OPENAI,
+    'claude': SECRET_KEYS.CLAUDE,
+    'openrouter': SECRET_KEYS.OPENROUTER,
+    'scale': SECRET_KEYS.SCALE,
+    'ai21': SECRET_KEYS.AI21,
+    'makersuite': SECRET_KEYS.MAKERSUITE,
+    'mistralai': SECRET_KEYS.MISTRALAI,
+    'custom': SECRET_KEYS.CUSTOM,
+    'cohere': SECRET_KEYS.COHERE,
+    'perplexity': SECRET_KEYS.PERPLEXITY,
+    'groq': SECRET_KEYS.GROQ,
+};
+
+/**
+ * Gets the connection profiles settings, creating them if needed.
+ * @returns {{profiles: ConnectionProfile[], selected: string, character_defaults: Object<string, string>}} Settings
+ */
+function getSettings() {
+    if (!extension_settings.connection_profiles) {
+        extension_settings.connection_profiles = {};
+    }
+
+    const settings = extension_settings.connection_profiles;
+
+    if (!Array.isArray(settings.profiles)) {
+        settings.profiles = [];
+    }
+
+    if (typeof settings.character_defaults !== 'object' || settings.character_defaults === null) {
+        settings.character_defaults = {};
+    }
+
+    return settings;
+}
+
+/**
+ * Finds a profile by ID or name. Names are matched case-insensitively, with a fuzzy fallback.
+ * @param {string} value Profile ID or name
+ * @returns {ConnectionProfile|undefined} Profile
+ */
+function findProfile(value) {
+    const profiles = getSettings().profiles;
+    value = String(value ?? '').trim();
+
+    if (!value) {
+        return undefined;
+    }
+
+    const exactMatch = profiles.find(p => p.id === value || p.name.toLowerCase() === value.toLowerCase());
+
+    if (exactMatch) {
+        return exactMatch;
+    }
+
+    const fuse = new Fuse(profiles, { keys: ['name'] });
+    return fuse.search(value)[0]?.item;
+}
+
+/**
+ * Gets the currently selected profile.
+ * @returns {ConnectionProfile|undefined} Profile
+ */
+function getSelectedProfile() {
+    const settings = getSettings();
+    return settings.profiles.find(p => p.id === settings.selected);
+}
+
+/**
+ * Runs the callback of a slash command.
+ * @param {string} name Command name
+ * @param {string} value Unnamed argument value
+ * @returns {Promise<string>} Command result
+ */
+async function runCommand(name, value = '') {
+    const command = SlashCommandParser.commands[name];
+
+    if (!command) {
+        throw new Error(`Command /${name} is not registered`);
+    }
+
+    const result = await command.callback({ quiet: 'true' }, value);
+    return String(result ?? '');
+}
+
+/**
+ * Selects a context or instruct template in its dropdown.
+ * @param {string} selector Dropdown selector
+ * @param {{name: string}[]} presets Available templates
+ * @param {string} name Template name
+ */
+function selectPresetOption(selector, presets, name) {
+    if (!presets.some(x => x.name === name)) {
+        throw new Error(`Template "${name}" not found`);
+    }
+
+    $(selector).val(name).trigger('change');
+}
+
+/**
+ * Reads the current connection settings into a profile.
+ * @param {ConnectionProfile} profile Profile to update
+ * @returns {Promise<ConnectionProfile>} Updated profile
+ */
+async function readProfileSettings(profile) {
+    for (const { property, command, read } of PROFILE_FIELDS) {
+        try {
+            profile[property] = read ? String(read() ?? '') : await runCommand(command);
+        } catch (error) {
+            console.error(`Failed to read "${property}" for connection profile "${profile.name}"`, error);
+            profile[property] = '';
+        }
+    }
+
+    profile.instructEnabled = !!power_user.instruct.enabled;
+    profile.secretKey = API_SECRET_KEYS[profile.api] ?? '';
+    return profile;
+}
+
+/**
+ * Applies the profile settings and selects the profile.
+ * @param {ConnectionProfile} profile Profile to apply
+ */
+async function applyProfile(profile) {
+    // Toggled before the templates, since toggling instruct mode may select a bound context template
+    try {
+        $('#instruct_enabled').prop('checked', !!profile.instructEnabled).trigger('input').trigger('change');
+    } catch (error) {
+        console.error(`Failed to apply "instructEnabled" of connection profile "${profile.name}"`, error);
+    }
+
+    for (const { property, command, apply } of PROFILE_FIELDS) {
+        if (!profile[property]) {
+            continue;
+        }
+
+        try {
+            await (apply ? apply(profile[property]) : runCommand(command, profile[property]));
+        } catch (error) {
+            console.error(`Failed to apply "${property}" of connection profile "${profile.name}"`, error);
+        }
+    }
+
+    if (profile.secretKey && !secret_state[profile.secretKey]) {
+        toastr.warning(`No API key is saved for "${profile.secretKey}". The connection may fail.`, `Connection Profile: ${profile.name}`);
+    }
+
+    getSettings().selected = profile.id;
+    saveSettingsDebounced();
+    renderProfiles();
+    toastr.success(`Connection profile "${profile.name}" applied.`);
+}
+
+/**
+ * Creates a new profile from the current connection settings.
+ * @param {string} name Profile name
+ * @returns {Promise<ConnectionProfile>} Created profile
+ */
+async function createProfile(name) {
+    const settings = getSettings();
+    const profile = await readProfileSettings(/** @type {ConnectionProfile} */({ id: uuidv4(), name }));
+    settings.profiles.push(profile);
+    settings.selected = profile.id;
+    saveSettingsDebounced();
+    renderProfiles();
+    return profile;
+}
+
+/**
+ * Gets the default profile for the current chat or character.
+ * @returns {ConnectionProfile|undefined} Default profile
+ */
+function getDefaultProfile() {
+    const settings = getSettings();
+    const chatProfileId = chat_metadata[CHAT_PROFILE_KEY];
+
+    if (chatProfileId) {
+        return settings.profiles.find(p => p.id === chatProfileId);
+    }
+
+    const avatar = !selected_group ? characters[this_chid]?.avatar : null;
+
+    if (avatar && settings.character_defaults[avatar]) {
+        return settings.profiles.find(p => p.id === settings.character_defaults[avatar]);
+    }
+
+    return undefined;
+}
+
+async function onChatChanged() {
+    renderProfiles();
+    const profile = getDefaultProfile();
+
+    if (profile && profile.id !== getSettings().selected) {
+        await applyProfile(profile);
+    }
+}
+
+/**
+ * Renders the profile list, details and default toggles.
+ */
+function renderProfiles() {
+    const settings = getSettings();
+    const select = $('#connection_profiles_select');
+    const selectedProfile = getSelectedProfile();
+
+    select.empty();
+    select.append($('<option>').val('').text('<None>'));
+
+    for (const profile of [...settings.profiles].sort((a, b) => a.name.localeCompare(b.name))) {
+        select.append($('<option>').val(profile.id).text(profile.name));
+    }
+
+    select.val(selectedProfile?.id ?? '');
+
+    const details = $('#connection_profiles_details').empty();
+
+    if (selectedProfile) {
+        const fields = [...PROFILE_FIELDS, { property: 'secretKey', label: 'API Key' }];
+
+        for (const { property, label } of fields) {
+            const value = property === 'secretKey' && selectedProfile.secretKey
+                ? `${selectedProfile.secretKey} (${secret_state[selectedProfile.secretKey] ? 'saved' : 'missing'})`
+                : selectedProfile[property];
+            details.append($('<li>').append($('<b>').text(`${label}: `), $('<span>').text(value || '—')));
+        }
+
+        details.append($('<li>').append($('<b>').text('Instruct Mode: '), $('<span>').text(selectedProfile.instructEnabled ? 'Enabled' : 'Disabled')));
+    }
+
+    const avatar = !selected_group ? characters[this_chid]?.avatar : null;
+    $('#connection_profiles_character_default')
+        .prop('disabled', !selectedProfile || !avatar)
+        .prop('checked', !!selectedProfile && !!avatar && settings.character_defaults[avatar] === selectedProfile.id);
+    $('#connection_profiles_chat_default')
+        .prop('disabled', !selectedProfile || !(this_chid !== undefined || selected_group))
+        .prop('checked', !!selectedProfile && chat_metadata[CHAT_PROFILE_KEY] === selectedProfile.id);
+    $('#connection_profiles_update, #connection_profiles_rename, #connection_profiles_delete').toggleClass('disabled', !selectedProfile);
+}
+
+async function onProfileSelectChange() {
+    const profileId = String($(this).val());
+
+    if (!profileId) {
+        getSettings().selected = '';
+        saveSettingsDebounced();
+        renderProfiles();
+        return;
+    }
+
+    const profile = findProfile(profileId);
+
+    if (profile) {
+        await applyProfile(profile);
+    }
+}
+
+async function onCreateClick() {
+    const name = await callGenericPopup('Enter a name for the new connection profile:', POPUP_TYPE.INPUT, '', { okButton: 'Create', cancelButton: 'Cancel' });
+
+    if (!name || typeof name !== 'string') {
+        return;
+    }
+
+    const profile = await createProfile(name.trim());
+    toastr.success(`Connection profile "${profile.name}" created.`);
+}
+
+async function onUpdateClick() {
+    const profile = getSelectedProfile();
+
+    if (!profile) {
+        return;
+    }
+
+    await readProfileSettings(profile);
+    saveSettingsDebounced();
+    renderProfiles();
+    toastr.success(`Connection profile "${profile.name}" updated.`);
+}
+
+async function onRenameClick() {
+    const profile = getSelectedProfile();
+
+    if (!profile) {
+        return;
+    }
+
+    const name = await callGenericPopup('Enter a new name for the connection profile:', POPUP_TYPE.INPUT, profile.name, { okButton: 'Rename', cancelButton: 'Cancel' });
+
+    if (!name || typeof name !== 'string') {
+        return;
+    }
+
+    profile.name = name.trim();
+    saveSettingsDebounced();
+    renderProfiles();
+}
+
+async function onDeleteClick() {
+    const settings = getSettings();
+    const profile = getSelectedProfile();
+
+    if (!profile) {
+        return;
+    }
+
+    const confirm = await callGenericPopup(`Are you sure you want to delete the connection profile "${profile.name}"?`, POPUP_TYPE.CONFIRM);
+
+    if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    settings.profiles.splice(settings.profiles.indexOf(profile), 1);
+    settings.selected = '';
+
+    for (const [avatar, profileId] of Object.entries(settings.character_defaults)) {
+        if (profileId === profile.id) {
+            delete settings.character_defaults[avatar];
+        }
+    }
+
+    if (chat_metadata[CHAT_PROFILE_KEY] === profile.id) {
+        delete chat_metadata[CHAT_PROFILE_KEY];
+        saveMetadataDebounced();
+    }
+
+    saveSettingsDebounced();
+    renderProfiles();
+}
+
+function onCharacterDefaultChange() {
+    const settings = getSettings();
+    const profile = getSelectedProfile();
+    const avatar = !selected_group ? characters[this_chid]?.avatar : null;
+
+    if (!profile || !avatar) {
+        return;
+    }
+
+    if ($(this).prop('checked')) {
+        settings.character_defaults[avatar] = profile.id;
+    } else {
+        delete settings.character_defaults[avatar];
+    }
+
+    saveSettingsDebounced();
+}
+
+function onChatDefaultChange() {
+    const profile = getSelectedProfile();
+
+    if (!profile) {
+        return;
+    }
+
+    if ($(this).prop('checked')) {
+        chat_metadata[CHAT_PROFILE_KEY] = profile.id;
+    } else {
+        delete chat_metadata[CHAT_PROFILE_KEY];
+    }
+
+    saveMetadataDebounced();
+}
+
+/**
+ * Gets the profile names for the autocomplete.
+ * @returns {string[]} Profile names
+ */
+function getProfileNames() {
+    return getSettings().profiles.map(p => p.name);
+}
+
+export function initConnectionProfiles() {
+    $('#connection_profiles_select').on('change', onProfileSelectChange);
+    $('#connection_profiles_create').on('click', onCreateClick);
+    $('#connection_profiles_update').on('click', onUpdateClick);
+    $('#connection_profiles_rename').on('click', onRenameClick);
+    $('#connection_profiles_delete').on('click', onDeleteClick);
+    $('#connection_profiles_character_default').on('input', onCharacterDefaultChange);
+    $('#connection_profiles_chat_default').on('input', onChatDefaultChange);
+    eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+    renderProfiles();
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'profile',
+        callback: async (_, name) => {
+            if (!name) {
+                return getSelectedProfile()?.name ?? '';
+            }
+
+            const profile = findProfile(String(name));
+
+            if (!profile) {
+                toastr.warning(`Connection profile "${name}" not found.`);
+                return '';
+            }
+
+            await applyProfile(profile);
+            return profile.name;
+        },
+        returns: 'current profile name',
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'name', [ARGUMENT_TYPE.STRING], false,
+            ),
+        ],
+        helpString: 'Switches to a connection profile by name. Gets the current profile name if no name is provided.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'profile-list',
+        callback: () => JSON.stringify(getProfileNames()),
+        returns: 'list of profile names',
+        helpString: 'Returns a JSON list of the connection profile names.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'profile-create',
+        callback: async (_, name) => {
+            name = String(name ?? '').trim();
+
+            if (!name) {
+                toastr.warning('Connection profile name is required.');
+                return '';
+            }
+
+            const profile = await createProfile(name);
+            return profile.name;
+        },
+        returns: 'created profile name',
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'name', [ARGUMENT_TYPE.STRING], true,
+            ),
+        ],
+        helpString: 'Creates a connection profile from the current API, model, preset, templates, tokenizer and stopping strings.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'profile-update',
+        callback: async () => {
+            const profile = getSelectedProfile();
+
+            if (!profile) {
+                toastr.warning('No connection profile selected.');
+                return '';
+            }
+
+            await readProfileSettings(profile);
+            saveSettingsDebounced();
+            renderProfiles();
+            return profile.name;
+        },
+        returns: 'updated profile name',
+        helpString: 'Updates the selected connection profile with the current connection settings.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'profile-get',
+        callback: (_, name) => {
+            const profile = name ? findProfile(String(name)) : getSelectedProfile();
+            return profile ? JSON.stringify(profile) : '';
+        },
+        returns: 'profile as a JSON object',
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'name', [ARGUMENT_TYPE.STRING], false,
+            ),
+        ],
+        helpString: 'Returns the settings of a connection profile as a JSON object. Uses the selected profile if no name is provided.',
+    }));
+}
@@ -141,6 +141,7 @@ const extension_settings = {
         enabled: false,
     },
     speech_recognition: {},
+    voice_input: {},
     rvc: {},
     hypebot: {},
     vectors: {},
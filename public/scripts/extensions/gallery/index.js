@@ -352,6 +352,18 @@ function makeDragImg(id, url) {
         const dragGrabber = draggableElem.querySelector('.drag-grabber');
         if (dragGrabber) {
             dragGrabber.id = `${uniqueId}header`; // appending _header to make it match the parent's unique ID
+
+            // Image generation actions, shown when the extension is active
+            const sdControls = document.createElement('div');
+            sdControls.classList.add('sd_image_controls');
+            for (const [className, icon, title] of [['sd_img2img', 'fa-wand-magic-sparkles', 'Regenerate from this image'], ['sd_inpaint', 'fa-paintbrush', 'Edit region']]) {
+                const button = document.createElement('div');
+                button.classList.add('fa-fw', 'fa-solid', icon, className);
+                button.title = title;
+                button.dataset.src = url;
+                sdControls.appendChild(button);
+            }
+            dragGrabber.before(sdControls);
         }
     }
 
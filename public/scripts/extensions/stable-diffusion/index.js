@@ -30,12 +30,15 @@ import { SlashCommand } from '../../slash-commands/SlashCommand.js';
 import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../slash-commands/SlashCommandArgument.js';
 import { resolveVariable } from '../../variables.js';
 import { debounce_timeout } from '../../constants.js';
+import { Popup, POPUP_RESULT, POPUP_TYPE } from '../../popup.js';
 export { MODULE_NAME };
 
 const MODULE_NAME = 'sd';
 const UPDATE_INTERVAL = 1000;
 // This is a 1x1 transparent PNG
 const PNG_PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+// NovelAI models that have an inpainting variant
+const NOVEL_INPAINTING_MODELS = ['nai-diffusion-3', 'nai-diffusion-furry-3', 'nai-diffusion'];
 
 const sources = {
     extras: 'extras',
@@ -50,6 +53,9 @@ const sources = {
     pollinations: 'pollinations',
 };
 
+// Sources that can generate from an input image
+const img2imgSources = [sources.auto, sources.vlad, sources.novel, sources.comfy];
+
 const generationMode = {
     CHARACTER: 0,
     USER: 1,
@@ -231,6 +237,9 @@ const defaultSettings = {
     hr_second_pass_steps_max: 150,
     hr_second_pass_steps_step: 1,
 
+    // Image to image and inpainting
+    img2img_strength: 0.6,
+
     // CLIP skip
     clip_skip_min: 1,
     clip_skip_max: 12,
@@ -2339,7 +2348,17 @@ async function generatePrompt(quietPrompt) {
  * @param {function} [callback] Callback function to be called after image generation
  * @returns
  */
-async function sendGenerationRequest(generationType, prompt, additionalNegativePrefix, characterName = null, callback) {
+/**
+ * Sends a request to the image generation source and posts or saves the result.
+ * @param {number} generationType Generation mode
+ * @param {string} prompt Image prompt
+ * @param {string} additionalNegativePrefix Negative prompt prefix
+ * @param {string} [characterName] Name of the character the image is saved for
+ * @param {Function} [callback] Called with the saved image instead of posting it to chat
+ * @param {Img2ImgParams} [img2img] Source image and mask to generate from
+ * @returns {Promise<string>} Path of the saved image
+ */
+async function sendGenerationRequest(generationType, prompt, additionalNegativePrefix, characterName = null, callback, img2img = null) {
     const noCharPrefix = [generationMode.FREE, generationMode.BACKGROUND, generationMode.USER, generationMode.USER_MULTIMODAL];
     const prefix = noCharPrefix.includes(generationType)
         ? extension_settings.sd.prompt_prefix
@@ -2355,6 +2374,10 @@ async function sendGenerationRequest(generationType, prompt, additionalNegativeP
     const currentChatId = getCurrentChatId();
 
     try {
+        if (img2img && !img2imgSources.includes(extension_settings.sd.source)) {
+            throw new Error('Image to image is not supported by the selected source.');
+        }
+
         switch (extension_settings.sd.source) {
             case sources.extras:
                 result = await generateExtrasImage(prefixedPrompt, negativePrompt);
@@ -2363,22 +2386,22 @@ async function sendGenerationRequest(generationType, prompt, additionalNegativeP
                 result = await generateHordeImage(prefixedPrompt, negativePrompt);
                 break;
             case sources.vlad:
-                result = await generateAutoImage(prefixedPrompt, negativePrompt);
+                result = await generateAutoImage(prefixedPrompt, negativePrompt, img2img);
                 break;
             case sources.drawthings:
                 result = await generateDrawthingsImage(prefixedPrompt, negativePrompt);
                 break;
             case sources.auto:
-                result = await generateAutoImage(prefixedPrompt, negativePrompt);
+                result = await generateAutoImage(prefixedPrompt, negativePrompt, img2img);
                 break;
             case sources.novel:
-                result = await generateNovelImage(prefixedPrompt, negativePrompt);
+                result = await generateNovelImage(prefixedPrompt, negativePrompt, img2img);
                 break;
             case sources.openai:
                 result = await generateOpenAiImage(prefixedPrompt);
                 break;
             case sources.comfy:
-                result = await generateComfyImage(prefixedPrompt, negativePrompt);
+                result = await generateComfyImage(prefixedPrompt, negativePrompt, img2img);
                 break;
             case sources.togetherai:
                 result = await generateTogetherAIImage(prefixedPrompt, negativePrompt);
@@ -2544,10 +2567,11 @@ async function generateHordeImage(prompt, negativePrompt) {
  *
  * @param {string} prompt - The main instruction used to guide the image generation.
  * @param {string} negativePrompt - The instruction used to restrict the image generation.
+ * @param {Img2ImgParams} [img2img] - Source image and mask to generate from.
  * @returns {Promise<{format: string, data: string}>} - A promise that resolves when the image generation and processing are complete.
  */
-async function generateAutoImage(prompt, negativePrompt) {
-    const result = await fetch('/api/sd/generate', {
+async function generateAutoImage(prompt, negativePrompt, img2img = null) {
+    const result = await fetch(img2img ? '/api/sd/img2img' : '/api/sd/generate', {
         method: 'POST',
         headers: getRequestHeaders(),
         body: JSON.stringify({
@@ -2558,15 +2582,20 @@ async function generateAutoImage(prompt, negativePrompt) {
             scheduler: extension_settings.sd.scheduler,
             steps: extension_settings.sd.steps,
             cfg_scale: extension_settings.sd.scale,
-            width: extension_settings.sd.width,
-            height: extension_settings.sd.height,
+            width: img2img?.width ?? extension_settings.sd.width,
+            height: img2img?.height ?? extension_settings.sd.height,
             restore_faces: !!extension_settings.sd.restore_faces,
-            enable_hr: !!extension_settings.sd.enable_hr,
+            enable_hr: !img2img && !!extension_settings.sd.enable_hr,
             hr_upscaler: extension_settings.sd.hr_upscaler,
             hr_scale: extension_settings.sd.hr_scale,
-            denoising_strength: extension_settings.sd.denoising_strength,
+            denoising_strength: img2img?.strength ?? extension_settings.sd.denoising_strength,
             hr_second_pass_steps: extension_settings.sd.hr_second_pass_steps,
             seed: extension_settings.sd.seed >= 0 ? extension_settings.sd.seed : undefined,
+            // Image to image and inpainting
+            init_images: img2img ? [img2img.image] : undefined,
+            mask: img2img?.mask ?? undefined,
+            mask_blur: img2img?.mask ? 4 : undefined,
+            inpainting_fill: img2img?.mask ? 1 : undefined,
             // For AUTO1111
             override_settings: {
                 CLIP_stop_at_last_layers: extension_settings.sd.clip_skip,
@@ -2635,11 +2664,16 @@ async function generateDrawthingsImage(prompt, negativePrompt) {
  *
  * @param {string} prompt - The main instruction used to guide the image generation.
  * @param {string} negativePrompt - The instruction used to restrict the image generation.
+ * @param {Img2ImgParams} [img2img] - Source image and mask to generate from.
  * @returns {Promise<{format: string, data: string}>} - A promise that resolves when the image generation and processing are complete.
  */
-async function generateNovelImage(prompt, negativePrompt) {
+async function generateNovelImage(prompt, negativePrompt, img2img = null) {
     const { steps, width, height, sm, sm_dyn } = getNovelParams();
 
+    if (img2img?.mask && !NOVEL_INPAINTING_MODELS.includes(extension_settings.sd.model)) {
+        throw new Error('Inpainting is not supported by the selected NovelAI model.');
+    }
+
     const result = await fetch('/api/novelai/generate-image', {
         method: 'POST',
         headers: getRequestHeaders(),
@@ -2649,14 +2683,17 @@ async function generateNovelImage(prompt, negativePrompt) {
             sampler: extension_settings.sd.sampler,
             steps: steps,
             scale: extension_settings.sd.scale,
-            width: width,
-            height: height,
+            width: img2img?.width ?? width,
+            height: img2img?.height ?? height,
             negative_prompt: negativePrompt,
             upscale_ratio: extension_settings.sd.novel_upscale_ratio,
             decrisper: extension_settings.sd.novel_decrisper,
             sm: sm,
             sm_dyn: sm_dyn,
             seed: extension_settings.sd.seed >= 0 ? extension_settings.sd.seed : undefined,
+            image: img2img?.image,
+            mask: img2img?.mask ?? undefined,
+            strength: img2img?.strength,
         }),
     });
 
@@ -2791,9 +2828,10 @@ async function generateOpenAiImage(prompt) {
  *
  * @param {string} prompt - The main instruction used to guide the image generation.
  * @param {string} negativePrompt - The instruction used to restrict the image generation.
+ * @param {Img2ImgParams} [img2img] - Source image and mask to generate from.
  * @returns {Promise<{format: string, data: string}>} - A promise that resolves when the image generation and processing are complete.
  */
-async function generateComfyImage(prompt, negativePrompt) {
+async function generateComfyImage(prompt, negativePrompt, img2img = null) {
     const placeholders = [
         'model',
         'vae',
@@ -2823,8 +2861,13 @@ async function generateComfyImage(prompt, negativePrompt) {
     const seed = extension_settings.sd.seed >= 0 ? extension_settings.sd.seed : Math.round(Math.random() * Number.MAX_SAFE_INTEGER);
     workflow = workflow.replaceAll('"%seed%"', JSON.stringify(seed));
     placeholders.forEach(ph => {
-        workflow = workflow.replace(`"%${ph}%"`, JSON.stringify(extension_settings.sd[ph]));
+        const value = img2img && ['width', 'height'].includes(ph) ? img2img[ph] : extension_settings.sd[ph];
+        workflow = workflow.replace(`"%${ph}%"`, JSON.stringify(value));
     });
+    // Without a painted region the whole image is regenerated
+    workflow = workflow.replace('"%input_image%"', JSON.stringify(img2img?.image ?? PNG_PIXEL));
+    workflow = workflow.replace('"%input_mask%"', JSON.stringify(img2img ? (img2img.mask ?? getFilledImageBase64(img2img.width, img2img.height, 'white')) : PNG_PIXEL));
+    workflow = workflow.replace('"%denoise%"', JSON.stringify(img2img?.strength ?? 1));
     (extension_settings.sd.comfy_placeholders ?? []).forEach(ph => {
         workflow = workflow.replace(`"%${ph.find}%"`, JSON.stringify(substituteParams(ph.replace)));
     });
@@ -3052,6 +3095,7 @@ async function addSDGenButtons() {
     });
 
     $(document).on('click', '.sd_message_gen', sdMessageButton);
+    $(document).on('click', '.sd_img2img, .sd_inpaint', onImg2ImgClick);
 
     $(document).on('click touchend', function (e) {
         const target = $(e.target);
@@ -3195,6 +3239,235 @@ async function sdMessageButton(e) {
     }
 }
 
+/**
+ * Source image and mask for image to image generation.
+ * @typedef {object} Img2ImgParams
+ * @property {string} image - Base64 PNG of the source image
+ * @property {string|null} mask - Base64 PNG of the inpainting mask, white is regenerated. Null to regenerate the whole image
+ * @property {number} strength - Denoising strength
+ * @property {number} width - Width of the generated image
+ * @property {number} height - Height of the generated image
+ */
+
+/**
+ * Scales the dimensions of a source image to the pixel count of the configured resolution.
+ * @param {number} width Source image width
+ * @param {number} height Source image height
+ * @returns {{width: number, height: number}} Generation dimensions, in multiples of 64
+ */
+function getImg2ImgDimensions(width, height) {
+    const ratio = Math.sqrt((extension_settings.sd.width * extension_settings.sd.height) / (width * height));
+    const scale = (x) => Math.max(64, Math.round(x * ratio / 64) * 64);
+    return { width: scale(width), height: scale(height) };
+}
+
+/**
+ * Draws an image scaled to the given dimensions.
+ * @param {CanvasImageSource} source Image to draw
+ * @param {number} width Target width
+ * @param {number} height Target height
+ * @param {boolean} [isMask] Convert the painted strokes to a black and white mask
+ * @returns {string} Base64 PNG
+ */
+function getScaledImageBase64(source, width, height, isMask = false) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, width, height);
+
+    if (isMask) {
+        ctx.globalCompositeOperation = 'source-in';
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, width, height);
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    return canvas.toDataURL('image/png').split(',')[1];
+}
+
+/**
+ * Creates an image filled with a single color.
+ * @param {number} width Image width
+ * @param {number} height Image height
+ * @param {string} color Fill color
+ * @returns {string} Base64 PNG
+ */
+function getFilledImageBase64(width, height, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, width, height);
+    return canvas.toDataURL('image/png').split(',')[1];
+}
+
+/**
+ * Opens the editor to generate a new image from an existing one.
+ * @param {string} imageUrl URL of the source image
+ * @param {string} prompt Initial prompt
+ * @param {boolean} isInpaint Paint a mask to regenerate only a region of the image
+ * @returns {Promise<{prompt: string, img2img: Img2ImgParams}|null>} Prompt and generation parameters, or null if cancelled
+ */
+async function openImg2ImgEditor(imageUrl, prompt, isInpaint) {
+    const view = $(await renderExtensionTemplateAsync('stable-diffusion', 'img2img'));
+    const image = view.find('.sd_img2img_image').get(0);
+    const canvas = view.find('.sd_img2img_mask').get(0);
+
+    if (!(image instanceof HTMLImageElement) || !(canvas instanceof HTMLCanvasElement)) {
+        return null;
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = reject;
+            image.src = imageUrl;
+        });
+    } catch {
+        toastr.error('Could not load the source image.', 'Image Generation');
+        return null;
+    }
+
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+
+    view.find('.sd_img2img_title_inpaint, .sd_img2img_hint_inpaint, .sd_img2img_mask, .sd_img2img_mask_controls').toggle(isInpaint);
+    view.find('.sd_img2img_title_regenerate').toggle(!isInpaint);
+    view.find('.sd_img2img_prompt').val(prompt);
+
+    const strengthInput = view.find('.sd_img2img_strength');
+    const brushInput = view.find('.sd_img2img_brush_size');
+    strengthInput.val(extension_settings.sd.img2img_strength);
+    strengthInput.on('input', () => view.find('.sd_img2img_strength_value').text(Number(strengthInput.val()).toFixed(2))).trigger('input');
+    brushInput.on('input', () => view.find('.sd_img2img_brush_size_value').text(String(brushInput.val()))).trigger('input');
+
+    const ctx = canvas.getContext('2d');
+    let isPainting = false;
+    let hasMask = false;
+    let lastPoint = null;
+
+    const paint = (e) => {
+        // The canvas has the resolution of the image, but is displayed scaled down
+        const rect = canvas.getBoundingClientRect();
+        const scale = canvas.width / rect.width;
+        const point = { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale };
+        const from = lastPoint ?? point;
+
+        ctx.strokeStyle = 'red';
+        ctx.lineWidth = Number(brushInput.val()) * scale;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+
+        lastPoint = point;
+        hasMask = true;
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+        isPainting = true;
+        lastPoint = null;
+        canvas.setPointerCapture(e.pointerId);
+        paint(e);
+    });
+    canvas.addEventListener('pointermove', (e) => isPainting && paint(e));
+    canvas.addEventListener('pointerup', () => isPainting = false);
+    canvas.addEventListener('pointercancel', () => isPainting = false);
+
+    view.find('.sd_img2img_clear_mask').on('click', () => {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        hasMask = false;
+    });
+
+    const popup = new Popup(view, POPUP_TYPE.CONFIRM, '', { okButton: 'Generate', cancelButton: 'Cancel', wide: true, allowVerticalScrolling: true });
+    const result = await popup.show();
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return null;
+    }
+
+    extension_settings.sd.img2img_strength = Number(strengthInput.val());
+    saveSettingsDebounced();
+
+    if (isInpaint && !hasMask) {
+        toastr.info('No region was painted, regenerating the whole image.', 'Image Generation');
+    }
+
+    const { width, height } = getImg2ImgDimensions(image.naturalWidth, image.naturalHeight);
+
+    return {
+        prompt: String(view.find('.sd_img2img_prompt').val()).trim(),
+        img2img: {
+            image: getScaledImageBase64(image, width, height),
+            mask: isInpaint && hasMask ? getScaledImageBase64(canvas, width, height, true) : null,
+            strength: extension_settings.sd.img2img_strength,
+            width: width,
+            height: height,
+        },
+    };
+}
+
+/**
+ * Regenerates a chat or gallery image from itself, or only a painted region of it.
+ * Chat images are replaced in their message, gallery images are posted to chat.
+ * @param {JQuery.ClickEvent} e Click event
+ */
+async function onImg2ImgClick(e) {
+    if (!isValidState()) {
+        toastr.warning('Image generation is not available. Check your settings and try again.');
+        return;
+    }
+
+    if (!img2imgSources.includes(extension_settings.sd.source)) {
+        toastr.warning('Image to image is not supported by the selected source.', 'Image Generation');
+        return;
+    }
+
+    const context = getContext();
+    const isInpaint = $(e.currentTarget).hasClass('sd_inpaint');
+    const $mes = $(e.currentTarget).closest('.mes');
+    const message = $mes.length ? context.chat[$mes.attr('mesid')] : null;
+    const imageUrl = message ? message.extra?.image : $(e.currentTarget).attr('data-src');
+
+    if (!imageUrl) {
+        return;
+    }
+
+    const result = await openImg2ImgEditor(imageUrl, message?.extra?.title ?? '', isInpaint);
+
+    if (!result) {
+        return;
+    }
+
+    const characterName = context.characterId ? context.characters[context.characterId].name : context.groups[Object.keys(context.groups).filter(x => context.groups[x].id === context.groupId)[0]]?.id?.toString();
+    const generationType = message?.extra?.generationType ?? generationMode.FREE;
+    const negative = message?.extra?.negative ?? '';
+
+    const replaceMessageImage = (prompt, image, generationType, negative) => {
+        message.extra.image = image;
+        message.extra.title = prompt;
+        message.extra.generationType = generationType;
+        message.extra.negative = negative;
+        appendMediaToMessage(message, $mes);
+        context.saveChat();
+    };
+
+    try {
+        context.deactivateSendButtons();
+        hideSwipeButtons();
+        await sendGenerationRequest(generationType, result.prompt, negative, characterName, message ? replaceMessageImage : null, result.img2img);
+    } finally {
+        context.activateSendButtons();
+        showSwipeButtons();
+    }
+}
+
 async function onCharacterPromptShareInput() {
     // Not a valid state to share character prompt
     if (this_chid === undefined || selected_group) {
@@ -1,6 +1,6 @@
-import { callPopup, cancelTtsPlay, eventSource, event_types, name2, saveSettingsDebounced, substituteParams } from '../../../script.js';
+import { callPopup, cancelTtsPlay, eventSource, event_types, getRequestHeaders, name2, saveChatDebounced, saveSettingsDebounced, substituteParams } from '../../../script.js';
 import { ModuleWorkerWrapper, doExtrasFetch, extension_settings, getApiUrl, getContext, modules } from '../../extensions.js';
-import { delay, escapeRegex, getBase64Async, getStringHash, onlyUnique } from '../../utils.js';
+import { convertAudioToWav, delay, download, escapeRegex, getBase64Async, getStringHash, onlyUnique } from '../../utils.js';
 import { EdgeTtsProvider } from './edge.js';
 import { ElevenLabsTtsProvider } from './elevenlabs.js';
 import { SileroTtsProvider } from './silerotts.js';
@@ -20,6 +20,8 @@ import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '
 export { talkingAnimation };
 
 const UPDATE_INTERVAL = 1000;
+const CACHE_SAMPLE_RATE = 24000;
+const MIN_STREAMING_CHUNK_LENGTH = 20;
 
 let voiceMapEntries = [];
 let voiceMap = {}; // {charName:voiceid, charName2:voiceid2}
@@ -29,6 +31,7 @@ let lastMessage = null;
 let lastMessageHash = null;
 
 const DEFAULT_VOICE_MARKER = '[Default Voice]';
+const NARRATOR_VOICE_MARKER = '[Narrator]';
 const DISABLED_VOICE_MARKER = 'disabled';
 
 export function getPreviewString(lang) {
@@ -101,7 +104,7 @@ async function onNarrateOneMessage() {
     }
 
     resetTtsPlayback();
-    ttsJobQueue.push(message);
+    ttsJobQueue.push({ ...message, target: getJobTarget(id) });
     moduleWorker();
 }
 
@@ -316,8 +319,10 @@ function updateUiAudioPlayState() {
             img = 'fa-solid fa-circle-play extensionsMenuExtensionButton';
         }
         $('#tts_media_control').attr('class', img);
+        $('#ttsExportAudioMenuItem').show();
     } else {
         $('#ttsExtensionMenuItem').hide();
+        $('#ttsExportAudioMenuItem').hide();
     }
 }
 
@@ -330,7 +335,8 @@ function onAudioControlClicked() {
         talkingAnimation(false);
     } else {
         // Default play behavior if not processing or playing is to play the last message.
-        ttsJobQueue.push(context.chat[context.chat.length - 1]);
+        const messageId = context.chat.length - 1;
+        ttsJobQueue.push({ ...context.chat[messageId], target: getJobTarget(messageId) });
     }
     updateUiAudioPlayState();
 }
@@ -343,6 +349,12 @@ function addAudioControl() {
             TTS Playback
         </div>`);
     $('#ttsExtensionMenuItem').attr('title', 'TTS play/pause').on('click', onAudioControlClicked);
+    $('#ttsExtensionMenuItem').after(`
+        <div id="ttsExportAudioMenuItem" class="list-group-item flex-container flexGap5" title="Export the narrated messages of this chat as one audio file">
+            <div class="extensionsMenuExtensionButton fa-solid fa-file-audio"></div>
+            Export Chat Audio
+        </div>`);
+    $('#ttsExportAudioMenuItem').on('click', onExportAudioClick);
     updateUiAudioPlayState();
 }
 
@@ -356,18 +368,21 @@ function completeCurrentAudioJob() {
 /**
  * Accepts an HTTP response containing audio/mpeg data, and puts the data as a Blob() on the queue for playback
  * @param {Response} response
+ * @returns {Promise<Blob|null>} Queued audio data, or null if the response is an audio URL
  */
 async function addAudioJob(response, char) {
+    let audioData = null;
     if (typeof response === 'string') {
         audioJobQueue.push({ audioBlob: response, char: char });
     } else {
-        const audioData = await response.blob();
+        audioData = await response.blob();
         if (!audioData.type.startsWith('audio/')) {
             throw `TTS received HTTP response with invalid data format. Expecting audio/*, got ${audioData.type}`;
         }
         audioJobQueue.push({ audioBlob: audioData, char: char });
     }
     console.debug('Pushed audio job to queue.');
+    return audioData;
 }
 
 async function processAudioJobQueue() {
@@ -399,13 +414,45 @@ function completeTtsJob() {
     currentTtsJob = null;
 }
 
-async function tts(text, voiceId, char) {
+/**
+ * Narrates a text, playing the cached audio if the same text was already narrated with the same voice in the current chat.
+ * @param {string} text Text to narrate
+ * @param {string} voiceId Voice ID
+ * @param {string} char Character name
+ * @param {Promise<string|null>[]} [cacheKeys] Receives the cache key of the narrated audio, or null if it is not cached
+ */
+async function tts(text, voiceId, char, cacheKeys = []) {
+    // RVC output depends on its own per-character settings that are not part of the cache key
+    const isCacheEnabled = extension_settings.tts.cache_audio && !extension_settings.rvc?.enabled;
+    const job = currentTtsJob;
+    // Playback was reset while the audio was generated, it must not reach the audio queue
+    const isCancelled = () => currentTtsJob !== job;
+
+    if (isCacheEnabled) {
+        const cached = await getCachedAudio(text, voiceId);
+
+        if (isCancelled()) {
+            return;
+        }
+
+        if (cached.blob) {
+            console.debug(`Playing cached TTS audio ${cached.key}`);
+            audioJobQueue.push({ audioBlob: cached.blob, char: char });
+            cacheKeys.push(Promise.resolve(cached.key));
+            return;
+        }
+    }
+
     async function processResponse(response) {
         // RVC injection
         if (extension_settings.rvc.enabled && typeof window['rvcVoiceConversion'] === 'function')
             response = await window['rvcVoiceConversion'](response, char, text);
 
-        await addAudioJob(response, char);
+        if (isCancelled()) {
+            return null;
+        }
+
+        return await addAudioJob(response, char);
     }
 
     let response = await ttsProvider.generateTts(text, voiceId);
@@ -415,11 +462,73 @@ async function tts(text, voiceId, char) {
         for await (const chunk of response) {
             await processResponse(chunk);
         }
+        cacheKeys.push(Promise.resolve(null));
     } else {
-        await processResponse(response);
+        const audioData = await processResponse(response);
+
+        // Don't hold up the queue while the audio is being stored
+        cacheKeys.push(isCacheEnabled && audioData ? saveCachedAudio(audioData, text, voiceId) : Promise.resolve(null));
+    }
+}
+
+/**
+ * A part of a message narrated in one voice.
+ * @typedef {Object} TtsSegment
+ * @property {string} text - Text of the segment
+ * @property {string} name - Voice map entry that narrates the segment
+ */
+
+/**
+ * Splits a message into "quoted" dialogue narrated by the character and narration narrated by the narrator voice.
+ * @param {string} text Message text
+ * @param {string} char Character name
+ * @returns {TtsSegment[]} Segments in message order
+ */
+function splitNarration(text, char) {
+    const special_quotes = /[“”«»]/g;
+    const normalizedText = text.replace(special_quotes, '"');
+    const segments = [];
+    let lastIndex = 0;
+
+    // Unclosed quote at the end of the message is still dialogue
+    for (const match of normalizedText.matchAll(/"[^"]*("|$)/g)) {
+        segments.push({ text: normalizedText.slice(lastIndex, match.index), name: NARRATOR_VOICE_MARKER });
+        segments.push({ text: match[0], name: char });
+        lastIndex = match.index + match[0].length;
+    }
+
+    segments.push({ text: normalizedText.slice(lastIndex), name: NARRATOR_VOICE_MARKER });
+
+    // Drop the leftovers between adjacent quotes, like commas and spaces
+    return segments.filter(x => /[\p{L}\p{N}]/u.test(x.text));
+}
+
+/**
+ * Gets the voice ID of a voice map entry.
+ * @param {string} name Voice map entry name
+ * @returns {Promise<string>} Voice ID
+ */
+async function getVoiceIdForName(name) {
+    const voiceMapEntry = voiceMap[name] === DEFAULT_VOICE_MARKER ? voiceMap[DEFAULT_VOICE_MARKER] : voiceMap[name];
+
+    if (!voiceMapEntry || voiceMapEntry === DISABLED_VOICE_MARKER) {
+        throw `${name} not in voicemap. Configure character in extension settings voice map`;
     }
+    const voice = await ttsProvider.getVoice(voiceMapEntry);
+    const voiceId = voice.voice_id;
+    if (voiceId == null) {
+        toastr.error(`Specified voice for ${name} was not found. Check the TTS extension settings.`);
+        throw `Unable to attain voiceId for ${name}`;
+    }
+    return voiceId;
+}
 
-    completeTtsJob();
+/**
+ * Checks if narration is read in the narrator voice. Narration is skipped if the narrator voice is disabled.
+ * @returns {boolean} True if the messages are split into dialogue and narration
+ */
+function isNarratorVoiceEnabled() {
+    return !!extension_settings.tts.narrator_voice && !extension_settings.tts.narrate_quoted_only;
 }
 
 async function processTtsQueue() {
@@ -430,6 +539,8 @@ async function processTtsQueue() {
 
     console.debug('New message found, running TTS');
     currentTtsJob = ttsJobQueue.shift();
+    const job = currentTtsJob;
+    const target = currentTtsJob.target;
     let text = extension_settings.tts.narrate_translated_only ? (currentTtsJob?.extra?.display_text || currentTtsJob.mes) : currentTtsJob.mes;
 
     // Substitute macros
@@ -458,45 +569,64 @@ async function processTtsQueue() {
         text = matches ? matches.join(partJoiner) : text;
     }
 
-    if (typeof ttsProvider?.processText === 'function') {
-        text = await ttsProvider.processText(text);
+    const char = currentTtsJob.name;
+
+    /** @type {TtsSegment[]} */
+    let segments = isNarratorVoiceEnabled() ? splitNarration(text, char) : [{ text: text, name: char }];
+
+    // A disabled narrator voice leaves only the dialogue
+    if (isNarratorVoiceEnabled() && voiceMap[NARRATOR_VOICE_MARKER] === DISABLED_VOICE_MARKER) {
+        segments = segments.filter(x => x.name !== NARRATOR_VOICE_MARKER);
     }
 
-    // Collapse newlines and spaces into single space
-    text = text.replace(/\s+/g, ' ').trim();
+    for (const segment of segments) {
+        if (typeof ttsProvider?.processText === 'function') {
+            segment.text = await ttsProvider.processText(segment.text);
+        }
 
-    console.log(`TTS: ${text}`);
-    const char = currentTtsJob.name;
+        // Collapse newlines and spaces into single space
+        segment.text = segment.text.replace(/\s+/g, ' ').trim();
+
+        // Remove character name from start of the line if power user setting is disabled
+        if (char && !power_user.allow_name2_display) {
+            const escapedChar = escapeRegex(char);
+            segment.text = segment.text.replace(new RegExp(`^${escapedChar}:`, 'gm'), '');
+        }
 
-    // Remove character name from start of the line if power user setting is disabled
-    if (char && !power_user.allow_name2_display) {
-        const escapedChar = escapeRegex(char);
-        text = text.replace(new RegExp(`^${escapedChar}:`, 'gm'), '');
+        console.log(`TTS (${segment.name}): ${segment.text}`);
     }
 
+    segments = segments.filter(x => x.text);
+
     try {
-        if (!text) {
+        if (!segments.length) {
             console.warn('Got empty text in TTS queue job.');
             completeTtsJob();
             return;
         }
 
-        const voiceMapEntry = voiceMap[char] === DEFAULT_VOICE_MARKER ? voiceMap[DEFAULT_VOICE_MARKER] : voiceMap[char];
+        /** @type {Promise<string|null>[]} */
+        const cacheKeys = [];
 
-        if (!voiceMapEntry || voiceMapEntry === DISABLED_VOICE_MARKER) {
-            throw `${char} not in voicemap. Configure character in extension settings voice map`;
-        }
-        const voice = await ttsProvider.getVoice(voiceMapEntry);
-        const voiceId = voice.voice_id;
-        if (voiceId == null) {
-            toastr.error(`Specified voice for ${char} was not found. Check the TTS extension settings.`);
-            throw `Unable to attain voiceId for ${char}`;
+        // Segments are narrated one by one, so their audio is queued in message order
+        for (const segment of segments) {
+            const voiceId = await getVoiceIdForName(segment.name);
+            await tts(segment.text, voiceId, segment.name, cacheKeys);
+
+            if (currentTtsJob !== job) {
+                console.debug('TTS job was cancelled');
+                return;
+            }
         }
-        await tts(text, voiceId, char);
+
+        completeTtsJob();
+        Promise.all(cacheKeys).then(keys => setMessageAudio(target, keys));
     } catch (error) {
         toastr.error(error.toString());
         console.error(error);
-        currentTtsJob = null;
+        if (currentTtsJob === job) {
+            currentTtsJob = null;
+        }
     }
 }
 
@@ -508,6 +638,355 @@ async function playFullConversation() {
 }
 window['playFullConversation'] = playFullConversation;
 
+//######################//
+//  Streaming Narration  //
+//######################//
+
+/**
+ * Narration of a message that is still being generated.
+ * @typedef {Object} StreamingNarration
+ * @property {string} chatId - ID of the chat that contains the message
+ * @property {number|null} messageId - Message ID, null until the first token is received
+ * @property {number} swipeId - Swipe ID of the generated text
+ * @property {number} spokenLength - Length of the message text that is already queued for narration
+ * @property {boolean} isCancelled - Whether the narration was stopped
+ * @property {boolean} isRendered - Whether the rest of the rendered message was queued
+ */
+
+/**
+ * @type {StreamingNarration|null}
+ */
+let streamingNarration = null;
+
+/**
+ * Checks if the messages are narrated while they are being generated.
+ * @returns {boolean} True if streaming narration is enabled
+ */
+function isStreamingNarrationEnabled() {
+    // Translations are only available after the message is generated
+    return extension_settings.tts.enabled
+        && extension_settings.tts.auto_generation
+        && extension_settings.tts.narrate_streaming
+        && !extension_settings.tts.narrate_translated_only;
+}
+
+/**
+ * Finds the end of the last completed sentence in a text. Sentences are not split inside "quotes" or *asterisks*,
+ * so the text processing of every queued part sees complete pairs.
+ * @param {string} text Text that is not narrated yet
+ * @returns {number} Length of the completed part of the text, or 0 if no sentence is completed
+ */
+function findCompletedSentences(text) {
+    // Punctuation followed by whitespace, so that numbers like 3.14 don't end a sentence
+    const sentenceEnd = /[.!?…]+["“”«»*_)\]]*\s+|\n+/g;
+    let end = 0;
+
+    for (const match of text.matchAll(sentenceEnd)) {
+        const index = match.index + match[0].length;
+        const part = text.slice(0, index);
+        const quotes = (part.match(/["“”«»]/g) ?? []).length;
+        const asterisks = (part.match(/\*/g) ?? []).length;
+
+        if (quotes % 2 === 0 && asterisks % 2 === 0) {
+            end = index;
+        }
+    }
+
+    return end;
+}
+
+/**
+ * Queues a part of a message for narration.
+ * @param {object} message Message object
+ * @param {string} text Part of the message text
+ */
+function queueStreamingText(message, text) {
+    if (!text.trim()) {
+        return;
+    }
+
+    console.debug(`Adding streamed text from ${message.name} for TTS processing: "${text}"`);
+    ttsJobQueue.push({ ...structuredClone(message), mes: text });
+}
+
+function onGenerationStarted(type, _params, dryRun) {
+    if (dryRun) {
+        return;
+    }
+
+    // The state of the previous generation is kept until now, since its stop and render events may come in any order
+    streamingNarration = null;
+
+    if (type === 'quiet' || type === 'impersonate' || !isStreamingNarrationEnabled()) {
+        return;
+    }
+
+    const context = getContext();
+
+    // Regenerated and swiped messages replace the text that is being narrated
+    if (type === 'regenerate' || type === 'swipe') {
+        resetTtsPlayback();
+    }
+
+    streamingNarration = {
+        chatId: context.chatId,
+        messageId: null,
+        swipeId: 0,
+        // Continued messages are only narrated from the continuation
+        spokenLength: type === 'continue' ? (context.chat[context.chat.length - 1]?.mes?.length ?? 0) : 0,
+        isCancelled: false,
+        isRendered: false,
+    };
+}
+
+function onGenerationStopped() {
+    if (!streamingNarration || streamingNarration.messageId === null) {
+        return;
+    }
+
+    streamingNarration.isCancelled = true;
+    resetTtsPlayback();
+    talkingAnimation(false);
+}
+
+/**
+ * Queues the completed sentences of a message that is being generated.
+ * @param {string} text Current message text
+ * @param {number} messageId Message ID
+ */
+function onStreamTokenReceived(text, messageId) {
+    if (!streamingNarration || streamingNarration.isCancelled || streamingNarration.isRendered || messageId < 0) {
+        return;
+    }
+
+    const context = getContext();
+    const message = context.chat[messageId];
+
+    if (!message || message.is_user || context.chatId !== streamingNarration.chatId) {
+        return;
+    }
+
+    if (streamingNarration.messageId === null) {
+        streamingNarration.messageId = messageId;
+        streamingNarration.swipeId = message.swipe_id ?? 0;
+    }
+
+    if (streamingNarration.messageId !== messageId || streamingNarration.swipeId !== (message.swipe_id ?? 0)) {
+        return;
+    }
+
+    const pending = text.slice(streamingNarration.spokenLength);
+    const end = findCompletedSentences(pending);
+
+    // Wait for more text instead of sending many tiny requests
+    if (end < MIN_STREAMING_CHUNK_LENGTH) {
+        return;
+    }
+
+    queueStreamingText(message, pending.slice(0, end));
+    streamingNarration.spokenLength += end;
+}
+
+//################//
+//  Audio Cache   //
+//################//
+
+/**
+ * Message narrated in full by a TTS job. Its audio is remembered on the message for replay and export.
+ * @typedef {Object} TtsJobTarget
+ * @property {string} chatId - ID of the chat that contains the message
+ * @property {number} mesId - Message ID
+ * @property {number} swipeId - Swipe ID of the narrated text
+ * @property {number} hash - Hash of the message text when the job was queued
+ */
+
+/**
+ * Gets the target of a TTS job that narrates a whole message.
+ * @param {number|string} messageId Message ID
+ * @returns {TtsJobTarget} Job target
+ */
+function getJobTarget(messageId) {
+    const context = getContext();
+    const message = context.chat[messageId];
+
+    return {
+        chatId: context.chatId,
+        mesId: Number(messageId),
+        swipeId: message?.swipe_id ?? 0,
+        hash: getStringHash(message?.mes ?? ''),
+    };
+}
+
+/**
+ * Remembers the cached audio of a narrated message, so it can be exported later.
+ * @param {TtsJobTarget} target Narrated message
+ * @param {(string|null)[]} keys Cache keys of the audio segments in message order
+ */
+function setMessageAudio(target, keys) {
+    // Only remember complete narrations
+    if (!target || !keys.length || keys.some(x => !x)) {
+        return;
+    }
+
+    const context = getContext();
+    const message = context.chat[target.mesId];
+
+    // The chat could have been changed, or the message swiped or edited while the audio was generated
+    if (context.chatId !== target.chatId || !message || (message.swipe_id ?? 0) !== target.swipeId || getStringHash(message.mes) !== target.hash) {
+        return;
+    }
+
+    if (JSON.stringify(message.extra?.tts_audio) === JSON.stringify(keys)) {
+        return;
+    }
+
+    message.extra = message.extra ?? {};
+    message.extra.tts_audio = keys;
+
+    const swipeExtra = message.swipe_info?.[target.swipeId]?.extra;
+    if (swipeExtra) {
+        swipeExtra.tts_audio = keys;
+    }
+
+    saveChatDebounced();
+}
+
+/**
+ * Gets the cached audio of a text narrated with the current provider in the current chat.
+ * @param {string} text Narrated text
+ * @param {string} voiceId Voice ID
+ * @returns {Promise<{key: string|null, blob: Blob|null}>} Cache key and audio, or null audio if not cached
+ */
+async function getCachedAudio(text, voiceId) {
+    try {
+        const response = await fetch('/api/speech/cache/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ provider: ttsProviderName, voice: voiceId, text: text, chat: getContext().chatId }),
+        });
+
+        const key = response.headers.get('X-Cache-Key');
+        return { key: key, blob: response.ok ? await response.blob() : null };
+    } catch (error) {
+        console.warn('Could not read TTS audio cache', error);
+        return { key: null, blob: null };
+    }
+}
+
+/**
+ * Stores generated audio in the cache. Audio in other formats is converted to WAV.
+ * @param {Blob} audioData Generated audio
+ * @param {string} text Narrated text
+ * @param {string} voiceId Voice ID
+ * @returns {Promise<string|null>} Cache key, or null if the audio could not be cached
+ */
+async function saveCachedAudio(audioData, text, voiceId) {
+    try {
+        const isWav = /^audio\/(x-|vnd\.)?wave?$/.test(audioData.type);
+        const wav = isWav ? audioData : await convertAudioToWav(audioData, CACHE_SAMPLE_RATE);
+
+        const response = await fetch('/api/speech/cache/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ provider: ttsProviderName, voice: voiceId, text: text, chat: getContext().chatId, audio: await getBase64Async(wav) }),
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const { key } = await response.json();
+        return key;
+    } catch (error) {
+        console.warn('Could not cache TTS audio', error);
+        return null;
+    }
+}
+
+/**
+ * Deletes audio from the cache.
+ * @param {string[]} keys Cache keys
+ */
+async function deleteCachedAudio(keys) {
+    try {
+        await fetch('/api/speech/cache/delete', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ keys: keys }),
+        });
+    } catch (error) {
+        console.warn('Could not delete cached TTS audio', error);
+    }
+}
+
+async function onClearCacheClick() {
+    try {
+        const response = await fetch('/api/speech/cache/clear', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const { count } = await response.json();
+        toastr.success(`Deleted ${count} cached audio files.`, 'TTS');
+    } catch (error) {
+        console.error('Could not clear TTS audio cache', error);
+        toastr.error('Could not clear the audio cache.', 'TTS');
+    }
+}
+
+async function onExportAudioClick() {
+    const context = getContext();
+    const keys = context.chat.flatMap(x => x.extra?.tts_audio ?? []);
+
+    if (!keys.length) {
+        toastr.info('Narrate some messages to export them as audio.', 'No narrated messages in this chat');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/speech/cache/export', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ keys: keys }),
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const audio = await response.blob();
+        download(audio, `${context.chatId || 'chat'}.wav`, 'audio/wav');
+    } catch (error) {
+        console.error('Could not export chat audio', error);
+        toastr.error('Could not export the chat audio.', 'TTS');
+    }
+}
+
+async function onMessageEdited(messageId) {
+    const context = getContext();
+    const message = context.chat[messageId];
+    const keys = message?.extra?.tts_audio;
+
+    if (!Array.isArray(keys)) {
+        return;
+    }
+
+    delete message.extra.tts_audio;
+    const swipeExtra = message.swipe_info?.[message.swipe_id ?? 0]?.extra;
+    if (swipeExtra) {
+        delete swipeExtra.tts_audio;
+    }
+    saveChatDebounced();
+
+    // The audio is cached per chat, but messages of this chat with the same text and voice share it
+    const sharedKeys = context.chat.flatMap(x => x.extra?.tts_audio ?? []);
+    await deleteCachedAudio(keys.filter(x => !sharedKeys.includes(x)));
+}
+
 //#############################//
 //  Extension UI and Settings  //
 //#############################//
@@ -534,6 +1013,9 @@ function loadSettings() {
     $('#tts_pass_asterisks').prop('checked', extension_settings.tts.pass_asterisks);
     $('#tts_skip_codeblocks').prop('checked', extension_settings.tts.skip_codeblocks);
     $('#tts_skip_tags').prop('checked', extension_settings.tts.skip_tags);
+    $('#tts_cache_audio').prop('checked', extension_settings.tts.cache_audio);
+    $('#tts_narrator_voice').prop('checked', extension_settings.tts.narrator_voice);
+    $('#tts_narrate_streaming').prop('checked', extension_settings.tts.narrate_streaming);
     $('#playback_rate').val(extension_settings.tts.playback_rate);
     $('#playback_rate_counter').val(Number(extension_settings.tts.playback_rate).toFixed(2));
     $('#playback_rate_block').toggle(extension_settings.tts.currentProvider !== 'System');
@@ -548,6 +1030,9 @@ const defaultSettings = {
     auto_generation: true,
     narrate_user: false,
     playback_rate: 1,
+    cache_audio: true,
+    narrator_voice: false,
+    narrate_streaming: false,
 };
 
 function setTtsStatus(status, success) {
@@ -591,6 +1076,11 @@ function onAutoGenerationClick() {
     saveSettingsDebounced();
 }
 
+function onNarrateStreamingClick() {
+    extension_settings.tts.narrate_streaming = !!$('#tts_narrate_streaming').prop('checked');
+    saveSettingsDebounced();
+}
+
 
 function onNarrateDialoguesClick() {
     extension_settings.tts.narrate_dialogues_only = !!$('#tts_narrate_dialogues').prop('checked');
@@ -605,6 +1095,7 @@ function onNarrateUserClick() {
 function onNarrateQuotedClick() {
     extension_settings.tts.narrate_quoted_only = !!$('#tts_narrate_quoted').prop('checked');
     saveSettingsDebounced();
+    initVoiceMap();
 }
 
 
@@ -623,6 +1114,18 @@ function onSkipTagsClick() {
     saveSettingsDebounced();
 }
 
+function onNarratorVoiceClick() {
+    extension_settings.tts.narrator_voice = !!$('#tts_narrator_voice').prop('checked');
+    saveSettingsDebounced();
+    // Add or remove the narrator from the voice map
+    initVoiceMap();
+}
+
+function onCacheAudioClick() {
+    extension_settings.tts.cache_audio = !!$('#tts_cache_audio').prop('checked');
+    saveSettingsDebounced();
+}
+
 function onPassAsterisksClick() {
     extension_settings.tts.pass_asterisks = !!$('#tts_pass_asterisks').prop('checked');
     saveSettingsDebounced();
@@ -721,6 +1224,18 @@ async function onMessageEvent(messageId) {
         return;
     }
 
+    // Message was narrated while it was generated, only the rest of it is left
+    if (streamingNarration?.messageId === Number(messageId) && streamingNarration.chatId === context.chatId && !streamingNarration.isRendered) {
+        streamingNarration.isRendered = true;
+        lastMessage = structuredClone(message);
+        lastMessageHash = hashNew;
+
+        if (!streamingNarration.isCancelled) {
+            queueStreamingText(message, message.mes.slice(streamingNarration.spokenLength));
+        }
+        return;
+    }
+
     const isLastMessageInCurrent = () =>
         lastMessage &&
         typeof lastMessage === 'object' &&
@@ -736,6 +1251,7 @@ async function onMessageEvent(messageId) {
         lastMessage = tmp;
     } else {
         lastMessage = structuredClone(message);
+        message.target = getJobTarget(messageId);
     }
 
     // We're currently swiping. Don't generate voice
@@ -789,11 +1305,17 @@ function getCharacters(unrestricted) {
 
     if (unrestricted) {
         const names = context.characters.map(char => char.name);
+        if (isNarratorVoiceEnabled()) {
+            names.unshift(NARRATOR_VOICE_MARKER);
+        }
         names.unshift(DEFAULT_VOICE_MARKER);
         return names.filter(onlyUnique);
     }
 
     let characters = [];
+    if (isNarratorVoiceEnabled()) {
+        characters.push(NARRATOR_VOICE_MARKER);
+    }
     if (context.groupId === null) {
         // Single char chat
         characters.push(DEFAULT_VOICE_MARKER);
@@ -1008,10 +1530,18 @@ $(document).ready(function () {
                             <input type="checkbox" id="tts_auto_generation">
                             <small>Auto Generation</small>
                         </label>
+                        <label class="checkbox_label" for="tts_narrate_streaming" title="Speak completed sentences while the message is still generating. Requires streaming and auto generation.">
+                            <input type="checkbox" id="tts_narrate_streaming">
+                            <small>Narrate while streaming</small>
+                        </label>
                         <label class="checkbox_label" for="tts_narrate_quoted">
                             <input type="checkbox" id="tts_narrate_quoted">
                             <small>Only narrate "quotes"</small>
                         </label>
+                        <label class="checkbox_label" for="tts_narrator_voice" title="Has no effect when only quotes are narrated">
+                            <input type="checkbox" id="tts_narrator_voice">
+                            <small>Read "quotes" in the character voice and narration in the [Narrator] voice</small>
+                        </label>
                         <label class="checkbox_label" for="tts_narrate_dialogues">
                             <input type="checkbox" id="tts_narrate_dialogues">
                             <small>Ignore *text, even "quotes", inside asterisks*</small>
@@ -1032,6 +1562,10 @@ $(document).ready(function () {
                         <input type="checkbox" id="tts_pass_asterisks">
                         <small>Pass Asterisks to TTS Engine</small>
                         </label>
+                        <label class="checkbox_label" for="tts_cache_audio" title="Replay narrated messages without generating the audio again">
+                            <input type="checkbox" id="tts_cache_audio">
+                            <small>Cache generated audio</small>
+                        </label>
                     </div>
                     <div id="playback_rate_block" class="range-block">
                         <hr>
@@ -1054,6 +1588,7 @@ $(document).ready(function () {
                     </form>
                     <div class="tts_buttons">
                         <input id="tts_voices" class="menu_button" type="submit" value="Available voices" />
+                        <input id="tts_clear_cache" class="menu_button" type="submit" value="Clear audio cache" />
                     </div>
                     </div>
                 </div>
@@ -1069,7 +1604,10 @@ $(document).ready(function () {
         $('#tts_skip_codeblocks').on('click', onSkipCodeblocksClick);
         $('#tts_skip_tags').on('click', onSkipTagsClick);
         $('#tts_pass_asterisks').on('click', onPassAsterisksClick);
+        $('#tts_cache_audio').on('click', onCacheAudioClick);
+        $('#tts_narrator_voice').on('click', onNarratorVoiceClick);
         $('#tts_auto_generation').on('click', onAutoGenerationClick);
+        $('#tts_narrate_streaming').on('click', onNarrateStreamingClick);
         $('#tts_narrate_user').on('click', onNarrateUserClick);
 
         $('#playback_rate').on('input', function () {
@@ -1081,6 +1619,7 @@ $(document).ready(function () {
         });
 
         $('#tts_voices').on('click', onTtsVoicesClick);
+        $('#tts_clear_cache').on('click', onClearCacheClick);
         for (const provider in ttsProviders) {
             $('#tts_provider').append($('<option />').val(provider).text(provider));
         }
@@ -1096,6 +1635,10 @@ $(document).ready(function () {
     eventSource.on(event_types.MESSAGE_SWIPED, resetTtsPlayback);
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
     eventSource.on(event_types.MESSAGE_DELETED, onMessageDeleted);
+    eventSource.on(event_types.MESSAGE_EDITED, onMessageEdited);
+    eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted);
+    eventSource.on(event_types.GENERATION_STOPPED, onGenerationStopped);
+    eventSource.on(event_types.STREAM_TOKEN_RECEIVED, onStreamTokenReceived);
     eventSource.on(event_types.GROUP_UPDATED, onChatChanged);
     eventSource.makeLast(event_types.CHARACTER_MESSAGE_RENDERED, onMessageEvent);
     eventSource.makeLast(event_types.USER_MESSAGE_RENDERED, onMessageEvent);
@@ -27,6 +27,7 @@ import { debounce_timeout } from '../../constants.js';
 import { getSortedEntries } from '../../world-info.js';
 import { textgen_types, textgenerationwebui_settings } from '../../textgen-settings.js';
 import { SlashCommandParser } from '../../slash-commands/SlashCommandParser.js';
+import { callGenericPopup, POPUP_RESULT, POPUP_TYPE } from '../../popup.js';
 import { SlashCommand } from '../../slash-commands/SlashCommand.js';
 import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../slash-commands/SlashCommandArgument.js';
 
@@ -48,6 +49,13 @@ const settings = {
     summarize_sent: false,
     summary_source: 'main',
     summary_prompt: 'Pause your roleplay. Summarize the most important parts of the message. Limit yourself to 250 words or less. Your response should include nothing but the summary.',
+    search_mode_chats: 'vector',
+    search_mode_files: 'vector',
+    search_mode_world_info: 'vector',
+    rerank_chats: false,
+    rerank_files: false,
+    rerank_world_info: false,
+    rerank_top_n: 20,
 
     // For chats
     enabled_chats: false,
@@ -284,6 +292,8 @@ async function synchronizeChat(batchSize = 5) {
                     return 'Vectorization Source Model is required, but not set.';
                 case 'extras_module_missing':
                     return 'Extras API must provide an "embeddings" module.';
+                case 'model_mismatch':
+                    return 'The chat was vectorized with a different embedding model. Use "Re-vectorize all" to update it.';
                 default:
                     return 'Check server console for more details';
             }
@@ -423,7 +433,7 @@ async function ingestDataBankAttachments(source) {
  */
 async function injectDataBankChunks(queryText, collectionIds) {
     try {
-        const queryResults = await queryMultipleCollections(collectionIds, queryText, settings.chunk_count_db, settings.score_threshold);
+        const queryResults = await queryMultipleCollections(collectionIds, queryText, settings.chunk_count_db, settings.score_threshold, 'files');
         console.debug(`Vectors: Retrieved ${collectionIds.length} Data Bank collections`, queryResults);
         let textResult = '';
 
@@ -453,7 +463,7 @@ async function injectDataBankChunks(queryText, collectionIds) {
  */
 async function retrieveFileChunks(queryText, collectionId) {
     console.debug(`Vectors: Retrieving file chunks for collection ${collectionId}`, queryText);
-    const queryResults = await queryCollection(collectionId, queryText, settings.chunk_count);
+    const queryResults = await queryCollection(collectionId, queryText, settings.chunk_count, 'files');
     console.debug(`Vectors: Retrieved ${queryResults.hashes.length} file chunks for collection ${collectionId}`, queryResults);
     const metadata = queryResults.metadata.filter(x => x.text).sort((a, b) => a.index - b.index).map(x => x.text).filter(onlyUnique);
     const fileText = metadata.join('\n');
@@ -536,7 +546,7 @@ async function rearrangeChat(chat) {
         }
 
         // Get the most relevant messages, excluding the last few
-        const queryResults = await queryCollection(chatId, queryText, settings.insert);
+        const queryResults = await queryCollection(chatId, queryText, settings.insert, 'chats');
         const queryHashes = queryResults.hashes.filter(onlyUnique);
         const queriedMessages = [];
         const insertedHashes = new Set();
@@ -629,7 +639,7 @@ async function getQueryText(chat) {
 async function getSavedHashes(collectionId) {
     const response = await fetch('/api/vector/list', {
         method: 'POST',
-        headers: getRequestHeaders(),
+        headers: getVectorHeaders(),
         body: JSON.stringify({
             collectionId: collectionId,
             source: settings.source,
@@ -637,6 +647,7 @@ async function getSavedHashes(collectionId) {
     });
 
     if (!response.ok) {
+        await throwIfModelMismatch(response);
         throw new Error(`Failed to get saved hashes for collection ${collectionId}`);
     }
 
@@ -644,6 +655,20 @@ async function getSavedHashes(collectionId) {
     return hashes;
 }
 
+/**
+ * Throws an error if the collection was vectorized with a different embedding model.
+ * @param {Response} response - The failed response of the vector API
+ */
+async function throwIfModelMismatch(response) {
+    if (response.status !== 409) {
+        return;
+    }
+
+    const data = await response.json();
+    toastr.error(data.error, 'Embedding model mismatch', { preventDuplicates: true });
+    throw new Error(data.error, { cause: 'model_mismatch' });
+}
+
 function getVectorHeaders() {
     const headers = getRequestHeaders();
     switch (settings.source) {
@@ -757,6 +782,7 @@ async function insertVectorItems(collectionId, items) {
     });
 
     if (!response.ok) {
+        await throwIfModelMismatch(response);
         throw new Error(`Failed to insert vector items for collection ${collectionId}`);
     }
 }
@@ -797,7 +823,7 @@ function throwIfSourceInvalid() {
 async function deleteVectorItems(collectionId, hashes) {
     const response = await fetch('/api/vector/delete', {
         method: 'POST',
-        headers: getRequestHeaders(),
+        headers: getVectorHeaders(),
         body: JSON.stringify({
             collectionId: collectionId,
             hashes: hashes,
@@ -806,17 +832,32 @@ async function deleteVectorItems(collectionId, hashes) {
     });
 
     if (!response.ok) {
+        await throwIfModelMismatch(response);
         throw new Error(`Failed to delete vector items for collection ${collectionId}`);
     }
 }
 
+/**
+ * Gets the retrieval settings for a type of collections.
+ * @param {'chats'|'files'|'world_info'} type - Type of the collections
+ * @returns {{ mode: string, rerank: boolean, rerankTopN: number }} - Retrieval settings
+ */
+function getRetrievalSettings(type) {
+    return {
+        mode: settings[`search_mode_${type}`],
+        rerank: settings[`rerank_${type}`],
+        rerankTopN: settings.rerank_top_n,
+    };
+}
+
 /**
  * @param {string} collectionId - The collection to query
  * @param {string} searchText - The text to query
  * @param {number} topK - The number of results to return
+ * @param {'chats'|'files'|'world_info'} type - Type of the collection
  * @returns {Promise<{ hashes: number[], metadata: object[]}>} - Hashes of the results
  */
-async function queryCollection(collectionId, searchText, topK) {
+async function queryCollection(collectionId, searchText, topK, type) {
     const headers = getVectorHeaders();
 
     const response = await fetch('/api/vector/query', {
@@ -828,10 +869,12 @@ async function queryCollection(collectionId, searchText, topK) {
             topK: topK,
             source: settings.source,
             threshold: settings.score_threshold,
+            retrieval: getRetrievalSettings(type),
         }),
     });
 
     if (!response.ok) {
+        await throwIfModelMismatch(response);
         throw new Error(`Failed to query collection ${collectionId}`);
     }
 
@@ -844,9 +887,10 @@ async function queryCollection(collectionId, searchText, topK) {
  * @param {string} searchText - Text to query
  * @param {number} topK - Number of results to return
  * @param {number} threshold - Score threshold
+ * @param {'chats'|'files'|'world_info'} type - Type of the collections
  * @returns {Promise<Record<string, { hashes: number[], metadata: object[] }>>} - Results mapped to collection IDs
  */
-async function queryMultipleCollections(collectionIds, searchText, topK, threshold) {
+async function queryMultipleCollections(collectionIds, searchText, topK, threshold, type) {
     const headers = getVectorHeaders();
 
     const response = await fetch('/api/vector/query-multi', {
@@ -858,10 +902,12 @@ async function queryMultipleCollections(collectionIds, searchText, topK, thresho
             topK: topK,
             source: settings.source,
             threshold: threshold ?? settings.score_threshold,
+            retrieval: getRetrievalSettings(type),
         }),
     });
 
     if (!response.ok) {
+        await throwIfModelMismatch(response);
         throw new Error('Failed to query multiple collections');
     }
 
@@ -955,6 +1001,92 @@ async function onPurgeClick() {
     }
 }
 
+/**
+ * Renders the progress of the re-vectorization job.
+ * @param {object} job Re-vectorization job state
+ */
+function renderRevectorizeProgress(job) {
+    $('#vectors_revectorize_cancel').toggle(!!job.running);
+    $('#vectors_revectorize').toggleClass('disabled', !!job.running);
+
+    if (!job.running && !job.total) {
+        $('#vectors_revectorize_progress').text('');
+        return;
+    }
+
+    const status = job.running ? `Re-vectorizing ${job.current || '...'}` : (job.cancelled ? 'Cancelled' : 'Finished');
+    const failed = job.failed?.length ? `, ${job.failed.length} failed` : '';
+    $('#vectors_revectorize_progress').text(`${status}: ${job.done}/${job.total} collections${failed}`);
+}
+
+/**
+ * Polls the state of the re-vectorization job until it's finished.
+ */
+async function pollRevectorizeStatus() {
+    while (true) {
+        const response = await fetch('/api/vector/revectorize-status', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to get re-vectorization status');
+        }
+
+        const job = await response.json();
+        renderRevectorizeProgress(job);
+
+        if (!job.running) {
+            return job;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+async function onRevectorizeClick() {
+    try {
+        throwIfSourceInvalid();
+
+        const confirm = await callGenericPopup('All vector collections will be re-vectorized with the current embedding model. This may take a while and use a lot of API requests. Continue?', POPUP_TYPE.CONFIRM);
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            return;
+        }
+
+        const response = await fetch('/api/vector/revectorize', {
+            method: 'POST',
+            headers: getVectorHeaders(),
+            body: JSON.stringify({ source: settings.source }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to start re-vectorization');
+        }
+
+        const job = await pollRevectorizeStatus();
+
+        if (job.error) {
+            toastr.error(job.error, 'Re-vectorization failed');
+        } else if (job.failed.length) {
+            toastr.warning(`${job.failed.length} collection(s) failed to re-vectorize. Check server console for more details.`, 'Re-vectorization finished');
+        } else if (!job.cancelled) {
+            toastr.success(`Re-vectorized ${job.done} collection(s)`, 'Re-vectorization finished');
+        }
+    } catch (error) {
+        console.error('Vectors: Failed to re-vectorize', error);
+        toastr.error(error.message, 'Re-vectorization failed');
+    }
+}
+
+async function onRevectorizeCancelClick() {
+    await fetch('/api/vector/revectorize-cancel', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+    });
+}
+
 async function onViewStatsClick() {
     const chatId = getCurrentChatId();
     if (!chatId) {
@@ -1141,7 +1273,7 @@ async function activateWorldInfo(chat) {
         return;
     }
 
-    const queryResults = await queryMultipleCollections(collectionIds, queryText, settings.max_entries, settings.score_threshold);
+    const queryResults = await queryMultipleCollections(collectionIds, queryText, settings.max_entries, settings.score_threshold, 'world_info');
     const activatedHashes = Object.values(queryResults).flatMap(x => x.hashes).filter(onlyUnique);
     const activatedEntries = [];
 
@@ -1267,6 +1399,9 @@ jQuery(async () => {
     });
     $('#vectors_vectorize_all').on('click', onVectorizeAllClick);
     $('#vectors_purge').on('click', onPurgeClick);
+    $('#vectors_revectorize').on('click', onRevectorizeClick);
+    $('#vectors_revectorize_cancel').on('click', onRevectorizeCancelClick);
+    pollRevectorizeStatus().catch(error => console.error('Vectors: Failed to get re-vectorization status', error));
     $('#vectors_view_stats').on('click', onViewStatsClick);
     $('#vectors_files_vectorize_all').on('click', onVectorizeAllFilesClick);
     $('#vectors_files_purge').on('click', onPurgeFilesClick);
@@ -1399,6 +1534,48 @@ jQuery(async () => {
         saveSettingsDebounced();
     });
 
+    $('#vectors_search_mode_world_info').val(settings.search_mode_world_info).on('change', () => {
+        settings.search_mode_world_info = String($('#vectors_search_mode_world_info').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_rerank_world_info').prop('checked', settings.rerank_world_info).on('input', () => {
+        settings.rerank_world_info = !!$('#vectors_rerank_world_info').prop('checked');
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_search_mode_files').val(settings.search_mode_files).on('change', () => {
+        settings.search_mode_files = String($('#vectors_search_mode_files').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_rerank_files').prop('checked', settings.rerank_files).on('input', () => {
+        settings.rerank_files = !!$('#vectors_rerank_files').prop('checked');
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_search_mode_chats').val(settings.search_mode_chats).on('change', () => {
+        settings.search_mode_chats = String($('#vectors_search_mode_chats').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_rerank_chats').prop('checked', settings.rerank_chats).on('input', () => {
+        settings.rerank_chats = !!$('#vectors_rerank_chats').prop('checked');
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
+    $('#vectors_rerank_top_n').val(settings.rerank_top_n).on('input', () => {
+        settings.rerank_top_n = Number($('#vectors_rerank_top_n').val());
+        Object.assign(extension_settings.vectors, settings);
+        saveSettingsDebounced();
+    });
+
     const validSecret = !!secret_state[SECRET_KEYS.NOMICAI];
     const placeholder = validSecret ? '✔️ Key saved' : '❌ Missing key';
     $('#api_key_nomicai').attr('placeholder', placeholder);
@@ -1446,7 +1623,7 @@ jQuery(async () => {
             const source = String(args?.source ?? '');
             const attachments = source ? getDataBankAttachmentsForSource(source, false) : getDataBankAttachments(false);
             const collectionIds = await ingestDataBankAttachments(String(source));
-            const queryResults = await queryMultipleCollections(collectionIds, String(query), settings.chunk_count_db, threshold);
+            const queryResults = await queryMultipleCollections(collectionIds, String(query), settings.chunk_count_db, threshold, 'files');
 
             // Map collection IDs to file URLs
             const urls = Object
@@ -0,0 +1,677 @@
+import { getRequestHeaders, saveSettingsDebounced, sendTextareaMessage } from '../../../script.js';
+import { extension_settings, renderExtensionTemplateAsync } from '../../extensions.js';
+import { SlashCommand } from '../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandNamedArgument } from '../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandParser } from '../../slash-commands/SlashCommandParser.js';
+import { convertAudioToWav, getBase64Async } from '../../utils.js';
+
+const MODULE_NAME = 'voice-input';
+
+export const voice_input_providers = {
+    LOCAL: 'local',
+    OPENAI: 'openai',
+    BROWSER: 'browser',
+};
+
+const input_modes = {
+    PUSH_TO_TALK: 'push_to_talk',
+    CONTINUOUS: 'continuous',
+};
+
+const defaultSettings = {
+    enabled: true,
+    provider: voice_input_providers.LOCAL,
+    mode: input_modes.PUSH_TO_TALK,
+    language: '',
+    auto_send: false,
+    openai_model: 'whisper-1',
+    vad_threshold: 0.02,
+    silence_duration: 1000,
+};
+
+/**
+ * Languages supported by Whisper and most browsers, by ISO 639-1 code.
+ */
+const languages = {
+    '': 'Auto-detect',
+    'ar': 'Arabic',
+    'zh': 'Chinese',
+    'cs': 'Czech',
+    'da': 'Danish',
+    'nl': 'Dutch',
+    'en': 'English',
+    'fi': 'Finnish',
+    'fr': 'French',
+    'de': 'German',
+    'el': 'Greek',
+    'he': 'Hebrew',
+    'hi': 'Hindi',
+    'hu': 'Hungarian',
+    'id': 'Indonesian',
+    'it': 'Italian',
+    'ja': 'Japanese',
+    'ko': 'Korean',
+    'no': 'Norwegian',
+    'pl': 'Polish',
+    'pt': 'Portuguese',
+    'ro': 'Romanian',
+    'ru': 'Russian',
+    'es': 'Spanish',
+    'sv': 'Swedish',
+    'th': 'Thai',
+    'tr': 'Turkish',
+    'uk': 'Ukrainian',
+    'vi': 'Vietnamese',
+};
+
+const SAMPLE_RATE = 16000;
+const VAD_INTERVAL_MS = 50;
+const MIN_SPEECH_DURATION_MS = 300;
+const IDLE_RECORDING_RESTART_MS = 5000;
+const PUSH_TO_TALK_HOLD_MS = 400;
+
+/** @type {MediaStream | null} */
+let microphone = null;
+/** @type {AnalyserNode | null} */
+let analyser = null;
+/** @type {AudioContext | null} */
+let audioContext = null;
+/** @type {{stop: () => Promise<Blob>} | null} */
+let pushToTalkRecording = null;
+/** @type {AbortController | null} */
+let continuousController = null;
+let oneShotListeners = 0;
+let pushToTalkStart = 0;
+let transcriptionQueue = Promise.resolve();
+
+/**
+ * Gets the Web Speech API recognition constructor, if the browser supports it.
+ * @returns {any} SpeechRecognition constructor or undefined
+ */
+function getBrowserRecognition() {
+    // @ts-ignore
+    return window.SpeechRecognition || window.webkitSpeechRecognition;
+}
+
+/**
+ * Opens the microphone and prepares the level analyser.
+ * @returns {Promise<MediaStream>} Microphone stream
+ */
+async function getMicrophone() {
+    if (microphone?.active) {
+        return microphone;
+    }
+
+    microphone = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+    audioContext = new AudioContext();
+    analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    audioContext.createMediaStreamSource(microphone).connect(analyser);
+    return microphone;
+}
+
+/**
+ * Closes the microphone when nothing is listening anymore.
+ */
+function releaseMicrophone() {
+    if (pushToTalkRecording || continuousController || oneShotListeners > 0) {
+        return;
+    }
+
+    microphone?.getTracks().forEach(track => track.stop());
+    audioContext?.close();
+    microphone = null;
+    audioContext = null;
+    analyser = null;
+    updateLevel(0);
+}
+
+/**
+ * Gets the current input level of the microphone.
+ * @returns {number} Root mean square of the samples
+ */
+function getInputLevel() {
+    if (!analyser) {
+        return 0;
+    }
+
+    const samples = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(samples);
+    const sum = samples.reduce((acc, x) => acc + x * x, 0);
+    return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Shows the input level in the settings, to help choosing the detection threshold.
+ * @param {number} level Input level
+ */
+function updateLevel(level) {
+    const percent = Math.min(100, level / 0.2 * 100);
+    $('.voice_input_level_bar')
+        .css('width', `${percent}%`)
+        .toggleClass('active', level >= extension_settings.voice_input.vad_threshold);
+}
+
+/**
+ * Starts recording the microphone.
+ * @param {MediaStream} stream Microphone stream
+ * @returns {{stop: () => Promise<Blob>}} Recording handle, stopping resolves with the recorded audio
+ */
+function startRecording(stream) {
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    recorder.start();
+
+    return {
+        stop: () => new Promise((resolve) => {
+            recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType }));
+            recorder.stop();
+        }),
+    };
+}
+
+/**
+ * Records a single phrase, detected by the input level of the microphone.
+ * @param {AbortSignal} signal Signal to stop listening
+ * @param {number} [timeout] Maximum time to wait for speech in milliseconds, 0 to wait forever
+ * @returns {Promise<Blob | null>} Recorded phrase, or null if nothing was said
+ */
+async function recordPhrase(signal, timeout = 0) {
+    const stream = await getMicrophone();
+
+    return new Promise((resolve) => {
+        const listenStart = Date.now();
+        let recording = startRecording(stream);
+        let recordingStart = listenStart;
+        let speechStart = 0;
+        let silenceStart = 0;
+
+        const finish = async (keep) => {
+            clearInterval(interval);
+            const blob = await recording.stop();
+            resolve(keep ? blob : null);
+        };
+
+        const interval = setInterval(() => {
+            const now = Date.now();
+            const level = getInputLevel();
+            updateLevel(level);
+
+            if (signal.aborted) {
+                return finish(false);
+            }
+
+            if (level >= extension_settings.voice_input.vad_threshold) {
+                speechStart = speechStart || now;
+                silenceStart = 0;
+                return;
+            }
+
+            if (!speechStart) {
+                if (timeout > 0 && now - listenStart > timeout) {
+                    return finish(false);
+                }
+
+                // Keep only a few seconds of silence before the phrase
+                if (now - recordingStart > IDLE_RECORDING_RESTART_MS) {
+                    recording.stop();
+                    recording = startRecording(stream);
+                    recordingStart = now;
+                }
+
+                return;
+            }
+
+            silenceStart = silenceStart || now;
+
+            if (now - silenceStart >= extension_settings.voice_input.silence_duration) {
+                return finish(silenceStart - speechStart >= MIN_SPEECH_DURATION_MS);
+            }
+        }, VAD_INTERVAL_MS);
+    });
+}
+
+/**
+ * Transcribes recorded audio with the selected server-side provider.
+ * @param {Blob} blob Recorded audio
+ * @returns {Promise<string>} Transcribed text
+ */
+async function transcribeAudio(blob) {
+    // Whisper expects 16 kHz mono audio
+    const wav = await convertAudioToWav(blob, SAMPLE_RATE);
+    const language = extension_settings.voice_input.language;
+
+    if (extension_settings.voice_input.provider === voice_input_providers.OPENAI) {
+        const formData = new FormData();
+        formData.append('avatar', wav, 'audio.wav');
+        formData.append('model', extension_settings.voice_input.openai_model || defaultSettings.openai_model);
+        if (language) {
+            formData.append('language', language);
+        }
+
+        const headers = getRequestHeaders();
+        delete headers['Content-Type'];
+
+        const response = await fetch('/api/openai/transcribe-audio', {
+            method: 'POST',
+            headers: headers,
+            body: formData,
+        });
+
+        if (!response.ok) {
+            throw new Error(`OpenAI transcription failed: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return String(data.text ?? '').trim();
+    }
+
+    const response = await fetch('/api/speech/recognize', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ audio: await getBase64Async(wav), lang: language }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Local transcription failed: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return String(data.text ?? '').trim();
+}
+
+/**
+ * Recognizes speech with the Web Speech API of the browser.
+ * @param {AbortSignal} signal Signal to stop listening
+ * @param {object} options Recognition options
+ * @param {boolean} options.continuous Whether to keep listening after the first phrase
+ * @param {(text: string) => void} options.onResult Called with every recognized phrase
+ * @returns {Promise<void>} Resolves when the recognition has ended
+ */
+function recognizeWithBrowser(signal, { continuous, onResult }) {
+    const SpeechRecognition = getBrowserRecognition();
+
+    if (!SpeechRecognition) {
+        throw new Error('Speech recognition is not supported by this browser');
+    }
+
+    return new Promise((resolve, reject) => {
+        const recognition = new SpeechRecognition();
+        recognition.continuous = continuous;
+        recognition.interimResults = false;
+        recognition.lang = extension_settings.voice_input.language || navigator.language;
+        let isFailed = false;
+
+        recognition.onresult = (event) => {
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                if (event.results[i].isFinal) {
+                    onResult(event.results[i][0].transcript.trim());
+                }
+            }
+        };
+
+        recognition.onerror = (event) => {
+            if (!['no-speech', 'aborted'].includes(event.error)) {
+                isFailed = true;
+                reject(new Error(`Speech recognition error: ${event.error}`));
+            }
+        };
+
+        recognition.onend = () => {
+            // Browsers end the recognition after a while even in continuous mode
+            if (continuous && !signal.aborted && !isFailed) {
+                return recognition.start();
+            }
+
+            resolve();
+        };
+
+        signal.addEventListener('abort', () => recognition.stop(), { once: true });
+        recognition.start();
+    });
+}
+
+/**
+ * Adds a transcribed phrase to the chat input, and sends it if enabled.
+ * @param {string} text Transcribed text
+ */
+function insertTranscript(text) {
+    if (!text) {
+        return;
+    }
+
+    const textarea = $('#send_textarea');
+    const currentText = String(textarea.val()).trim();
+    textarea.val(currentText ? `${currentText} ${text}` : text);
+    textarea[0].dispatchEvent(new Event('input', { bubbles: true }));
+
+    if (extension_settings.voice_input.auto_send) {
+        sendTextareaMessage();
+    }
+}
+
+/**
+ * Transcribes a phrase after the previous ones, so they are inserted in order.
+ * @param {Blob} blob Recorded phrase
+ */
+function queueTranscription(blob) {
+    setButtonState('transcribing', true);
+    transcriptionQueue = transcriptionQueue
+        .then(() => transcribeAudio(blob))
+        .then(insertTranscript)
+        .catch(error => {
+            console.error('Voice input transcription failed', error);
+            toastr.error(error.message, 'Voice input');
+        })
+        .finally(() => setButtonState('transcribing', false));
+}
+
+/**
+ * Toggles a state class of the microphone button.
+ * @param {'recording' | 'listening' | 'transcribing'} state Button state
+ * @param {boolean} value State value
+ */
+function setButtonState(state, value) {
+    $('#voice_input_button').toggleClass(state, value);
+}
+
+/**
+ * Starts recording for push-to-talk.
+ */
+async function startPushToTalk() {
+    try {
+        const abortController = new AbortController();
+        setButtonState('recording', true);
+
+        if (extension_settings.voice_input.provider === voice_input_providers.BROWSER) {
+            const phrases = [];
+            const recognition = recognizeWithBrowser(abortController.signal, { continuous: true, onResult: (text) => phrases.push(text) });
+            pushToTalkRecording = {
+                stop: async () => {
+                    abortController.abort();
+                    await recognition;
+                    insertTranscript(phrases.join(' '));
+                    return null;
+                },
+            };
+            return;
+        }
+
+        const stream = await getMicrophone();
+        const recording = startRecording(stream);
+        const levelInterval = setInterval(() => updateLevel(getInputLevel()), VAD_INTERVAL_MS);
+        pushToTalkRecording = {
+            stop: async () => {
+                clearInterval(levelInterval);
+                const blob = await recording.stop();
+                queueTranscription(blob);
+                return blob;
+            },
+        };
+    } catch (error) {
+        console.error('Voice input failed to start', error);
+        toastr.error(error.message, 'Voice input');
+        setButtonState('recording', false);
+        pushToTalkRecording = null;
+    }
+}
+
+/**
+ * Stops recording for push-to-talk and transcribes the recording.
+ */
+async function stopPushToTalk() {
+    const recording = pushToTalkRecording;
+    pushToTalkRecording = null;
+    setButtonState('recording', false);
+
+    try {
+        await recording?.stop();
+    } catch (error) {
+        console.error('Voice input failed', error);
+        toastr.error(error.message, 'Voice input');
+    } finally {
+        releaseMicrophone();
+    }
+}
+
+/**
+ * Starts listening continuously, transcribing every phrase detected by voice activity.
+ */
+async function startContinuousListening() {
+    const controller = new AbortController();
+    continuousController = controller;
+    setButtonState('listening', true);
+
+    try {
+        if (extension_settings.voice_input.provider === voice_input_providers.BROWSER) {
+            await recognizeWithBrowser(controller.signal, { continuous: true, onResult: insertTranscript });
+            return;
+        }
+
+        while (!controller.signal.aborted) {
+            const blob = await recordPhrase(controller.signal);
+            blob && queueTranscription(blob);
+        }
+    } catch (error) {
+        console.error('Voice input failed', error);
+        toastr.error(error.message, 'Voice input');
+    } finally {
+        if (continuousController === controller) {
+            continuousController = null;
+        }
+        setButtonState('listening', false);
+        releaseMicrophone();
+    }
+}
+
+/**
+ * Stops listening continuously.
+ */
+function stopContinuousListening() {
+    continuousController?.abort();
+}
+
+/**
+ * Listens for a single phrase and returns its transcription.
+ * @param {number} timeout Maximum time to wait for speech in milliseconds
+ * @returns {Promise<string>} Transcribed text
+ */
+export async function listenOnce(timeout) {
+    const controller = new AbortController();
+    oneShotListeners++;
+    setButtonState('recording', true);
+
+    try {
+        if (extension_settings.voice_input.provider === voice_input_providers.BROWSER) {
+            let result = '';
+            const timer = setTimeout(() => controller.abort(), timeout);
+            await recognizeWithBrowser(controller.signal, { continuous: false, onResult: (text) => result = text });
+            clearTimeout(timer);
+            return result;
+        }
+
+        const blob = await recordPhrase(controller.signal, timeout);
+
+        if (!blob) {
+            return '';
+        }
+
+        setButtonState('transcribing', true);
+        return await transcribeAudio(blob);
+    } finally {
+        oneShotListeners--;
+        setButtonState('recording', false);
+        setButtonState('transcribing', false);
+        releaseMicrophone();
+    }
+}
+
+function onButtonPointerDown(e) {
+    if (extension_settings.voice_input.mode !== input_modes.PUSH_TO_TALK) {
+        return;
+    }
+
+    e.preventDefault();
+
+    // A second click stops a recording that was started with a click
+    if (pushToTalkRecording) {
+        stopPushToTalk();
+        return;
+    }
+
+    pushToTalkStart = Date.now();
+    startPushToTalk();
+}
+
+function onButtonPointerUp() {
+    if (extension_settings.voice_input.mode !== input_modes.PUSH_TO_TALK || !pushToTalkStart) {
+        return;
+    }
+
+    const holdTime = Date.now() - pushToTalkStart;
+    pushToTalkStart = 0;
+
+    // Short clicks keep recording until the next click
+    if (holdTime >= PUSH_TO_TALK_HOLD_MS) {
+        stopPushToTalk();
+    }
+}
+
+function onButtonClick() {
+    if (extension_settings.voice_input.mode !== input_modes.CONTINUOUS) {
+        return;
+    }
+
+    if (continuousController) {
+        stopContinuousListening();
+    } else {
+        startContinuousListening();
+    }
+}
+
+function updateSettingsVisibility() {
+    const { provider, mode, enabled } = extension_settings.voice_input;
+    $('#voice_input_button').toggle(!!enabled);
+    $('.voice_input_provider_hint').each(function () {
+        $(this).toggle($(this).data('provider') === provider);
+    });
+    $('.voice_input_openai_settings').toggle(provider === voice_input_providers.OPENAI);
+    $('.voice_input_vad_settings').toggle(provider !== voice_input_providers.BROWSER && mode === input_modes.CONTINUOUS);
+    $('#voice_input_button').attr('title', mode === input_modes.CONTINUOUS
+        ? 'Voice input: click to start or stop listening'
+        : 'Voice input: hold to talk, or click to start and stop');
+}
+
+function loadSettings() {
+    for (const key in defaultSettings) {
+        if (!Object.hasOwn(extension_settings.voice_input, key)) {
+            extension_settings.voice_input[key] = defaultSettings[key];
+        }
+    }
+
+    const settings = extension_settings.voice_input;
+    $('#voice_input_enabled').prop('checked', settings.enabled);
+    $('#voice_input_provider').val(settings.provider);
+    $('#voice_input_openai_model').val(settings.openai_model);
+    $('#voice_input_language').val(settings.language);
+    $('#voice_input_mode').val(settings.mode);
+    $('#voice_input_auto_send').prop('checked', settings.auto_send);
+    $('#voice_input_vad_threshold').val(settings.vad_threshold);
+    $('#voice_input_vad_threshold_value').text(settings.vad_threshold);
+    $('#voice_input_silence_duration').val(settings.silence_duration);
+    updateSettingsVisibility();
+}
+
+jQuery(async () => {
+    const settingsHtml = await renderExtensionTemplateAsync(MODULE_NAME, 'settings');
+    $('#extensions_settings').append(settingsHtml);
+
+    for (const [code, name] of Object.entries(languages)) {
+        $('#voice_input_language').append($('<option></option>').val(code).text(name));
+    }
+
+    const button = $('<div id="voice_input_button" class="fa-solid fa-microphone"></div>');
+    $('#rightSendForm').prepend(button);
+    button.on('pointerdown', onButtonPointerDown);
+    button.on('pointerup pointerleave', onButtonPointerUp);
+    button.on('click', onButtonClick);
+
+    loadSettings();
+
+    $('#voice_input_enabled').on('input', function () {
+        extension_settings.voice_input.enabled = !!$(this).prop('checked');
+        updateSettingsVisibility();
+        saveSettingsDebounced();
+    });
+    $('#voice_input_provider').on('change', function () {
+        stopContinuousListening();
+        extension_settings.voice_input.provider = String($(this).val());
+        updateSettingsVisibility();
+        saveSettingsDebounced();
+    });
+    $('#voice_input_openai_model').on('input', function () {
+        extension_settings.voice_input.openai_model = String($(this).val()).trim();
+        saveSettingsDebounced();
+    });
+    $('#voice_input_language').on('change', function () {
+        extension_settings.voice_input.language = String($(this).val());
+        saveSettingsDebounced();
+    });
+    $('#voice_input_mode').on('change', function () {
+        stopContinuousListening();
+        extension_settings.voice_input.mode = String($(this).val());
+        updateSettingsVisibility();
+        saveSettingsDebounced();
+    });
+    $('#voice_input_auto_send').on('input', function () {
+        extension_settings.voice_input.auto_send = !!$(this).prop('checked');
+        saveSettingsDebounced();
+    });
+    $('#voice_input_vad_threshold').on('input', function () {
+        extension_settings.voice_input.vad_threshold = Number($(this).val());
+        $('#voice_input_vad_threshold_value').text(extension_settings.voice_input.vad_threshold);
+        saveSettingsDebounced();
+    });
+    $('#voice_input_silence_duration').on('input', function () {
+        extension_settings.voice_input.silence_duration = Math.max(200, Number($(this).val()) || defaultSettings.silence_duration);
+        saveSettingsDebounced();
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'listen',
+        callback: async (args) => {
+            const timeout = Math.max(1, Number(args?.timeout) || 30) * 1000;
+            const text = await listenOnce(timeout);
+
+            if (args?.insert === 'true') {
+                insertTranscript(text);
+            }
+
+            return text;
+        },
+        returns: 'transcribed text',
+        namedArgumentList: [
+            new SlashCommandNamedArgument(
+                'timeout', 'seconds to wait for speech', [ARGUMENT_TYPE.NUMBER], false, false, '30',
+            ),
+            new SlashCommandNamedArgument(
+                'insert', 'add the text to the chat input (and send it if auto-send is enabled)', [ARGUMENT_TYPE.BOOLEAN], false, false, 'false', ['true', 'false'],
+            ),
+        ],
+        helpString: `
+            <div>
+                Listens to the microphone until a phrase is spoken and passes its transcription down the pipe.
+                Uses the provider and language from the Voice Input settings.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <ul>
+                    <li>
+                        <pre><code>/listen timeout=10 | /send</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+});
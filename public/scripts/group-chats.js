@@ -72,10 +72,12 @@ import {
     animation_duration,
     depth_prompt_role_default,
     shouldAutoContinue,
+    generateRaw,
 } from '../script.js';
 import { printTagList, createTagMapFromList, applyTagsOnCharacterSelect, tag_map } from './tags.js';
 import { FILTER_TYPES, FilterHelper } from './filters.js';
 import { isExternalMediaAllowed } from './chats.js';
+import { getGroupSchedule, getScheduleStatus, getScheduleStopReason, isScheduleEnabled, openScheduleEditor, pickScheduledSpeaker, recordScheduledTurn } from './group-schedule.js';
 
 export {
     selected_group,
@@ -108,6 +110,7 @@ let newGroupMembers = [];
 export const group_activation_strategy = {
     NATURAL: 0,
     LIST: 1,
+    DIRECTOR: 2,
 };
 
 export const group_generation_mode = {
@@ -118,6 +121,19 @@ export const group_generation_mode = {
 
 const DEFAULT_AUTO_MODE_DELAY = 5;
 
+const DIRECTOR_HISTORY_DEPTH = 10;
+const DIRECTOR_DESCRIPTION_LENGTH = 300;
+
+export const DEFAULT_DIRECTOR_PROMPT = `You are directing a group conversation. Decide which character should speak next.
+
+Characters:
+{{members}}
+
+Recent messages:
+{{history}}
+
+Reply only with a JSON object in the following format: {"name": "<name of the next speaker>", "reason": "<short reason for the choice>"}`;
+
 export const groupCandidatesFilter = new FilterHelper(debounce(printGroupCandidates, debounce_timeout.quick));
 let autoModeWorker = null;
 const saveGroupDebounced = debounce(async (group, reload) => await _save(group, reload), debounce_timeout.relaxed);
@@ -801,6 +817,10 @@ async function generateGroupWrapper(by_auto_mode, type = null, params = {}) {
         else if (activationStrategy === group_activation_strategy.LIST) {
             activatedMembers = activateListOrder(enabledMembers);
         }
+        else if (activationStrategy === group_activation_strategy.DIRECTOR) {
+            activatedMembers = await activateDirector(group, enabledMembers, activationText, lastMessage, isUserInput);
+            throwIfAborted();
+        }
 
         if (activatedMembers.length === 0) {
             //toastr.warning('All group members are disabled. Enable at least one to get a reply.');
@@ -1002,6 +1022,113 @@ function activateNaturalOrder(members, input, lastMessage, allowSelfResponses, i
     return memberIds;
 }
 
+/**
+ * Builds the prompt that asks the model to choose the next speaker.
+ * @param {object} group Group object
+ * @param {string[]} members Array of group member avatar ids
+ * @param {string} userInput Pending user input that is not in the chat yet
+ * @returns {string} Director prompt
+ */
+function getDirectorPrompt(group, members, userInput) {
+    const memberList = members
+        .map(x => characters.find(y => y.avatar === x))
+        .filter(x => x)
+        .map(x => {
+            const description = substituteParams(String(x.description ?? ''), name1, x.name).replace(/\s+/g, ' ').trim();
+            const shortDescription = description.length > DIRECTOR_DESCRIPTION_LENGTH ? description.slice(0, DIRECTOR_DESCRIPTION_LENGTH) + '…' : description;
+            return shortDescription ? `- ${x.name}: ${shortDescription}` : `- ${x.name}`;
+        })
+        .join('\n');
+
+    const messages = chat
+        .filter(x => !x.is_system && x.mes)
+        .slice(-DIRECTOR_HISTORY_DEPTH)
+        .map(x => `${x.name}: ${x.mes}`);
+
+    if (userInput) {
+        messages.push(`${name1}: ${userInput}`);
+    }
+
+    const template = group.director_prompt?.trim() || DEFAULT_DIRECTOR_PROMPT;
+    return substituteParams(template
+        .replace(/{{members}}/gi, () => memberList)
+        .replace(/{{history}}/gi, () => messages.join('\n') || '(no messages yet)'));
+}
+
+/**
+ * Parses the choice of the director from the model response.
+ * @param {string} response Model response
+ * @param {string[]} members Array of group member avatar ids
+ * @returns {{avatar: string, reason: string}|null} Chosen member and reason, or null if the response could not be parsed
+ */
+function parseDirectorResponse(response, members) {
+    const match = String(response ?? '').match(/{[\s\S]*}/);
+
+    if (!match) {
+        return null;
+    }
+
+    try {
+        const result = JSON.parse(match[0]);
+        const name = String(result?.name ?? '').trim().toLowerCase();
+        const character = characters.find(x => members.includes(x.avatar) && x.name.toLowerCase() === name);
+
+        if (!character) {
+            return null;
+        }
+
+        return { avatar: character.avatar, reason: String(result.reason ?? '').trim() };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Asks the current model to choose the next speaker. Falls back to the natural order if the choice can't be used.
+ * @param {object} group Group object
+ * @param {string[]} members Array of group member avatar ids
+ * @param {string} input Activation text
+ * @param {object} lastMessage Last chat message
+ * @param {boolean} isUserInput Whether the activation text is a pending user input
+ * @returns {Promise<number[]>} Array of character ids
+ */
+async function activateDirector(group, members, input, lastMessage, isUserInput) {
+    // prevents the same character from speaking twice, unless allowed to do so
+    const bannedUser = !group.allow_self_responses && !isUserInput && lastMessage && !lastMessage.is_user && lastMessage.name;
+    const candidates = members.filter(x => {
+        const character = characters.find(y => y.avatar === x);
+        return character && (members.length === 1 || character.name !== bannedUser);
+    });
+
+    if (candidates.length <= 1) {
+        return activateListOrder(candidates);
+    }
+
+    let choice = null;
+
+    try {
+        const prompt = getDirectorPrompt(group, candidates, isUserInput ? input : '');
+        const response = await generateRaw(prompt, '', false, false);
+        choice = parseDirectorResponse(response, candidates);
+    } catch (error) {
+        console.error('Director failed to choose the next speaker', error);
+    }
+
+    if (!choice) {
+        console.warn('Director response could not be parsed, falling back to natural order');
+        $('#rm_group_director_reason').text('Director could not decide, natural order was used.');
+        return activateNaturalOrder(members, input, lastMessage, group.allow_self_responses, isUserInput);
+    }
+
+    const character = characters.find(x => x.avatar === choice.avatar);
+    const reasonText = choice.reason ? `${character.name}: ${choice.reason}` : character.name;
+    console.debug('Director chose the next speaker', choice);
+    $('#rm_group_director_reason').text(`Director chose ${reasonText}`);
+    toastr.info(choice.reason || '', `Director chose ${character.name}`, { preventDuplicates: true });
+
+    return activateListOrder([choice.avatar]);
+}
+
 async function deleteGroup(id) {
     const group = groups.find((x) => x.id === id);
 
@@ -1065,9 +1192,128 @@ async function groupChatAutoModeWorker() {
     }
 
     groupAutoModeAbortController = new AbortController();
+
+    if (isScheduleEnabled(group)) {
+        await runScheduledTurn(group);
+        return;
+    }
+
     await generateGroupWrapper(true, 'auto', { signal: groupAutoModeAbortController.signal });
 }
 
+/**
+ * Generates the next turn of the group schedule in Auto Mode and checks its stop conditions.
+ * @param {object} group Group object
+ */
+async function runScheduledTurn(group) {
+    const schedule = getGroupSchedule(group);
+
+    if (schedule.state.paused) {
+        return;
+    }
+
+    const stopReason = getScheduleStopReason(schedule);
+    if (stopReason) {
+        await stopSchedule(group, stopReason);
+        return;
+    }
+
+    schedule.state.stopped_reason = '';
+
+    const enabledMembers = group.members.filter(x => !group.disabled_members.includes(x));
+    const avatar = pickScheduledSpeaker(schedule, enabledMembers);
+
+    if (!avatar) {
+        await stopSchedule(group, 'no enabled members');
+        return;
+    }
+
+    const chatLength = chat.length;
+    const force_chid = characters.findIndex(x => x.avatar === avatar);
+    await generateGroupWrapper(true, 'auto', { signal: groupAutoModeAbortController.signal, force_chid });
+
+    const newMessages = chat.slice(chatLength).filter(x => !x.is_user && !x.is_system);
+    await recordScheduledTurn(schedule, newMessages);
+
+    const turnStopReason = getScheduleStopReason(schedule, newMessages);
+    if (turnStopReason) {
+        await stopSchedule(group, turnStopReason);
+        return;
+    }
+
+    updateSchedulePauseButton(group);
+    await editGroup(group.id, false, false);
+}
+
+/**
+ * Stops the group schedule and Auto Mode.
+ * @param {object} group Group object
+ * @param {string} reason Why the schedule stopped
+ */
+async function stopSchedule(group, reason) {
+    const schedule = getGroupSchedule(group);
+    schedule.state.stopped_reason = reason;
+    is_group_automode_enabled = false;
+    $('#rm_group_automode').prop('checked', false);
+    toastr.info(getScheduleStatus(schedule), 'Group schedule stopped');
+    updateSchedulePauseButton(group);
+    await editGroup(group.id, false, false);
+}
+
+/**
+ * Updates the pause button of the group schedule.
+ * @param {object} group Group object
+ */
+function updateSchedulePauseButton(group) {
+    const button = $('#rm_group_schedule_pause');
+    const isEnabled = isScheduleEnabled(group);
+    button.toggle(isEnabled);
+
+    if (!isEnabled) {
+        return;
+    }
+
+    const schedule = getGroupSchedule(group);
+    const isPaused = schedule.state.paused;
+    button.toggleClass('fa-pause', !isPaused).toggleClass('fa-play', isPaused);
+    button.attr('title', `${isPaused ? 'Resume' : 'Pause'} the schedule. ${getScheduleStatus(schedule)}`);
+}
+
+async function onGroupScheduleClick() {
+    const group = groups.find((x) => x.id == openGroupId);
+
+    if (!group) {
+        return;
+    }
+
+    if (await openScheduleEditor(group)) {
+        updateSchedulePauseButton(group);
+        await editGroup(group.id, false, false);
+    }
+}
+
+async function onGroupSchedulePauseClick(e) {
+    // The button is inside the Auto Mode label, don't toggle the checkbox
+    e.preventDefault();
+    const group = groups.find((x) => x.id == openGroupId);
+
+    if (!isScheduleEnabled(group)) {
+        return;
+    }
+
+    const schedule = getGroupSchedule(group);
+    schedule.state.paused = !schedule.state.paused;
+
+    // Resuming a stopped schedule continues from where it stopped
+    if (!schedule.state.paused && schedule.state.stopped_reason) {
+        schedule.state.stopped_reason = '';
+    }
+
+    updateSchedulePauseButton(group);
+    toastr.info(getScheduleStatus(schedule), schedule.state.paused ? 'Group schedule paused' : 'Group schedule resumed');
+    await editGroup(group.id, false, false);
+}
+
 async function modifyGroupMember(chat_id, groupMember, isDelete) {
     const id = groupMember.data('id');
     const thisGroup = groups.find((x) => x.id == chat_id);
@@ -1132,6 +1378,11 @@ async function onGroupActivationStrategyInput(e) {
     }
 }
 
+async function onGroupActivationStrategyChange(e) {
+    await onGroupActivationStrategyInput(e);
+    toggleHiddenControls(groups.find((x) => x.id == openGroupId), null, Number(e.target.value));
+}
+
 async function onGroupGenerationModeInput(e) {
     if (openGroupId) {
         let _thisGroup = groups.find((x) => x.id == openGroupId);
@@ -1325,12 +1576,16 @@ async function onHideMutedSpritesClick(value) {
     }
 }
 
-function toggleHiddenControls(group, generationMode = null) {
+function toggleHiddenControls(group, generationMode = null, activationStrategy = null) {
     const isJoin = [group_generation_mode.APPEND, group_generation_mode.APPEND_DISABLED].includes(generationMode ?? group?.generation_mode);
+    const isDirector = Number(activationStrategy ?? group?.activation_strategy) === group_activation_strategy.DIRECTOR;
     $('#rm_group_generation_mode_join_prefix').parent().toggle(isJoin);
     $('#rm_group_generation_mode_join_suffix').parent().toggle(isJoin);
+    $('#rm_group_director_prompt').parent().toggle(isDirector);
+    $('#rm_group_director_reason').toggle(isDirector);
     initScrollHeight($('#rm_group_generation_mode_join_prefix'));
     initScrollHeight($('#rm_group_generation_mode_join_suffix'));
+    initScrollHeight($('#rm_group_director_prompt'));
 }
 
 function select_group_chats(groupId, skipAnimation) {
@@ -1370,13 +1625,16 @@ function select_group_chats(groupId, skipAnimation) {
 
     $('#rm_group_generation_mode_join_prefix').val(group?.generation_mode_join_prefix ?? '').attr('setting', 'generation_mode_join_prefix');
     $('#rm_group_generation_mode_join_suffix').val(group?.generation_mode_join_suffix ?? '').attr('setting', 'generation_mode_join_suffix');
-    toggleHiddenControls(group, generationMode);
+    $('#rm_group_director_prompt').val(group?.director_prompt ?? '').attr('setting', 'director_prompt').attr('placeholder', DEFAULT_DIRECTOR_PROMPT);
+    $('#rm_group_director_reason').text('');
+    toggleHiddenControls(group, generationMode, replyStrategy);
 
     // bottom buttons
     if (openGroupId) {
         $('#rm_group_submit').hide();
         $('#rm_group_delete').show();
         $('#rm_group_scenario').show();
+        $('#rm_group_schedule').show();
         $('#group-metadata-controls .chat_lorebook_button').removeClass('disabled').prop('disabled', false);
         $('#group_open_media_overrides').show();
         const isMediaAllowed = isExternalMediaAllowed();
@@ -1389,11 +1647,13 @@ function select_group_chats(groupId, skipAnimation) {
         }
         $('#rm_group_delete').hide();
         $('#rm_group_scenario').hide();
+        $('#rm_group_schedule').hide();
         $('#group-metadata-controls .chat_lorebook_button').addClass('disabled').prop('disabled', true);
         $('#group_open_media_overrides').hide();
     }
 
     updateFavButtonState(group?.fav ?? false);
+    updateSchedulePauseButton(group);
     setAutoModeWorker();
 
     // top bar
@@ -1597,6 +1857,7 @@ async function createGroup() {
     let activationStrategy = Number($('#rm_group_activation_strategy').find(':selected').val()) ?? group_activation_strategy.NATURAL;
     let generationMode = Number($('#rm_group_generation_mode').find(':selected').val()) ?? group_generation_mode.SWAP;
     let autoModeDelay = Number($('#rm_group_automode_delay').val()) ?? DEFAULT_AUTO_MODE_DELAY;
+    let directorPrompt = String($('#rm_group_director_prompt').val());
     const members = newGroupMembers;
     const memberNames = characters.filter(x => members.includes(x.avatar)).map(x => x.name).join(', ');
 
@@ -1626,6 +1887,7 @@ async function createGroup() {
             chat_id: chatName,
             chats: chats,
             auto_mode_delay: autoModeDelay,
+            director_prompt: directorPrompt,
         }),
     });
 
@@ -1883,6 +2145,8 @@ jQuery(() => {
     $('#rm_group_filter').on('input', filterGroupMembers);
     $('#rm_group_submit').on('click', createGroup);
     $('#rm_group_scenario').on('click', setScenarioOverride);
+    $('#rm_group_schedule').on('click', onGroupScheduleClick);
+    $('#rm_group_schedule_pause').on('click', onGroupSchedulePauseClick);
     $('#rm_group_automode').on('input', function () {
         const value = $(this).prop('checked');
         is_group_automode_enabled = value;
@@ -1900,11 +2164,12 @@ jQuery(() => {
     $('#rm_group_delete').off().on('click', onDeleteGroupClick);
     $('#group_favorite_button').on('click', onFavoriteGroupClick);
     $('#rm_group_allow_self_responses').on('input', onGroupSelfResponsesClick);
-    $('#rm_group_activation_strategy').on('change', onGroupActivationStrategyInput);
+    $('#rm_group_activation_strategy').on('change', onGroupActivationStrategyChange);
     $('#rm_group_generation_mode').on('change', onGroupGenerationModeInput);
     $('#rm_group_automode_delay').on('input', onGroupAutoModeDelayInput);
     $('#rm_group_generation_mode_join_prefix').on('input', onGroupGenerationModeTemplateInput);
     $('#rm_group_generation_mode_join_suffix').on('input', onGroupGenerationModeTemplateInput);
+    $('#rm_group_director_prompt').on('input', onGroupGenerationModeTemplateInput);
     $('#group_avatar_button').on('input', uploadGroupAvatar);
     $('#rm_group_restore_avatar').on('click', restoreGroupAvatar);
     $(document).on('click', '.group_member .right_menu_button', onGroupActionClick);
@@ -0,0 +1,296 @@
+import { characters } from '../script.js';
+import { Popup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { getTokenCountAsync } from './tokenizers.js';
+import { getStringHash } from './utils.js';
+import { evaluateCondition } from './variables.js';
+
+/**
+ * Turn order used by a group schedule when no fixed turn rule matches.
+ * @readonly
+ * @enum {string}
+ */
+export const schedule_turn_order = {
+    ROUND_ROBIN: 'round_robin',
+    WEIGHTED: 'weighted',
+};
+
+/**
+ * A rule that makes a character speak on every Nth turn.
+ * @typedef {Object} ScheduleRule
+ * @property {string} avatar - Avatar of the character
+ * @property {number} every - Turn interval
+ */
+
+/**
+ * Progress of a running schedule.
+ * @typedef {Object} ScheduleState
+ * @property {number} turn - Number of completed turns
+ * @property {number} tokens - Number of tokens in the generated messages
+ * @property {number} next_index - Next member index for the round-robin order
+ * @property {boolean} paused - Whether the schedule is paused
+ * @property {string} stopped_reason - Why the schedule stopped, empty while it is running
+ */
+
+/**
+ * Scripted turn schedule of a group, stored in the group JSON.
+ * @typedef {Object} GroupSchedule
+ * @property {boolean} enabled - Whether Auto Mode follows the schedule
+ * @property {string} order - Turn order, one of schedule_turn_order
+ * @property {Object<string, number>} weights - Weights of the members for the weighted order, by avatar
+ * @property {ScheduleRule[]} rules - Fixed turn rules
+ * @property {number} seed - Seed of the weighted order, so that a reset schedule replays the same turns
+ * @property {{max_turns: number, max_tokens: number, keyword: string, condition: string}} stop - Stop conditions
+ * @property {ScheduleState} state - Progress of the schedule
+ */
+
+/**
+ * Creates the initial progress of a schedule.
+ * @returns {ScheduleState} Schedule state
+ */
+function getInitialState() {
+    return { turn: 0, tokens: 0, next_index: 0, paused: false, stopped_reason: '' };
+}
+
+/**
+ * Gets the schedule of a group, filling in missing fields with defaults.
+ * @param {object} group Group object
+ * @returns {GroupSchedule} Group schedule
+ */
+export function getGroupSchedule(group) {
+    const schedule = group.schedule ?? {};
+
+    group.schedule = {
+        enabled: !!schedule.enabled,
+        order: Object.values(schedule_turn_order).includes(schedule.order) ? schedule.order : schedule_turn_order.ROUND_ROBIN,
+        weights: schedule.weights ?? {},
+        rules: Array.isArray(schedule.rules) ? schedule.rules : [],
+        seed: Number(schedule.seed ?? 0),
+        stop: Object.assign({ max_turns: 0, max_tokens: 0, keyword: '', condition: '' }, schedule.stop),
+        state: Object.assign(getInitialState(), schedule.state),
+    };
+
+    return group.schedule;
+}
+
+/**
+ * Checks if a group has an enabled schedule.
+ * @param {object} group Group object
+ * @returns {boolean} True if Auto Mode should follow the schedule
+ */
+export function isScheduleEnabled(group) {
+    return !!group?.schedule?.enabled;
+}
+
+/**
+ * Resets the progress of a schedule, so it replays from the first turn.
+ * @param {GroupSchedule} schedule Group schedule
+ */
+export function resetSchedule(schedule) {
+    schedule.state = getInitialState();
+}
+
+/**
+ * Picks the member for the next turn of a schedule. Advances the round-robin position.
+ * @param {GroupSchedule} schedule Group schedule
+ * @param {string[]} members Avatars of the enabled group members
+ * @returns {string|null} Avatar of the next speaker, or null if no member can speak
+ */
+export function pickScheduledSpeaker(schedule, members) {
+    const candidates = members.filter(x => characters.some(y => y.avatar === x));
+
+    if (!candidates.length) {
+        return null;
+    }
+
+    const turn = schedule.state.turn + 1;
+    const rule = schedule.rules.find(x => candidates.includes(x.avatar) && x.every > 0 && turn % x.every === 0);
+
+    if (rule) {
+        return rule.avatar;
+    }
+
+    if (schedule.order === schedule_turn_order.WEIGHTED) {
+        const weights = candidates.map(x => Math.max(0, Number(schedule.weights[x] ?? 1)));
+        const total = weights.reduce((a, b) => a + b, 0);
+
+        if (total > 0) {
+            // Deterministic roll for the turn, so a reset schedule replays the same order
+            const roll = (getStringHash(`${schedule.seed}:${turn}`) % 1_000_000) / 1_000_000 * total;
+            let sum = 0;
+
+            for (let i = 0; i < candidates.length; i++) {
+                sum += weights[i];
+                if (roll < sum) {
+                    return candidates[i];
+                }
+            }
+        }
+    }
+
+    const index = schedule.state.next_index % candidates.length;
+    schedule.state.next_index = index + 1;
+    return candidates[index];
+}
+
+/**
+ * Records a completed turn of a schedule.
+ * @param {GroupSchedule} schedule Group schedule
+ * @param {object[]} messages Messages generated during the turn
+ */
+export async function recordScheduledTurn(schedule, messages) {
+    schedule.state.turn++;
+
+    for (const message of messages) {
+        schedule.state.tokens += await getTokenCountAsync(message.mes ?? '');
+    }
+}
+
+/**
+ * Checks the stop conditions of a schedule.
+ * @param {GroupSchedule} schedule Group schedule
+ * @param {object[]} [messages] Messages generated during the last turn
+ * @returns {string} Why the schedule should stop, or an empty string to continue
+ */
+export function getScheduleStopReason(schedule, messages = []) {
+    const { max_turns, max_tokens, keyword, condition } = schedule.stop;
+
+    if (max_turns > 0 && schedule.state.turn >= max_turns) {
+        return `reached ${max_turns} turns`;
+    }
+
+    if (max_tokens > 0 && schedule.state.tokens >= max_tokens) {
+        return `reached the budget of ${max_tokens} tokens`;
+    }
+
+    if (keyword && messages.some(x => String(x.mes ?? '').toLowerCase().includes(keyword.toLowerCase()))) {
+        return `a message contains "${keyword}"`;
+    }
+
+    try {
+        if (condition && evaluateCondition(condition)) {
+            return `condition "${condition}" is true`;
+        }
+    } catch (error) {
+        console.error(`Failed to evaluate the stop condition "${condition}"`, error);
+    }
+
+    return '';
+}
+
+/**
+ * Gets a short description of the progress of a schedule.
+ * @param {GroupSchedule} schedule Group schedule
+ * @returns {string} Progress text
+ */
+export function getScheduleStatus(schedule) {
+    const { turn, tokens, paused, stopped_reason } = schedule.state;
+    const progress = `Turn ${turn}${schedule.stop.max_turns > 0 ? ` of ${schedule.stop.max_turns}` : ''}, ${tokens} tokens`;
+
+    if (stopped_reason) {
+        return `${progress}. Stopped: ${stopped_reason}.`;
+    }
+
+    return paused ? `${progress}. Paused.` : `${progress}.`;
+}
+
+/**
+ * Adds a fixed turn rule row to the schedule editor.
+ * @param {JQuery<HTMLElement>} container Rules container
+ * @param {object[]} members Characters of the group members
+ * @param {ScheduleRule} rule Rule to edit
+ */
+function addRuleRow(container, members, rule) {
+    const row = $('<div class="group_schedule_rule flex-container alignItemsCenter"></div>');
+    const select = $('<select class="text_pole flex1 group_schedule_rule_avatar"></select>');
+
+    for (const member of members) {
+        select.append($('<option></option>').val(member.avatar).text(member.name));
+    }
+
+    select.val(rule.avatar || members[0]?.avatar);
+    row.append(select);
+    row.append('<span data-i18n="speaks every">speaks every</span>');
+    row.append($('<input class="text_pole group_schedule_rule_every" type="number" min="1" step="1">').val(rule.every || 2));
+    row.append('<span data-i18n="turns">turns</span>');
+    row.append($('<div class="menu_button fa-solid fa-trash-can" title="Remove rule"></div>').on('click', () => row.remove()));
+    container.append(row);
+}
+
+/**
+ * Opens the schedule editor of a group.
+ * @param {object} group Group object
+ * @returns {Promise<boolean>} True if the schedule was changed
+ */
+export async function openScheduleEditor(group) {
+    const schedule = getGroupSchedule(group);
+    const members = group.members.map(x => characters.find(y => y.avatar === x)).filter(x => x);
+    const view = $(await renderTemplateAsync('groupSchedule'));
+    let isReset = false;
+
+    view.find('.group_schedule_enabled').prop('checked', schedule.enabled);
+    view.find('.group_schedule_order').val(schedule.order);
+    view.find('.group_schedule_seed').val(schedule.seed);
+    view.find('.group_schedule_max_turns').val(schedule.stop.max_turns || '');
+    view.find('.group_schedule_max_tokens').val(schedule.stop.max_tokens || '');
+    view.find('.group_schedule_keyword').val(schedule.stop.keyword);
+    view.find('.group_schedule_condition').val(schedule.stop.condition);
+    view.find('.group_schedule_status').text(getScheduleStatus(schedule));
+
+    const weights = view.find('.group_schedule_weights');
+    for (const member of members) {
+        const row = $('<label class="group_schedule_weight flex-container alignItemsCenter"></label>');
+        row.append($('<span class="flex1"></span>').text(member.name));
+        row.append($('<input class="text_pole group_schedule_weight_value" type="number" min="0" step="1">').attr('data-avatar', member.avatar).val(schedule.weights[member.avatar] ?? 1));
+        weights.append(row);
+    }
+
+    const toggleWeights = () => weights.toggle(view.find('.group_schedule_order').val() === schedule_turn_order.WEIGHTED);
+    view.find('.group_schedule_order').on('change', toggleWeights);
+    toggleWeights();
+
+    const rules = view.find('.group_schedule_rules');
+    schedule.rules.forEach(rule => addRuleRow(rules, members, rule));
+    view.find('.group_schedule_add_rule').on('click', () => addRuleRow(rules, members, { avatar: '', every: 2 }));
+
+    view.find('.group_schedule_reset').on('click', () => {
+        isReset = true;
+        view.find('.group_schedule_status').text(getScheduleStatus({ ...schedule, state: getInitialState() }));
+    });
+
+    const popup = new Popup(view, POPUP_TYPE.CONFIRM, '', { okButton: 'Save', cancelButton: 'Cancel', wide: true, allowVerticalScrolling: true });
+    const result = await popup.show();
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return false;
+    }
+
+    schedule.enabled = !!view.find('.group_schedule_enabled').prop('checked');
+    schedule.order = String(view.find('.group_schedule_order').val());
+    schedule.seed = Math.max(0, Math.round(Number(view.find('.group_schedule_seed').val()) || 0));
+    schedule.stop.max_turns = Math.max(0, Math.round(Number(view.find('.group_schedule_max_turns').val()) || 0));
+    schedule.stop.max_tokens = Math.max(0, Math.round(Number(view.find('.group_schedule_max_tokens').val()) || 0));
+    schedule.stop.keyword = String(view.find('.group_schedule_keyword').val()).trim();
+    schedule.stop.condition = String(view.find('.group_schedule_condition').val()).trim();
+    schedule.weights = {};
+    schedule.rules = [];
+
+    weights.find('.group_schedule_weight_value').each(function () {
+        schedule.weights[$(this).attr('data-avatar')] = Math.max(0, Number($(this).val()) || 0);
+    });
+
+    rules.find('.group_schedule_rule').each(function () {
+        const avatar = String($(this).find('.group_schedule_rule_avatar').val());
+        const every = Math.round(Number($(this).find('.group_schedule_rule_every').val()));
+
+        if (avatar && every > 0) {
+            schedule.rules.push({ avatar, every });
+        }
+    });
+
+    if (isReset) {
+        resetSchedule(schedule);
+    }
+
+    return true;
+}
@@ -174,7 +174,7 @@ export async function generateKoboldWithStreaming(generate_data, signal) {
         tryParseStreamingError(response, await response.text());
         throw new Error(`Got response status ${response.status}`);
     }
-    const eventStream = getEventSourceStream();
+    const eventStream = getEventSourceStream('kobold');
     response.body.pipeThrough(eventStream);
     const reader = eventStream.readable.getReader();
 
@@ -93,6 +93,14 @@ async function sendRecoveryPart2(handle, code, newPassword) {
         return displayError(errorData.error || 'An error occurred');
     }
 
+    if (response.status !== 204) {
+        const data = await response.json();
+
+        if (data.warning) {
+            alert(data.warning);
+        }
+    }
+
     console.log(`Successfully recovered password for ${handle}!`);
     await performLogin(handle, newPassword);
 }
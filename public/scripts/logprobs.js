@@ -9,6 +9,7 @@ import {
     getGeneratingApi,
     is_send_press,
     isStreamingEnabled,
+    saveSettingsDebounced,
 } from '../script.js';
 import { debounce, delay, getStringHash } from './utils.js';
 import { decodeTextTokens, getTokenizerBestMatch } from './tokenizers.js';
@@ -16,6 +17,17 @@ import { power_user } from './power-user.js';
 
 const TINTS = 4;
 const MAX_MESSAGE_LOGPROBS = 100;
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+/**
+ * Metrics used to color the tokens in the heatmap mode.
+ * @readonly
+ * @enum {string}
+ */
+const HEATMAP_METRICS = {
+    PROBABILITY: 'probability',
+    ENTROPY: 'entropy',
+};
 
 /**
  * Tuple of a candidate token and its logarithm of probability of being chosen
@@ -43,6 +55,16 @@ const MAX_MESSAGE_LOGPROBS = 100;
  * @property {Candidate[]} topLogprobs - Array of top candidate tokens
  */
 
+/**
+ * Confidence of the model in a generated token
+ * @typedef {Object} TokenConfidence
+ * @property {number | null} probability - probability of the chosen token, or
+ * null if it's not among the top candidates
+ * @property {number} entropy - entropy of the candidates in nats
+ * @property {number} normalizedEntropy - entropy scaled to 0..1 by the number
+ * of candidates
+ */
+
 let state = {
     /** @type {TokenLogprobs | null} */
     selectedTokenLogprobs: null,
@@ -77,9 +99,12 @@ function renderAlternativeTokensView() {
         emptyState.html(msg);
         emptyState.addClass('logprobs_empty_state');
         view.append(emptyState);
+        $('#logprobs_perplexity').text('');
         return;
     }
 
+    renderPerplexity(messageLogprobs);
+
     const prefix = continueFrom || '';
     const tokenSpans = [];
 
@@ -100,7 +125,11 @@ function renderAlternativeTokensView() {
         const text = toVisibleWhitespace(token);
         span.text(text);
         span.addClass('logprobs_output_token');
-        span.addClass('logprobs_tint_' + (i % TINTS));
+        if (power_user.logprobs_heatmap) {
+            applyHeatmapStyle(span, getTokenConfidence(tokenData));
+        } else {
+            span.addClass('logprobs_tint_' + (i % TINTS));
+        }
         span.click(() => onSelectedTokenChanged(tokenData, span));
         addKeyboardProps(span);
         tokenSpans.push(...withVirtualWhitespace(token, span));
@@ -114,6 +143,115 @@ function renderAlternativeTokensView() {
     }
 }
 
+/**
+ * renderPerplexity shows the perplexity of the active message, calculated from
+ * the probabilities of its tokens.
+ * @param {TokenLogprobs[]} messageLogprobs - logprob data for each token
+ */
+function renderPerplexity(messageLogprobs) {
+    const view = $('#logprobs_perplexity');
+    const { perplexity, count } = getPerplexity(messageLogprobs);
+
+    if (!count) {
+        view.text('');
+        return;
+    }
+
+    const coverage = count < messageLogprobs.length ? ` (${count} of ${messageLogprobs.length} tokens)` : ` (${count} tokens)`;
+    view.text(`Perplexity: ${perplexity.toFixed(2)}${coverage}`);
+}
+
+/**
+ * applyHeatmapStyle colors a token span from red to green by the model's
+ * confidence in the token, using the selected heatmap metric.
+ * @param {JQuery<HTMLElement>} span - token span node
+ * @param {TokenConfidence} confidence - confidence of the token
+ */
+function applyHeatmapStyle(span, confidence) {
+    const value = getHeatmapValue(confidence);
+    const entropyText = `entropy: ${confidence.entropy.toFixed(3)}`;
+
+    span.addClass('logprobs_heatmap_token');
+
+    if (value === null) {
+        span.addClass('logprobs_heatmap_unknown');
+        span.attr('title', `probability: not among the top candidates, ${entropyText}`);
+        return;
+    }
+
+    span.css('background-color', `hsla(${Math.round(value * 120)}, 80%, 45%, 0.4)`);
+    span.toggleClass('logprobs_low_confidence', value < LOW_CONFIDENCE_THRESHOLD);
+    span.attr('title', `probability: ${(confidence.probability * 100).toFixed(2)}%, ${entropyText}`);
+}
+
+/**
+ * getHeatmapValue converts the confidence of a token to a 0..1 value by the
+ * selected heatmap metric, where 1 is the most confident.
+ * @param {TokenConfidence} confidence - confidence of the token
+ * @returns {number | null} heatmap value, or null if unknown
+ */
+function getHeatmapValue(confidence) {
+    if (power_user.logprobs_heatmap_metric === HEATMAP_METRICS.ENTROPY) {
+        return 1 - confidence.normalizedEntropy;
+    }
+
+    return confidence.probability;
+}
+
+/**
+ * toProbability converts a candidate value to a probability. Most APIs return
+ * logarithms of probabilities, but some (e.g. llama.cpp) return probabilities.
+ * @param {number} value - logprob or probability
+ * @returns {number} probability
+ */
+function toProbability(value) {
+    return value <= 0 ? Math.exp(value) : value;
+}
+
+/**
+ * getTokenConfidence calculates the probability of the chosen token and the
+ * entropy of the candidates. Probability mass outside of the top candidates is
+ * treated as a single candidate.
+ * @param {TokenLogprobs} tokenData - logprob data for the token
+ * @returns {TokenConfidence} confidence of the token
+ */
+export function getTokenConfidence({ token, topLogprobs }) {
+    const candidates = topLogprobs
+        .map(([text, value]) => [String(text).replace(/^▁/g, ' '), toProbability(value)])
+        .filter(([, probability]) => Number.isFinite(probability) && probability >= 0);
+    const chosen = candidates.find(([text]) => text === token);
+    const others = Math.max(0, 1 - candidates.reduce((sum, [, probability]) => sum + Number(probability), 0));
+    const probabilities = [...candidates.map(([, probability]) => Number(probability)), others].filter(x => x > 0);
+    const entropy = -probabilities.reduce((sum, p) => sum + p * Math.log(p), 0);
+    const maxEntropy = Math.log(candidates.length + 1);
+
+    return {
+        probability: chosen ? Number(chosen[1]) : null,
+        entropy,
+        normalizedEntropy: maxEntropy > 0 ? Math.min(1, entropy / maxEntropy) : 0,
+    };
+}
+
+/**
+ * getPerplexity calculates the perplexity of a message from the probabilities
+ * of its tokens. Tokens with unknown probabilities are skipped.
+ * @param {TokenLogprobs[]} messageLogprobs - logprob data for each token
+ * @returns {{perplexity: number, count: number}} perplexity and number of
+ * tokens it was calculated from
+ */
+export function getPerplexity(messageLogprobs) {
+    const probabilities = messageLogprobs
+        .map(x => getTokenConfidence(x).probability)
+        .filter(x => x !== null && x > 0);
+
+    if (!probabilities.length) {
+        return { perplexity: 0, count: 0 };
+    }
+
+    const meanLogprob = probabilities.reduce((sum, p) => sum + Math.log(p), 0) / probabilities.length;
+    return { perplexity: Math.exp(-meanLogprob), count: probabilities.length };
+}
+
 function addKeyboardProps(element) {
     element.attr('role', 'button');
     element.attr('tabindex', '0');
@@ -139,6 +277,19 @@ function renderTopLogprobs() {
 
     const { token: selectedToken, topLogprobs } = state.selectedTokenLogprobs;
 
+    if (power_user.logprobs_heatmap) {
+        const value = getHeatmapValue(getTokenConfidence(state.selectedTokenLogprobs));
+        if (value === null || value < LOW_CONFIDENCE_THRESHOLD) {
+            const tokenLogprobs = state.selectedTokenLogprobs;
+            const branchButton = $('<button class="menu_button menu_button_icon logprobs_branch_button"></button>');
+            branchButton.append('<i class="fa-solid fa-code-branch"></i>');
+            branchButton.append($('<span></span>').text('Branch a swipe from here'));
+            branchButton.attr('title', 'Create a new swipe with the text before this token and let the model continue it');
+            branchButton.on('click', () => onBranchClicked(tokenLogprobs));
+            view.append(branchButton);
+        }
+    }
+
     let sum = 0;
     const nodes = [];
     const candidates = topLogprobs
@@ -240,6 +391,32 @@ function onAlternativeClicked(tokenLogprobs, alternative) {
     Generate('continue').then(_ => void _);
 }
 
+/**
+ * onBranchClicked is called when the user branches from a low-confidence token
+ * in the heatmap mode. It will create a new swipe message and prefill it with
+ * all text before the selected token, then request a `continue` completion so
+ * the model generates the token again.
+ * @param {TokenLogprobs} tokenLogprobs - logprob data for the token to branch from
+ */
+function onBranchClicked(tokenLogprobs) {
+    if (!checkGenerateReady()) {
+        return;
+    }
+
+    const { messageLogprobs, continueFrom } = getActiveMessageLogprobData();
+    const branchIndex = messageLogprobs.findIndex(x => x === tokenLogprobs);
+    const tokens = messageLogprobs.slice(0, branchIndex).map(({ token }) => token);
+
+    const prefix = continueFrom || '';
+    const prompt = prefix + tokens.join('');
+    const messageId = chat.length - 1;
+    createSwipe(messageId, prompt);
+
+    $('.swipe_right:last').click();
+
+    Generate('continue').then(_ => void _);
+}
+
 /**
  * onPrefixClicked is called when the user clicks on the carried-over prefix
  * in the token output view. It allows them to reroll the last 'continue'
@@ -474,10 +651,31 @@ function convertTokenIdLogprobsToText(input) {
     });
 }
 
+/**
+ * updateHeatmapControls syncs the heatmap controls with the settings.
+ */
+function updateHeatmapControls() {
+    $('#logprobsHeatmapToggle').toggleClass('active', !!power_user.logprobs_heatmap);
+    $('#logprobs_heatmap_metric').val(power_user.logprobs_heatmap_metric).parent().toggle(!!power_user.logprobs_heatmap);
+}
+
 export function initLogprobs() {
     const debouncedRender = debounce(renderAlternativeTokensView);
     $('#logprobsViewerClose').click(onToggleLogprobsPanel);
     $('#option_toggle_logprobs').click(onToggleLogprobsPanel);
+    $('#logprobsHeatmapToggle').on('click', () => {
+        power_user.logprobs_heatmap = !power_user.logprobs_heatmap;
+        updateHeatmapControls();
+        saveSettingsDebounced();
+        renderAlternativeTokensView();
+    });
+    $('#logprobs_heatmap_metric').on('change', function () {
+        power_user.logprobs_heatmap_metric = String($(this).val());
+        saveSettingsDebounced();
+        renderAlternativeTokensView();
+    });
+    eventSource.on(event_types.SETTINGS_LOADED, updateHeatmapControls);
+    updateHeatmapControls();
     eventSource.on(event_types.CHAT_CHANGED, debouncedRender);
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, debouncedRender);
     eventSource.on(event_types.IMPERSONATE_READY, debouncedRender);
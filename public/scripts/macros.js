@@ -2,7 +2,8 @@ import { chat, chat_metadata, main_api, getMaxContextSize, getCurrentChatId, sub
 import { timestampToMoment, isDigitsOnly, getStringHash } from './utils.js';
 import { textgenerationwebui_banned_in_macros } from './textgen-settings.js';
 import { replaceInstructMacros } from './instruct-mode.js';
-import { replaceVariableMacros } from './variables.js';
+import { registerVariableMacros } from './variables.js';
+import { selected_group } from './group-chats.js';
 
 // Register any macro that you want to leave in the compiled story string
 Handlebars.registerHelper('trim', () => '{{trim}}');
@@ -190,26 +191,6 @@ function getTimeSinceLastMessage() {
     return 'just now';
 }
 
-function randomReplace(input, emptyListPlaceholder = '') {
-    const randomPattern = /{{random\s?::?([^}]+)}}/gi;
-
-    input = input.replace(randomPattern, (match, listString) => {
-        // Split on either double colons or comma. If comma is the separator, we are also trimming all items.
-        const list = listString.includes('::')
-            ? listString.split('::')
-            // Replaced escaped commas with a placeholder to avoid splitting on them
-            : listString.replace(/\\,/g, '##�COMMA�##').split(',').map(item => item.trim().replace(/##�COMMA�##/g, ','));
-
-        if (list.length === 0) {
-            return emptyListPlaceholder;
-        }
-        const rng = new Math.seedrandom('added entropy.', { entropy: true });
-        const randomIndex = Math.floor(rng() * list.length);
-        return list[randomIndex];
-    });
-    return input;
-}
-
 function pickReplace(input, rawContent, emptyListPlaceholder = '') {
     const pickPattern = /{{pick\s?::?([^}]+)}}/gi;
 
@@ -239,46 +220,280 @@ function pickReplace(input, rawContent, emptyListPlaceholder = '') {
     });
 }
 
-function diceRollReplace(input, invalidRollPlaceholder = '') {
-    const rollPattern = /{{roll[ : ]([^}]+)}}/gi;
 
-    return input.replace(rollPattern, (match, matchValue) => {
-        let formula = matchValue.trim();
+/**
+ * Splits the arguments of a list macro (random) into items.
+ * Double colons take precedence over commas. If comma is the separator, we are also trimming all items.
+ * @param {string[]} args Macro arguments
+ * @returns {string[]} List items
+ */
+function getMacroListItems(args) {
+    if (args.length > 1) {
+        return args;
+    }
+
+    const listString = String(args[0] ?? '');
 
-        if (isDigitsOnly(formula)) {
-            formula = `1d${formula}`;
+    return listString.includes('::')
+        ? listString.split('::')
+        // Replaced escaped commas with a placeholder to avoid splitting on them
+        : listString.replace(/\\,/g, '##�COMMA�##').split(',').map(item => item.trim().replace(/##�COMMA�##/g, ','));
+}
+
+/**
+ * Rolls a dice using the droll library.
+ * @param {string} formula Dice formula, e.g. 1d6. A plain number is treated as a number of sides.
+ * @param {string} invalidRollPlaceholder Value returned for invalid formulas
+ * @returns {string} Roll result
+ */
+function rollDice(formula, invalidRollPlaceholder = '') {
+    formula = formula.trim();
+
+    if (isDigitsOnly(formula)) {
+        formula = `1d${formula}`;
+    }
+
+    const isValid = droll.validate(formula);
+
+    if (!isValid) {
+        console.debug(`Invalid roll formula: ${formula}`);
+        return invalidRollPlaceholder;
+    }
+
+    const result = droll.roll(formula);
+    return String(result.total);
+}
+
+/**
+ * @callback MacroHandler
+ * @param {string[]} args Macro arguments, with nested macros already evaluated
+ * @param {Object<string, *>} env Map of macro names to the values passed to evaluateMacros
+ * @returns {string|number|void} Macro replacement
+ */
+
+/**
+ * @typedef {object} MacroDefinition
+ * @property {string} name Macro name
+ * @property {MacroHandler} handler Function that returns the macro replacement
+ * @property {string[]} args Names of the macro arguments, used for documentation
+ * @property {string} description Macro description
+ * @property {boolean} expandResult Whether the macros in the replacement are evaluated as well
+ */
+
+/**
+ * Registered macros, keyed by the lowercase macro name.
+ * @type {Map<string, MacroDefinition>}
+ */
+const macros = new Map();
+
+/**
+ * Whether the replacement of a macro with expandResult is being evaluated. Its macros don't expand their replacements again,
+ * so a variable that refers to itself can't recurse forever.
+ */
+let isExpandingResult = false;
+
+/**
+ * Registers a macro that can be used as {{name}} or {{name::arg1::arg2}}.
+ * Macro names are case-insensitive. Arguments may contain other macros, which are evaluated first.
+ * @param {string} name Macro name. Must start with a letter and contain only letters, digits and underscores.
+ * @param {MacroHandler} handler Function that returns the macro replacement
+ * @param {object} [options] Macro options
+ * @param {string[]} [options.args] Names of the macro arguments
+ * @param {string} [options.description] Macro description, shown in the autocomplete
+ * @param {boolean} [options.expandResult] Evaluate the macros in the replacement, e.g. {{user}} stored in a variable value
+ */
+export function registerMacro(name, handler, { args = [], description = '', expandResult = false } = {}) {
+    if (typeof name !== 'string' || !/^[a-zA-Z]\w*$/.test(name)) {
+        throw new Error(`Invalid macro name: "${name}"`);
+    }
+
+    if (typeof handler !== 'function') {
+        throw new Error(`Macro handler for "${name}" must be a function`);
+    }
+
+    const key = name.toLowerCase();
+
+    if (macros.has(key)) {
+        console.warn(`Macro "${name}" is already registered and will be replaced`);
+    }
+
+    macros.set(key, { name, handler, args, description, expandResult });
+}
+
+/**
+ * Unregisters a macro.
+ * @param {string} name Macro name
+ * @returns {boolean} True if the macro was registered
+ */
+export function unregisterMacro(name) {
+    return macros.delete(String(name).toLowerCase());
+}
+
+/**
+ * Gets all registered macros.
+ * @returns {MacroDefinition[]} Registered macros
+ */
+export function getRegisteredMacros() {
+    return [...macros.values()];
+}
+
+/**
+ * Finds the closing braces of a macro, taking nested macros into account.
+ * @param {string} content Content to search in
+ * @param {number} index Index right after the opening braces
+ * @returns {number} Index of the closing braces, or -1 if the macro is not closed
+ */
+function findMacroEnd(content, index) {
+    let depth = 1;
+
+    while (index < content.length) {
+        if (content.startsWith('{{', index)) {
+            depth++;
+            index += 2;
+        } else if (content.startsWith('}}', index)) {
+            depth--;
+            if (depth === 0) {
+                return index;
+            }
+            index += 2;
+        } else {
+            index++;
         }
+    }
 
-        const isValid = droll.validate(formula);
+    return -1;
+}
 
-        if (!isValid) {
-            console.debug(`Invalid roll formula: ${formula}`);
-            return invalidRollPlaceholder;
+/**
+ * Splits macro arguments on the double colons that are not a part of nested macros.
+ * @param {string} input Arguments string
+ * @returns {string[]} Arguments
+ */
+function splitMacroArguments(input) {
+    const args = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < input.length; i++) {
+        if (input.startsWith('{{', i)) {
+            depth++;
+            current += '{{';
+            i++;
+        } else if (depth > 0 && input.startsWith('}}', i)) {
+            depth--;
+            current += '}}';
+            i++;
+        } else if (depth === 0 && input.startsWith('::', i)) {
+            args.push(current);
+            current = '';
+            i++;
+        } else {
+            current += input[i];
         }
+    }
 
-        const result = droll.roll(formula);
-        return new String(result.total);
-    });
+    args.push(current);
+    return args;
 }
 
 /**
- * Returns the difference between two times. Works with any time format acceptable by moment().
- * Can work with {{date}} {{time}} macros
- * @param {string} input - The string to replace time difference macros in.
- * @returns {string} The string with replaced time difference macros.
+ * Parses the body of a macro (without the braces) into a name and arguments.
+ * Supported forms: {{name}}, {{name::arg1::arg2}}, {{name:arg}} and {{name arg}}.
+ * @param {string} body Macro body
+ * @returns {{name: string, args: string[]}|null} Parsed macro, or null if the body is not a macro call
  */
-function timeDiffReplace(input) {
-    const timeDiffPattern = /{{timeDiff::(.*?)::(.*?)}}/gi;
+function parseMacroCall(body) {
+    const match = body.match(/^([a-zA-Z]\w*)(\s*)/);
 
-    const output = input.replace(timeDiffPattern, (_match, matchPart1, matchPart2) => {
-        const time1 = moment(matchPart1);
-        const time2 = moment(matchPart2);
+    if (!match) {
+        return null;
+    }
 
-        const timeDifference = moment.duration(time1.diff(time2));
-        return timeDifference.humanize();
-    });
+    const [prefix, name, whitespace] = match;
+    const rest = body.slice(prefix.length);
+
+    if (!whitespace && rest && !rest.startsWith(':')) {
+        return null;
+    }
+
+    if (rest.startsWith('::')) {
+        return { name, args: splitMacroArguments(rest.slice(2)) };
+    }
+
+    if (rest.startsWith(':')) {
+        return { name, args: [rest.slice(1)] };
+    }
+
+    return { name, args: rest ? [rest] : [] };
+}
+
+/**
+ * Evaluates a single macro call. Unknown macros are kept as is, but macros nested in them are still evaluated.
+ * @param {string} body Macro body
+ * @param {Object<string, *>} env Macro environment
+ * @returns {string} Macro replacement
+ */
+function evaluateMacroCall(body, env) {
+    const call = parseMacroCall(body);
+    const macro = call ? macros.get(call.name.toLowerCase()) : null;
+
+    if (!macro) {
+        return `{{${replaceRegisteredMacros(body, env)}}}`;
+    }
+
+    try {
+        const args = call.args.map(arg => arg.includes('{{') ? evaluateMacros(arg, env) : arg);
+        const result = macro.handler(args, env);
+        const replacement = result === undefined || result === null ? '' : String(result);
+
+        if (!macro.expandResult || isExpandingResult || !replacement.includes('{{')) {
+            return replacement;
+        }
 
-    return output;
+        try {
+            isExpandingResult = true;
+            return evaluateMacros(replacement, env);
+        } finally {
+            isExpandingResult = false;
+        }
+    } catch (error) {
+        console.error(`Failed to evaluate macro "${macro.name}"`, error);
+        return `{{${body}}}`;
+    }
+}
+
+/**
+ * Replaces registered macros in a string, evaluating nested macros inside-out.
+ * @param {string} content Content to replace macros in
+ * @param {Object<string, *>} env Macro environment
+ * @returns {string} Content with registered macros replaced
+ */
+function replaceRegisteredMacros(content, env) {
+    let result = '';
+    let index = 0;
+
+    while (index < content.length) {
+        const start = content.indexOf('{{', index);
+
+        if (start === -1) {
+            break;
+        }
+
+        const end = findMacroEnd(content, start + 2);
+        result += content.slice(index, start);
+
+        // Unclosed braces are not a macro, continue after them
+        if (end === -1) {
+            result += '{{';
+            index = start + 2;
+            continue;
+        }
+
+        result += evaluateMacroCall(content.slice(start + 2, end), env);
+        index = end + 2;
+    }
+
+    return result + content.slice(index);
 }
 
 /**
@@ -307,13 +522,7 @@ export function evaluateMacros(content, env) {
         return content;
     }
 
-    content = diceRollReplace(content);
     content = replaceInstructMacros(content, env);
-    content = replaceVariableMacros(content);
-    content = content.replace(/{{newline}}/gi, '\n');
-    content = content.replace(/\n*{{trim}}\n*/gi, '');
-    content = content.replace(/{{noop}}/gi, '');
-    content = content.replace(/{{input}}/gi, () => String($('#send_textarea').val()));
 
     // Substitute passed-in variables
     for (const varName in env) {
@@ -323,36 +532,57 @@ export function evaluateMacros(content, env) {
         content = content.replace(new RegExp(`{{${varName}}}`, 'gi'), param);
     }
 
-    content = content.replace(/{{maxPrompt}}/gi, () => String(getMaxContextSize()));
-    content = content.replace(/{{lastMessage}}/gi, () => getLastMessage());
-    content = content.replace(/{{lastMessageId}}/gi, () => String(getLastMessageId() ?? ''));
-    content = content.replace(/{{lastUserMessage}}/gi, () => getLastUserMessage());
-    content = content.replace(/{{lastCharMessage}}/gi, () => getLastCharMessage());
-    content = content.replace(/{{firstIncludedMessageId}}/gi, () => String(getFirstIncludedMessageId() ?? ''));
-    content = content.replace(/{{lastSwipeId}}/gi, () => String(getLastSwipeId() ?? ''));
-    content = content.replace(/{{currentSwipeId}}/gi, () => String(getCurrentSwipeId() ?? ''));
+    content = replaceRegisteredMacros(content, env);
 
+    content = content.replace(/\n*{{trim}}\n*/gi, '');
     content = content.replace(/\{\{\/\/([\s\S]*?)\}\}/gm, '');
-
-    content = content.replace(/{{time}}/gi, () => moment().format('LT'));
-    content = content.replace(/{{date}}/gi, () => moment().format('LL'));
-    content = content.replace(/{{weekday}}/gi, () => moment().format('dddd'));
-    content = content.replace(/{{isotime}}/gi, () => moment().format('HH:mm'));
-    content = content.replace(/{{isodate}}/gi, () => moment().format('YYYY-MM-DD'));
-
-    content = content.replace(/{{datetimeformat +([^}]*)}}/gi, (_, format) => {
-        const formattedTime = moment().format(format);
-        return formattedTime;
-    });
-    content = content.replace(/{{idle_duration}}/gi, () => getTimeSinceLastMessage());
     content = content.replace(/{{time_UTC([-+]\d+)}}/gi, (_, offset) => {
         const utcOffset = parseInt(offset, 10);
         const utcTime = moment().utc().utcOffset(utcOffset).format('LT');
         return utcTime;
     });
-    content = timeDiffReplace(content);
     content = bannedWordsReplace(content);
-    content = randomReplace(content);
     content = pickReplace(content, rawContent);
     return content;
 }
+
+/**
+ * Registers the built-in macros.
+ */
+function registerBuiltInMacros() {
+    registerMacro('newline', () => '\n', { description: 'Inserts a newline.' });
+    registerMacro('noop', () => '', { description: 'No operation, just an empty string.' });
+    registerMacro('input', () => String($('#send_textarea').val()), { description: 'The user input.' });
+    registerMacro('maxPrompt', () => String(getMaxContextSize()), { description: 'Max allowed prompt length in tokens.' });
+    registerMacro('lastMessage', () => getLastMessage(), { description: 'The text of the latest chat message.' });
+    registerMacro('lastMessageId', () => String(getLastMessageId() ?? ''), { description: 'Index # of the latest chat message.' });
+    registerMacro('lastUserMessage', () => getLastUserMessage(), { description: 'The text of the latest user chat message.' });
+    registerMacro('lastCharMessage', () => getLastCharMessage(), { description: 'The text of the latest character chat message.' });
+    registerMacro('firstIncludedMessageId', () => String(getFirstIncludedMessageId() ?? ''), { description: 'The ID of the first message included in the context.' });
+    registerMacro('lastSwipeId', () => String(getLastSwipeId() ?? ''), { description: 'The number of swipes in the last chat message.' });
+    registerMacro('currentSwipeId', () => String(getCurrentSwipeId() ?? ''), { description: 'The 1-based ID of the current swipe in the last chat message.' });
+    registerMacro('time', () => moment().format('LT'), { description: 'The current time.' });
+    registerMacro('date', () => moment().format('LL'), { description: 'The current date.' });
+    registerMacro('weekday', () => moment().format('dddd'), { description: 'The current weekday.' });
+    registerMacro('isotime', () => moment().format('HH:mm'), { description: 'The current ISO time (24-hour clock).' });
+    registerMacro('isodate', () => moment().format('YYYY-MM-DD'), { description: 'The current ISO date (YYYY-MM-DD).' });
+    registerMacro('datetimeformat', ([format]) => moment().format(format), { args: ['format'], description: 'The current date/time in the specified format.' });
+    registerMacro('idle_duration', () => getTimeSinceLastMessage(), { description: 'The time since the last user message was sent.' });
+    registerMacro('roll', ([formula]) => rollDice(String(formula ?? '')), { args: ['formula'], description: 'Rolls a dice, e.g. 1d6.' });
+    registerMacro('random', (args) => {
+        const list = getMacroListItems(args);
+        const rng = new Math.seedrandom('added entropy.', { entropy: true });
+        const randomIndex = Math.floor(rng() * list.length);
+        return list[randomIndex];
+    }, { args: ['items'], description: 'Returns a random item from the list.' });
+    registerMacro('timeDiff', ([time1, ...time2]) => {
+        const timeDifference = moment.duration(moment(time1).diff(moment(time2.join('::'))));
+        return timeDifference.humanize();
+    }, { args: ['time1', 'time2'], description: 'The time difference between time1 and time2.' });
+    registerMacro('isGroup', () => String(!!selected_group), { description: 'Returns true if a group chat is active, false otherwise.' });
+    registerMacro('upper', (args) => args.join('::').toUpperCase(), { args: ['text'], description: 'Converts the text to uppercase.' });
+    registerMacro('lower', (args) => args.join('::').toLowerCase(), { args: ['text'], description: 'Converts the text to lowercase.' });
+    registerVariableMacros();
+}
+
+registerBuiltInMacros();
@@ -614,7 +614,7 @@ export async function generateNovelWithStreaming(generate_data, signal) {
         tryParseStreamingError(response, await response.text());
         throw new Error(`Got response status ${response.status}`);
     }
-    const eventStream = getEventSourceStream();
+    const eventStream = getEventSourceStream('novel');
     response.body.pipeThrough(eventStream);
     const reader = eventStream.readable.getReader();
 
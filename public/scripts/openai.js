@@ -56,6 +56,7 @@ import {
     parseJsonFile,
     resetScrollHeight,
     stringFormat,
+    uuidv4,
 } from './utils.js';
 import { countTokensOpenAI, getTokenizerModel } from './tokenizers.js';
 import {
@@ -279,6 +280,7 @@ const default_settings = {
     bypass_status_check: false,
     continue_prefill: false,
     function_calling: false,
+    function_calling_max_steps: 5,
     names_behavior: character_names_behavior.NONE,
     continue_postfix: continue_postfix_types.SPACE,
     custom_prompt_post_processing: custom_prompt_post_processing_types.NONE,
@@ -357,6 +359,7 @@ const oai_settings = {
     bypass_status_check: false,
     continue_prefill: false,
     function_calling: false,
+    function_calling_max_steps: 5,
     names_behavior: character_names_behavior.NONE,
     continue_postfix: continue_postfix_types.SPACE,
     custom_prompt_post_processing: custom_prompt_post_processing_types.NONE,
@@ -1853,9 +1856,8 @@ async function sendOpenAIRequest(type, messages, signal) {
 
     await eventSource.emit(event_types.CHAT_COMPLETION_SETTINGS_READY, generate_data);
 
-    if (isFunctionCallingSupported() && !stream) {
-        await registerFunctionTools(type, generate_data);
-    }
+    /** @type {Map<string, FunctionToolAction>} */
+    const toolActions = isFunctionCallingSupported() && !stream ? await registerFunctionTools(type, generate_data) : new Map();
 
     const generate_url = '/api/backends/chat-completions/generate';
     const response = await fetch(generate_url, {
@@ -1870,11 +1872,12 @@ async function sendOpenAIRequest(type, messages, signal) {
         throw new Error(`Got response status ${response.status}`);
     }
     if (stream) {
-        const eventStream = getEventSourceStream();
+        const eventStream = getEventSourceStream('openai');
         response.body.pipeThrough(eventStream);
         const reader = eventStream.readable.getReader();
         return async function* streamData() {
             let text = '';
+            let usage;
             const swipes = [];
             while (true) {
                 const { done, value } = await reader.read();
@@ -1883,6 +1886,8 @@ async function sendOpenAIRequest(type, messages, signal) {
                 if (rawData === '[DONE]') return;
                 tryParseStreamingError(response, rawData);
                 const parsed = JSON.parse(rawData);
+                // Providers that report usage send it with the final chunk
+                usage = parsed?.usage ?? usage;
 
                 if (Array.isArray(parsed?.choices) && parsed?.choices?.[0]?.index > 0) {
                     const swipeIndex = parsed.choices[0].index - 1;
@@ -1891,12 +1896,12 @@ async function sendOpenAIRequest(type, messages, signal) {
                     text += getStreamingReply(parsed);
                 }
 
-                yield { text, swipes: swipes, logprobs: parseChatCompletionLogprobs(parsed) };
+                yield { text, swipes: swipes, logprobs: parseChatCompletionLogprobs(parsed), usage };
             }
         };
     }
     else {
-        const data = await response.json();
+        let data = await response.json();
 
         checkQuotaError(data);
         checkModerationError(data);
@@ -1906,6 +1911,10 @@ async function sendOpenAIRequest(type, messages, signal) {
             throw new Error(data);
         }
 
+        if (isFunctionCallingSupported()) {
+            data = await runFunctionToolLoop(data, generate_data, toolActions, signal);
+        }
+
         if (type !== 'quiet') {
             const logprobs = parseChatCompletionLogprobs(data);
             // Delay is required to allow the active message to be updated to
@@ -1913,11 +1922,98 @@ async function sendOpenAIRequest(type, messages, signal) {
             delay(1).then(() => saveLogprobsForActiveMessage(logprobs, null));
         }
 
-        if (isFunctionCallingSupported()) {
-            await checkFunctionToolCalls(data);
+        return data;
+    }
+}
+
+/**
+ * Executes the function tools requested by the model and sends the results back to it,
+ * repeating until the model replies without tool calls or the step limit is reached.
+ * Only runs when every requested tool was registered with an action; otherwise the
+ * tool calls are left to the LLM_FUNCTION_TOOL_CALL event listeners.
+ * @param {object} data Response data of the initial request
+ * @param {object} generateData Generation data of the initial request
+ * @param {Map<string, FunctionToolAction>} toolActions Actions of the registered tools
+ * @param {AbortSignal} signal Abort signal
+ * @returns {Promise<object>} Response data of the final request
+ */
+async function runFunctionToolLoop(data, generateData, toolActions, signal) {
+    /** @type {FunctionToolInvocation[]} */
+    const invocations = [];
+
+    for (let step = 0; ; step++) {
+        const toolCalls = await checkFunctionToolCalls(data);
+
+        if (!toolCalls.length || !Array.isArray(generateData.messages) || !toolCalls.every(x => toolActions.has(x.name))) {
+            break;
         }
 
-        return data;
+        if (step >= oai_settings.function_calling_max_steps) {
+            toastr.warning('The model kept calling function tools. Increase the step limit in the settings if this is expected.', 'Function tool step limit reached');
+            break;
+        }
+
+        const results = [];
+        for (const toolCall of toolCalls) {
+            results.push(await invokeFunctionTool(toolCall, toolActions.get(toolCall.name)));
+        }
+
+        invocations.push(...results);
+        generateData.messages.push({
+            role: 'assistant',
+            content: data?.choices?.[0]?.message?.content || data?.text || '',
+            tool_calls: toolCalls.map(x => ({ id: x.id, type: 'function', function: { name: x.name, arguments: x.arguments } })),
+        });
+        generateData.messages.push(...results.map(x => ({ role: 'tool', tool_call_id: x.id, name: x.name, content: x.result })));
+
+        // Don't force the model to call a tool again, or it will never produce a reply
+        generateData.tool_choice = 'auto';
+
+        const response = await fetch('/api/backends/chat-completions/generate', {
+            method: 'POST',
+            body: JSON.stringify(generateData),
+            headers: getRequestHeaders(),
+            signal: signal,
+        });
+
+        if (!response.ok) {
+            tryParseStreamingError(response, await response.text());
+            throw new Error(`Got response status ${response.status}`);
+        }
+
+        data = await response.json();
+
+        checkQuotaError(data);
+        checkModerationError(data);
+
+        if (data.error) {
+            toastr.error(data.error.message || response.statusText, 'API returned an error');
+            throw new Error(data);
+        }
+    }
+
+    if (invocations.length) {
+        data.tool_invocations = invocations;
+    }
+
+    return data;
+}
+
+/**
+ * Calls the action of a function tool and captures its result.
+ * @param {FunctionToolInvocation} toolCall Tool call requested by the model
+ * @param {FunctionToolAction} action Action of the function tool
+ * @returns {Promise<FunctionToolInvocation>} Tool call with the result
+ */
+async function invokeFunctionTool(toolCall, action) {
+    try {
+        const parameters = toolCall.arguments ? JSON.parse(toolCall.arguments) : {};
+        const result = await action(parameters);
+        console.log('Function tool result:', toolCall.name, result);
+        return { ...toolCall, result: typeof result === 'string' ? result : JSON.stringify(result ?? '') };
+    } catch (error) {
+        console.error('Function tool failed:', toolCall.name, error);
+        return { ...toolCall, result: `Error: ${error?.message || error}` };
     }
 }
 
@@ -1925,15 +2021,17 @@ async function sendOpenAIRequest(type, messages, signal) {
  * Register function tools for the next chat completion request.
  * @param {string} type Generation type
  * @param {object} data Generation data
+ * @returns {Promise<Map<string, FunctionToolAction>>} Actions of the registered tools, by tool name
  */
 async function registerFunctionTools(type, data) {
     let toolChoice = 'auto';
     const tools = [];
+    const actions = new Map();
 
     /**
      * @type {registerFunctionTool}
      */
-    const registerFunctionTool = (name, description, parameters, required) => {
+    const registerFunctionTool = (name, description, parameters, required, action) => {
         tools.push({
             type: 'function',
             function: {
@@ -1946,6 +2044,10 @@ async function registerFunctionTools(type, data) {
         if (required) {
             toolChoice = 'required';
         }
+
+        if (typeof action === 'function') {
+            actions.set(name, action);
+        }
     };
 
     /**
@@ -1965,9 +2067,16 @@ async function registerFunctionTools(type, data) {
         data['tools'] = tools;
         data['tool_choice'] = toolChoice;
     }
+
+    return actions;
 }
 
-async function checkFunctionToolCalls(data) {
+/**
+ * Extracts the function tool calls from the response data.
+ * @param {object} data Response data
+ * @returns {FunctionToolInvocation[]} Tool calls requested by the model
+ */
+function getFunctionToolCalls(data) {
     const oaiCompat = [
         chat_completion_sources.OPENAI,
         chat_completion_sources.CUSTOM,
@@ -1977,63 +2086,59 @@ async function checkFunctionToolCalls(data) {
     ];
     if (oaiCompat.includes(oai_settings.chat_completion_source)) {
         if (!Array.isArray(data?.choices)) {
-            return;
+            return [];
         }
 
         // Find a choice with 0-index
         const choice = data.choices.find(choice => choice.index === 0);
 
-        if (!choice) {
-            return;
-        }
-
-        const toolCalls = choice.message.tool_calls;
-
-        if (!Array.isArray(toolCalls)) {
-            return;
+        if (!choice || !Array.isArray(choice.message?.tool_calls)) {
+            return [];
         }
 
-        for (const toolCall of toolCalls) {
-            if (typeof toolCall.function !== 'object') {
-                continue;
-            }
-
-            /** @type {FunctionToolCall} */
-            const args = toolCall.function;
-            console.log('Function tool call:', toolCall);
-            await eventSource.emit(event_types.LLM_FUNCTION_TOOL_CALL, args);
-            data.allowEmptyResponse = true;
-        }
+        return choice.message.tool_calls
+            .filter(toolCall => typeof toolCall.function === 'object')
+            .map(toolCall => ({ id: toolCall.id || uuidv4(), name: toolCall.function.name, arguments: toolCall.function.arguments }));
     }
 
     if ([chat_completion_sources.CLAUDE].includes(oai_settings.chat_completion_source)) {
         if (!Array.isArray(data?.content)) {
-            return;
+            return [];
         }
 
-        for (const content of data.content) {
-            if (content.type === 'tool_use') {
-                /** @type {FunctionToolCall} */
-                const args = { name: content.name, arguments: JSON.stringify(content.input) };
-                await eventSource.emit(event_types.LLM_FUNCTION_TOOL_CALL, args);
-                data.allowEmptyResponse = true;
-            }
-        }
+        return data.content
+            .filter(content => content.type === 'tool_use')
+            .map(content => ({ id: content.id, name: content.name, arguments: JSON.stringify(content.input) }));
     }
 
     if ([chat_completion_sources.COHERE].includes(oai_settings.chat_completion_source)) {
         if (!Array.isArray(data?.tool_calls)) {
-            return;
+            return [];
         }
 
-        for (const toolCall of data.tool_calls) {
-            /** @type {FunctionToolCall} */
-            const args = { name: toolCall.name, arguments: JSON.stringify(toolCall.parameters) };
-            console.log('Function tool call:', toolCall);
-            await eventSource.emit(event_types.LLM_FUNCTION_TOOL_CALL, args);
-            data.allowEmptyResponse = true;
-        }
+        return data.tool_calls.map(toolCall => ({ id: uuidv4(), name: toolCall.name, arguments: JSON.stringify(toolCall.parameters) }));
+    }
+
+    return [];
+}
+
+/**
+ * Emits the LLM_FUNCTION_TOOL_CALL event for every function tool call in the response data.
+ * @param {object} data Response data
+ * @returns {Promise<FunctionToolInvocation[]>} Tool calls requested by the model
+ */
+async function checkFunctionToolCalls(data) {
+    const toolCalls = getFunctionToolCalls(data);
+
+    for (const toolCall of toolCalls) {
+        /** @type {FunctionToolCall} */
+        const args = { name: toolCall.name, arguments: toolCall.arguments };
+        console.log('Function tool call:', toolCall);
+        await eventSource.emit(event_types.LLM_FUNCTION_TOOL_CALL, args);
+        data.allowEmptyResponse = true;
     }
+
+    return toolCalls;
 }
 
 export function isFunctionCallingSupported() {
@@ -2928,6 +3033,7 @@ function loadOpenAISettings(data, settings) {
     oai_settings.names_behavior = settings.names_behavior ?? default_settings.names_behavior;
     oai_settings.continue_postfix = settings.continue_postfix ?? default_settings.continue_postfix;
     oai_settings.function_calling = settings.function_calling ?? default_settings.function_calling;
+    oai_settings.function_calling_max_steps = settings.function_calling_max_steps ?? default_settings.function_calling_max_steps;
 
     // Migrate from old settings
     if (settings.names_in_completion === true) {
@@ -2997,6 +3103,7 @@ function loadOpenAISettings(data, settings) {
     $('#squash_system_messages').prop('checked', oai_settings.squash_system_messages);
     $('#continue_prefill').prop('checked', oai_settings.continue_prefill);
     $('#openai_function_calling').prop('checked', oai_settings.function_calling);
+    $('#openai_function_calling_max_steps').val(oai_settings.function_calling_max_steps);
     if (settings.impersonation_prompt !== undefined) oai_settings.impersonation_prompt = settings.impersonation_prompt;
 
     $('#impersonation_prompt_textarea').val(oai_settings.impersonation_prompt);
@@ -3281,6 +3388,7 @@ async function saveOpenAIPreset(name, settings, triggerUi = true) {
         continue_prefill: settings.continue_prefill,
         continue_postfix: settings.continue_postfix,
         function_calling: settings.function_calling,
+        function_calling_max_steps: settings.function_calling_max_steps,
         seed: settings.seed,
         n: settings.n,
     };
@@ -3668,6 +3776,7 @@ function onSettingsPresetChange() {
         continue_prefill: ['#continue_prefill', 'continue_prefill', true],
         continue_postfix: ['#continue_postfix', 'continue_postfix', false],
         function_calling: ['#openai_function_calling', 'function_calling', true],
+        function_calling_max_steps: ['#openai_function_calling_max_steps', 'function_calling_max_steps', false],
         seed: ['#seed_openai', 'seed', false],
         n: ['#n_openai', 'n', false],
     };
@@ -4941,6 +5050,11 @@ $(document).ready(async function () {
         saveSettingsDebounced();
     });
 
+    $('#openai_function_calling_max_steps').on('input', function () {
+        oai_settings.function_calling_max_steps = Number($(this).val());
+        saveSettingsDebounced();
+    });
+
     $('#seed_openai').on('input', function () {
         oai_settings.seed = Number($(this).val());
         saveSettingsDebounced();
@@ -126,6 +126,8 @@ let power_user = {
     streaming_fps: 30,
     smooth_streaming: false,
     smooth_streaming_speed: 50,
+    smooth_streaming_adaptive: true,
+    smooth_streaming_wps: 0,
 
     ui_mode: ui_mode.POWER,
     fast_ui_mode: true,
@@ -176,6 +178,8 @@ let power_user = {
     send_on_enter: send_on_enter_options.AUTO,
     console_log_prompts: false,
     request_token_probabilities: false,
+    logprobs_heatmap: false,
+    logprobs_heatmap_metric: 'probability',
     render_formulas: false,
     allow_name1_display: false,
     allow_name2_display: false,
@@ -972,6 +976,11 @@ function switchUiMode() {
     }
 }
 
+function toggleSmoothStreamingControls() {
+    $('#smooth_streaming_speed_control').toggle(!power_user.smooth_streaming_adaptive);
+    $('#smooth_streaming_wps_control').toggle(!!power_user.smooth_streaming_adaptive);
+}
+
 function toggleWaifu() {
     $('#waifuMode').trigger('click');
 }
@@ -1654,6 +1663,9 @@ function loadPowerUserSettings(settings, data) {
 
     $('#smooth_streaming').prop('checked', power_user.smooth_streaming);
     $('#smooth_streaming_speed').val(power_user.smooth_streaming_speed);
+    $('#smooth_streaming_adaptive').prop('checked', power_user.smooth_streaming_adaptive);
+    $('#smooth_streaming_wps').val(power_user.smooth_streaming_wps);
+    toggleSmoothStreamingControls();
 
     $('#font_scale').val(power_user.font_scale);
     $('#font_scale_counter').val(power_user.font_scale);
@@ -2907,6 +2919,62 @@ async function setThemeCallback(_, text) {
     saveSettingsDebounced();
 }
 
+/**
+ * Gets or sets the tokenizer used for token counting.
+ * @param {object} _ Named arguments
+ * @param {string} text Tokenizer key (e.g. llama3) or its display name. Gets the current tokenizer if empty.
+ * @returns {Promise<string>} Key of the selected tokenizer
+ */
+async function setTokenizerCallback(_, text) {
+    const getTokenizerKey = (value) => Object.keys(tokenizers).find(key => tokenizers[key] === value)?.toLowerCase() ?? '';
+
+    if (!text) {
+        return getTokenizerKey(power_user.tokenizer);
+    }
+
+    const options = Array.from($('#tokenizer option')).map(option => ({ value: Number($(option).val()), text: $(option).text() }));
+    const query = text.trim().toLowerCase();
+    const option = options.find(x => getTokenizerKey(x.value) === query || x.text.toLowerCase() === query)
+        // @ts-ignore
+        ?? new Fuse(options, { keys: ['text'] }).search(text)[0]?.item;
+
+    if (!option) {
+        toastr.warning(`Could not find tokenizer with name: ${text}`);
+        return '';
+    }
+
+    $('#tokenizer').val(option.value).trigger('change');
+    return getTokenizerKey(option.value);
+}
+
+/**
+ * Gets or sets the custom stopping strings.
+ * @param {object} _ Named arguments
+ * @param {string} text JSON-serialized array of strings. Gets the current strings if empty.
+ * @returns {Promise<string>} Custom stopping strings
+ */
+async function setStopStringsCallback(_, text) {
+    if (!text) {
+        return power_user.custom_stopping_strings;
+    }
+
+    try {
+        const strings = JSON.parse(text);
+
+        if (!Array.isArray(strings) || strings.some(x => typeof x !== 'string')) {
+            throw new Error('Not an array of strings');
+        }
+    } catch {
+        toastr.warning('Stopping strings must be a JSON-serialized array of strings');
+        return power_user.custom_stopping_strings;
+    }
+
+    power_user.custom_stopping_strings = text;
+    $('#custom_stopping_strings').val(text);
+    saveSettingsDebounced();
+    return text;
+}
+
 async function setmovingUIPreset(_, text) {
     // @ts-ignore
     const fuse = new Fuse(movingUIPresets, {
@@ -3271,6 +3339,17 @@ $(document).ready(() => {
         saveSettingsDebounced();
     });
 
+    $('#smooth_streaming_adaptive').on('input', function () {
+        power_user.smooth_streaming_adaptive = !!$(this).prop('checked');
+        toggleSmoothStreamingControls();
+        saveSettingsDebounced();
+    });
+
+    $('#smooth_streaming_wps').on('input', function () {
+        power_user.smooth_streaming_wps = Math.max(0, Number($(this).val()) || 0);
+        saveSettingsDebounced();
+    });
+
     $('input[name="font_scale"]').on('input', async function (e) {
         power_user.font_scale = Number(e.target.value);
         $('#font_scale_counter').val(power_user.font_scale);
@@ -3948,6 +4027,28 @@ $(document).ready(() => {
         ],
         helpString: 'sets a UI theme by name',
     }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tokenizer',
+        callback: setTokenizerCallback,
+        returns: 'current tokenizer',
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'name', [ARGUMENT_TYPE.STRING], false,
+            ),
+        ],
+        helpString: 'Selects the tokenizer used for token counting. Gets the current tokenizer if no name is provided.',
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'stop-strings',
+        callback: setStopStringsCallback,
+        returns: 'custom stopping strings',
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'JSON-serialized array of strings', [ARGUMENT_TYPE.LIST], false,
+            ),
+        ],
+        helpString: 'Sets the custom stopping strings. Gets the current strings if no value is provided.',
+    }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'movingui',
         callback: setmovingUIPreset,
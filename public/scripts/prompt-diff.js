@@ -0,0 +1,210 @@
+import { chat } from '../script.js';
+import { Popup, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * A line of a computed diff.
+ * @typedef {Object} DiffLine
+ * @property {'same'|'added'|'removed'} type - Whether the line was kept, added or removed
+ * @property {string} text - Line text
+ */
+
+/**
+ * Prompt sections that are compared between two itemized prompts.
+ * @type {{name: string, getText: (prompt: object) => string}[]}
+ */
+const PROMPT_SECTIONS = [
+    { name: 'World Info', getText: (prompt) => prompt.worldInfoString },
+    { name: 'Author\'s Note', getText: (prompt) => prompt.authorsNoteString },
+    { name: 'Example Dialogue', getText: (prompt) => prompt.examplesString },
+    { name: 'Chat History', getText: (prompt) => prompt.mesSendString },
+    { name: 'Summary', getText: (prompt) => prompt.summarizeString },
+    { name: 'Extension Prompts', getText: (prompt) => prompt.allAnchors },
+    { name: 'Character Description', getText: (prompt) => prompt.charDescription },
+    { name: 'Character Personality', getText: (prompt) => prompt.charPersonality },
+    { name: 'Scenario', getText: (prompt) => prompt.scenarioText },
+    { name: 'Persona Description', getText: (prompt) => prompt.userPersona },
+    { name: 'Full Prompt', getText: (prompt) => formatRawPrompt(prompt.rawPrompt) },
+];
+
+/**
+ * Maximum number of cells of the LCS table before falling back to a coarse diff.
+ */
+const MAX_DIFF_CELLS = 1_000_000;
+
+/**
+ * Converts a raw prompt (string or chat completion messages) to plain text.
+ * @param {string|object[]} rawPrompt Raw prompt
+ * @returns {string} Prompt text
+ */
+function formatRawPrompt(rawPrompt) {
+    if (Array.isArray(rawPrompt)) {
+        return rawPrompt.map(x => `[${x.role}${x.name ? `: ${x.name}` : ''}]\n${typeof x.content === 'string' ? x.content : JSON.stringify(x.content)}`).join('\n');
+    }
+
+    return String(rawPrompt ?? '');
+}
+
+/**
+ * Computes a line-based diff between two texts.
+ * @param {string} oldText Original text
+ * @param {string} newText Updated text
+ * @returns {DiffLine[]} Diff lines
+ */
+export function diffLines(oldText, newText) {
+    const oldLines = oldText ? oldText.split('\n') : [];
+    const newLines = newText ? newText.split('\n') : [];
+
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    /** @type {DiffLine[]} */
+    const result = oldLines.slice(0, start).map(text => ({ type: 'same', text }));
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+
+    if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+        result.push(...oldMiddle.map(text => ({ type: 'removed', text })));
+        result.push(...newMiddle.map(text => ({ type: 'added', text })));
+    } else {
+        // Longest common subsequence table, filled from the end
+        const rows = oldMiddle.length + 1;
+        const cols = newMiddle.length + 1;
+        const table = new Uint32Array(rows * cols);
+
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                table[i * cols + j] = oldMiddle[i] === newMiddle[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle.length && j < newMiddle.length) {
+            if (oldMiddle[i] === newMiddle[j]) {
+                result.push({ type: 'same', text: oldMiddle[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+                result.push({ type: 'removed', text: oldMiddle[i++] });
+            } else {
+                result.push({ type: 'added', text: newMiddle[j++] });
+            }
+        }
+
+        result.push(...oldMiddle.slice(i).map(text => ({ type: 'removed', text })));
+        result.push(...newMiddle.slice(j).map(text => ({ type: 'added', text })));
+    }
+
+    result.push(...oldLines.slice(oldEnd).map(text => ({ type: 'same', text })));
+    return result;
+}
+
+/**
+ * Gets a label for an itemized prompt in the message selectors.
+ * @param {object} prompt Itemized prompt
+ * @returns {string} Label
+ */
+function getPromptLabel(prompt) {
+    const message = chat[prompt.mesId];
+    const name = message?.name ? ` - ${message.name}` : '';
+    return `#${prompt.mesId}${name}`;
+}
+
+/**
+ * Renders the diff of all prompt sections between two itemized prompts.
+ * @param {JQuery<HTMLElement>} container Container to render into
+ * @param {object} oldPrompt Earlier itemized prompt
+ * @param {object} newPrompt Later itemized prompt
+ */
+function renderPromptDiff(container, oldPrompt, newPrompt) {
+    container.empty();
+
+    for (const section of PROMPT_SECTIONS) {
+        const oldText = String(section.getText(oldPrompt) ?? '');
+        const newText = String(section.getText(newPrompt) ?? '');
+
+        if (!oldText && !newText) {
+            continue;
+        }
+
+        const diff = oldText === newText ? [] : diffLines(oldText, newText);
+        const added = diff.filter(x => x.type === 'added').length;
+        const removed = diff.filter(x => x.type === 'removed').length;
+        const changed = oldText !== newText;
+
+        const details = $('<details class="prompt_diff_section"></details>').toggleClass('changed', changed);
+        const summary = $('<summary></summary>');
+        summary.append($('<span class="prompt_diff_section_name"></span>').text(section.name));
+
+        if (changed) {
+            summary.append(`<span class="prompt_diff_added">+${added}</span>`);
+            summary.append(`<span class="prompt_diff_removed">-${removed}</span>`);
+        } else {
+            summary.append('<span class="prompt_diff_unchanged" data-i18n="unchanged">unchanged</span>');
+        }
+
+        details.append(summary);
+
+        const body = $('<div class="prompt_diff_lines"></div>');
+        const lines = changed ? diff : diffLines(oldText, newText);
+        body.html(lines.map(x => `<div class="prompt_diff_line ${x.type}">${escapeHtml(x.text) || '&nbsp;'}</div>`).join(''));
+        details.append(body);
+        details.prop('open', changed && section.name !== 'Full Prompt');
+        container.append(details);
+    }
+
+    if (!container.children().length) {
+        container.append('<i data-i18n="Both prompts are empty.">Both prompts are empty.</i>');
+    }
+}
+
+/**
+ * Opens a popup comparing the itemized prompt of a message with another message.
+ * @param {object[]} itemizedPrompts Itemized prompts of the current chat
+ * @param {number} mesId Message ID to compare
+ */
+export async function openPromptDiffPopup(itemizedPrompts, mesId) {
+    const prompts = itemizedPrompts.slice().sort((a, b) => a.mesId - b.mesId);
+
+    if (prompts.length < 2) {
+        toastr.info('At least two messages with itemized prompts are needed to compare.');
+        return;
+    }
+
+    const newIndex = Math.max(0, prompts.findIndex(x => x.mesId === Number(mesId)));
+    const oldIndex = newIndex > 0 ? newIndex - 1 : 1;
+
+    const view = $(await renderTemplateAsync('promptDiff'));
+    const oldSelect = view.find('.prompt_diff_old');
+    const newSelect = view.find('.prompt_diff_new');
+
+    for (const [index, prompt] of prompts.entries()) {
+        const label = getPromptLabel(prompt);
+        oldSelect.append($('<option></option>').val(index).text(label));
+        newSelect.append($('<option></option>').val(index).text(label));
+    }
+
+    oldSelect.val(oldIndex);
+    newSelect.val(newIndex);
+
+    const update = () => renderPromptDiff(view.find('.prompt_diff_sections'), prompts[Number(oldSelect.val())], prompts[Number(newSelect.val())]);
+    oldSelect.on('change', update);
+    newSelect.on('change', update);
+    update();
+
+    const popup = new Popup(view, POPUP_TYPE.TEXT, '', { wide: true, large: true, okButton: 'Close', allowVerticalScrolling: true });
+    await popup.show();
+}
@@ -1,4 +1,7 @@
 import { callPopup, getRequestHeaders } from '../script.js';
+import { POPUP_RESULT, POPUP_TYPE, callGenericPopup } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { accountsEnabled, currentUser } from './user.js';
 
 export const SECRET_KEYS = {
     HORDE: 'api_key_horde',
@@ -106,6 +109,17 @@ async function viewSecrets() {
 
 export let secret_state = {};
 
+/**
+ * Encryption state of the secrets file.
+ * @type {{encrypted: boolean, locked: boolean, mode: string|null}}
+ */
+let encryption_state = { encrypted: false, locked: false, mode: null };
+
+/**
+ * Whether the user has already been asked to unlock the secrets.
+ */
+let unlockPromptShown = false;
+
 export async function writeSecret(key, value) {
     try {
         const response = await fetch('/api/secrets/write', {
@@ -137,6 +151,7 @@ export async function readSecretState() {
         if (response.ok) {
             secret_state = await response.json();
             updateSecretDisplay();
+            await checkSecretsEncryption();
             await checkOpenRouterAuth();
         }
     } catch {
@@ -144,6 +159,171 @@ export async function readSecretState() {
     }
 }
 
+/**
+ * Sends a request to one of the secrets encryption endpoints.
+ * @param {string} action Endpoint name
+ * @param {object} [body] Request body
+ * @returns {Promise<void>}
+ * @throws {Error} If the request failed
+ */
+async function sendEncryptionRequest(action, body = {}) {
+    const response = await fetch(`/api/secrets/${action}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || response.statusText);
+    }
+}
+
+/**
+ * Reads the encryption state of the secrets file.
+ * @returns {Promise<void>}
+ */
+async function readEncryptionState() {
+    const response = await fetch('/api/secrets/encryption', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+    });
+
+    if (response.ok) {
+        encryption_state = await response.json();
+    }
+}
+
+/**
+ * Reads the encryption state and offers to unlock the secrets if they are locked.
+ * The prompt is not awaited, so it doesn't hold up the loading of the app.
+ * @returns {Promise<void>}
+ */
+async function checkSecretsEncryption() {
+    await readEncryptionState();
+
+    if (!encryption_state.locked || unlockPromptShown) {
+        return;
+    }
+
+    unlockPromptShown = true;
+    promptSecretsUnlock();
+}
+
+/**
+ * Asks for the passphrase to unlock the secrets. They stay locked if the user skips it.
+ * @returns {Promise<void>}
+ */
+async function promptSecretsUnlock() {
+    const isPassword = encryption_state.mode === 'password';
+    const text = isPassword
+        ? 'Your API keys are encrypted with your account password. Enter it to unlock them.'
+        : 'Your API keys are encrypted. Enter the master passphrase to unlock them.';
+    const input = $('<input type="password" class="text_pole" autocomplete="off">');
+    const content = $('<div class="flex-container flexFlowColumn"></div>').append($('<div></div>').text(text), input);
+    const result = await callGenericPopup(content, POPUP_TYPE.CONFIRM, '', { okButton: 'Unlock', cancelButton: 'Later' });
+    const passphrase = String(input.val());
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE || !passphrase) {
+        toastr.warning('API keys stay locked until you unlock them in the API connections panel.', 'API keys locked');
+        return;
+    }
+
+    try {
+        await sendEncryptionRequest('unlock', { passphrase });
+        toastr.success('API keys unlocked');
+        await readSecretState();
+    } catch (error) {
+        toastr.error(error.message, 'Could not unlock API keys');
+    }
+}
+
+/**
+ * Opens the popup for managing the secrets encryption.
+ */
+async function manageSecretsEncryption() {
+    await readEncryptionState();
+    const template = $(await renderTemplateAsync('secretsEncryption'));
+    const canUsePassword = accountsEnabled && Boolean(currentUser?.password);
+    let popupResolved = false;
+
+    const render = () => {
+        const { encrypted, locked, mode } = encryption_state;
+        const status = !encrypted ? 'Not encrypted' : `Encrypted with ${mode === 'password' ? 'account password' : 'master passphrase'}${locked ? ', locked' : ', unlocked'}`;
+        const isPassword = template.find('#secrets_encryption_mode').val() === 'password';
+        template.find('.secretsEncryptionStatus').text(status);
+        template.find('.secretsEncryptionCurrentBlock').toggle(encrypted);
+        template.find('.secretsUnlockButton').toggle(encrypted && locked);
+        template.find('#secrets_encryption_mode option[value="password"]').prop('disabled', !canUsePassword);
+        template.find('.secretsEncryptionConfirmBlock').toggle(!isPassword);
+        template.find('.secretsEncryptionNewLabel').text(isPassword ? 'Account password:' : 'New passphrase:');
+        template.find('.secretsEncryptButtonText').text(encrypted ? 'Change Key' : 'Encrypt');
+        template.find('.secretsDecryptButton').toggle(encrypted);
+        template.find('.secretsLockButton').toggle(encrypted && !locked);
+    };
+
+    const run = async (/** @type {() => Promise<void>} */ action, /** @type {string} */ message) => {
+        try {
+            await action();
+            template.find('input').val('');
+            toastr.success(message);
+            await readSecretState();
+            await readEncryptionState();
+            !popupResolved && render();
+        } catch (error) {
+            toastr.error(error.message, 'API keys encryption');
+        }
+    };
+
+    template.find('#secrets_encryption_mode').val(encryption_state.mode === 'password' && canUsePassword ? 'password' : 'passphrase').on('change', render);
+    template.find('.secretsEncryptButton').on('click', () => {
+        const mode = String(template.find('#secrets_encryption_mode').val());
+        const passphrase = String(template.find('#secrets_encryption_new').val());
+        const confirm = String(template.find('#secrets_encryption_confirm').val());
+        const current_passphrase = String(template.find('#secrets_encryption_current').val());
+
+        if (!passphrase) {
+            toastr.warning('Enter the new passphrase first.');
+            return;
+        }
+
+        if (mode !== 'password' && passphrase !== confirm) {
+            toastr.warning('Passphrases do not match.');
+            return;
+        }
+
+        run(() => sendEncryptionRequest('encrypt', { mode, passphrase, current_passphrase }), 'API keys encrypted');
+    });
+    template.find('.secretsDecryptButton').on('click', async () => {
+        const passphrase = String(template.find('#secrets_encryption_current').val());
+
+        if (!passphrase) {
+            toastr.warning('Enter the current passphrase first.');
+            return;
+        }
+
+        const confirm = await callGenericPopup('Are you sure you want to store your API keys in plain text?', POPUP_TYPE.CONFIRM);
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            return;
+        }
+
+        run(() => sendEncryptionRequest('decrypt', { passphrase }), 'API keys encryption removed');
+    });
+    template.find('.secretsUnlockButton').on('click', () => {
+        const passphrase = String(template.find('#secrets_encryption_current').val());
+        run(() => sendEncryptionRequest('unlock', { passphrase }), 'API keys unlocked');
+    });
+    template.find('.secretsLockButton').on('click', () => {
+        unlockPromptShown = true;
+        run(() => sendEncryptionRequest('lock'), 'API keys locked');
+    });
+
+    render();
+    await callGenericPopup(template, POPUP_TYPE.TEXT, '', { okButton: 'Close', wide: false, large: false });
+    popupResolved = true;
+}
+
 /**
  * Finds a secret value by key.
  * @param {string} key Secret key
@@ -210,6 +390,7 @@ async function checkOpenRouterAuth() {
 
 jQuery(async () => {
     $('#viewSecrets').on('click', viewSecrets);
+    $('#secretsEncryption').on('click', manageSecretsEncryption);
     $(document).on('click', '.clear-api-key', clearSecret);
     $(document).on('input', Object.values(INPUT_MAP).join(','), function () {
         const id = $(this).attr('id');
@@ -0,0 +1,175 @@
+import { getRequestHeaders } from '../script.js';
+import { callGenericPopup, Popup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Server plugin as returned by the plugin manager endpoint.
+ * @typedef {Object} ServerPlugin
+ * @property {string} entry - Name of the file or directory in the plugins directory
+ * @property {string|null} id - Plugin ID, unknown if the plugin failed to load
+ * @property {string} name - Plugin name
+ * @property {string} description - Plugin description
+ * @property {string|null} version - Plugin version
+ * @property {boolean} loaded - Whether the plugin is running
+ * @property {boolean} enabled - Whether the plugin is enabled
+ * @property {string[]} routes - API routes registered by the plugin
+ * @property {string|null} error - Load error, if any
+ * @property {boolean} restartRequired - Whether the plugin was added after the server started
+ * @property {boolean} missingDependencies - Whether npm dependencies need to be installed
+ * @property {{remoteUrl: string, commit: string}|null} git - Git repository information
+ */
+
+/**
+ * Sends a request to the server plugin manager.
+ * @param {string} action Endpoint action
+ * @param {object} body Request body
+ * @returns {Promise<any>} Response data
+ */
+async function callPluginManager(action, body = {}) {
+    const response = await fetch(`/api/plugins/${action}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        const text = await response.text();
+        throw new Error(text || response.statusText);
+    }
+
+    return response.json();
+}
+
+/**
+ * Gets a short description of the plugin state.
+ * @param {ServerPlugin} plugin Server plugin
+ * @returns {string} Plugin state
+ */
+function getPluginState(plugin) {
+    if (plugin.error) {
+        return 'Failed to load';
+    }
+
+    if (plugin.restartRequired || (plugin.enabled && !plugin.loaded)) {
+        return 'Restart required';
+    }
+
+    return plugin.enabled ? 'Running' : 'Disabled';
+}
+
+/**
+ * Renders the list of server plugins.
+ * @param {JQuery<HTMLElement>} view Server plugins view
+ */
+async function renderPlugins(view) {
+    const list = view.find('.server_plugins_list');
+    const { enabled, plugins } = await callPluginManager('list');
+
+    view.find('.server_plugins_disabled_warning').toggle(!enabled);
+    list.empty();
+
+    if (!plugins.length) {
+        list.append('<i data-i18n="No server plugins installed.">No server plugins installed.</i>');
+        return;
+    }
+
+    for (const plugin of /** @type {ServerPlugin[]} */ (plugins)) {
+        const block = view.find('.server_plugin_template .server_plugin').clone();
+        block.find('.server_plugin_name').text(plugin.name);
+        block.find('.server_plugin_version').text(plugin.version ? `v${plugin.version}` : '');
+        block.find('.server_plugin_state').text(getPluginState(plugin));
+        block.find('.server_plugin_description').text(plugin.description).toggle(!!plugin.description);
+        block.find('.server_plugin_source').text(plugin.git ? `${plugin.git.remoteUrl} @ ${plugin.git.commit}` : plugin.entry);
+        block.find('.server_plugin_error').text(plugin.error ?? (plugin.missingDependencies ? `Dependencies are not installed. Run "npm install" in plugins/${plugin.entry}.` : '')).toggle(!!plugin.error || plugin.missingDependencies);
+        block.find('.server_plugin_routes').append(plugin.routes.map(x => $('<li></li>').append($('<code></code>').text(x))));
+        block.find('.server_plugin_routes_block').toggle(plugin.routes.length > 0);
+        block.find('.server_plugin_update').toggle(!!plugin.git);
+
+        block.find('.server_plugin_enabled')
+            .prop('checked', plugin.enabled)
+            .prop('disabled', !plugin.id)
+            .on('change', async function () {
+                try {
+                    const { restartRequired } = await callPluginManager('toggle', { id: plugin.id, enabled: $(this).is(':checked') });
+                    if (restartRequired) {
+                        toastr.info('Restart the server to load the plugin.');
+                    }
+                } catch (error) {
+                    toastr.error(error.message, 'Could not toggle the plugin');
+                }
+                await renderPlugins(view);
+            });
+
+        block.find('.server_plugin_update').on('click', async () => {
+            try {
+                toastr.info('Updating the plugin...');
+                const { isUpToDate, shortCommitHash } = await callPluginManager('update', { entry: plugin.entry });
+                toastr.success(isUpToDate ? 'Plugin is up to date.' : `Updated to ${shortCommitHash}. Restart the server to apply the update.`);
+            } catch (error) {
+                toastr.error(error.message, 'Could not update the plugin');
+            }
+            await renderPlugins(view);
+        });
+
+        block.find('.server_plugin_delete').on('click', async () => {
+            const confirm = await callGenericPopup(`Are you sure you want to remove the plugin "${escapeHtml(plugin.name)}"?`, POPUP_TYPE.CONFIRM);
+
+            if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+                return;
+            }
+
+            try {
+                const { restartRequired } = await callPluginManager('delete', { entry: plugin.entry });
+                toastr.success(restartRequired ? 'Plugin removed. Restart the server to unload it.' : 'Plugin removed.');
+            } catch (error) {
+                toastr.error(error.message, 'Could not remove the plugin');
+            }
+            await renderPlugins(view);
+        });
+
+        list.append(block);
+    }
+}
+
+/**
+ * Opens the server plugin manager.
+ */
+async function openServerPluginsPopup() {
+    const view = $(await renderTemplateAsync('serverPlugins'));
+
+    view.find('.server_plugins_install').on('click', async () => {
+        const url = String(view.find('.server_plugins_url').val()).trim();
+
+        if (!url) {
+            return;
+        }
+
+        try {
+            toastr.info('Installing the plugin...');
+            const { missingDependencies } = await callPluginManager('install', { url });
+            toastr.success(`Plugin installed. ${missingDependencies ? 'Install its dependencies with "npm install" and restart' : 'Restart'} the server to load it.`);
+            view.find('.server_plugins_url').val('');
+        } catch (error) {
+            toastr.error(error.message, 'Could not install the plugin');
+        }
+
+        await renderPlugins(view);
+    });
+
+    const popup = new Popup(view, POPUP_TYPE.TEXT, '', { wide: true, large: true, okButton: 'Close', allowVerticalScrolling: true });
+    const promise = popup.show();
+
+    try {
+        await renderPlugins(view);
+    } catch (error) {
+        console.error('Failed to load server plugins', error);
+        toastr.error(error.message, 'Could not load server plugins');
+    }
+
+    await promise;
+}
+
+export function initServerPlugins() {
+    $('#server_plugins_button').on('click', openServerPluginsPopup);
+}
@@ -1148,6 +1148,11 @@ SlashCommandParser.addCommandObject(SlashCommand.fromProps({
     name: 'model',
     callback: modelCallback,
     returns: 'current model',
+    namedArgumentList: [
+        new SlashCommandNamedArgument(
+            'quiet', 'suppress the toast messages', [ARGUMENT_TYPE.BOOLEAN], false, false, 'false', ['true', 'false'],
+        ),
+    ],
     unnamedArgumentList: [
         new SlashCommandArgument(
             'model name', [ARGUMENT_TYPE.STRING], false,
@@ -1493,6 +1498,7 @@ async function runCallback(args, name) {
             }
         });
         const result = await closure.execute();
+        if (result.controlFlow) closure.abortController?.resume();
         return result.pipe;
     }
 
@@ -2616,11 +2622,12 @@ function setBackgroundCallback(_, bg) {
 
 /**
  * Sets a model for the current API.
- * @param {object} _ Unused
+ * @param {object} args Named arguments
  * @param {string} model New model name
  * @returns {string} New or existing model name
  */
-function modelCallback(_, model) {
+function modelCallback(args, model) {
+    const quiet = isTrueBoolean(args?.quiet);
     const modelSelectMap = [
         { id: 'model_togetherai_select', api: 'textgenerationwebui', type: textgen_types.TOGETHERAI },
         { id: 'openrouter_model', api: 'textgenerationwebui', type: textgen_types.OPENROUTER },
@@ -2660,21 +2667,21 @@ function modelCallback(_, model) {
     const modelSelectItem = modelSelectMap.find(x => x.api == main_api && x.type == apiSubType)?.id;
 
     if (!modelSelectItem) {
-        toastr.info('Setting a model for your API is not supported or not implemented yet.');
+        !quiet && toastr.info('Setting a model for your API is not supported or not implemented yet.');
         return '';
     }
 
     const modelSelectControl = document.getElementById(modelSelectItem);
 
     if (!(modelSelectControl instanceof HTMLSelectElement)) {
-        toastr.error(`Model select control not found: ${main_api}[${apiSubType}]`);
+        !quiet && toastr.error(`Model select control not found: ${main_api}[${apiSubType}]`);
         return '';
     }
 
     const options = Array.from(modelSelectControl.options);
 
     if (!options.length) {
-        toastr.warning('No model options found. Check your API settings.');
+        !quiet && toastr.warning('No model options found. Check your API settings.');
         return '';
     }
 
@@ -2705,10 +2712,10 @@ function modelCallback(_, model) {
     if (newSelectedOption) {
         modelSelectControl.value = newSelectedOption.value;
         $(modelSelectControl).trigger('change');
-        toastr.success(`Model set to "${newSelectedOption.text}"`);
+        !quiet && toastr.success(`Model set to "${newSelectedOption.text}"`);
         return newSelectedOption.value;
     } else {
-        toastr.warning(`No model found with name "${model}"`);
+        !quiet && toastr.warning(`No model found with name "${model}"`);
         return '';
     }
 }
@@ -1,3 +1,11 @@
+/**@readonly*/
+/**@enum {string}*/
+export const CONTROL_FLOW = {
+    'BREAK': 'break',
+    'CONTINUE': 'continue',
+    'RETURN': 'return',
+};
+
 export class SlashCommandAbortController {
     /**@type {SlashCommandAbortSignal}*/ signal;
 
@@ -18,6 +26,22 @@ export class SlashCommandAbortController {
         this.signal.paused = false;
         this.signal.reason = reason;
     }
+    /**
+     * Stops the execution of the closures up to the nearest loop (break, continue) or called closure (return).
+     * @param {CONTROL_FLOW} type
+     */
+    interrupt(type) {
+        this.signal.controlFlow = type;
+    }
+    /**
+     * Resumes the execution after the interruption has reached its target.
+     * @returns {CONTROL_FLOW} The consumed interruption
+     */
+    resume() {
+        const type = this.signal.controlFlow;
+        this.signal.controlFlow = null;
+        return type;
+    }
 }
 
 export class SlashCommandAbortSignal {
@@ -25,4 +49,5 @@ export class SlashCommandAbortSignal {
     /**@type {boolean}*/ paused = false;
     /**@type {boolean}*/ aborted = false;
     /**@type {string}*/ reason = null;
+    /**@type {CONTROL_FLOW}*/ controlFlow = null;
 }
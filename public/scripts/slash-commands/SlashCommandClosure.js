@@ -156,6 +156,7 @@ export class SlashCommandClosure {
                 closure.scope.parent = this.scope;
                 closure.providedArgumentList = executor.providedArgumentList;
                 const result = await closure.execute();
+                if (result.controlFlow) closure.abortController?.resume();
                 this.scope.pipe = result.pipe;
             } else {
                 let args = {
@@ -268,5 +269,11 @@ export class SlashCommandClosure {
             result.abortReason = this.abortController.signal.reason.toString();
             return result;
         }
+        if (this.abortController?.signal?.controlFlow) {
+            const result = new SlashCommandClosureResult();
+            result.controlFlow = this.abortController.signal.controlFlow;
+            result.pipe = this.scope.pipe;
+            return result;
+        }
     }
 }
@@ -6,4 +6,5 @@ export class SlashCommandClosureResult {
     /**@type {string}*/ abortReason;
     /**@type {boolean}*/ isError = false;
     /**@type {string}*/ errorMessage;
+    /**@type {import('./SlashCommandAbortController.js').CONTROL_FLOW}*/ controlFlow = null;
 }
@@ -1,5 +1,5 @@
 import { power_user } from '../power-user.js';
-import { isTrueBoolean, uuidv4 } from '../utils.js';
+import { escapeHtml, isTrueBoolean, uuidv4 } from '../utils.js';
 import { SlashCommand } from './SlashCommand.js';
 import { ARGUMENT_TYPE, SlashCommandArgument } from './SlashCommandArgument.js';
 import { SlashCommandClosure } from './SlashCommandClosure.js';
@@ -17,6 +17,7 @@ import { SlashCommandAutoCompleteNameResult } from './SlashCommandAutoCompleteNa
 import { SlashCommandUnnamedArgumentAssignment } from './SlashCommandUnnamedArgumentAssignment.js';
 import { SlashCommandEnumValue } from './SlashCommandEnumValue.js';
 import { MacroAutoCompleteOption } from '../autocomplete/MacroAutoCompleteOption.js';
+import { getRegisteredMacros } from '../macros.js';
 
 /**@readonly*/
 /**@enum {Number}*/
@@ -87,6 +88,7 @@ export class SlashCommandParser {
     /**@type {SlashCommandAbortController}*/ abortController;
     /**@type {SlashCommandScope}*/ scope;
     /**@type {SlashCommandClosure}*/ closure;
+    /**@type {string[]}*/ closureVariableNames;
 
     /**@type {Object.<PARSER_FLAG,boolean>}*/ flags = {};
 
@@ -202,7 +204,7 @@ export class SlashCommandParser {
         };
         const ABORT = {
             scope: 'abort',
-            begin: /\/abort/,
+            begin: /\/(abort|break|continue)\b/,
             end: /\||$|:}/,
             contains: [],
         };
@@ -377,6 +379,15 @@ export class SlashCommandParser {
                     li.querySelector('tt').textContent,
                     (li.querySelector('tt').remove(),li.innerHTML),
                 ));
+                const listedNames = new Set(options.map(it=>it.name.replace(/[\s:]+$/, '').toLowerCase()));
+                for (const registered of getRegisteredMacros()) {
+                    if (listedNames.has(registered.name.toLowerCase())) continue;
+                    options.push(new MacroAutoCompleteOption(
+                        registered.args.length ? `${registered.name}::` : registered.name,
+                        `{{${[registered.name, ...registered.args].join('::')}}}`,
+                        escapeHtml(registered.description),
+                    ));
+                }
                 const result = new AutoCompleteNameResult(
                     macro.name,
                     macro.start + 2,
@@ -602,6 +613,11 @@ export class SlashCommandParser {
         closure.abortController = this.abortController;
         this.scope = closure.scope;
         this.closure = closure;
+        if (this.closureVariableNames) {
+            // variables provided by the command the closure is passed to (e.g., the error of /catch)
+            this.scope.variableNames.push(...this.closureVariableNames);
+            this.closureVariableNames = null;
+        }
         this.discardWhitespace();
         while (this.testNamedArgument()) {
             const arg = this.parseNamedArgument();
@@ -758,6 +774,10 @@ export class SlashCommandParser {
         this.discardWhitespace();
         cmd.startUnnamedArgs = this.index;
         cmd.endUnnamedArgs = this.index;
+        if (cmd.name == 'catch') {
+            const varArg = cmd.namedArgumentList.find(it=>it.name == 'var');
+            this.closureVariableNames = [varArg?.value?.toString() || 'error'];
+        }
         if (this.testUnnamedArgument()) {
             cmd.unnamedArgumentList = this.parseUnnamedArgument(cmd.command?.unnamedArgumentList?.length && cmd?.command?.splitUnnamedArgument);
             cmd.endUnnamedArgs = this.index;
@@ -770,6 +790,7 @@ export class SlashCommandParser {
                 }
             }
         }
+        this.closureVariableNames = null;
         if (this.testCommandEnd()) {
             cmd.end = this.index;
             return cmd;
@@ -78,6 +78,96 @@ class EventSourceStream {
     }
 }
 
+/**
+ * Default words per second targets of the adaptive smooth streaming, by main API.
+ * The displayed text never goes slower than the target or than the measured provider throughput.
+ */
+const SMOOTH_STREAMING_API_DEFAULTS = {
+    openai: 20,
+    novel: 15,
+    kobold: 10,
+    textgenerationwebui: 10,
+};
+
+/**
+ * Fallback words per second target for unknown APIs.
+ */
+const SMOOTH_STREAMING_DEFAULT_WPS = 15;
+
+/**
+ * Average number of characters in a word, including the following space.
+ */
+const CHARACTERS_PER_WORD = 6;
+
+/**
+ * Time window in milliseconds used to measure the provider throughput.
+ */
+const THROUGHPUT_WINDOW_MS = 2000;
+
+/**
+ * Minimum measurement time in milliseconds, so the first chunks don't report an inflated throughput.
+ */
+const THROUGHPUT_MIN_TIME_MS = 250;
+
+/**
+ * Maximum time in milliseconds the displayed text may lag behind the received text.
+ */
+const MAX_LAG_MS = 1500;
+
+/**
+ * Time in milliseconds to display the remaining text after the stream has ended.
+ */
+const FLUSH_TIME_MS = 500;
+
+/**
+ * Maximum delay in milliseconds between two characters.
+ */
+const MAX_CHARACTER_DELAY_MS = 100;
+
+/**
+ * Gets the words per second target of the adaptive smooth streaming.
+ * @param {string} [api] Main API of the stream
+ * @returns {number} Words per second
+ */
+export function getSmoothStreamingTarget(api) {
+    if (power_user.smooth_streaming_wps > 0) {
+        return power_user.smooth_streaming_wps;
+    }
+
+    return SMOOTH_STREAMING_API_DEFAULTS[api] ?? SMOOTH_STREAMING_DEFAULT_WPS;
+}
+
+/**
+ * Measures the rate at which characters are received from the provider.
+ */
+class ThroughputMeter {
+    constructor() {
+        /** @type {{time: number, count: number}[]} */
+        this.samples = [];
+        this.startTime = performance.now();
+    }
+
+    /**
+     * Records received characters.
+     * @param {number} count Number of characters
+     */
+    add(count) {
+        this.samples.push({ time: performance.now(), count });
+    }
+
+    /**
+     * Gets the throughput over the measurement window.
+     * @returns {number} Characters per millisecond
+     */
+    getRate() {
+        const now = performance.now();
+        const windowStart = Math.max(this.startTime, now - THROUGHPUT_WINDOW_MS);
+        this.samples = this.samples.filter(x => x.time >= windowStart);
+        const count = this.samples.reduce((sum, x) => sum + x.count, 0);
+        return count / Math.max(now - windowStart, THROUGHPUT_MIN_TIME_MS);
+    }
+}
+
 /**
  * Gets a delay based on the character.
  * @param {string} s The character.
@@ -281,7 +371,126 @@ export class SmoothEventSourceStream extends EventSourceStream {
     }
 }
 
-export function getEventSourceStream() {
+/**
+ * Smooth stream that paces the characters by the measured provider throughput instead of a fixed delay.
+ * Bursts are spread over time, fast providers are never slowed down and the text never lags far behind.
+ */
+export class AdaptiveSmoothEventSourceStream extends EventSourceStream {
+    /**
+     * @param {string} [api] Main API of the stream, used to pick the default speed
+     */
+    constructor(api) {
+        super();
+        const upstream = this.readable;
+        const meter = new ThroughputMeter();
+        const targetRate = getSmoothStreamingTarget(api) * CHARACTERS_PER_WORD / 1000;
+        /** @type {{event: MessageEvent, chunk: string}[]} */
+        const queue = [];
+        let isDone = false;
+        let isErrored = false;
+        let notify = () => { };
+
+        const waitForData = () => new Promise(resolve => notify = resolve);
+
+        /**
+         * Gets the delay before displaying the next character.
+         * @returns {number} Delay in milliseconds
+         */
+        const getDelay = () => {
+            const backlog = queue.filter(x => x.chunk).length;
+            let rate = Math.max(meter.getRate(), targetRate);
+            rate = Math.max(rate, backlog / (isDone ? FLUSH_TIME_MS : MAX_LAG_MS));
+            return rate > 0 ? Math.min(1 / rate, MAX_CHARACTER_DELAY_MS) : 0;
+        };
+
+        const reader = upstream.getReader();
+        let streamController = null;
+
+        const pump = async () => {
+            try {
+                while (true) {
+                    const { done, value: event } = await reader.read();
+
+                    if (done) {
+                        break;
+                    }
+
+                    try {
+                        const json = event.data === '[DONE]' ? null : JSON.parse(event.data);
+
+                        if (!json) {
+                            queue.push({ event, chunk: '' });
+                            continue;
+                        }
+
+                        let count = 0;
+                        for await (const parsed of parseStreamData(json)) {
+                            queue.push({ event: new MessageEvent(event.type, { data: JSON.stringify(parsed.data) }), chunk: parsed.chunk });
+                            count++;
+                        }
+                        meter.add(count);
+                    } catch (error) {
+                        console.debug('Smooth Streaming parsing error', error);
+                        queue.push({ event, chunk: '' });
+                    } finally {
+                        notify();
+                    }
+                }
+            } catch (error) {
+                isErrored = true;
+                streamController?.error(error);
+            } finally {
+                isDone = true;
+                notify();
+            }
+        };
+
+        this.readable = new ReadableStream({
+            start(controller) {
+                streamController = controller;
+                pump();
+            },
+            async pull(controller) {
+                while (!queue.length && !isDone) {
+                    await waitForData();
+                }
+
+                if (isErrored) {
+                    return;
+                }
+
+                if (!queue.length) {
+                    return controller.close();
+                }
+
+                const hasFocus = document.hasFocus();
+                const next = queue[0];
+
+                if (next.chunk && hasFocus) {
+                    await delay(getDelay());
+                }
+
+                queue.shift();
+                controller.enqueue(next.event);
+                next.chunk && hasFocus && await eventSource.emit(event_types.SMOOTH_STREAM_TOKEN_RECEIVED, next.chunk);
+            },
+            cancel(reason) {
+                return reader.cancel(reason);
+            },
+        });
+    }
+}
+
+/**
+ * Gets a stream that parses Server-Sent Events, smoothed if enabled in the settings.
+ * @param {string} [api] Main API of the stream, used to pick the default smooth streaming speed
+ * @returns {EventSourceStream} Event source stream
+ */
+export function getEventSourceStream(api) {
+    if (power_user.smooth_streaming && power_user.smooth_streaming_adaptive) {
+        return new AdaptiveSmoothEventSourceStream(api);
+    }
+
     if (power_user.smooth_streaming) {
         return new SmoothEventSourceStream();
     }
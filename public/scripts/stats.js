@@ -1,10 +1,22 @@
 // statsHelper.js
-import { getRequestHeaders, callPopup, characters, this_chid } from '../script.js';
+import { getRequestHeaders, callPopup, characters, this_chid, main_api, getGeneratingApi } from '../script.js';
 import { humanizeGenTime } from './RossAscends-mods.js';
 import { registerDebugFunction } from './power-user.js';
+import { groups, selected_group } from './group-chats.js';
+import { chat_completion_sources, model_list } from './openai.js';
+import { callGenericPopup, Popup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
+import { renderTemplateAsync } from './templates.js';
+import { getTokenCountAsync } from './tokenizers.js';
+import { download, escapeHtml } from './utils.js';
 
 let charStats = {};
 
+/**
+ * Last budget warning shown in this session, to avoid repeating it on every generation.
+ * @type {string}
+ */
+let lastBudgetWarning = '';
+
 /**
  * Creates an HTML stat block.
  *
@@ -320,12 +332,328 @@ async function statMesProcess(line, type, characters, this_chid, oldMesssage) {
     updateStats();
 }
 
+/**
+ * Gets the cost of a generation from the OpenRouter model pricing, if available.
+ * @param {string} model Model ID
+ * @param {number} promptTokens Number of prompt tokens
+ * @param {number} completionTokens Number of completion tokens
+ * @returns {number|undefined} Cost in USD, or undefined to let the server estimate it
+ */
+function getOpenRouterCost(model, promptTokens, completionTokens) {
+    const pricing = model_list.find(x => x.id === model)?.pricing;
+
+    if (!pricing) {
+        return undefined;
+    }
+
+    const cost = Number(pricing.prompt) * promptTokens + Number(pricing.completion) * completionTokens;
+    return isNaN(cost) ? undefined : cost;
+}
+
+/**
+ * Shows a warning if the monthly spend reached the budget threshold.
+ * @param {{monthly_limit: number, warning_threshold: number, spent: number, month: string}} budget Budget status
+ */
+function checkBudget(budget) {
+    if (!budget || !budget.monthly_limit) {
+        return;
+    }
+
+    const percent = (budget.spent / budget.monthly_limit) * 100;
+    const level = percent >= 100 ? 'exceeded' : percent >= budget.warning_threshold ? 'threshold' : '';
+    const key = `${budget.month}-${level}`;
+
+    if (!level || lastBudgetWarning === key) {
+        return;
+    }
+
+    lastBudgetWarning = key;
+    const message = `$${budget.spent.toFixed(2)} of $${budget.monthly_limit.toFixed(2)} spent this month (${Math.round(percent)}%).`;
+
+    if (level === 'exceeded') {
+        toastr.error(message, 'Monthly budget exceeded', { timeOut: 10000 });
+    } else {
+        toastr.warning(message, 'Monthly budget warning', { timeOut: 10000 });
+    }
+}
+
+/**
+ * Records the token usage of a generation in the ledger.
+ * Token counts reported by the API are preferred, otherwise they are counted with the current tokenizer.
+ *
+ * @param {object} params - Generation details.
+ * @param {string} params.type - Generation type.
+ * @param {string|object[]} params.prompt - Prompt sent to the API.
+ * @param {string} params.completion - Generated text.
+ * @param {string} params.model - Model used for the generation.
+ * @param {{prompt_tokens?: number, completion_tokens?: number}} [params.usage] - Usage reported by the API.
+ * @param {string} [params.api] - API used for the generation. Defaults to the main API.
+ */
+async function recordTokenUsage({ type, prompt, completion, model, usage, api = main_api }) {
+    try {
+        const hasUsage = Number.isFinite(usage?.prompt_tokens) && Number.isFinite(usage?.completion_tokens);
+        const promptText = Array.isArray(prompt) ? prompt.map(x => typeof x.content === 'string' ? x.content : JSON.stringify(x.content)).join('\n') : String(prompt ?? '');
+        const promptTokens = hasUsage ? usage.prompt_tokens : await getTokenCountAsync(promptText);
+        const completionTokens = hasUsage ? usage.completion_tokens : await getTokenCountAsync(String(completion ?? ''));
+        const source = getGeneratingApi();
+        const group = selected_group ? groups.find(x => x.id === selected_group) : null;
+
+        const response = await fetch('/api/stats/usage/record', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                api: api,
+                source: source,
+                model: model,
+                character: group ? group.id : characters[this_chid]?.avatar,
+                character_name: group ? group.name : characters[this_chid]?.name,
+                type: type,
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                estimated: !hasUsage,
+                cost: source === chat_completion_sources.OPENROUTER ? getOpenRouterCost(model, promptTokens, completionTokens) : undefined,
+            }),
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        checkBudget(data.budget);
+    } catch (error) {
+        console.error('Failed to record token usage', error);
+    }
+}
+
+/**
+ * Formats a cost in USD for display.
+ * @param {number} cost Cost in USD
+ * @returns {string} Formatted cost
+ */
+function formatCost(cost) {
+    return `$${Number(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Groups the ledger entries by a key and sums their tokens and costs.
+ * @param {object[]} entries Ledger entries
+ * @param {(entry: object) => string} getKey Function returning the group key of an entry
+ * @returns {Map<string, {count: number, prompt_tokens: number, completion_tokens: number, cost: number}>} Grouped totals
+ */
+function aggregateUsage(entries, getKey) {
+    const result = new Map();
+
+    for (const entry of entries) {
+        const key = getKey(entry);
+        const totals = result.get(key) ?? { count: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 };
+        totals.count++;
+        totals.prompt_tokens += verifyStatValue(entry.prompt_tokens);
+        totals.completion_tokens += verifyStatValue(entry.completion_tokens);
+        totals.cost += verifyStatValue(entry.cost);
+        result.set(key, totals);
+    }
+
+    return result;
+}
+
+/**
+ * Renders a table of aggregated usage, sorted by cost and then by tokens.
+ * @param {JQuery<HTMLElement>} table Table element
+ * @param {string} header Name of the first column
+ * @param {ReturnType<typeof aggregateUsage>} totals Aggregated usage
+ */
+function renderUsageTable(table, header, totals) {
+    const rows = [...totals.entries()]
+        .sort(([, a], [, b]) => (b.cost - a.cost) || ((b.prompt_tokens + b.completion_tokens) - (a.prompt_tokens + a.completion_tokens)))
+        .map(([key, x]) => `<tr><td>${escapeHtml(key)}</td><td>${x.count}</td><td>${x.prompt_tokens}</td><td>${x.completion_tokens}</td><td>${formatCost(x.cost)}</td></tr>`);
+
+    table.html(`<tr><th>${escapeHtml(header)}</th><th>Requests</th><th>Prompt</th><th>Completion</th><th>Cost</th></tr>${rows.join('')}`);
+}
+
+/**
+ * Renders the daily or weekly usage chart.
+ * @param {JQuery<HTMLElement>} chart Chart container
+ * @param {object[]} entries Ledger entries
+ * @param {'day'|'week'} period Chart period
+ * @param {'tokens'|'cost'} metric Chart metric
+ */
+function renderUsageChart(chart, entries, period, metric) {
+    chart.empty();
+
+    if (!entries.length) {
+        chart.append('<i>No usage recorded in this period.</i>');
+        return;
+    }
+
+    const buckets = aggregateUsage(entries, x => moment(x.timestamp).startOf(period === 'week' ? 'isoWeek' : 'day').format('YYYY-MM-DD'));
+    const first = moment(Math.min(...entries.map(x => x.timestamp))).startOf(period === 'week' ? 'isoWeek' : 'day');
+    const last = moment(Math.max(...entries.map(x => x.timestamp)));
+    const bars = [];
+
+    for (const date = first.clone(); date.isSameOrBefore(last); date.add(1, period)) {
+        const key = date.format('YYYY-MM-DD');
+        bars.push({ key, totals: buckets.get(key) ?? { count: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 } });
+    }
+
+    const getValue = (totals) => metric === 'cost' ? totals.cost : totals.prompt_tokens + totals.completion_tokens;
+    const max = Math.max(...bars.map(x => getValue(x.totals))) || 1;
+
+    for (const { key, totals } of bars) {
+        const total = getValue(totals);
+        const title = `${key}: ${totals.count} requests, ${totals.prompt_tokens} prompt + ${totals.completion_tokens} completion tokens, ${formatCost(totals.cost)}`;
+        const bar = $('<div class="token_usage_bar"></div>').attr('title', title);
+
+        if (metric === 'cost') {
+            bar.append($('<div class="prompt"></div>').css('height', `${(total / max) * 100}%`));
+        } else {
+            bar.append($('<div class="completion"></div>').css('height', `${(totals.completion_tokens / max) * 100}%`));
+            bar.append($('<div class="prompt"></div>').css('height', `${(totals.prompt_tokens / max) * 100}%`));
+        }
+
+        chart.append(bar);
+    }
+}
+
+/**
+ * Gets the start of the selected time range.
+ * @param {JQuery<HTMLElement>} view Token usage view
+ * @returns {number|undefined} Start timestamp, or undefined for all time
+ */
+function getUsageRangeStart(view) {
+    const days = Number(view.find('.token_usage_range').val());
+    return days > 0 ? moment().subtract(days, 'days').startOf('day').valueOf() : undefined;
+}
+
+/**
+ * Opens the token usage and cost ledger popup.
+ */
+async function tokenUsageHandler() {
+    const view = $(await renderTemplateAsync('tokenUsage'));
+    let entries = [];
+    let budget = null;
+
+    const renderBudget = () => {
+        const status = view.find('.token_usage_budget_status');
+        if (!budget?.monthly_limit) {
+            status.text(`${formatCost(budget?.spent)} spent this month. No budget set.`);
+            return;
+        }
+        status.text(`${formatCost(budget.spent)} of ${formatCost(budget.monthly_limit)} spent this month (${Math.round((budget.spent / budget.monthly_limit) * 100)}%).`);
+    };
+
+    const render = () => {
+        const period = /** @type {'day'|'week'} */ (String(view.find('.token_usage_period').val()));
+        const metric = /** @type {'tokens'|'cost'} */ (String(view.find('.token_usage_metric').val()));
+        const totals = aggregateUsage(entries, () => 'total').get('total') ?? { count: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 };
+        const estimatedCount = entries.filter(x => x.estimated).length;
+
+        view.find('.token_usage_summary').html([
+            createStatBlock('Requests', totals.count),
+            createStatBlock('Prompt Tokens', totals.prompt_tokens),
+            createStatBlock('Completion Tokens', totals.completion_tokens),
+            createStatBlock('Estimated Cost', formatCost(totals.cost)),
+            createStatBlock('Estimated Token Counts', `${estimatedCount} of ${totals.count}`),
+        ].join(''));
+
+        renderUsageChart(view.find('.token_usage_chart'), entries, period, metric);
+        renderUsageTable(view.find('.token_usage_models'), 'Model', aggregateUsage(entries, x => [x.source || x.api, x.model].filter(y => y).join(' / ') || 'Unknown'));
+        renderUsageTable(view.find('.token_usage_characters'), 'Character', aggregateUsage(entries, x => x.character_name || x.character || 'None'));
+        renderBudget();
+    };
+
+    const load = async () => {
+        const response = await fetch('/api/stats/usage/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ from: getUsageRangeStart(view) }),
+            cache: 'no-cache',
+        });
+
+        if (!response.ok) {
+            toastr.error('Token usage could not be loaded.');
+            return;
+        }
+
+        ({ entries, budget } = await response.json());
+        view.find('.token_usage_budget_limit').val(budget.monthly_limit);
+        view.find('.token_usage_budget_threshold').val(budget.warning_threshold);
+        render();
+    };
+
+    view.find('.token_usage_range').on('change', load);
+    view.find('.token_usage_period, .token_usage_metric').on('change', render);
+
+    view.find('.token_usage_budget_save').on('click', async () => {
+        const response = await fetch('/api/stats/usage/budget', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                monthly_limit: Number(view.find('.token_usage_budget_limit').val()),
+                warning_threshold: Number(view.find('.token_usage_budget_threshold').val()),
+            }),
+        });
+
+        if (!response.ok) {
+            toastr.error('Budget could not be saved.');
+            return;
+        }
+
+        budget = await response.json();
+        lastBudgetWarning = '';
+        renderBudget();
+        toastr.success('Budget saved.');
+    });
+
+    view.find('.token_usage_export').on('click', async () => {
+        const response = await fetch('/api/stats/usage/export', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ from: getUsageRangeStart(view) }),
+        });
+
+        if (!response.ok) {
+            toastr.error('Token usage could not be exported.');
+            return;
+        }
+
+        download(await response.text(), `token-usage-${moment().format('YYYY-MM-DD')}.csv`, 'text/csv');
+    });
+
+    view.find('.token_usage_clear').on('click', async () => {
+        const confirm = await callGenericPopup('Are you sure you want to delete the whole token usage history?', POPUP_TYPE.CONFIRM);
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            return;
+        }
+
+        const response = await fetch('/api/stats/usage/clear', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({}),
+        });
+
+        if (!response.ok) {
+            toastr.error('Token usage could not be cleared.');
+            return;
+        }
+
+        await load();
+    });
+
+    const popup = new Popup(view, POPUP_TYPE.TEXT, '', { wide: true, large: true, okButton: 'Close', allowVerticalScrolling: true });
+    const promise = popup.show();
+    await load();
+    await promise;
+}
+
 export function initStats() {
     $('.rm_stats_button').on('click', function () {
         characterStatsHandler(characters, this_chid);
     });
+    $('.token_usage_button').on('click', tokenUsageHandler);
     // Wait for debug functions to load, then add the refresh stats function
     registerDebugFunction('refreshStats', 'Refresh Stat File', 'Recreates the stats file based on existing chat files', recreateStats);
 }
 
-export { userStatsHandler, characterStatsHandler, getStats, statMesProcess, charStats };
+export { userStatsHandler, characterStatsHandler, getStats, statMesProcess, recordTokenUsage, tokenUsageHandler, charStats };
@@ -853,7 +853,7 @@ async function generateTextGenWithStreaming(generate_data, signal) {
         throw new Error(`Got response status ${response.status}`);
     }
 
-    const eventStream = getEventSourceStream();
+    const eventStream = getEventSourceStream('textgenerationwebui');
     response.body.pipeThrough(eventStream);
     const reader = eventStream.readable.getReader();
 
@@ -861,6 +861,7 @@ async function generateTextGenWithStreaming(generate_data, signal) {
         let text = '';
         /** @type {import('logprobs.js').TokenLogprobs | null} */
         let logprobs = null;
+        let usage;
         const swipes = [];
         while (true) {
             const { done, value } = await reader.read();
@@ -870,6 +871,7 @@ async function generateTextGenWithStreaming(generate_data, signal) {
             tryParseStreamingError(response, value.data);
 
             let data = JSON.parse(value.data);
+            usage = data?.usage ?? usage;
 
             if (data?.choices?.[0]?.index > 0) {
                 const swipeIndex = data.choices[0].index - 1;
@@ -880,7 +882,7 @@ async function generateTextGenWithStreaming(generate_data, signal) {
                 logprobs = parseTextgenLogprobs(newText, data.choices?.[0]?.logprobs || data?.completion_probabilities);
             }
 
-            yield { text, swipes, logprobs };
+            yield { text, swipes, logprobs, usage };
         }
     };
 }
@@ -55,6 +55,7 @@ async function getCurrentUser() {
 
         currentUser = await response.json();
         $('#admin_button').toggle(accountsEnabled && isAdmin());
+        $('#server_plugins_button').toggle(isAdmin());
     } catch (error) {
         console.error('Error getting current user:', error);
     }
@@ -267,6 +268,163 @@ async function backupUserData(handle, callback) {
     }
 }
 
+/**
+ * Sends a backup archive to the restore endpoint.
+ * @param {string} handle Handle of the user to restore
+ * @param {File} file Backup archive
+ * @param {object} options Restore options
+ * @param {'merge'|'replace'} [options.mode] Restore mode
+ * @param {boolean} [options.dryRun] Only get a preview of the changes
+ * @returns {Promise<{preview: BackupRestorePreview, backup: string|null}>} Restore result
+ * @typedef {import('../../src/users.js').BackupRestorePreview} BackupRestorePreview
+ */
+async function sendBackupArchive(handle, file, { mode = 'merge', dryRun = false } = {}) {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    formData.append('handle', handle);
+    formData.append('mode', mode);
+    formData.append('dry_run', String(dryRun));
+
+    try {
+        return await jQuery.ajax({
+            type: 'POST',
+            url: '/api/users/restore',
+            data: formData,
+            cache: false,
+            contentType: false,
+            processData: false,
+        });
+    } catch (error) {
+        throw new Error(error?.responseJSON?.error || error?.statusText || 'Unknown error');
+    }
+}
+
+/**
+ * Renders the restore preview into the popup.
+ * @param {JQuery<HTMLElement>} template Popup content
+ * @param {BackupRestorePreview} preview Restore preview
+ */
+function renderRestorePreview(template, preview) {
+    const categoryNames = {
+        characters: 'Characters',
+        chats: 'Chats',
+        worlds: 'World Info',
+        presets: 'Presets',
+        other: 'Other files',
+    };
+    const changeTypes = [
+        { key: 'added', sign: '+', title: 'new' },
+        { key: 'overwritten', sign: '~', title: 'overwritten' },
+        { key: 'removed', sign: '-', title: 'removed' },
+    ];
+
+    const container = template.find('.restoreBackupPreview').empty();
+
+    for (const [category, name] of Object.entries(categoryNames)) {
+        const changes = preview.categories[category];
+
+        if (!changes) {
+            continue;
+        }
+
+        const details = $('<details class="restoreBackupCategory"></details>');
+        const summary = $('<summary></summary>').text(`${name}: `);
+        const list = $('<div class="restoreBackupFiles"></div>');
+
+        for (const { key, sign, title } of changeTypes) {
+            const files = changes[key];
+            summary.append($(`<span class="restoreBackup_${key}"></span>`).text(`${sign}${files.length} ${title} `));
+            files.forEach(file => list.append($(`<div class="restoreBackup_${key}"></div>`).text(`${sign} ${file}`)));
+        }
+
+        details.append(summary, list);
+        container.append(details);
+    }
+
+    template.find('.restoreBackupSkipped').toggle(preview.skipped.length > 0);
+    template.find('.restoreBackupSkippedCount').text(preview.skipped.length).attr('title', preview.skipped.join('\n'));
+}
+
+/**
+ * Restore a user's data from a backup archive.
+ * Shows a preview of the changes and lets the user choose the restore mode.
+ * @param {string} handle Handle of the user to restore
+ * @param {File} file Backup archive
+ * @param {function} callback Success callback
+ * @returns {Promise<void>}
+ */
+async function restoreUserData(handle, file, callback) {
+    try {
+        toastr.info('Please wait while the backup is being analyzed.', 'Restore Requested');
+        const { preview } = await sendBackupArchive(handle, file, { dryRun: true });
+
+        const template = $(await renderTemplateAsync('restoreBackup'));
+        template.find('.restoreBackupFileName').text(file.name);
+        renderRestorePreview(template, preview);
+
+        let mode = 'merge';
+        const toggleRemoved = () => template.find('.restoreBackup_removed').toggle(mode === 'replace');
+        template.find('input[name="restoreBackupMode"]').on('input', function () {
+            mode = String($(this).val());
+            toggleRemoved();
+        });
+        toggleRemoved();
+
+        const result = await callGenericPopup(template, POPUP_TYPE.CONFIRM, '', { okButton: 'Restore', cancelButton: 'Cancel', wide: true, large: false, allowVerticalScrolling: true });
+
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Restore backup cancelled');
+        }
+
+        const { backup } = await sendBackupArchive(handle, file, { mode: mode === 'replace' ? 'replace' : 'merge' });
+        toastr.success(`Your previous data was saved as ${backup}.`, 'Backup Restored');
+        callback();
+    } catch (error) {
+        if (!String(error?.message).endsWith('cancelled')) {
+            toastr.error(error.message, 'Failed to restore backup');
+        }
+        console.error('Error restoring user data:', error);
+    }
+}
+
+/**
+ * Undo the last backup restore of a user.
+ * @param {string} handle Handle of the user
+ * @param {function} callback Success callback
+ * @returns {Promise<void>}
+ */
+async function undoRestoreUserData(handle, callback) {
+    try {
+        const confirm = await callGenericPopup(
+            'Are you sure you want to bring back the data as it was before the last backup restore? All changes made since then will be lost.',
+            POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: 'Undo', cancelButton: 'Cancel', wide: false, large: false },
+        );
+
+        if (confirm !== POPUP_RESULT.AFFIRMATIVE) {
+            throw new Error('Undo restore cancelled');
+        }
+
+        const response = await fetch('/api/users/restore-undo', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ handle }),
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toastr.error(data.error || 'Unknown error', 'Failed to undo restore');
+            throw new Error('Failed to undo restore');
+        }
+
+        toastr.success('Your data was brought back to the state before the last restore.', 'Restore Undone');
+        callback();
+    } catch (error) {
+        console.error('Error undoing restore:', error);
+    }
+}
+
 /**
  * Shows a popup to change a user's password.
  * @param {string} handle User handle
@@ -681,6 +839,21 @@ async function openUserProfile() {
             $(this).removeClass('disabled');
         });
     });
+    template.find('.userRestoreButton').on('click', () => template.find('.backupUpload').trigger('click'));
+    template.find('.backupUpload').on('change', async function () {
+        if (!(this instanceof HTMLInputElement)) {
+            return;
+        }
+
+        const file = this.files[0];
+        if (!file) {
+            return;
+        }
+
+        await restoreUserData(currentUser.handle, file, () => location.reload());
+        this.value = '';
+    });
+    template.find('.userRestoreUndoButton').on('click', () => undoRestoreUserData(currentUser.handle, () => location.reload()));
     template.find('.userResetSettingsButton').on('click', () => resetSettings(currentUser.handle, () => location.reload()));
     template.find('.userResetAllButton').on('click', () => resetEverything(() => location.reload()));
     template.find('.userAvatarChange').on('click', () => template.find('.avatarUpload').trigger('click'));
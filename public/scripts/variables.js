@@ -1,8 +1,9 @@
-import { chat_metadata, getCurrentChatId, saveSettingsDebounced, sendSystemMessage, system_message_types } from '../script.js';
+import { chat_metadata, getCurrentChatId, saveSettingsDebounced, sendSystemMessage, substituteParams, system_message_types } from '../script.js';
 import { extension_settings, saveMetadataDebounced } from './extensions.js';
+import { registerMacro } from './macros.js';
 import { executeSlashCommands, executeSlashCommandsWithOptions } from './slash-commands.js';
 import { SlashCommand } from './slash-commands/SlashCommand.js';
-import { SlashCommandAbortController } from './slash-commands/SlashCommandAbortController.js';
+import { CONTROL_FLOW, SlashCommandAbortController } from './slash-commands/SlashCommandAbortController.js';
 import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from './slash-commands/SlashCommandArgument.js';
 import { SlashCommandClosure } from './slash-commands/SlashCommandClosure.js';
 import { SlashCommandClosureResult } from './slash-commands/SlashCommandClosureResult.js';
@@ -13,6 +14,12 @@ import { isFalseBoolean } from './utils.js';
 
 const MAX_LOOPS = 100;
 
+/**
+ * Error messages caught by /try, waiting for /catch in the same scope.
+ * @type {WeakMap<SlashCommandScope, string>}
+ */
+const caughtErrors = new WeakMap();
+
 function getLocalVariable(name, args = {}) {
     if (!chat_metadata.variables) {
         chat_metadata.variables = {};
@@ -216,85 +223,39 @@ export function resolveVariable(name, scope = null) {
     return name;
 }
 
-export function replaceVariableMacros(input) {
-    const lines = input.split('\n');
-
-    for (let i = 0; i < lines.length; i++) {
-        let line = lines[i];
-
-        // Skip lines without macros
-        if (!line || !line.includes('{{')) {
-            continue;
-        }
-
-        // Replace {{getvar::name}} with the value of the variable name
-        line = line.replace(/{{getvar::([^}]+)}}/gi, (_, name) => {
-            name = name.trim();
-            return getLocalVariable(name);
-        });
-
-        // Replace {{setvar::name::value}} with empty string and set the variable name to value
-        line = line.replace(/{{setvar::([^:]+)::([^}]+)}}/gi, (_, name, value) => {
-            name = name.trim();
-            setLocalVariable(name, value);
-            return '';
-        });
-
-        // Replace {{addvar::name::value}} with empty string and add value to the variable value
-        line = line.replace(/{{addvar::([^:]+)::([^}]+)}}/gi, (_, name, value) => {
-            name = name.trim();
-            addLocalVariable(name, value);
-            return '';
-        });
-
-        // Replace {{incvar::name}} with empty string and increment the variable name by 1
-        line = line.replace(/{{incvar::([^}]+)}}/gi, (_, name) => {
-            name = name.trim();
-            return incrementLocalVariable(name);
-        });
-
-        // Replace {{decvar::name}} with empty string and decrement the variable name by 1
-        line = line.replace(/{{decvar::([^}]+)}}/gi, (_, name) => {
-            name = name.trim();
-            return decrementLocalVariable(name);
-        });
-
-        // Replace {{getglobalvar::name}} with the value of the global variable name
-        line = line.replace(/{{getglobalvar::([^}]+)}}/gi, (_, name) => {
-            name = name.trim();
-            return getGlobalVariable(name);
-        });
-
-        // Replace {{setglobalvar::name::value}} with empty string and set the global variable name to value
-        line = line.replace(/{{setglobalvar::([^:]+)::([^}]+)}}/gi, (_, name, value) => {
-            name = name.trim();
-            setGlobalVariable(name, value);
-            return '';
-        });
-
-        // Replace {{addglobalvar::name::value}} with empty string and add value to the global variable value
-        line = line.replace(/{{addglobalvar::([^:]+)::([^}]+)}}/gi, (_, name, value) => {
-            name = name.trim();
-            addGlobalVariable(name, value);
-            return '';
-        });
-
-        // Replace {{incglobalvar::name}} with empty string and increment the global variable name by 1
-        line = line.replace(/{{incglobalvar::([^}]+)}}/gi, (_, name) => {
-            name = name.trim();
-            return incrementGlobalVariable(name);
-        });
-
-        // Replace {{decglobalvar::name}} with empty string and decrement the global variable name by 1
-        line = line.replace(/{{decglobalvar::([^}]+)}}/gi, (_, name) => {
-            name = name.trim();
-            return decrementGlobalVariable(name);
-        });
-
-        lines[i] = line;
-    }
-
-    return lines.join('\n');
+/**
+ * Registers the macros for getting and modifying chat variables.
+ */
+export function registerVariableMacros() {
+    const getName = (args) => args.join('::').trim();
+    const getNameAndValue = ([name, ...value]) => [String(name ?? '').trim(), value.join('::')];
+
+    registerMacro('getvar', (args) => getLocalVariable(getName(args)), { args: ['name'], description: 'Replaced with the value of the local variable "name".', expandResult: true });
+    registerMacro('setvar', (args) => {
+        const [name, value] = getNameAndValue(args);
+        setLocalVariable(name, value);
+        return '';
+    }, { args: ['name', 'value'], description: 'Replaced with empty string, sets the local variable "name" to "value".' });
+    registerMacro('addvar', (args) => {
+        const [name, value] = getNameAndValue(args);
+        addLocalVariable(name, value);
+        return '';
+    }, { args: ['name', 'increment'], description: 'Replaced with empty string, adds "increment" to the local variable "name".' });
+    registerMacro('incvar', (args) => incrementLocalVariable(getName(args)), { args: ['name'], description: 'Replaced with the result of the increment of the local variable "name" by 1.' });
+    registerMacro('decvar', (args) => decrementLocalVariable(getName(args)), { args: ['name'], description: 'Replaced with the result of the decrement of the local variable "name" by 1.' });
+    registerMacro('getglobalvar', (args) => getGlobalVariable(getName(args)), { args: ['name'], description: 'Replaced with the value of the global variable "name".', expandResult: true });
+    registerMacro('setglobalvar', (args) => {
+        const [name, value] = getNameAndValue(args);
+        setGlobalVariable(name, value);
+        return '';
+    }, { args: ['name', 'value'], description: 'Replaced with empty string, sets the global variable "name" to "value".' });
+    registerMacro('addglobalvar', (args) => {
+        const [name, value] = getNameAndValue(args);
+        addGlobalVariable(name, value);
+        return '';
+    }, { args: ['name', 'increment'], description: 'Replaced with empty string, adds "increment" to the global variable "name".' });
+    registerMacro('incglobalvar', (args) => incrementGlobalVariable(getName(args)), { args: ['name'], description: 'Replaced with the result of the increment of the global variable "name" by 1.' });
+    registerMacro('decglobalvar', (args) => decrementGlobalVariable(getName(args)), { args: ['name'], description: 'Replaced with the result of the decrement of the global variable "name" by 1.' });
 }
 
 function listVariablesCallback() {
@@ -345,7 +306,8 @@ async function whileCallback(args, value) {
             } else {
                 commandResult = await executeSubCommands(command, args._scope, args._parserFlags, args._abortController);
             }
-            if (commandResult.isAborted) break;
+            const abortController = command instanceof SlashCommandClosure ? command.abortController : args._abortController;
+            if (isLoopInterrupted(commandResult, abortController)) break;
         } else {
             break;
         }
@@ -390,12 +352,110 @@ async function timesCallback(args, value) {
         else {
             result = await executeSubCommands(command.replace(/\{\{timesIndex\}\}/g, i.toString()), args._scope, args._parserFlags, args._abortController);
         }
-        if (result.isAborted) break;
+        const abortController = command instanceof SlashCommandClosure ? command.abortController : args._abortController;
+        if (isLoopInterrupted(result, abortController)) break;
     }
 
     return result?.pipe ?? '';
 }
 
+/**
+ * Handles /break, /continue and /return that interrupted a loop iteration.
+ * @param {SlashCommandClosureResult} result Result of the loop iteration
+ * @param {SlashCommandAbortController} abortController Controller used to execute the loop iteration
+ * @returns {boolean} True if the loop has to stop
+ */
+function isLoopInterrupted(result, abortController) {
+    switch (result.controlFlow) {
+        case CONTROL_FLOW.BREAK:
+            abortController?.resume();
+            return true;
+        case CONTROL_FLOW.CONTINUE:
+            abortController?.resume();
+            return false;
+        case CONTROL_FLOW.RETURN:
+            // leave it to the closure that has been called
+            return true;
+    }
+
+    return result.isAborted;
+}
+
+/**
+ *
+ * @param {import('./slash-commands/SlashCommand.js').NamedArguments} args
+ * @param {(string|SlashCommandClosure)[]} value
+ */
+async function tryCallback(args, value) {
+    /**@type {SlashCommandScope} */
+    const scope = args._scope;
+    const command = getSubCommand(value);
+
+    const abortController = command instanceof SlashCommandClosure ? command.abortController : args._abortController;
+
+    try {
+        /**@type {SlashCommandClosureResult}*/
+        const result = command instanceof SlashCommandClosure
+            ? await command.execute()
+            : await executeSubCommands(command, scope, args._parserFlags, args._abortController);
+        // an aborted script is not an error, leave it to the closure that has been aborted
+        if (!result.isAborted) {
+            caughtErrors.delete(scope);
+        }
+        return result.pipe;
+    } catch (error) {
+        if (abortController?.signal?.aborted) {
+            throw error;
+        }
+        caughtErrors.set(scope, error.message);
+        return '';
+    }
+}
+
+/**
+ *
+ * @param {import('./slash-commands/SlashCommand.js').NamedArguments} args
+ * @param {(string|SlashCommandClosure)[]} value
+ */
+async function catchCallback(args, value) {
+    /**@type {SlashCommandScope} */
+    const scope = args._scope;
+
+    if (!caughtErrors.has(scope)) {
+        return scope.pipe ?? '';
+    }
+
+    const error = caughtErrors.get(scope);
+    caughtErrors.delete(scope);
+    const name = String(args.var || 'error');
+    const command = getSubCommand(value);
+
+    if (command instanceof SlashCommandClosure) {
+        if (command.scope.existsVariableInScope(name)) {
+            command.scope.setVariable(name, error);
+        } else {
+            command.scope.letVariable(name, error);
+        }
+        return (await command.execute()).pipe;
+    }
+
+    const catchScope = new SlashCommandScope(scope);
+    catchScope.letVariable(name, error);
+    return (await executeSubCommands(command, catchScope, args._parserFlags, args._abortController)).pipe;
+}
+
+/**
+ * Gets the command to execute from the unnamed arguments of a control flow command.
+ * @param {string|SlashCommandClosure|(string|SlashCommandClosure)[]} value Unnamed arguments
+ * @returns {string|SlashCommandClosure} Closure or subcommand text
+ */
+function getSubCommand(value) {
+    if (!Array.isArray(value)) {
+        return value instanceof SlashCommandClosure ? value : String(value ?? '');
+    }
+    return value[0] instanceof SlashCommandClosure ? value[0] : value.join(' ');
+}
+
 /**
  *
  * @param {import('./slash-commands/SlashCommand.js').NamedArguments} args
@@ -566,6 +626,99 @@ function evalBoolean(rule, a, b) {
     return result;
 }
 
+/**
+ * Replaces the macros of a condition expression with placeholders, so that their contents can't be mistaken for operators.
+ * @param {string} expression Condition expression
+ * @returns {{ masked: string, unmask: (text: string) => string }} Masked expression and a function restoring the macros of a part of it
+ */
+function maskConditionMacros(expression) {
+    const macros = [];
+    let masked = '';
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < expression.length; i++) {
+        if (expression.startsWith('{{', i)) {
+            if (depth++ === 0) {
+                start = i;
+            }
+            i++;
+        } else if (depth > 0 && expression.startsWith('}}', i)) {
+            i++;
+            if (--depth === 0) {
+                masked += `\u0000${macros.length}\u0000`;
+                macros.push(expression.slice(start, i + 1));
+            }
+        } else if (depth === 0) {
+            masked += expression[i];
+        }
+    }
+
+    // Unterminated macros are kept as plain text
+    if (depth > 0) {
+        masked += expression.slice(start);
+    }
+
+    return { masked, unmask: (text) => text.replace(/\u0000(\d+)\u0000/g, (_, index) => macros[Number(index)]) };
+}
+
+/**
+ * Converts a substituted condition operand to the operand type of /if.
+ * @param {string} value Operand value
+ * @returns {string|number} Number for numeric values, string otherwise
+ */
+function getConditionOperand(value) {
+    return value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * Evaluates a single comparison of a condition expression, e.g. "5 gte 3" or "not true".
+ * @param {string} expression Comparison with masked macros
+ * @param {(operand: string) => string} resolveOperand Function substituting the macros of an operand
+ * @returns {boolean} Comparison result
+ */
+function evaluateComparison(expression, resolveOperand) {
+    expression = expression.trim();
+
+    const negation = expression.match(/^not\s+(.*)$/is);
+    if (negation) {
+        return !evaluateComparison(negation[1], resolveOperand);
+    }
+
+    // Pad with spaces to allow empty operands, e.g. an unset variable
+    const comparison = ` ${expression} `.match(/^(.*?)\s+(eq|neq|lt|gt|lte|gte|in|nin)\s+(.*)$/is);
+    if (!comparison) {
+        const value = resolveOperand(expression);
+        return !!value && !isFalseBoolean(value) && !['null', 'undefined'].includes(value.toLowerCase());
+    }
+
+    const [, left, rule, right] = comparison;
+    return evalBoolean(rule.toLowerCase(), getConditionOperand(resolveOperand(left)), getConditionOperand(resolveOperand(right)));
+}
+
+/**
+ * Evaluates a condition expression using the comparison rules of /if.
+ * Comparisons may be prefixed with "not" and combined with "&&" and "||" ("&&" binds tighter).
+ * The expression is parsed before the macros are substituted, so the substituted values can't change its logic.
+ * An empty condition is always true.
+ * @param {string} expression Condition expression, e.g. "{{getvar::mood}} eq angry && {{lastMessageId}} gte 10"
+ * @param {(text: string) => string} [substitute] Function substituting the macros of each operand
+ * @returns {boolean} Condition result
+ * @throws {Error} If a comparison rule is not supported for its operands, like in /if
+ */
+export function evaluateCondition(expression, substitute = substituteParams) {
+    expression = String(expression ?? '').trim();
+
+    if (!expression) {
+        return true;
+    }
+
+    const { masked, unmask } = maskConditionMacros(expression);
+    const resolveOperand = (/** @type {string} */ operand) => String(substitute(unmask(operand.trim())) ?? '').trim();
+
+    return masked.split('||').some(alternative => alternative.split('&&').every(comparison => evaluateComparison(comparison, resolveOperand)));
+}
+
 /**
  * Executes a slash command from a string (may be enclosed in quotes) and returns the result.
  * @param {string} command Command to execute. May contain escaped macro and batch separators.
@@ -1271,6 +1424,133 @@ export function registerVariableCommands() {
             </div>
         `,
     }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'try',
+        callback: tryCallback,
+        returns: 'result of the executed command, or an empty string if it failed',
+        namedArgumentList: [],
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'command to execute', [ARGUMENT_TYPE.CLOSURE, ARGUMENT_TYPE.SUBCOMMAND], true,
+            ),
+        ],
+        splitUnnamedArgument: true,
+        helpString: `
+            <div>
+                Executes the command and stops any errors it throws from ending the script.
+                The error can be handled with <code>/catch</code> in the same closure.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/try {: /run MyQuickReply :} | /catch {: /echo Failed: {{var::error}} :}</code></pre>
+                        shows the error message if the Quick Reply fails.
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'catch',
+        callback: catchCallback,
+        returns: 'result of the executed command, or the pipe if there was no error',
+        namedArgumentList: [
+            new SlashCommandNamedArgument(
+                'var', 'name of the scoped variable with the error message', [ARGUMENT_TYPE.VARIABLE_NAME], false, false, 'error',
+            ),
+        ],
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'command to execute on error', [ARGUMENT_TYPE.CLOSURE, ARGUMENT_TYPE.SUBCOMMAND], true,
+            ),
+        ],
+        splitUnnamedArgument: true,
+        helpString: `
+            <div>
+                Executes the command if the last <code>/try</code> in the same closure failed.
+                The error message is available in the scoped variable <code>error</code>, or the one named with <code>var</code>.
+                Otherwise the pipe is passed through.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/try {: /getat index=5 [1, 2] :} | /catch var=reason {: /echo {{var::reason}} :}</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'break',
+        callback: ({ _abortController }, value) => {
+            _abortController.interrupt(CONTROL_FLOW.BREAK);
+            return value ?? '';
+        },
+        returns: 'the pipe',
+        helpString: `
+            <div>
+                Stops the loop (<code>/while</code>, <code>/times</code>) it is used in. Outside of a loop, stops the called closure.
+                The pipe is passed on as the result of the loop.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/times 10 {: /if left={{timesIndex}} right=3 rule=eq {: /break :} | /echo {{timesIndex}} :}</code></pre>
+                        echos the numbers 0 through 2.
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'continue',
+        callback: ({ _abortController }, value) => {
+            _abortController.interrupt(CONTROL_FLOW.CONTINUE);
+            return value ?? '';
+        },
+        returns: 'the pipe',
+        helpString: `
+            <div>
+                Skips the rest of the current iteration of the loop (<code>/while</code>, <code>/times</code>) it is used in.
+                Outside of a loop, stops the called closure.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/times 5 {: /if left={{timesIndex}} right=2 rule=eq {: /continue :} | /echo {{timesIndex}} :}</code></pre>
+                        echos the numbers 0 through 4, except 2.
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'return',
+        callback: ({ _abortController }, value) => {
+            _abortController.interrupt(CONTROL_FLOW.RETURN);
+            return value ?? '';
+        },
+        returns: 'the provided value',
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'value to return', [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.BOOLEAN, ARGUMENT_TYPE.LIST, ARGUMENT_TYPE.DICTIONARY, ARGUMENT_TYPE.CLOSURE], false,
+            ),
+        ],
+        helpString: `
+            <div>
+                Stops the closure called with <code>/run</code> or <code>/:</code> and returns the value (or the pipe) as its result.
+                Used outside of a called closure, stops the script.
+            </div>
+            <div>
+                <strong>Examples:</strong>
+                <ul>
+                    <li>
+                        <pre><code class="language-stscript">/let sign {: n=0 /if left={{var::n}} right=0 rule=lt {: /return negative :} | /return positive :} | /:sign n=-5 | /echo</code></pre>
+                        echos "negative".
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'flushvar',
         callback: (_, value) => deleteLocalVariable(value),
         namedArgumentList: [],
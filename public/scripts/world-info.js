@@ -1,6 +1,6 @@
 import { saveSettings, callPopup, substituteParams, getRequestHeaders, chat_metadata, this_chid, characters, saveCharacterDebounced, menu_type, eventSource, event_types, getExtensionPromptByName, saveMetadata, getCurrentChatId, extension_prompt_roles } from '../script.js';
 import { download, debounce, initScrollHeight, resetScrollHeight, parseJsonFile, extractDataFromPng, getFileBuffer, getCharaFilename, getSortableDelay, escapeRegex, PAGINATION_TEMPLATE, navigation_option, waitUntilCondition, isTrueBoolean, setValueByPath, flashHighlight, select2ModifyOptions, getSelect2OptionId, dynamicSelect2DataViaAjax, highlightRegex, select2ChoiceClickSubscribe, isFalseBoolean, equalsIgnoreCaseAndAccents, getSanitizedFilename, checkOverwriteExistingData } from './utils.js';
-import { extension_settings, getContext } from './extensions.js';
+import { extension_settings, getContext, saveMetadataDebounced } from './extensions.js';
 import { NOTE_MODULE_NAME, metadata_keys, shouldWIAddPrompt } from './authors-note.js';
 import { isMobile } from './RossAscends-mods.js';
 import { FILTER_TYPES, FilterHelper } from './filters.js';
@@ -8,6 +8,7 @@ import { getTokenCountAsync } from './tokenizers.js';
 import { power_user } from './power-user.js';
 import { getTagKeyForEntity } from './tags.js';
 import { resolveVariable } from './variables.js';
+import { registerMacro } from './macros.js';
 import { debounce_timeout } from './constants.js';
 import { getRegexedString, regex_placement } from './extensions/regex/engine.js';
 import { SlashCommandParser } from './slash-commands/SlashCommandParser.js';
@@ -64,6 +65,8 @@ let world_info_match_whole_words = false;
 let world_info_use_group_scoring = false;
 let world_info_character_strategy = world_info_insertion_strategy.character_first;
 let world_info_budget_cap = 0;
+/** Entries activated by the most recent world info scan, including dry runs. */
+let lastActivatedEntries = [];
 const saveWorldDebounced = debounce(async (name, data) => await _save(name, data), debounce_timeout.relaxed);
 const saveSettingsDebounced = debounce(() => {
     Object.assign(world_info, { globalSelect: selected_world_info });
@@ -76,6 +79,7 @@ let updateEditor = (navigation, flashOnNav = true) => { console.debug('Triggered
 const worldInfoFilter = new FilterHelper(() => updateEditor());
 const SORT_ORDER_KEY = 'world_info_sort_order';
 const METADATA_KEY = 'world_info';
+const TIMERS_METADATA_KEY = 'world_info_timers';
 
 const DEFAULT_DEPTH = 4;
 const DEFAULT_WEIGHT = 100;
@@ -322,6 +326,147 @@ class WorldInfoBuffer {
     }
 }
 
+/**
+ * Tracks the timed effects (sticky, cooldown, delay) of World Info entries in the chat metadata.
+ * Time is measured in chat messages preceding the generated one, so swipes and regenerations see the same state.
+ */
+class WorldInfoTimedEffects {
+    /**
+     * @typedef {object} WITimer Timer of the entry triggered at some point of the chat
+     * @property {number} start Chat length when the entry was triggered
+     * @property {number} stickyEnd Last chat length when the entry stays active
+     * @property {number} cooldownEnd Last chat length when the entry cannot be triggered
+     */
+
+    /**
+     * @type {number} Number of messages preceding the generated one
+     */
+    #chatLength;
+
+    /**
+     * @type {boolean} If true, the timers are not updated
+     */
+    #isDryRun;
+
+    /**
+     * Initialize the timed effects for the current chat.
+     * @param {number} chatLength Number of messages preceding the generated one
+     * @param {boolean} isDryRun If true, the timers are not updated
+     */
+    constructor(chatLength, isDryRun) {
+        this.#chatLength = chatLength;
+        this.#isDryRun = isDryRun;
+    }
+
+    /**
+     * Gets the timers of the current chat.
+     * @returns {Object.<string, WITimer>} Timers keyed by the entry
+     */
+    static getTimers() {
+        if (!chat_metadata[TIMERS_METADATA_KEY]) {
+            chat_metadata[TIMERS_METADATA_KEY] = {};
+        }
+
+        return chat_metadata[TIMERS_METADATA_KEY];
+    }
+
+    /**
+     * Gets the key of the entry timer.
+     * @param {string} world World name
+     * @param {number|string} uid Entry UID
+     * @returns {string} Timer key
+     */
+    static getKey(world, uid) {
+        return `${world}.${uid}`;
+    }
+
+    /**
+     * Gets the timer of the entry.
+     * @param {object} entry World Info entry
+     * @returns {WITimer|undefined} Timer, if the entry has one
+     */
+    #getTimer(entry) {
+        return WorldInfoTimedEffects.getTimers()[WorldInfoTimedEffects.getKey(entry.world, entry.uid)];
+    }
+
+    /**
+     * Checks if the entry cannot be triggered yet because the chat is too short.
+     * @param {object} entry World Info entry
+     * @returns {boolean} True if delayed
+     */
+    isDelayed(entry) {
+        return Number(entry.delay) > 0 && this.#chatLength < Number(entry.delay);
+    }
+
+    /**
+     * Checks if the entry stays active after being triggered earlier.
+     * @param {object} entry World Info entry
+     * @returns {boolean} True if sticky
+     */
+    isSticky(entry) {
+        const timer = this.#getTimer(entry);
+        return !!timer && timer.start < this.#chatLength && this.#chatLength <= timer.stickyEnd;
+    }
+
+    /**
+     * Checks if the entry cannot be triggered again yet.
+     * @param {object} entry World Info entry
+     * @returns {boolean} True if on cooldown
+     */
+    isOnCooldown(entry) {
+        const timer = this.#getTimer(entry);
+        return !!timer && timer.stickyEnd < this.#chatLength && this.#chatLength <= timer.cooldownEnd;
+    }
+
+    /**
+     * Starts the timers of the entries triggered by this generation and drops the outdated ones.
+     * @param {any[]} activatedEntries All activated entries
+     * @param {Set<any>} stickyEntries Entries that were activated because they are sticky
+     */
+    commit(activatedEntries, stickyEntries) {
+        if (this.#isDryRun) {
+            return;
+        }
+
+        const timers = WorldInfoTimedEffects.getTimers();
+        const triggeredEntries = activatedEntries.filter(x => !stickyEntries.has(x));
+        const triggeredKeys = new Set(triggeredEntries.map(x => WorldInfoTimedEffects.getKey(x.world, x.uid)));
+        let changed = false;
+
+        for (const [key, timer] of Object.entries(timers)) {
+            // Messages were deleted, the timer has expired, or the entry didn't trigger again on a swipe
+            const isOutdated = timer.start > this.#chatLength || timer.cooldownEnd < this.#chatLength;
+            const isStale = timer.start === this.#chatLength && !triggeredKeys.has(key);
+
+            if (isOutdated || isStale) {
+                delete timers[key];
+                changed = true;
+            }
+        }
+
+        for (const entry of triggeredEntries) {
+            const sticky = Math.max(0, Number(entry.sticky) || 0);
+            const cooldown = Math.max(0, Number(entry.cooldown) || 0);
+
+            if (!sticky && !cooldown) {
+                continue;
+            }
+
+            const stickyEnd = this.#chatLength + sticky;
+            timers[WorldInfoTimedEffects.getKey(entry.world, entry.uid)] = {
+                start: this.#chatLength,
+                stickyEnd: stickyEnd,
+                cooldownEnd: stickyEnd + cooldown,
+            };
+            changed = true;
+        }
+
+        if (changed) {
+            saveMetadataDebounced();
+        }
+    }
+}
+
 export function getWorldInfoSettings() {
     return {
         world_info,
@@ -367,7 +512,8 @@ const worldInfoCache = {};
 async function getWorldInfoPrompt(chat, maxContext, isDryRun) {
     let worldInfoString = '', worldInfoBefore = '', worldInfoAfter = '';
 
-    const activatedWorldInfo = await checkWorldInfo(chat, maxContext);
+    const activatedWorldInfo = await checkWorldInfo(chat, maxContext, isDryRun);
+    lastActivatedEntries = Array.from(activatedWorldInfo.allActivatedEntries ?? []);
     worldInfoBefore = activatedWorldInfo.worldInfoBefore;
     worldInfoAfter = activatedWorldInfo.worldInfoAfter;
     worldInfoString = worldInfoBefore + worldInfoAfter;
@@ -485,6 +631,11 @@ function setWorldInfoSettings(settings, data) {
 
     // Add slash commands
     registerWorldInfoSlashCommands();
+
+    registerMacro('wiActivated', (args) => {
+        const name = args.join('::').trim().toLowerCase();
+        return String(lastActivatedEntries.some(entry => String(entry.uid) === name || String(entry.comment ?? '').trim().toLowerCase() === name));
+    }, { args: ['title or UID'], description: 'Returns true if a world info entry with the given title (memo) or UID was activated by the last scan, false otherwise.' });
 }
 
 function registerWorldInfoSlashCommands() {
@@ -698,6 +849,80 @@ function registerWorldInfoSlashCommands() {
         return '';
     }
 
+    function getChatLength() {
+        return getContext().chat.filter(x => !x.is_system).length;
+    }
+
+    async function getEntryTimerCallback(args, uid) {
+        const file = resolveVariable(args.file);
+        const effect = args.effect || 'sticky';
+        uid = String(uid ?? '').trim();
+
+        if (!file || !world_names.includes(file)) {
+            toastr.warning('Valid World Info file name is required');
+            return '';
+        }
+
+        const chatLength = getChatLength();
+
+        if (effect === 'delay') {
+            const data = await loadWorldInfoData(file);
+            const entry = data?.entries?.[uid];
+
+            if (!entry) {
+                toastr.warning('Valid UID is required');
+                return '';
+            }
+
+            return String(Math.max(0, Number(entry.delay || 0) - chatLength));
+        }
+
+        const timer = WorldInfoTimedEffects.getTimers()[WorldInfoTimedEffects.getKey(file, uid)];
+
+        if (!timer || timer.start >= chatLength) {
+            return '0';
+        }
+
+        switch (effect) {
+            case 'sticky':
+                return String(Math.max(0, timer.stickyEnd - chatLength + 1));
+            case 'cooldown':
+                return String(timer.stickyEnd < chatLength ? Math.max(0, timer.cooldownEnd - chatLength + 1) : 0);
+            default:
+                toastr.warning('Valid effect is required: sticky, cooldown or delay');
+                return '';
+        }
+    }
+
+    async function resetEntryTimerCallback(args, uid) {
+        const file = resolveVariable(args.file);
+        uid = String(uid ?? '').trim();
+
+        if (!getCurrentChatId()) {
+            toastr.warning('Open a chat to reset the World Info timers');
+            return '';
+        }
+
+        if (uid && !file) {
+            toastr.warning('Valid World Info file name is required');
+            return '';
+        }
+
+        const timers = WorldInfoTimedEffects.getTimers();
+
+        for (const key of Object.keys(timers)) {
+            const matchesFile = !file || key.startsWith(`${file}.`);
+            const matchesUid = !uid || key === WorldInfoTimedEffects.getKey(file, uid);
+
+            if (matchesFile && matchesUid) {
+                delete timers[key];
+            }
+        }
+
+        saveMetadataDebounced();
+        return '';
+    }
+
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'world',
         callback: onWorldInfoChange,
         namedArgumentList: [
@@ -852,7 +1077,64 @@ function registerWorldInfoSlashCommands() {
             </div>
         `,
     }));
-
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'getentrytimer',
+        returns: 'number of messages left',
+        callback: getEntryTimerCallback,
+        namedArgumentList: [
+            new SlashCommandNamedArgument(
+                'file', 'bookName', ARGUMENT_TYPE.STRING, true,
+            ),
+            new SlashCommandNamedArgument(
+                'effect', 'timed effect', ARGUMENT_TYPE.STRING, false, false, 'sticky', ['sticky', 'cooldown', 'delay'],
+            ),
+        ],
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'UID', ARGUMENT_TYPE.STRING, true,
+            ),
+        ],
+        helpString: `
+            <div>
+                Get the number of messages left until the timed effect (sticky, cooldown or delay) of the record from the specified book ends, and pass it down the pipe.
+                Returns 0 if the effect is not active.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <ul>
+                    <li>
+                        <pre><code>/getentrytimer file=chatLore effect=cooldown 123</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({ name: 'resetentrytimer',
+        callback: resetEntryTimerCallback,
+        namedArgumentList: [
+            new SlashCommandNamedArgument(
+                'file', 'bookName', ARGUMENT_TYPE.STRING, false,
+            ),
+        ],
+        unnamedArgumentList: [
+            new SlashCommandArgument(
+                'UID', ARGUMENT_TYPE.STRING, false,
+            ),
+        ],
+        helpString: `
+            <div>
+                Reset the sticky and cooldown timers of the record from the specified book in the current chat.
+                Without a UID, resets the timers of all records from the book. Without a book, resets all timers of the chat.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <ul>
+                    <li>
+                        <pre><code>/resetentrytimer file=chatLore 123</code></pre>
+                    </li>
+                </ul>
+            </div>
+        `,
+    }));
 }
 
 // World Info Editor
@@ -1316,6 +1598,9 @@ const originalDataKeyMap = {
     'vectorized': 'extensions.vectorized',
     'groupOverride': 'extensions.group_override',
     'groupWeight': 'extensions.group_weight',
+    'sticky': 'extensions.sticky',
+    'cooldown': 'extensions.cooldown',
+    'delay': 'extensions.delay',
 };
 
 /** Checks the state of the current search, and adds/removes the search sorting option accordingly */
@@ -1929,6 +2214,21 @@ function getWorldEntry(name, data, entry) {
     });
     groupWeightInput.val(entry.groupWeight ?? DEFAULT_WEIGHT).trigger('input');
 
+    // timed effects
+    for (const field of ['sticky', 'cooldown', 'delay']) {
+        const timedEffectInput = template.find(`input[name="${field}"]`);
+        timedEffectInput.data('uid', entry.uid);
+        timedEffectInput.on('input', function () {
+            const uid = $(this).data('uid');
+            const value = Number($(this).val());
+
+            data.entries[uid][field] = !isNaN(value) && value > 0 ? Math.floor(value) : 0;
+            setOriginalDataValue(data, uid, originalDataKeyMap[field], data.entries[uid][field]);
+            saveWorldInfo(name, data);
+        });
+        timedEffectInput.val(entry[field] > 0 ? entry[field] : '').trigger('input');
+    }
+
     // probability
     if (entry.probability === undefined) {
         entry.probability = null;
@@ -2470,6 +2770,9 @@ const newEntryTemplate = {
     useGroupScoring: null,
     automationId: '',
     role: 0,
+    sticky: 0,
+    cooldown: 0,
+    delay: 0,
 };
 
 function createWorldInfoEntry(_name, data) {
@@ -2771,12 +3074,14 @@ export async function getSortedEntries() {
  * Performs a scan on the chat and returns the world info activated.
  * @param {string[]} chat The chat messages to scan.
  * @param {number} maxContext The maximum context size of the generation.
+ * @param {boolean} [isDryRun=false] If true, the timers of the timed effects are not updated.
  * @typedef {{ worldInfoBefore: string, worldInfoAfter: string, EMEntries: any[], WIDepthEntries: any[], allActivatedEntries: Set<any> }} WIActivated
  * @returns {Promise<WIActivated>} The world info activated.
  */
-async function checkWorldInfo(chat, maxContext) {
+async function checkWorldInfo(chat, maxContext, isDryRun = false) {
     const context = getContext();
     const buffer = new WorldInfoBuffer(chat);
+    const timedEffects = new WorldInfoTimedEffects(chat.length, isDryRun);
 
     // Combine the chat
 
@@ -2796,6 +3101,7 @@ async function checkWorldInfo(chat, maxContext) {
     let count = 0;
     let allActivatedEntries = new Set();
     let failedProbabilityChecks = new Set();
+    let stickyEntries = new Set();
     let allActivatedText = '';
 
     let budget = Math.round(world_info_budget * maxContext / 100) || 1;
@@ -2857,6 +3163,23 @@ async function checkWorldInfo(chat, maxContext) {
                 continue;
             }
 
+            if (timedEffects.isDelayed(entry)) {
+                console.debug(`WI entry ${entry.uid} is delayed until the chat has ${entry.delay} messages`);
+                continue;
+            }
+
+            if (timedEffects.isSticky(entry)) {
+                console.debug(`WI entry ${entry.uid} is sticky, keeping it active`);
+                stickyEntries.add(entry);
+                activatedNow.add(entry);
+                continue;
+            }
+
+            if (timedEffects.isOnCooldown(entry)) {
+                console.debug(`WI entry ${entry.uid} is on cooldown, skipping`);
+                continue;
+            }
+
             if (entry.constant || buffer.isExternallyActivated(entry)) {
                 activatedNow.add(entry);
                 continue;
@@ -2944,7 +3267,7 @@ async function checkWorldInfo(chat, maxContext) {
         for (const entry of newEntries) {
             const rollValue = Math.random() * 100;
 
-            if (entry.useProbability && rollValue > entry.probability) {
+            if (entry.useProbability && !stickyEntries.has(entry) && rollValue > entry.probability) {
                 console.debug(`WI entry ${entry.uid} ${entry.key} failed probability check, skipping`);
                 failedProbabilityChecks.add(entry);
                 continue;
@@ -3006,6 +3329,8 @@ async function checkWorldInfo(chat, maxContext) {
         }
     }
 
+    timedEffects.commit([...allActivatedEntries], stickyEntries);
+
     // Forward-sorted list of entries for joining
     const WIBeforeEntries = [];
     const WIAfterEntries = [];
@@ -3365,6 +3690,9 @@ function convertCharacterBook(characterBook) {
             automationId: entry.extensions?.automation_id ?? '',
             role: entry.extensions?.role ?? extension_prompt_roles.SYSTEM,
             vectorized: entry.extensions?.vectorized ?? false,
+            sticky: entry.extensions?.sticky ?? 0,
+            cooldown: entry.extensions?.cooldown ?? 0,
+            delay: entry.extensions?.delay ?? 0,
         };
     });
 
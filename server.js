@@ -499,6 +499,9 @@ app.use("/api/novelai", require("./src/endpoints/novelai").router);
 // Third-party extensions
 app.use("/api/extensions", require("./src/endpoints/extensions").router);
 
+// Server plugin management. Must be registered before the plugin routes under the same path
+app.use("/api/plugins", require("./src/endpoints/plugins").router);
+
 // Asset management
 app.use("/api/assets", require("./src/endpoints/assets").router);
 
@@ -5,7 +5,8 @@ const Readable = require('stream').Readable;
 const { jsonParser } = require('../../express-common');
 const { CHAT_COMPLETION_SOURCES, GEMINI_SAFETY, BISON_SAFETY, OPENROUTER_HEADERS } = require('../../constants');
 const { forwardFetchResponse, getConfigValue, tryParse, uuidv4, mergeObjectWithYaml, excludeKeysByYaml, color } = require('../../util');
-const { convertClaudeMessages, convertGooglePrompt, convertTextCompletionPrompt, convertCohereMessages, convertMistralMessages, convertCohereTools } = require('../../prompt-converters');
+const { generationHooksMiddleware } = require('../../generation-hooks');
+const { convertClaudeMessages, convertClaudeToolMessages, convertGooglePrompt, convertTextCompletionPrompt, convertCohereMessages, convertMistralMessages, convertCohereTools } = require('../../prompt-converters');
 
 const { readSecret, SECRET_KEYS } = require('../secrets');
 const { getTokenizerModel, getSentencepiceTokenizer, getTiktokenTokenizer, sentencepieceTokenizers, TEXT_COMPLETION_MODELS } = require('../tokenizers');
@@ -117,7 +118,7 @@ async function sendClaudeRequest(request, response) {
         });
         const additionalHeaders = {};
         let use_system_prompt = (request.body.model.startsWith('claude-2') || request.body.model.startsWith('claude-3')) && request.body.claude_use_sysprompt;
-        let converted_prompt = convertClaudeMessages(request.body.messages, request.body.assistant_prefill, use_system_prompt, request.body.human_sysprompt_message, request.body.char_name, request.body.user_name);
+        let converted_prompt = convertClaudeMessages(convertClaudeToolMessages(request.body.messages), request.body.assistant_prefill, use_system_prompt, request.body.human_sysprompt_message, request.body.char_name, request.body.user_name);
         // Add custom stop sequences
         const stopSequences = ['\n\nHuman:', '\n\nSystem:', '\n\nAssistant:'];
         if (Array.isArray(request.body.stop)) {
@@ -174,11 +175,19 @@ async function sendClaudeRequest(request, response) {
             }
 
             const generateResponseJson = await generateResponse.json();
-            const responseText = generateResponseJson.content[0].text;
+            const responseText = generateResponseJson.content.filter(x => x.type === 'text').map(x => x.text).join('');
             console.log('Claude response:', generateResponseJson);
 
             // Wrap it back to OAI format + save the original content
             const reply = { choices: [{ 'message': { 'content': responseText } }], content: generateResponseJson.content };
+
+            if (generateResponseJson.usage) {
+                reply.usage = {
+                    prompt_tokens: generateResponseJson.usage.input_tokens,
+                    completion_tokens: generateResponseJson.usage.output_tokens,
+                };
+            }
+
             return response.send(reply);
         }
     } catch (error) {
@@ -599,6 +608,10 @@ async function sendCohereRequest(request, response) {
             search_queries_only: false,
         };
 
+        if (convertedHistory.toolResults.length > 0) {
+            requestBody.tool_results = convertedHistory.toolResults;
+        }
+
         console.log('Cohere request:', requestBody);
 
         const config = {
@@ -817,7 +830,7 @@ router.post('/bias', jsonParser, async function (request, response) {
 });
 
 
-router.post('/generate', jsonParser, function (request, response) {
+router.post('/generate', jsonParser, generationHooksMiddleware('chat-completions'), function (request, response) {
     if (!request.body) return response.status(400).send({ error: true });
 
     switch (request.body.chat_completion_source) {
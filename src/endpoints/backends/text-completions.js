@@ -6,6 +6,7 @@ const Readable = require('stream').Readable;
 const { jsonParser } = require('../../express-common');
 const { TEXTGEN_TYPES, TOGETHERAI_KEYS, OLLAMA_KEYS, INFERMATICAI_KEYS, OPENROUTER_KEYS, VLLM_KEYS, DREAMGEN_KEYS } = require('../../constants');
 const { forwardFetchResponse, trimV1 } = require('../../util');
+const { generationHooksMiddleware } = require('../../generation-hooks');
 const { setAdditionalHeaders } = require('../../additional-headers');
 
 const router = express.Router();
@@ -206,7 +207,7 @@ router.post('/status', jsonParser, async function (request, response) {
     }
 });
 
-router.post('/generate', jsonParser, async function (request, response) {
+router.post('/generate', jsonParser, generationHooksMiddleware('text-completions'), async function (request, response) {
     if (!request.body) return response.sendStatus(400);
 
     try {
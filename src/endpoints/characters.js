@@ -8,12 +8,13 @@ const writeFileAtomicSync = require('write-file-atomic').sync;
 const yaml = require('yaml');
 const _ = require('lodash');
 const mime = require('mime-types');
+const archiver = require('archiver');
 
 const jimp = require('jimp');
 
 const { UPLOADS_PATH, AVATAR_WIDTH, AVATAR_HEIGHT } = require('../constants');
 const { jsonParser, urlencodedParser } = require('../express-common');
-const { deepMerge, humanizedISO8601DateTime, tryParse, extractFileFromZipBuffer } = require('../util');
+const { deepMerge, humanizedISO8601DateTime, tryParse, extractAllFilesFromZipBuffer, clientRelativePath } = require('../util');
 const { TavernCardValidator } = require('../validator/TavernCardValidator');
 const characterCardParser = require('../character-card-parser.js');
 const { readWorldInfoFile } = require('./worldinfo');
@@ -21,6 +22,28 @@ const { invalidateThumbnail } = require('./thumbnails');
 const { importRisuSprites } = require('./sprites');
 const defaultAvatarPath = './public/img/ai4.png';
 
+/**
+ * Custom CharX asset type for the character-scoped Data Bank files.
+ */
+const CHARX_DATABANK_ASSET_TYPE = 'x-sillytavern-databank';
+
+/**
+ * Image formats that can be used as a character avatar.
+ */
+const CHARX_AVATAR_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'bmp'];
+
+/**
+ * File signatures of the image formats that can be restored from CharX assets.
+ * Sprites and backgrounds are served from the same origin, so only these formats are written.
+ */
+const CHARX_IMAGE_SIGNATURES = [
+    { ext: 'png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { ext: 'jpg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { ext: 'gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { ext: 'bmp', offset: 0, bytes: [0x42, 0x4D] },
+    { ext: 'webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+];
+
 // KV-store for parsed character data
 const characterDataCache = new Map();
 
@@ -128,7 +151,8 @@ const calculateChatSize = (charDir) => {
     let dateLastChat = 0;
 
     if (fs.existsSync(charDir)) {
-        const chats = fs.readdirSync(charDir);
+        // Only chat files, not the itemized prompts stored next to them
+        const chats = fs.readdirSync(charDir).filter(x => path.extname(x) === '.jsonl');
         if (Array.isArray(chats) && chats.length) {
             for (const chat of chats) {
                 const chatStat = fs.statSync(path.join(charDir, chat));
@@ -445,6 +469,10 @@ function convertWorldInfoToCharacterBook(name, entries) {
                 automation_id: entry.automationId ?? '',
                 role: entry.role ?? 0,
                 vectorized: entry.vectorized ?? false,
+                // 0 means unset, the same default as the import in convertCharacterBook
+                sticky: entry.sticky ?? 0,
+                cooldown: entry.cooldown ?? 0,
+                delay: entry.delay ?? 0,
             },
         };
 
@@ -486,18 +514,141 @@ async function importFromYaml(uploadPath, context) {
     return result ? fileName : '';
 }
 
+/**
+ * Gets the path of an embedded CharX asset inside the archive.
+ * @param {string} uri Asset URI
+ * @returns {string|null} Path inside the archive or null if the asset is not embedded
+ */
+function getCharXAssetPath(uri) {
+    const match = String(uri ?? '').match(/^(?:embeded|embedded):\/\/(.+)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Writes an asset file unless a file with the same name already exists.
+ * @param {string} directory Target directory
+ * @param {string} fileName Asset file name
+ * @param {Buffer} buffer Asset content
+ * @returns {string} Path to the asset file
+ */
+function writeCharXAssetFile(directory, fileName, buffer) {
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    const pathToFile = path.join(directory, fileName);
+
+    if (fs.existsSync(pathToFile)) {
+        console.log(`CharX: Asset ${fileName} already exists. Skipping.`);
+        return pathToFile;
+    }
+
+    writeFileAtomicSync(pathToFile, buffer);
+    return pathToFile;
+}
+
+/**
+ * Detects the image format of a CharX asset from its contents.
+ * @param {Buffer} buffer Asset file contents
+ * @returns {string|null} File extension of the image format, or null if it is not a supported image
+ */
+function getCharXImageExtension(buffer) {
+    const signature = CHARX_IMAGE_SIGNATURES.find(({ offset, bytes }) => buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte));
+    return signature?.ext ?? null;
+}
+
+/**
+ * Restores the embedded assets of a CharX card into the user directories.
+ * Restored assets are removed from the card, the rest are kept as is.
+ * @param {Map<string, Buffer>} files Files of the CharX archive
+ * @param {object} card Character card
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @returns {{ avatar: Buffer|null, attachments: object[] }} Avatar image and restored Data Bank attachments
+ */
+function importCharXAssets(files, card, directories) {
+    const result = { avatar: null, attachments: [] };
+
+    if (!Array.isArray(card?.data?.assets)) {
+        return result;
+    }
+
+    const spritesPath = path.join(directories.characters, card.name);
+    const remainingAssets = [];
+
+    for (const asset of card.data.assets) {
+        const archivePath = getCharXAssetPath(asset?.uri);
+        const buffer = archivePath ? files.get(archivePath) : undefined;
+
+        if (!buffer) {
+            remainingAssets.push(asset);
+            continue;
+        }
+
+        // The declared extension is untrusted, images are restored with the format detected from their contents
+        const ext = getCharXImageExtension(buffer);
+        const name = sanitize(String(asset.name || path.parse(archivePath).name));
+
+        switch (asset.type) {
+            case 'icon': {
+                if (!CHARX_AVATAR_EXTENSIONS.includes(ext) || (result.avatar && asset.name !== 'main')) {
+                    remainingAssets.push(asset);
+                    continue;
+                }
+                result.avatar = buffer;
+            } break;
+            case 'emotion':
+            case 'x-risu-asset': {
+                if (!ext || !name) {
+                    remainingAssets.push(asset);
+                    continue;
+                }
+                writeCharXAssetFile(spritesPath, `${name}.${ext}`, buffer);
+            } break;
+            case 'background': {
+                if (!ext || !name) {
+                    remainingAssets.push(asset);
+                    continue;
+                }
+                writeCharXAssetFile(directories.backgrounds, `${name}.${ext}`, buffer);
+            } break;
+            case CHARX_DATABANK_ASSET_TYPE: {
+                const fileName = `${Date.now()}_${sanitize(path.basename(archivePath))}`;
+                const pathToFile = writeCharXAssetFile(directories.files, fileName, buffer);
+                result.attachments.push({
+                    url: clientRelativePath(directories.root, pathToFile),
+                    size: buffer.length,
+                    name: String(asset.name || fileName),
+                    created: Date.now(),
+                });
+            } break;
+            default: {
+                remainingAssets.push(asset);
+                continue;
+            }
+        }
+
+        console.log(`CharX: Restored ${asset.type} asset ${archivePath}`);
+    }
+
+    card.data.assets = remainingAssets;
+    return result;
+}
+
 /**
  * Imports a character card from CharX (ZIP) file.
+ * Embedded avatar, sprites, backgrounds and Data Bank files are restored into the user directories.
  * @param {string} uploadPath
  * @param {object} params
  * @param {import('express').Request} params.request
+ * @param {object[]} [params.attachments] Receives the restored Data Bank attachments
  * @returns {Promise<string>} Internal name of the character
  */
-async function importFromCharX(uploadPath, { request }) {
+async function importFromCharX(uploadPath, { request, attachments }) {
     const data = fs.readFileSync(uploadPath);
     fs.rmSync(uploadPath);
     console.log('Importing from CharX');
-    const cardBuffer = await extractFileFromZipBuffer(data, 'card.json');
+    const files = await extractAllFilesFromZipBuffer(data);
+    const cardBuffer = files.get('card.json') ?? [...files.entries()].find(([name]) => name.endsWith('card.json'))?.[1];
 
     if (!cardBuffer) {
         throw new Error('Failed to extract card.json from CharX file');
@@ -513,8 +664,99 @@ async function importFromCharX(uploadPath, { request }) {
     card['create_date'] = humanizedISO8601DateTime();
     card.name = sanitize(card.name);
     const fileName = getPngName(card.name, request.user.directories);
-    const result = await writeCharacterData(defaultAvatarPath, JSON.stringify(card), fileName, request);
-    return result ? fileName : '';
+    const assets = importCharXAssets(files, card, request.user.directories);
+
+    if (Array.isArray(attachments)) {
+        attachments.push(...assets.attachments);
+    }
+
+    let avatarPath = defaultAvatarPath;
+
+    if (assets.avatar) {
+        avatarPath = path.join(UPLOADS_PATH, `${fileName}_charx_avatar`);
+        writeFileAtomicSync(avatarPath, assets.avatar);
+    }
+
+    try {
+        const result = await writeCharacterData(avatarPath, JSON.stringify(card), fileName, request);
+        return result ? fileName : '';
+    } finally {
+        if (avatarPath !== defaultAvatarPath) {
+            fs.rmSync(avatarPath, { force: true });
+        }
+    }
+}
+
+/**
+ * Exports a character card with its assets as a CharX (ZIP) archive.
+ * Includes the avatar, expression sprites and the character Data Bank files listed in the request.
+ * @param {string} filename Path to the character card file
+ * @param {import('express').Request} request Express request
+ * @param {import('express').Response} response Express response
+ */
+async function exportToCharX(filename, request, response) {
+    const json = await readCharacterData(filename);
+    if (json === undefined) return response.sendStatus(400);
+
+    const card = getCharaCardV2(JSON.parse(json), request.user.directories);
+    /** @type {[string, string][]} */
+    const files = [];
+    const assets = [];
+
+    const addAsset = (type, name, ext, archivePath, pathToFile) => {
+        assets.push({ type, uri: `embeded://${archivePath}`, name, ext });
+        files.push([archivePath, pathToFile]);
+    };
+
+    addAsset('icon', 'main', 'png', 'assets/icon/images/main.png', filename);
+
+    const spritesPath = path.join(request.user.directories.characters, sanitize(card.data?.name || card.name));
+    if (fs.existsSync(spritesPath) && fs.statSync(spritesPath).isDirectory()) {
+        const sprites = fs.readdirSync(spritesPath).filter(file => mime.lookup(file)?.startsWith('image/'));
+        for (const file of sprites) {
+            const { name, ext } = path.parse(file);
+            addAsset('emotion', name, ext.slice(1), `assets/emotion/images/${file}`, path.join(spritesPath, file));
+        }
+    }
+
+    if (Array.isArray(request.body.attachments)) {
+        for (const attachment of request.body.attachments) {
+            const pathToFile = path.join(request.user.directories.root, String(attachment?.url));
+            const relativePath = path.relative(request.user.directories.files, pathToFile);
+            if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath) || !fs.existsSync(pathToFile)) {
+                console.log(`CharX: Data Bank file not found: ${attachment?.url}`);
+                continue;
+            }
+            const file = path.basename(pathToFile);
+            addAsset(CHARX_DATABANK_ASSET_TYPE, String(attachment.name || file), path.extname(file).slice(1), `assets/other/databank/${file}`, pathToFile);
+        }
+    }
+
+    card.spec = 'chara_card_v3';
+    card.spec_version = '3.0';
+    card.data = { ...card.data, assets };
+
+    const archive = archiver('zip');
+
+    archive.on('error', function (err) {
+        console.error('CharX export failed', err);
+        if (!response.headersSent) {
+            response.sendStatus(500);
+        } else {
+            response.end();
+        }
+    });
+
+    response.attachment(`${path.parse(filename).name}.charx`);
+    // @ts-ignore
+    archive.pipe(response);
+    archive.append(JSON.stringify(card, null, 4), { name: 'card.json' });
+
+    for (const [archivePath, pathToFile] of files) {
+        archive.file(pathToFile, { name: archivePath });
+    }
+
+    await archive.finalize();
 }
 
 /**
@@ -1057,14 +1299,15 @@ router.post('/import', urlencodedParser, async function (request, response) {
             throw new Error(`Unsupported format: ${format}`);
         }
 
-        const fileName = await importFunction(uploadPath, { request, response }, preservedFileName);
+        const attachments = [];
+        const fileName = await importFunction(uploadPath, { request, response, attachments }, preservedFileName);
 
         if (!fileName) {
             console.error('Failed to import character');
             return response.sendStatus(400);
         }
 
-        response.send({ file_name: fileName });
+        response.send({ file_name: fileName, attachments });
     } catch (err) {
         console.log(err);
         response.send({ error: true });
@@ -1149,6 +1392,9 @@ router.post('/export', jsonParser, async function (request, response) {
                     return response.sendStatus(400);
                 }
             }
+            case 'charx': {
+                return await exportToCharX(filename, request, response);
+            }
         }
 
         return response.sendStatus(400);
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const vm = require('vm');
 const express = require('express');
 const sanitize = require('sanitize-filename');
 const writeFileAtomicSync = require('write-file-atomic').sync;
@@ -9,6 +10,11 @@ const { jsonParser, urlencodedParser } = require('../express-common');
 const { UPLOADS_PATH } = require('../constants');
 const { getConfigValue, humanizedISO8601DateTime, tryParse, generateTimestamp, removeOldBackups } = require('../util');
 
+/**
+ * Extension of the files that store itemized prompts next to the chat files.
+ */
+const ITEMIZED_PROMPTS_EXTENSION = '.prompts.json';
+
 /**
  * Saves a chat to the backups directory.
  * @param {string} directory The user's backups directory.
@@ -138,6 +144,368 @@ function importCAIChat(userName, characterName, jsonData) {
     return newChats;
 }
 
+/**
+ * Maximum number of search results returned by a single search request.
+ */
+const SEARCH_RESULTS_LIMIT = 500;
+
+/**
+ * Maximum number of context messages that can be requested around a search hit.
+ */
+const SEARCH_CONTEXT_LIMIT = 5;
+
+/**
+ * Maximum length of a search query.
+ */
+const SEARCH_QUERY_MAX_LENGTH = 500;
+
+/**
+ * Time in milliseconds a regular expression may run on a single message.
+ */
+const SEARCH_REGEX_TIMEOUT = 250;
+
+/**
+ * Time in milliseconds after which a search stops and returns the results found so far.
+ */
+const SEARCH_TIME_BUDGET = 10000;
+
+/**
+ * Error of a search request that the user can fix by changing the query.
+ */
+class ChatSearchError extends Error {}
+
+/**
+ * Parses a message send date into a timestamp.
+ * Supports numeric timestamps, humanized ISO 8601 dates and anything Date.parse understands.
+ * @param {string|number} value Send date value from the chat file
+ * @returns {number} Timestamp in milliseconds or NaN if the date could not be parsed
+ */
+function parseSendDate(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    if (typeof value !== 'string' || !value) {
+        return NaN;
+    }
+
+    // Humanized ISO 8601 format: 2024-5-3 @12h 30m 15s 123ms
+    const humanized = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2}) @(\d{1,2})h (\d{1,2})m (\d{1,2})s(?: (\d{1,3})ms)?$/);
+    if (humanized) {
+        const [, year, month, day, hour, minute, second, millisecond] = humanized.map(Number);
+        return new Date(year, month - 1, day, hour, minute, second, millisecond || 0).getTime();
+    }
+
+    // Legacy format: June 19, 2023 2:20pm
+    const legacy = value.match(/^(.+?\d{4}) (\d{1,2}):(\d{2})(am|pm)$/i);
+    if (legacy) {
+        const [, datePart, hour, minute, meridiem] = legacy;
+        const hours = (Number(hour) % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+        return new Date(`${datePart} ${hours}:${minute}`).getTime();
+    }
+
+    return Date.parse(value);
+}
+
+/**
+ * Creates a text matcher from the search request parameters.
+ * Queries wrapped in double quotes are matched as exact phrases, otherwise every word of the query
+ * must be present in the message. When `regex` is set, the query is used as a regular expression.
+ * @param {object} params Search parameters
+ * @param {string} params.query Search query
+ * @param {boolean} params.regex Treat the query as a regular expression
+ * @param {boolean} params.caseSensitive Perform a case-sensitive search
+ * @returns {(text: string) => { index: number, length: number } | null} Matcher function
+ */
+function createSearchMatcher({ query, regex, caseSensitive }) {
+    if (!query) {
+        return () => ({ index: 0, length: 0 });
+    }
+
+    if (regex) {
+        const pattern = new RegExp(query, caseSensitive ? '' : 'i');
+        // Runs in a VM context with a timeout, since catastrophic backtracking would block the server for all users
+        const sandbox = vm.createContext({ pattern, text: '' });
+        const script = new vm.Script('pattern.exec(text)');
+
+        return (text) => {
+            sandbox.text = text;
+            let match;
+
+            try {
+                match = script.runInContext(sandbox, { timeout: SEARCH_REGEX_TIMEOUT });
+            } catch (error) {
+                if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                    throw new ChatSearchError('The regular expression takes too long to run. Simplify it and try again.');
+                }
+
+                throw error;
+            }
+
+            return match ? { index: match.index, length: match[0].length } : null;
+        };
+    }
+
+    const normalize = (text) => caseSensitive ? text : text.toLowerCase();
+    const phrase = query.trim().match(/^"(.+)"$/);
+    const fragments = phrase
+        ? [normalize(phrase[1])]
+        : normalize(query).trim().split(/\s+/).filter(x => x);
+
+    return (text) => {
+        const normalized = normalize(text);
+        if (!fragments.every(fragment => normalized.includes(fragment))) {
+            return null;
+        }
+        return { index: normalized.indexOf(fragments[0]), length: fragments[0].length };
+    };
+}
+
+/**
+ * Converts a chat message into a compact representation used in search results.
+ * @param {object} message Chat message
+ * @param {number} messageId Index of the message in the chat
+ * @returns {object} Compact message
+ */
+function toSearchMessage(message, messageId) {
+    return {
+        message_id: messageId,
+        name: message.name,
+        is_user: !!message.is_user,
+        send_date: message.send_date,
+        mes: message?.extra?.display_text || message.mes || '',
+    };
+}
+
+/**
+ * Searches a single JSONL chat file line by line.
+ * @param {string} filePath Path to the chat file
+ * @param {object} options Search options
+ * @param {(text: string) => { index: number, length: number } | null} options.matcher Text matcher
+ * @param {string} options.author Only match messages sent by this name (case-insensitive)
+ * @param {number} options.dateFrom Only match messages sent after this timestamp
+ * @param {number} options.dateTo Only match messages sent before this timestamp
+ * @param {number} options.context Number of messages to include around each hit
+ * @param {number} options.limit Maximum number of hits to return
+ * @param {number} options.deadline Timestamp after which the search stops
+ * @returns {Promise<{ hits: object[], complete: boolean }>} Search hits, and whether the whole file was searched
+ */
+function searchChatFile(filePath, { matcher, author, dateFrom, dateTo, context, limit, deadline }) {
+    return new Promise((resolve, reject) => {
+        const readStream = fs.createReadStream(filePath);
+        const rl = readline.createInterface({
+            input: readStream,
+            crlfDelay: Infinity,
+        });
+
+        const hasDateRange = dateFrom > -Infinity || dateTo < Infinity;
+        const hits = [];
+        const previous = [];
+        const pending = [];
+        let messageId = 0;
+        let complete = true;
+        let isStopped = false;
+
+        const stop = (error) => {
+            isStopped = true;
+
+            // Before closing, which resolves the search
+            if (error) {
+                reject(error);
+            }
+
+            rl.close();
+            readStream.destroy();
+        };
+
+        const onLine = (line) => {
+            const data = tryParse(line);
+
+            // Skip chat headers and corrupted lines
+            if (!data || typeof data.mes !== 'string') {
+                return;
+            }
+
+            const message = toSearchMessage(data, messageId++);
+
+            for (const hit of pending) {
+                hit.context_after.push(message);
+            }
+
+            while (pending.length && pending[0].context_after.length >= context) {
+                pending.shift();
+            }
+
+            const sentAt = hasDateRange ? parseSendDate(data.send_date) : NaN;
+            const isFiltered = data.is_system
+                || (author && String(data.name).toLowerCase() !== author)
+                || (hasDateRange && !(sentAt >= dateFrom && sentAt <= dateTo));
+
+            const match = !isFiltered && hits.length < limit && matcher(message.mes);
+
+            if (match) {
+                const hit = {
+                    ...message,
+                    match_start: match.index,
+                    match_length: match.length,
+                    context_before: previous.slice(),
+                    context_after: [],
+                };
+                hits.push(hit);
+
+                if (context > 0) {
+                    pending.push(hit);
+                }
+            }
+
+            previous.push(message);
+
+            if (previous.length > context) {
+                previous.shift();
+            }
+        };
+
+        rl.on('line', (line) => {
+            if (isStopped) {
+                return;
+            }
+
+            if (Date.now() > deadline) {
+                complete = false;
+                return stop();
+            }
+
+            try {
+                onLine(line);
+            } catch (error) {
+                stop(error);
+            }
+        });
+
+        rl.on('close', () => resolve({ hits, complete }));
+        readStream.on('error', (error) => {
+            rl.close();
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Lists all chat files of the user that should be searched.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {object} scope Search scope
+ * @param {string} [scope.avatarUrl] Only search chats of the character with this avatar
+ * @param {string} [scope.groupId] Only search chats of the group with this ID
+ * @returns {{ filePath: string, fileName: string, avatarUrl: string?, groupId: string?, groupName: string? }[]} Chat files
+ */
+function getSearchableChats(directories, { avatarUrl, groupId }) {
+    const result = [];
+
+    if (!groupId && fs.existsSync(directories.chats)) {
+        const characterDirs = avatarUrl
+            ? [String(avatarUrl).replace('.png', '')]
+            : fs.readdirSync(directories.chats, { withFileTypes: true }).filter(x => x.isDirectory()).map(x => x.name);
+
+        for (const characterDir of characterDirs) {
+            const pathToFolder = path.join(directories.chats, sanitize(characterDir));
+
+            if (!fs.existsSync(pathToFolder)) {
+                continue;
+            }
+
+            const files = fs.readdirSync(pathToFolder).filter(x => path.extname(x) === '.jsonl');
+            for (const file of files) {
+                result.push({ filePath: path.join(pathToFolder, file), fileName: file, avatarUrl: `${characterDir}.png`, groupId: null, groupName: null });
+            }
+        }
+    }
+
+    if (!avatarUrl && fs.existsSync(directories.groups)) {
+        const groupFiles = fs.readdirSync(directories.groups).filter(x => path.extname(x) === '.json');
+
+        for (const groupFile of groupFiles) {
+            const group = tryParse(fs.readFileSync(path.join(directories.groups, groupFile), 'utf8'));
+
+            if (!group || !Array.isArray(group.chats) || (groupId && group.id !== groupId)) {
+                continue;
+            }
+
+            for (const chatId of group.chats) {
+                const filePath = path.join(directories.groupChats, `${sanitize(String(chatId))}.jsonl`);
+                if (fs.existsSync(filePath)) {
+                    result.push({ filePath, fileName: `${chatId}.jsonl`, avatarUrl: null, groupId: group.id, groupName: group.name });
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gets the path to the itemized prompts file stored alongside a chat.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {object} params Chat identification
+ * @param {string} params.chatName Chat file name, with or without the .jsonl extension
+ * @param {string} [params.avatarUrl] Avatar of the character that owns the chat
+ * @param {boolean} [params.isGroup] Whether the chat is a group chat
+ * @returns {string} Path to the itemized prompts file
+ */
+function getItemizedPromptsPath(directories, { chatName, avatarUrl, isGroup }) {
+    const fileName = `${sanitize(path.basename(String(chatName), '.jsonl'))}${ITEMIZED_PROMPTS_EXTENSION}`;
+
+    if (isGroup) {
+        return path.join(directories.groupChats, fileName);
+    }
+
+    const directoryName = sanitize(String(avatarUrl).replace('.png', ''));
+    return path.join(directories.chats, directoryName, fileName);
+}
+
+/**
+ * Trims the itemized prompts to the configured retention limit, keeping the latest messages.
+ * @param {object[]} prompts Itemized prompts
+ * @returns {object[]} Retained itemized prompts
+ */
+function applyItemizedPromptsRetention(prompts) {
+    const limit = Number(getConfigValue('maxItemizedPrompts', 100));
+
+    if (!Number.isInteger(limit) || limit <= 0 || prompts.length <= limit) {
+        return prompts;
+    }
+
+    return prompts
+        .slice()
+        .sort((a, b) => Number(a?.mesId) - Number(b?.mesId))
+        .slice(-limit);
+}
+
+/**
+ * Renames the itemized prompts file of a chat if it exists.
+ * @param {string} oldPath Path to the original chat file
+ * @param {string} newPath Path to the renamed chat file
+ */
+function renameItemizedPrompts(oldPath, newPath) {
+    const oldPromptsPath = path.join(path.dirname(oldPath), `${path.basename(oldPath, '.jsonl')}${ITEMIZED_PROMPTS_EXTENSION}`);
+    const newPromptsPath = path.join(path.dirname(newPath), `${path.basename(newPath, '.jsonl')}${ITEMIZED_PROMPTS_EXTENSION}`);
+
+    if (fs.existsSync(oldPromptsPath) && !fs.existsSync(newPromptsPath)) {
+        fs.renameSync(oldPromptsPath, newPromptsPath);
+    }
+}
+
+/**
+ * Deletes the itemized prompts file of a chat if it exists.
+ * @param {string} chatPath Path to the chat file
+ */
+function deleteItemizedPromptsFile(chatPath) {
+    const promptsPath = path.join(path.dirname(chatPath), `${path.basename(chatPath, '.jsonl')}${ITEMIZED_PROMPTS_EXTENSION}`);
+
+    if (fs.existsSync(promptsPath)) {
+        fs.rmSync(promptsPath);
+    }
+}
+
 const router = express.Router();
 
 router.post('/save', jsonParser, function (request, response) {
@@ -212,6 +580,7 @@ router.post('/rename', jsonParser, async function (request, response) {
 
     fs.copyFileSync(pathToOriginalFile, pathToRenamedFile);
     fs.rmSync(pathToOriginalFile);
+    renameItemizedPrompts(pathToOriginalFile, pathToRenamedFile);
     console.log('Successfully renamed.');
     return response.send({ ok: true });
 });
@@ -236,6 +605,7 @@ router.post('/delete', jsonParser, function (request, response) {
         return response.sendStatus(400);
     } else {
         fs.rmSync(fileName);
+        deleteItemizedPromptsFile(fileName);
         console.log('Deleted chat file: ' + fileName);
     }
 
@@ -314,6 +684,87 @@ router.post('/export', jsonParser, async function (request, response) {
     }
 });
 
+router.post('/search', jsonParser, async function (request, response) {
+    if (!request.body) {
+        return response.sendStatus(400);
+    }
+
+    const query = String(request.body.query ?? '');
+    const author = String(request.body.author ?? '').trim().toLowerCase();
+    const dateFrom = request.body.date_from ? parseSendDate(request.body.date_from) : -Infinity;
+    const dateTo = request.body.date_to ? parseSendDate(request.body.date_to) : Infinity;
+    const context = Math.min(Math.max(Number(request.body.context) || 0, 0), SEARCH_CONTEXT_LIMIT);
+    const limit = Math.min(Math.max(Number(request.body.limit) || SEARCH_RESULTS_LIMIT, 1), SEARCH_RESULTS_LIMIT);
+
+    if (!query && !author) {
+        return response.status(400).send({ error: 'Search query or author is required' });
+    }
+
+    if (query.length > SEARCH_QUERY_MAX_LENGTH) {
+        return response.status(400).send({ error: `Search query is longer than ${SEARCH_QUERY_MAX_LENGTH} characters` });
+    }
+
+    if (Number.isNaN(dateFrom) || Number.isNaN(dateTo)) {
+        return response.status(400).send({ error: 'Invalid date range' });
+    }
+
+    let matcher;
+    try {
+        matcher = createSearchMatcher({ query, regex: !!request.body.regex, caseSensitive: !!request.body.case_sensitive });
+    } catch (error) {
+        return response.status(400).send({ error: error.message });
+    }
+
+    try {
+        const chats = getSearchableChats(request.user.directories, { avatarUrl: request.body.avatar_url, groupId: request.body.group_id });
+        const deadline = Date.now() + SEARCH_TIME_BUDGET;
+        const results = [];
+        let truncated = false;
+
+        for (const chat of chats) {
+            const remaining = limit - results.length;
+            // One hit over the limit tells that the results are truncated
+            const { hits, complete } = await searchChatFile(chat.filePath, { matcher, author, dateFrom, dateTo, context, limit: remaining + 1, deadline });
+
+            if (hits.length > remaining) {
+                hits.length = remaining;
+                truncated = true;
+            }
+
+            if (!complete) {
+                truncated = true;
+            }
+
+            for (const hit of hits) {
+                results.push({
+                    file_name: chat.fileName,
+                    avatar_url: chat.avatarUrl,
+                    group_id: chat.groupId,
+                    group_name: chat.groupName,
+                    is_group: !!chat.groupId,
+                    ...hit,
+                });
+            }
+
+            if (truncated) {
+                break;
+            }
+        }
+
+        // Most recent messages first
+        results.sort((a, b) => (parseSendDate(b.send_date) || 0) - (parseSendDate(a.send_date) || 0));
+
+        return response.send({ results, truncated, searched: chats.length });
+    } catch (error) {
+        if (error instanceof ChatSearchError) {
+            return response.status(400).send({ error: error.message });
+        }
+
+        console.error('Chat search failed', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/group/import', urlencodedParser, function (request, response) {
     try {
         const filedata = request.file;
@@ -431,6 +882,7 @@ router.post('/group/delete', jsonParser, (request, response) => {
 
     if (fs.existsSync(pathToFile)) {
         fs.rmSync(pathToFile);
+        deleteItemizedPromptsFile(pathToFile);
         return response.send({ ok: true });
     }
 
@@ -456,4 +908,84 @@ router.post('/group/save', jsonParser, (request, response) => {
     return response.send({ ok: true });
 });
 
+router.post('/itemized/get', jsonParser, (request, response) => {
+    try {
+        if (!request.body || !request.body.chat_name) {
+            return response.sendStatus(400);
+        }
+
+        const pathToFile = getItemizedPromptsPath(request.user.directories, {
+            chatName: request.body.chat_name,
+            avatarUrl: request.body.avatar_url,
+            isGroup: !!request.body.is_group,
+        });
+
+        if (!fs.existsSync(pathToFile)) {
+            return response.send({ prompts: [], exists: false });
+        }
+
+        const prompts = tryParse(fs.readFileSync(pathToFile, 'utf8'));
+        return response.send({ prompts: Array.isArray(prompts) ? prompts : [], exists: true });
+    } catch (error) {
+        console.error('Could not read itemized prompts', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/itemized/save', jsonParser, (request, response) => {
+    try {
+        if (!request.body || !request.body.chat_name || !Array.isArray(request.body.prompts)) {
+            return response.sendStatus(400);
+        }
+
+        const pathToFile = getItemizedPromptsPath(request.user.directories, {
+            chatName: request.body.chat_name,
+            avatarUrl: request.body.avatar_url,
+            isGroup: !!request.body.is_group,
+        });
+
+        // Don't leave empty files behind for chats that were never generated in
+        if (request.body.prompts.length === 0) {
+            if (fs.existsSync(pathToFile)) {
+                fs.rmSync(pathToFile);
+            }
+            return response.send({ ok: true, count: 0 });
+        }
+
+        if (!fs.existsSync(path.dirname(pathToFile))) {
+            return response.sendStatus(404);
+        }
+
+        const prompts = applyItemizedPromptsRetention(request.body.prompts);
+        writeFileAtomicSync(pathToFile, JSON.stringify(prompts), 'utf8');
+        return response.send({ ok: true, count: prompts.length });
+    } catch (error) {
+        console.error('Could not save itemized prompts', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/itemized/delete', jsonParser, (request, response) => {
+    try {
+        if (!request.body || !request.body.chat_name) {
+            return response.sendStatus(400);
+        }
+
+        const pathToFile = getItemizedPromptsPath(request.user.directories, {
+            chatName: request.body.chat_name,
+            avatarUrl: request.body.avatar_url,
+            isGroup: !!request.body.is_group,
+        });
+
+        if (fs.existsSync(pathToFile)) {
+            fs.rmSync(pathToFile);
+        }
+
+        return response.send({ ok: true });
+    } catch (error) {
+        console.error('Could not delete itemized prompts', error);
+        return response.sendStatus(500);
+    }
+});
+
 module.exports = { router };
@@ -75,6 +75,7 @@ router.post('/create', jsonParser, (request, response) => {
         auto_mode_delay: request.body.auto_mode_delay ?? 5,
         generation_mode_join_prefix: request.body.generation_mode_join_prefix ?? '',
         generation_mode_join_suffix: request.body.generation_mode_join_suffix ?? '',
+        director_prompt: request.body.director_prompt ?? '',
     };
     const pathToFile = path.join(request.user.directories.groups, `${id}.json`);
     const fileData = JSON.stringify(groupMetadata);
@@ -238,8 +238,20 @@ router.post('/generate-image', jsonParser, async (request, response) => {
     }
 
     try {
-        console.log('NAI Diffusion request:', request.body);
+        // Don't flood the console with the base64 images
+        console.log('NAI Diffusion request:', { ...request.body, image: undefined, mask: undefined });
         const generateUrl = `${IMAGE_NOVELAI}/ai/generate-image`;
+        const seed = request.body.seed >= 0 ? request.body.seed : Math.floor(Math.random() * 9999999999);
+        const image = request.body.image || undefined;
+        const mask = image && request.body.mask ? request.body.mask : undefined;
+        const action = mask ? 'infill' : (image ? 'img2img' : 'generate');
+        let model = request.body.model ?? 'nai-diffusion';
+
+        // Inpainting is done by the dedicated variant of the model
+        if (action === 'infill' && !model.endsWith('-inpainting')) {
+            model = `${model}-inpainting`;
+        }
+
         const generateResult = await fetch(generateUrl, {
             method: 'POST',
             headers: {
@@ -247,28 +259,34 @@ router.post('/generate-image', jsonParser, async (request, response) => {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                action: 'generate',
+                action: action,
                 input: request.body.prompt,
-                model: request.body.model ?? 'nai-diffusion',
+                model: model,
                 parameters: {
                     negative_prompt: request.body.negative_prompt ?? '',
                     height: request.body.height ?? 512,
                     width: request.body.width ?? 512,
                     scale: request.body.scale ?? 9,
-                    seed: request.body.seed >= 0 ? request.body.seed : Math.floor(Math.random() * 9999999999),
+                    seed: seed,
                     sampler: request.body.sampler ?? 'k_dpmpp_2m',
                     steps: request.body.steps ?? 28,
                     n_samples: 1,
                     // NAI handholding for prompts
                     ucPreset: 0,
                     qualityToggle: false,
-                    add_original_image: false,
+                    add_original_image: !!mask,
                     controlnet_strength: 1,
                     dynamic_thresholding: request.body.decrisper ?? false,
                     legacy: false,
                     sm: request.body.sm ?? false,
                     sm_dyn: request.body.sm_dyn ?? false,
                     uncond_scale: 1,
+                    // Image to image and inpainting
+                    image: image,
+                    mask: mask,
+                    strength: image ? (request.body.strength ?? 0.7) : undefined,
+                    noise: image ? 0 : undefined,
+                    extra_noise_seed: image ? seed : undefined,
                 },
             }),
         });
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { default: simpleGit } = require('simple-git');
+const sanitize = require('sanitize-filename');
+
+const { jsonParser } = require('../express-common');
+const { requireAdminMiddleware } = require('../users');
+const { getConfigValue } = require('../util');
+const { getPluginsDirectory, getPluginStatuses, setPluginEnabled, isPluginDisabled, isValidPluginID } = require('../plugin-loader');
+
+/**
+ * Gets the path to a plugin entry in the plugins directory.
+ * @param {string} name Name of the plugin file or directory
+ * @returns {string|null} Path to the plugin entry, or null if the name doesn't point to a direct child of the plugins directory
+ */
+function getPluginPath(name) {
+    const pluginsPath = path.resolve(getPluginsDirectory());
+    // Names like '..' are sanitized to an empty string, which would point to the plugins directory itself
+    const entry = sanitize(String(name));
+
+    if (!entry) {
+        return null;
+    }
+
+    const pluginPath = path.join(pluginsPath, entry);
+    return path.dirname(pluginPath) === pluginsPath ? pluginPath : null;
+}
+
+/**
+ * Gets the git information of a plugin directory, if it is a repository.
+ * @param {string} pluginPath Path to the plugin directory
+ * @returns {Promise<{remoteUrl: string, commit: string}|null>} Git information
+ */
+async function getGitInfo(pluginPath) {
+    try {
+        if (!fs.existsSync(path.join(pluginPath, '.git'))) {
+            return null;
+        }
+
+        const git = simpleGit(pluginPath);
+        const remotes = await git.getRemotes(true);
+        const commit = await git.revparse(['HEAD']);
+        return { remoteUrl: remotes[0]?.refs?.fetch ?? '', commit: commit.slice(0, 7) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks if a plugin directory declares npm dependencies that are not installed.
+ * @param {string} pluginPath Path to the plugin directory
+ * @returns {boolean} True if dependencies need to be installed
+ */
+function hasMissingDependencies(pluginPath) {
+    try {
+        const packageJsonPath = path.join(pluginPath, 'package.json');
+        if (!fs.existsSync(packageJsonPath)) {
+            return false;
+        }
+
+        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        const hasDependencies = Object.keys(packageJson.dependencies ?? {}).length > 0;
+        return hasDependencies && !fs.existsSync(path.join(pluginPath, 'node_modules'));
+    } catch {
+        return false;
+    }
+}
+
+const router = express.Router();
+
+router.post('/list', requireAdminMiddleware, jsonParser, async (_request, response) => {
+    try {
+        const pluginsPath = getPluginsDirectory();
+        const statuses = getPluginStatuses();
+        const entries = pluginsPath && fs.existsSync(pluginsPath)
+            ? fs.readdirSync(pluginsPath).filter(x => !x.startsWith('.'))
+            : [];
+
+        const plugins = [];
+
+        for (const entry of entries) {
+            const pluginPath = path.join(pluginsPath, entry);
+            const isDirectory = fs.statSync(pluginPath).isDirectory();
+
+            if (!isDirectory && !['.js', '.mjs'].includes(path.extname(entry))) {
+                continue;
+            }
+
+            const status = statuses.find(x => x.entry === entry);
+            plugins.push({
+                entry: entry,
+                id: status?.id ?? null,
+                name: status?.name ?? entry,
+                description: status?.description ?? '',
+                version: status?.version ?? null,
+                loaded: status?.loaded ?? false,
+                enabled: status?.id ? !isPluginDisabled(status.id) : true,
+                routes: status?.routes ?? [],
+                error: status?.error ?? null,
+                // Plugins added after startup are only picked up on restart
+                restartRequired: !status,
+                missingDependencies: isDirectory && hasMissingDependencies(pluginPath),
+                git: isDirectory ? await getGitInfo(pluginPath) : null,
+            });
+        }
+
+        return response.send({ enabled: getConfigValue('enableServerPlugins', false), plugins });
+    } catch (error) {
+        console.error('Failed to list server plugins', error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/toggle', requireAdminMiddleware, jsonParser, (request, response) => {
+    if (!request.body.id || !isValidPluginID(String(request.body.id))) {
+        return response.status(400).send('Bad Request: a valid plugin id is required in the request body.');
+    }
+
+    try {
+        const restartRequired = setPluginEnabled(String(request.body.id), !!request.body.enabled);
+        return response.send({ restartRequired });
+    } catch (error) {
+        console.error('Failed to toggle server plugin', error);
+        return response.status(500).send(`Server Error: ${error.message}`);
+    }
+});
+
+router.post('/install', requireAdminMiddleware, jsonParser, async (request, response) => {
+    if (!request.body.url) {
+        return response.status(400).send('Bad Request: URL is required in the request body.');
+    }
+
+    try {
+        const url = String(request.body.url);
+        const pluginsPath = getPluginsDirectory();
+
+        if (!fs.existsSync(pluginsPath)) {
+            fs.mkdirSync(pluginsPath, { recursive: true });
+        }
+
+        const pluginPath = getPluginPath(path.basename(url, '.git'));
+
+        if (!pluginPath) {
+            return response.status(400).send('Bad Request: URL does not contain a valid plugin name.');
+        }
+
+        if (fs.existsSync(pluginPath)) {
+            return response.status(409).send(`Directory already exists at ${pluginPath}`);
+        }
+
+        await simpleGit().clone(url, pluginPath, { '--depth': 1 });
+        console.log(`Server plugin has been cloned at ${pluginPath}`);
+
+        return response.send({ entry: path.basename(pluginPath), missingDependencies: hasMissingDependencies(pluginPath) });
+    } catch (error) {
+        console.log('Installing server plugin failed', error);
+        return response.status(500).send(`Server Error: ${error.message}`);
+    }
+});
+
+router.post('/update', requireAdminMiddleware, jsonParser, async (request, response) => {
+    if (!request.body.entry) {
+        return response.status(400).send('Bad Request: entry is required in the request body.');
+    }
+
+    try {
+        const pluginPath = getPluginPath(request.body.entry);
+
+        if (!pluginPath) {
+            return response.status(400).send('Bad Request: entry is not a valid plugin name.');
+        }
+
+        if (!fs.existsSync(path.join(pluginPath, '.git'))) {
+            return response.status(404).send(`Git repository does not exist at ${pluginPath}`);
+        }
+
+        const git = simpleGit(pluginPath);
+        await git.fetch();
+        const commitHash = await git.revparse(['HEAD']);
+        const trackingBranch = await git.revparse(['--abbrev-ref', '@{u}']);
+        const log = await git.log({ from: commitHash, to: trackingBranch });
+        const isUpToDate = log.total === 0;
+
+        if (!isUpToDate) {
+            await git.pull();
+            console.log(`Server plugin has been updated at ${pluginPath}`);
+        }
+
+        const latestCommit = await git.revparse(['HEAD']);
+        return response.send({ isUpToDate, shortCommitHash: latestCommit.slice(0, 7), missingDependencies: hasMissingDependencies(pluginPath) });
+    } catch (error) {
+        console.log('Updating server plugin failed', error);
+        return response.status(500).send(`Server Error: ${error.message}`);
+    }
+});
+
+router.post('/delete', requireAdminMiddleware, jsonParser, async (request, response) => {
+    if (!request.body.entry) {
+        return response.status(400).send('Bad Request: entry is required in the request body.');
+    }
+
+    try {
+        const pluginPath = getPluginPath(request.body.entry);
+
+        if (!pluginPath) {
+            return response.status(400).send('Bad Request: entry is not a valid plugin name.');
+        }
+
+        if (!fs.existsSync(pluginPath)) {
+            return response.status(404).send(`Plugin does not exist at ${pluginPath}`);
+        }
+
+        await fs.promises.rm(pluginPath, { recursive: true, force: true });
+        console.log(`Server plugin has been deleted at ${pluginPath}`);
+
+        const status = getPluginStatuses().find(x => x.entry === path.basename(pluginPath));
+        return response.send({ restartRequired: !!status?.loaded });
+    } catch (error) {
+        console.log('Deleting server plugin failed', error);
+        return response.status(500).send(`Server Error: ${error.message}`);
+    }
+});
+
+module.exports = { router };
@@ -1,4 +1,5 @@
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const express = require('express');
 const { getConfigValue } = require('../util');
@@ -51,23 +52,226 @@ const EXPORTABLE_KEYS = [
 ];
 
 /**
- * Writes a secret to the secrets file
+ * Secrets that stay in plain text when the secrets file is encrypted.
+ * The server needs the CSRF secret before the user has a chance to unlock the file.
+ */
+const PLAINTEXT_KEYS = [
+    ...EXPORTABLE_KEYS,
+    'csrfSecret',
+];
+
+const ENCRYPTION_VERSION = 1;
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Modes of the secrets encryption.
+ * PASSPHRASE: the key is derived from a separate master passphrase.
+ * PASSWORD: the key is derived from the user account password and unlocked on login.
+ */
+const ENCRYPTION_MODES = {
+    PASSPHRASE: 'passphrase',
+    PASSWORD: 'password',
+};
+
+/**
+ * Encryption keys of the unlocked secrets files, by user root directory.
+ * The keys are shared by all sessions of a user and are not tied to the session that unlocked them:
+ * they stay in memory until the server restarts, and locking or logging out in any session locks the secrets for every session.
+ * @type {Map<string, Buffer>}
+ */
+const UNLOCKED_KEYS = new Map();
+
+/**
+ * @typedef {Object} EncryptedSecrets
+ * @property {number} version Encryption format version
+ * @property {string} mode Encryption mode, one of ENCRYPTION_MODES
+ * @property {string} salt Key derivation salt (base64)
+ * @property {string} iv Initialization vector (base64)
+ * @property {string} tag Authentication tag (base64)
+ * @property {string} data Encrypted secrets (base64)
+ */
+
+/**
+ * Gets the path to the secrets file of the user.
  * @param {import('../users').UserDirectoryList} directories User directories
- * @param {string} key Secret key
- * @param {string} value Secret value
+ * @returns {string} Path to the secrets file
  */
-function writeSecret(directories, key, value) {
-    const filePath = path.join(directories.root, SECRETS_FILE);
+function getSecretsFilePath(directories) {
+    return path.join(directories.root, SECRETS_FILE);
+}
+
+/**
+ * Reads the raw contents of the secrets file.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @returns {object|null} Contents of the file, or null if it doesn't exist
+ */
+function readSecretsFile(directories) {
+    const filePath = getSecretsFilePath(directories);
 
     if (!fs.existsSync(filePath)) {
-        const emptyFile = JSON.stringify({});
-        writeFileAtomicSync(filePath, emptyFile, 'utf-8');
+        return null;
     }
 
     const fileContents = fs.readFileSync(filePath, 'utf-8');
-    const secrets = JSON.parse(fileContents);
-    secrets[key] = value;
-    writeFileAtomicSync(filePath, JSON.stringify(secrets, null, 4), 'utf-8');
+    return JSON.parse(fileContents);
+}
+
+/**
+ * Writes the raw contents of the secrets file.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {object} contents Contents of the file
+ */
+function writeSecretsFile(directories, contents) {
+    writeFileAtomicSync(getSecretsFilePath(directories), JSON.stringify(contents, null, 4), 'utf-8');
+}
+
+/**
+ * Derives the encryption key from a passphrase.
+ * @param {string} passphrase Passphrase or account password
+ * @param {Buffer} salt Key derivation salt
+ * @returns {Buffer} Encryption key
+ */
+function deriveSecretsKey(passphrase, salt) {
+    return crypto.scryptSync(String(passphrase).normalize(), salt, 32);
+}
+
+/**
+ * Encrypts the secrets. Plain text keys are kept outside of the encrypted payload.
+ * @param {Record<string, string>} secrets Secrets to encrypt
+ * @param {Buffer} key Encryption key
+ * @param {string} mode Encryption mode
+ * @param {Buffer} salt Key derivation salt
+ * @returns {object} Contents of the encrypted secrets file
+ */
+function encryptSecrets(secrets, key, mode, salt) {
+    const plain = {};
+    const payload = {};
+
+    for (const [name, value] of Object.entries(secrets)) {
+        (PLAINTEXT_KEYS.includes(name) ? plain : payload)[name] = value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf-8'), cipher.final()]);
+
+    /** @type {EncryptedSecrets} */
+    const encrypted = {
+        version: ENCRYPTION_VERSION,
+        mode: mode,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+
+    return { ...plain, _encrypted: encrypted };
+}
+
+/**
+ * Decrypts the contents of an encrypted secrets file.
+ * @param {object} contents Contents of the encrypted secrets file
+ * @param {Buffer} key Encryption key
+ * @returns {Record<string, string>} Decrypted secrets
+ * @throws {Error} If the key is wrong or the file is damaged
+ */
+function decryptSecrets(contents, key) {
+    const { _encrypted: encrypted, ...plain } = contents;
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+    return { ...plain, ...JSON.parse(data.toString('utf-8')) };
+}
+
+/**
+ * Checks if the secrets file contents are encrypted.
+ * @param {object|null} contents Contents of the secrets file
+ * @returns {boolean} True if the file is encrypted
+ */
+function isEncrypted(contents) {
+    return !!contents && typeof contents._encrypted === 'object' && contents._encrypted !== null;
+}
+
+/**
+ * Reads the secrets, decrypting them if the file is encrypted and unlocked.
+ * A locked file only exposes the plain text keys.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @returns {{ secrets: Record<string, string>, contents: object|null, locked: boolean }} Secrets and the raw file contents
+ */
+function loadSecrets(directories) {
+    const contents = readSecretsFile(directories);
+
+    if (!isEncrypted(contents)) {
+        return { secrets: contents ?? {}, contents, locked: false };
+    }
+
+    const key = UNLOCKED_KEYS.get(directories.root);
+
+    if (key) {
+        try {
+            return { secrets: decryptSecrets(contents, key), contents, locked: false };
+        } catch (error) {
+            console.warn('Could not decrypt the secrets file, locking it:', error.message);
+            UNLOCKED_KEYS.delete(directories.root);
+        }
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    const { _encrypted, ...plain } = contents;
+    return { secrets: plain, contents, locked: true };
+}
+
+/**
+ * Saves the secrets, encrypting them if the file is encrypted.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {Record<string, string>} secrets Secrets to save
+ * @param {object|null} contents Current contents of the secrets file
+ */
+function saveSecrets(directories, secrets, contents) {
+    if (!isEncrypted(contents)) {
+        writeSecretsFile(directories, secrets);
+        return;
+    }
+
+    const key = UNLOCKED_KEYS.get(directories.root);
+    const { mode, salt } = contents._encrypted;
+    writeSecretsFile(directories, encryptSecrets(secrets, key, mode, Buffer.from(salt, 'base64')));
+}
+
+/**
+ * Updates a single secret. Only plain text keys can be updated while the secrets are locked.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {string} key Secret key
+ * @param {(secrets: Record<string, string>) => void} update Function that modifies the secrets
+ * @throws {Error} If the secrets are locked
+ */
+function updateSecret(directories, key, update) {
+    const { secrets, contents, locked } = loadSecrets(directories);
+
+    if (!locked) {
+        update(secrets);
+        saveSecrets(directories, secrets, contents);
+        return;
+    }
+
+    if (!PLAINTEXT_KEYS.includes(key)) {
+        throw new Error('Secrets are locked');
+    }
+
+    update(contents);
+    writeSecretsFile(directories, contents);
+}
+
+/**
+ * Writes a secret to the secrets file
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {string} key Secret key
+ * @param {string} value Secret value
+ */
+function writeSecret(directories, key, value) {
+    updateSecret(directories, key, (secrets) => {
+        secrets[key] = value;
+    });
 }
 
 /**
@@ -77,16 +281,13 @@ function writeSecret(directories, key, value) {
  * @returns
  */
 function deleteSecret(directories, key) {
-    const filePath = path.join(directories.root, SECRETS_FILE);
-
-    if (!fs.existsSync(filePath)) {
+    if (!fs.existsSync(getSecretsFilePath(directories))) {
         return;
     }
 
-    const fileContents = fs.readFileSync(filePath, 'utf-8');
-    const secrets = JSON.parse(fileContents);
-    delete secrets[key];
-    writeFileAtomicSync(filePath, JSON.stringify(secrets, null, 4), 'utf-8');
+    updateSecret(directories, key, (secrets) => {
+        delete secrets[key];
+    });
 }
 
 /**
@@ -96,15 +297,8 @@ function deleteSecret(directories, key) {
  * @returns {string} Secret value
  */
 function readSecret(directories, key) {
-    const filePath = path.join(directories.root, SECRETS_FILE);
-
-    if (!fs.existsSync(filePath)) {
-        return '';
-    }
-
-    const fileContents = fs.readFileSync(filePath, 'utf-8');
-    const secrets = JSON.parse(fileContents);
-    return secrets[key];
+    const { secrets } = loadSecrets(directories);
+    return secrets[key] ?? '';
 }
 
 /**
@@ -113,14 +307,7 @@ function readSecret(directories, key) {
  * @returns {object} Secret state
  */
 function readSecretState(directories) {
-    const filePath = path.join(directories.root, SECRETS_FILE);
-
-    if (!fs.existsSync(filePath)) {
-        return {};
-    }
-
-    const fileContents = fs.readFileSync(filePath, 'utf8');
-    const secrets = JSON.parse(fileContents);
+    const { secrets } = loadSecrets(directories);
     const state = {};
 
     for (const key of Object.values(SECRET_KEYS)) {
@@ -136,26 +323,185 @@ function readSecretState(directories) {
  * @returns {Record<string, string> | undefined} Secrets
  */
 function getAllSecrets(directories) {
-    const filePath = path.join(directories.root, SECRETS_FILE);
-
-    if (!fs.existsSync(filePath)) {
+    if (!fs.existsSync(getSecretsFilePath(directories))) {
         console.log('Secrets file does not exist');
         return undefined;
     }
 
-    const fileContents = fs.readFileSync(filePath, 'utf8');
-    const secrets = JSON.parse(fileContents);
+    const { secrets } = loadSecrets(directories);
     return secrets;
 }
 
+/**
+ * Gets the encryption state of the secrets file.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @returns {{ encrypted: boolean, locked: boolean, mode: string|null }} Encryption state
+ */
+function getSecretsEncryptionState(directories) {
+    const { contents, locked } = loadSecrets(directories);
+    const encrypted = isEncrypted(contents);
+    return { encrypted, locked, mode: encrypted ? contents._encrypted.mode : null };
+}
+
+/**
+ * Unlocks an encrypted secrets file for the lifetime of the server process.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {string} passphrase Passphrase or account password
+ * @returns {boolean} True if the passphrase is correct or the file is not encrypted
+ */
+function unlockSecrets(directories, passphrase) {
+    const contents = readSecretsFile(directories);
+
+    if (!isEncrypted(contents)) {
+        return true;
+    }
+
+    try {
+        const key = deriveSecretsKey(passphrase, Buffer.from(contents._encrypted.salt, 'base64'));
+        decryptSecrets(contents, key);
+        UNLOCKED_KEYS.set(directories.root, key);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Forgets the encryption key of the secrets file. This locks the secrets for all sessions of the user.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ */
+function lockSecrets(directories) {
+    UNLOCKED_KEYS.delete(directories.root);
+}
+
+/**
+ * Encrypts the secrets file with a new key. Migrates plain text files and rotates the key of encrypted ones.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {string} passphrase New passphrase or account password
+ * @param {string} mode Encryption mode, one of ENCRYPTION_MODES
+ * @throws {Error} If the secrets are locked
+ */
+function encryptSecretsFile(directories, passphrase, mode) {
+    const { secrets, locked } = loadSecrets(directories);
+
+    if (locked) {
+        throw new Error('Secrets are locked');
+    }
+
+    const salt = crypto.randomBytes(16);
+    const key = deriveSecretsKey(passphrase, salt);
+    writeSecretsFile(directories, encryptSecrets(secrets, key, mode, salt));
+    UNLOCKED_KEYS.set(directories.root, key);
+}
+
+/**
+ * Stores the secrets file in plain text again.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @throws {Error} If the secrets are locked
+ */
+function decryptSecretsFile(directories) {
+    const { secrets, contents, locked } = loadSecrets(directories);
+
+    if (locked) {
+        throw new Error('Secrets are locked');
+    }
+
+    if (isEncrypted(contents)) {
+        writeSecretsFile(directories, secrets);
+    }
+
+    UNLOCKED_KEYS.delete(directories.root);
+}
+
+/**
+ * Checks if the secrets file can follow a change of the account password.
+ * A file encrypted with the account password must be unlocked, with the previous password if it is known.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {string} [oldPassword] Previous account password, if known
+ * @returns {boolean} False if the file would stay locked with the previous password
+ */
+function canUpdateSecretsPassword(directories, oldPassword = '') {
+    const { encrypted, locked, mode } = getSecretsEncryptionState(directories);
+
+    if (!encrypted || mode !== ENCRYPTION_MODES.PASSWORD || !locked) {
+        return true;
+    }
+
+    return !!oldPassword && unlockSecrets(directories, oldPassword);
+}
+
+/**
+ * Moves a secrets file locked with a forgotten account password out of the way, so that new keys can be saved.
+ * The file is kept in the user data folder and can be put back if the password is remembered.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @returns {string} Name of the moved file
+ */
+function setAsideLockedSecrets(directories) {
+    const filePath = getSecretsFilePath(directories);
+    const lockedPath = `${filePath}.locked-${Date.now()}`;
+    fs.renameSync(filePath, lockedPath);
+    UNLOCKED_KEYS.delete(directories.root);
+    return path.basename(lockedPath);
+}
+
+/**
+ * Re-encrypts the secrets file after the account password has changed.
+ * Only applies to the files encrypted with the account password.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {string} password New account password. Empty if the password was removed.
+ * @throws {Error} If the secrets are locked, check with canUpdateSecretsPassword before changing the password
+ */
+function updateSecretsPassword(directories, password) {
+    const { encrypted, mode } = getSecretsEncryptionState(directories);
+
+    if (!encrypted || mode !== ENCRYPTION_MODES.PASSWORD) {
+        return;
+    }
+
+    if (password) {
+        encryptSecretsFile(directories, password, ENCRYPTION_MODES.PASSWORD);
+    } else {
+        decryptSecretsFile(directories);
+    }
+}
+
+/**
+ * Unlocks the secrets on login. Files encrypted with the account password are unlocked,
+ * plain text files are migrated to the account password encryption if enabled in the config.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {string} password Account password
+ */
+function unlockSecretsOnLogin(directories, password) {
+    if (!password) {
+        return;
+    }
+
+    const { encrypted, mode } = getSecretsEncryptionState(directories);
+
+    if (encrypted && mode === ENCRYPTION_MODES.PASSWORD) {
+        unlockSecrets(directories, password);
+        return;
+    }
+
+    if (!encrypted && getConfigValue('autoEncryptSecrets', false) && fs.existsSync(getSecretsFilePath(directories))) {
+        console.log('Encrypting the secrets file with the account password:', directories.root);
+        encryptSecretsFile(directories, password, ENCRYPTION_MODES.PASSWORD);
+    }
+}
+
 const router = express.Router();
 
 router.post('/write', jsonParser, (request, response) => {
     const key = request.body.key;
     const value = request.body.value;
 
-    writeSecret(request.user.directories, key, value);
-    return response.send('ok');
+    try {
+        writeSecret(request.user.directories, key, value);
+        return response.send('ok');
+    } catch (error) {
+        console.error('Could not write secret:', error.message);
+        return response.status(403).send({ error: error.message });
+    }
 });
 
 router.post('/read', jsonParser, (request, response) => {
@@ -213,12 +559,109 @@ router.post('/find', jsonParser, (request, response) => {
     }
 });
 
+router.post('/encryption', jsonParser, (request, response) => {
+    try {
+        const state = getSecretsEncryptionState(request.user.directories);
+        return response.send(state);
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/unlock', jsonParser, (request, response) => {
+    try {
+        if (!unlockSecrets(request.user.directories, request.body.passphrase)) {
+            console.log('Secrets unlock failed: Incorrect passphrase');
+            return response.status(403).send({ error: 'Incorrect passphrase' });
+        }
+
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/lock', jsonParser, (request, response) => {
+    lockSecrets(request.user.directories);
+    return response.sendStatus(204);
+});
+
+router.post('/encrypt', jsonParser, (request, response) => {
+    try {
+        const mode = request.body.mode === ENCRYPTION_MODES.PASSWORD ? ENCRYPTION_MODES.PASSWORD : ENCRYPTION_MODES.PASSPHRASE;
+        const passphrase = request.body.passphrase;
+
+        if (!passphrase) {
+            console.log('Secrets encryption failed: Missing passphrase');
+            return response.status(400).send({ error: 'Missing passphrase' });
+        }
+
+        if (mode === ENCRYPTION_MODES.PASSWORD) {
+            // Required lazily: the users module depends on this one
+            const { getPasswordHash } = require('../users');
+            const user = request.user.profile;
+
+            if (!getConfigValue('enableUserAccounts', false) || !user.password) {
+                console.log('Secrets encryption failed: Account is not password protected');
+                return response.status(400).send({ error: 'Account is not password protected' });
+            }
+
+            if (user.password !== getPasswordHash(passphrase, user.salt)) {
+                console.log('Secrets encryption failed: Incorrect password');
+                return response.status(403).send({ error: 'Incorrect password' });
+            }
+        }
+
+        // Rotating the key of a locked file requires the current passphrase
+        if (request.body.current_passphrase && !unlockSecrets(request.user.directories, request.body.current_passphrase)) {
+            console.log('Secrets encryption failed: Incorrect current passphrase');
+            return response.status(403).send({ error: 'Incorrect current passphrase' });
+        }
+
+        encryptSecretsFile(request.user.directories, passphrase, mode);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Secrets encryption failed:', error.message);
+        return response.status(403).send({ error: error.message });
+    }
+});
+
+router.post('/decrypt', jsonParser, (request, response) => {
+    try {
+        // Removing the encryption always requires the passphrase, even if the secrets are unlocked
+        if (!request.body.passphrase) {
+            console.log('Secrets decryption failed: Missing passphrase');
+            return response.status(400).send({ error: 'Missing passphrase' });
+        }
+
+        if (!unlockSecrets(request.user.directories, request.body.passphrase)) {
+            console.log('Secrets decryption failed: Incorrect passphrase');
+            return response.status(403).send({ error: 'Incorrect passphrase' });
+        }
+
+        decryptSecretsFile(request.user.directories);
+        return response.sendStatus(204);
+    } catch (error) {
+        console.error('Secrets decryption failed:', error.message);
+        return response.status(403).send({ error: error.message });
+    }
+});
+
 module.exports = {
     writeSecret,
     readSecret,
     deleteSecret,
     readSecretState,
     getAllSecrets,
+    getSecretsEncryptionState,
+    unlockSecrets,
+    lockSecrets,
+    canUpdateSecretsPassword,
+    setAsideLockedSecrets,
+    updateSecretsPassword,
+    unlockSecretsOnLogin,
     SECRET_KEYS,
     router,
 };
@@ -1,6 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const { jsonParser } = require('../express-common');
 
+/**
+ * Sample rate of the exported chat audio.
+ */
+const EXPORT_SAMPLE_RATE = 24000;
+
+/**
+ * Maximum silence between the messages of the exported chat audio, in seconds.
+ */
+const EXPORT_MAX_GAP = 5;
+
+/**
+ * Gets the cache key of a generated TTS audio.
+ * The audio is cached per chat, so that editing a message only affects the audio of its own chat.
+ * @param {string} provider TTS provider name
+ * @param {string} voice Voice ID
+ * @param {string} text Narrated text
+ * @param {string} chat Chat ID
+ * @returns {string} Cache key
+ */
+function getTtsCacheKey(provider, voice, text, chat) {
+    return crypto.createHash('sha256').update(JSON.stringify([String(provider), String(voice), String(text), String(chat ?? '')])).digest('hex');
+}
+
+/**
+ * Gets the path to a cached TTS audio file.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @param {string} key Cache key
+ * @returns {string|null} Path to the file, or null if the key is invalid
+ */
+function getTtsCachePath(directories, key) {
+    if (!/^[a-f0-9]{64}$/.test(String(key))) {
+        return null;
+    }
+
+    return path.join(directories.ttsCache, `${key}.wav`);
+}
+
 const router = express.Router();
 
 /**
@@ -79,4 +119,150 @@ router.post('/synthesize', jsonParser, async (req, res) => {
     }
 });
 
+router.post('/cache/get', jsonParser, async (req, res) => {
+    try {
+        const { provider, voice, text, chat } = req.body;
+
+        if (!provider || !text) {
+            return res.sendStatus(400);
+        }
+
+        const key = getTtsCacheKey(provider, voice, text, chat);
+        const filePath = getTtsCachePath(req.user.directories, key);
+        res.set('X-Cache-Key', key);
+
+        if (!fs.existsSync(filePath)) {
+            return res.sendStatus(404);
+        }
+
+        res.set('Content-Type', 'audio/wav');
+        return res.send(fs.readFileSync(filePath));
+    } catch (error) {
+        console.error(error);
+        return res.sendStatus(500);
+    }
+});
+
+router.post('/cache/save', jsonParser, async (req, res) => {
+    try {
+        const wavefile = require('wavefile');
+        const { provider, voice, text, chat, audio } = req.body;
+
+        if (!provider || !text || !audio) {
+            return res.sendStatus(400);
+        }
+
+        // Only valid WAV files are cached, so they can be concatenated on export
+        const wav = new wavefile.WaveFile();
+        wav.fromDataURI(audio);
+
+        const key = getTtsCacheKey(provider, voice, text, chat);
+        const filePath = getTtsCachePath(req.user.directories, key);
+        fs.mkdirSync(req.user.directories.ttsCache, { recursive: true });
+        fs.writeFileSync(filePath, wav.toBuffer());
+
+        return res.send({ key });
+    } catch (error) {
+        console.error('Could not cache TTS audio', error);
+        return res.sendStatus(500);
+    }
+});
+
+router.post('/cache/delete', jsonParser, async (req, res) => {
+    try {
+        const keys = Array.isArray(req.body.keys) ? req.body.keys : [];
+
+        for (const key of keys) {
+            const filePath = getTtsCachePath(req.user.directories, key);
+
+            if (filePath && fs.existsSync(filePath)) {
+                fs.rmSync(filePath);
+            }
+        }
+
+        return res.sendStatus(200);
+    } catch (error) {
+        console.error(error);
+        return res.sendStatus(500);
+    }
+});
+
+router.post('/cache/clear', jsonParser, async (req, res) => {
+    try {
+        const files = fs.readdirSync(req.user.directories.ttsCache).filter(x => path.extname(x) === '.wav');
+
+        for (const file of files) {
+            fs.rmSync(path.join(req.user.directories.ttsCache, file));
+        }
+
+        console.log(`Cleared ${files.length} cached TTS audio files`);
+        return res.send({ count: files.length });
+    } catch (error) {
+        console.error(error);
+        return res.sendStatus(500);
+    }
+});
+
+router.post('/cache/export', jsonParser, async (req, res) => {
+    try {
+        const wavefile = require('wavefile');
+        const keys = Array.isArray(req.body.keys) ? req.body.keys : [];
+        const gapValue = Number(req.body.gap ?? 0.5);
+        // The silence is allocated from the gap, so it is kept small
+        const gap = Number.isFinite(gapValue) ? Math.min(Math.max(0, gapValue), EXPORT_MAX_GAP) : 0.5;
+        const silence = new Float32Array(Math.round(gap * EXPORT_SAMPLE_RATE));
+        const parts = [];
+
+        for (const key of keys) {
+            const filePath = getTtsCachePath(req.user.directories, key);
+
+            if (!filePath || !fs.existsSync(filePath)) {
+                console.warn(`Cached TTS audio ${key} not found, skipping`);
+                continue;
+            }
+
+            // Bring every file to the same format before joining them
+            const wav = new wavefile.WaveFile(fs.readFileSync(filePath));
+            wav.toBitDepth('32f');
+            wav.toSampleRate(EXPORT_SAMPLE_RATE);
+            let samples = wav.getSamples();
+
+            if (Array.isArray(samples)) {
+                const channels = samples;
+                samples = new Float64Array(channels[0].length);
+                for (let i = 0; i < samples.length; i++) {
+                    samples[i] = channels.reduce((sum, channel) => sum + channel[i], 0) / channels.length;
+                }
+            }
+
+            if (parts.length) {
+                parts.push(silence);
+            }
+
+            parts.push(samples);
+        }
+
+        if (!parts.length) {
+            return res.sendStatus(404);
+        }
+
+        const result = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+
+        const wav = new wavefile.WaveFile();
+        wav.fromScratch(1, EXPORT_SAMPLE_RATE, '32f', result);
+        wav.toBitDepth('16');
+
+        res.set('Content-Type', 'audio/wav');
+        return res.send(Buffer.from(wav.toBuffer()));
+    } catch (error) {
+        console.error('Could not export chat audio', error);
+        return res.sendStatus(500);
+    }
+});
+
 module.exports = { router };
@@ -320,6 +320,37 @@ router.post('/generate', jsonParser, async (request, response) => {
     }
 });
 
+router.post('/img2img', jsonParser, async (request, response) => {
+    try {
+        // Don't flood the console with the base64 images
+        console.log('SD WebUI img2img request:', { ...request.body, init_images: undefined, mask: undefined });
+
+        const url = new URL(request.body.url);
+        url.pathname = '/sdapi/v1/img2img';
+
+        const result = await fetch(url, {
+            method: 'POST',
+            body: JSON.stringify(request.body),
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': getBasicAuthHeader(request.body.auth),
+            },
+            timeout: 0,
+        });
+
+        if (!result.ok) {
+            const text = await result.text();
+            throw new Error('SD WebUI returned an error.', { cause: text });
+        }
+
+        const data = await result.json();
+        return response.send(data);
+    } catch (error) {
+        console.log(error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/sd-next/upscalers', jsonParser, async (request, response) => {
     try {
         const url = new URL(request.body.url);
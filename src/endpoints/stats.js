@@ -11,6 +11,32 @@ const { jsonParser } = require('../express-common');
 const { getAllUserHandles, getUserDirectories } = require('../users');
 
 const STATS_FILE = 'stats.json';
+const USAGE_FILE = 'token-usage.jsonl';
+const BUDGET_FILE = 'token-budget.json';
+
+/**
+ * Estimated prices in USD per million prompt/completion tokens.
+ * Models are matched by the longest prefix of their name.
+ */
+const MODEL_PRICES = {
+    'gpt-4o-mini': [0.15, 0.6],
+    'gpt-4o': [5, 15],
+    'chatgpt-4o': [5, 15],
+    'gpt-4-turbo': [10, 30],
+    'gpt-4-1106': [10, 30],
+    'gpt-4-0125': [10, 30],
+    'gpt-4-vision': [10, 30],
+    'gpt-4-32k': [60, 120],
+    'gpt-4': [30, 60],
+    'gpt-3.5-turbo-instruct': [1.5, 2],
+    'gpt-3.5-turbo': [0.5, 1.5],
+    'claude-3-5-sonnet': [3, 15],
+    'claude-3-opus': [15, 75],
+    'claude-3-sonnet': [3, 15],
+    'claude-3-haiku': [0.25, 1.25],
+    'claude-2': [8, 24],
+    'claude-instant': [0.8, 2.4],
+};
 
 /**
  * @type {Map<string, Object>} The stats object for each user.
@@ -18,6 +44,26 @@ const STATS_FILE = 'stats.json';
 const STATS = new Map();
 let lastSaveTimestamp = 0;
 
+/**
+ * @typedef {object} TokenUsageEntry
+ * @property {number} timestamp - Time of the generation in milliseconds since the Unix Epoch
+ * @property {string} api - Main API used for the generation
+ * @property {string} source - API source (e.g. chat completion source or text completion type)
+ * @property {string} model - Model name
+ * @property {string} character - Avatar of the character or ID of the group
+ * @property {string} character_name - Display name of the character or group
+ * @property {string} type - Generation type
+ * @property {number} prompt_tokens - Number of prompt tokens
+ * @property {number} completion_tokens - Number of completion tokens
+ * @property {boolean} estimated - Whether token counts were estimated by the tokenizer instead of reported by the provider
+ * @property {number} cost - Estimated cost in USD
+ */
+
+/**
+ * @type {Map<string, TokenUsageEntry[]>} The token usage ledger for each user, loaded on demand.
+ */
+const USAGE = new Map();
+
 /**
  * Convert a timestamp to an integer timestamp.
  * (sorry, it's momentless for now, didn't want to add a package just for this)
@@ -276,7 +322,8 @@ const calculateStats = (chatsPath, item) => {
     let uniqueGenStartTimes = new Set();
 
     if (fs.existsSync(chatDir)) {
-        const chats = fs.readdirSync(chatDir);
+        // Only chat files, not the itemized prompts stored next to them
+        const chats = fs.readdirSync(chatDir).filter(x => path.extname(x) === '.jsonl');
         if (Array.isArray(chats) && chats.length) {
             for (const chat of chats) {
                 const result = calculateTotalGenTimeAndWordCount(
@@ -428,6 +475,122 @@ function calculateTotalGenTimeAndWordCount(
     };
 }
 
+/**
+ * Gets the token usage ledger of a user, loading it from the file on first access.
+ * @param {string} handle User handle
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @returns {TokenUsageEntry[]} Ledger entries
+ */
+function getUsageLedger(handle, directories) {
+    if (USAGE.has(handle)) {
+        return USAGE.get(handle);
+    }
+
+    const usageFilePath = path.join(directories.root, USAGE_FILE);
+    const lines = fs.existsSync(usageFilePath) ? readAndParseFile(usageFilePath) : [];
+    const entries = lines
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(x => x);
+
+    USAGE.set(handle, entries);
+    return entries;
+}
+
+/**
+ * Estimates the cost of a generation from the known model prices.
+ * @param {string} model Model name
+ * @param {number} promptTokens Number of prompt tokens
+ * @param {number} completionTokens Number of completion tokens
+ * @returns {number} Estimated cost in USD, 0 if the model price is unknown
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+    const modelName = String(model).toLowerCase().split('/').pop();
+    const key = Object.keys(MODEL_PRICES)
+        .filter(prefix => modelName.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+
+    if (!key) {
+        return 0;
+    }
+
+    const [promptPrice, completionPrice] = MODEL_PRICES[key];
+    return (promptTokens * promptPrice + completionTokens * completionPrice) / 1_000_000;
+}
+
+/**
+ * Gets the monthly budget settings of a user.
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @returns {{monthly_limit: number, warning_threshold: number}} Budget settings
+ */
+function getBudget(directories) {
+    const defaults = { monthly_limit: 0, warning_threshold: 80 };
+
+    try {
+        const budgetFilePath = path.join(directories.root, BUDGET_FILE);
+        if (!fs.existsSync(budgetFilePath)) {
+            return defaults;
+        }
+
+        return { ...defaults, ...JSON.parse(fs.readFileSync(budgetFilePath, 'utf8')) };
+    } catch (error) {
+        console.error('Failed to read the token budget:', error);
+        return defaults;
+    }
+}
+
+/**
+ * Gets the current month spend of a user compared to their budget.
+ * @param {string} handle User handle
+ * @param {import('../users').UserDirectoryList} directories User directories
+ * @returns {{monthly_limit: number, warning_threshold: number, spent: number, month: string}} Budget status
+ */
+function getBudgetStatus(handle, directories) {
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    const spent = getUsageLedger(handle, directories)
+        .filter(x => x.timestamp >= monthStart)
+        .reduce((acc, x) => acc + (Number(x.cost) || 0), 0);
+    const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+    return { ...getBudget(directories), spent, month };
+}
+
+/**
+ * Filters the ledger entries by an optional time range.
+ * @param {TokenUsageEntry[]} entries Ledger entries
+ * @param {number} [from] Start of the range in milliseconds
+ * @param {number} [to] End of the range in milliseconds
+ * @returns {TokenUsageEntry[]} Entries within the range
+ */
+function filterUsageEntries(entries, from, to) {
+    return entries.filter(x => (!from || x.timestamp >= Number(from)) && (!to || x.timestamp <= Number(to)));
+}
+
+/**
+ * Serializes the ledger entries to CSV.
+ * @param {TokenUsageEntry[]} entries Ledger entries
+ * @returns {string} CSV text
+ */
+function usageToCsv(entries) {
+    const columns = ['timestamp', 'api', 'source', 'model', 'character', 'character_name', 'type', 'prompt_tokens', 'completion_tokens', 'estimated', 'cost'];
+    const escape = (value) => {
+        const text = String(value ?? '');
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => columns.map(column => column === 'timestamp'
+        ? new Date(entry.timestamp).toISOString()
+        : escape(entry[column])).join(','));
+
+    return [columns.join(','), ...rows].join('\n');
+}
+
 const router = express.Router();
 
 /**
@@ -460,6 +623,109 @@ router.post('/update', jsonParser, function (request, response) {
     return response.sendStatus(200);
 });
 
+/**
+ * Records the token usage of a generation in the ledger.
+ */
+router.post('/usage/record', jsonParser, async function (request, response) {
+    try {
+        if (!request.body) return response.sendStatus(400);
+
+        const promptTokens = Math.max(0, Math.round(Number(request.body.prompt_tokens) || 0));
+        const completionTokens = Math.max(0, Math.round(Number(request.body.completion_tokens) || 0));
+        const model = String(request.body.model ?? '');
+        const providedCost = Number(request.body.cost);
+
+        /** @type {TokenUsageEntry} */
+        const entry = {
+            timestamp: Date.now(),
+            api: String(request.body.api ?? ''),
+            source: String(request.body.source ?? ''),
+            model: model,
+            character: String(request.body.character ?? ''),
+            character_name: String(request.body.character_name ?? ''),
+            type: String(request.body.type ?? ''),
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            estimated: !!request.body.estimated,
+            cost: Number.isFinite(providedCost) && providedCost >= 0 ? providedCost : estimateCost(model, promptTokens, completionTokens),
+        };
+
+        const handle = request.user.profile.handle;
+        const directories = request.user.directories;
+        getUsageLedger(handle, directories).push(entry);
+        await fs.promises.appendFile(path.join(directories.root, USAGE_FILE), JSON.stringify(entry) + '\n', 'utf8');
+
+        return response.send({ entry, budget: getBudgetStatus(handle, directories) });
+    } catch (error) {
+        console.error('Failed to record token usage:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Gets the token usage ledger entries and the budget status.
+ */
+router.post('/usage/get', jsonParser, function (request, response) {
+    try {
+        const handle = request.user.profile.handle;
+        const directories = request.user.directories;
+        const entries = filterUsageEntries(getUsageLedger(handle, directories), request.body?.from, request.body?.to);
+        return response.send({ entries, budget: getBudgetStatus(handle, directories) });
+    } catch (error) {
+        console.error('Failed to get token usage:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Exports the token usage ledger as a CSV file.
+ */
+router.post('/usage/export', jsonParser, function (request, response) {
+    try {
+        const entries = filterUsageEntries(getUsageLedger(request.user.profile.handle, request.user.directories), request.body?.from, request.body?.to);
+        response.setHeader('Content-Type', 'text/csv');
+        response.setHeader('Content-Disposition', 'attachment; filename="token-usage.csv"');
+        return response.send(usageToCsv(entries));
+    } catch (error) {
+        console.error('Failed to export token usage:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Clears the token usage ledger.
+ */
+router.post('/usage/clear', jsonParser, async function (request, response) {
+    try {
+        USAGE.set(request.user.profile.handle, []);
+        await writeFileAtomic(path.join(request.user.directories.root, USAGE_FILE), '');
+        return response.sendStatus(200);
+    } catch (error) {
+        console.error('Failed to clear token usage:', error);
+        return response.sendStatus(500);
+    }
+});
+
+/**
+ * Sets the monthly budget of the user.
+ */
+router.post('/usage/budget', jsonParser, async function (request, response) {
+    try {
+        if (!request.body) return response.sendStatus(400);
+
+        const budget = {
+            monthly_limit: Math.max(0, Number(request.body.monthly_limit) || 0),
+            warning_threshold: Math.min(100, Math.max(0, Number(request.body.warning_threshold) || 0)),
+        };
+
+        await writeFileAtomic(path.join(request.user.directories.root, BUDGET_FILE), JSON.stringify(budget));
+        return response.send(getBudgetStatus(request.user.profile.handle, request.user.directories));
+    } catch (error) {
+        console.error('Failed to save the token budget:', error);
+        return response.sendStatus(500);
+    }
+});
+
 module.exports = {
     router,
     recreateStats,
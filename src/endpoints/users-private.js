@@ -4,8 +4,9 @@ const storage = require('node-persist');
 const express = require('express');
 const crypto = require('crypto');
 const { jsonParser } = require('../express-common');
-const { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, createBackupArchive, ensurePublicDirectoriesExist, toAvatarKey } = require('../users');
-const { SETTINGS_FILE } = require('../constants');
+const { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, createBackupArchive, ensurePublicDirectoriesExist, toAvatarKey, restoreBackupArchive, getLatestPreRestoreBackup, getUserDirectories } = require('../users');
+const { SETTINGS_FILE, UPLOADS_PATH } = require('../constants');
+const { canUpdateSecretsPassword, lockSecrets, updateSecretsPassword } = require('./secrets');
 const contentManager = require('./content-manager');
 const { color, Cache } = require('../util');
 const { checkForNewContent } = require('./content-manager');
@@ -21,6 +22,7 @@ router.post('/logout', async (request, response) => {
             return response.sendStatus(500);
         }
 
+        lockSecrets(request.user.directories);
         request.session.handle = null;
         return response.sendStatus(204);
     } catch (error) {
@@ -117,6 +119,12 @@ router.post('/change-password', jsonParser, async (request, response) => {
             return response.status(403).json({ error: 'Incorrect password' });
         }
 
+        // Changing the password of a locked file would make the API keys unreadable
+        if (!canUpdateSecretsPassword(getUserDirectories(request.body.handle), request.body.oldPassword)) {
+            console.log('Change password failed: Secrets are locked');
+            return response.status(409).json({ error: 'The API keys of this user are encrypted with the current password and are locked. The user must log in to unlock them before the password can be changed.' });
+        }
+
         if (request.body.newPassword) {
             const salt = getPasswordSalt();
             user.password = getPasswordHash(request.body.newPassword, salt);
@@ -127,6 +135,7 @@ router.post('/change-password', jsonParser, async (request, response) => {
         }
 
         await storage.setItem(toKey(request.body.handle), user);
+        updateSecretsPassword(getUserDirectories(request.body.handle), request.body.newPassword);
         return response.sendStatus(204);
     } catch (error) {
         console.error(error);
@@ -155,6 +164,65 @@ router.post('/backup', jsonParser, async (request, response) => {
     }
 });
 
+router.post('/restore', async (request, response) => {
+    try {
+        const handle = request.body.handle;
+
+        if (!handle || !request.file) {
+            console.log('Restore failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        if (handle !== request.user.profile.handle && !request.user.profile.admin) {
+            console.log('Restore failed: Unauthorized');
+            return response.status(403).json({ error: 'Unauthorized' });
+        }
+
+        const mode = request.body.mode === 'replace' ? 'replace' : 'merge';
+        const dryRun = request.body.dry_run === 'true';
+        const archivePath = path.join(UPLOADS_PATH, request.file.filename);
+
+        try {
+            const result = await restoreBackupArchive(handle, archivePath, { mode, dryRun });
+            return response.json(result);
+        } finally {
+            await fsPromises.rm(archivePath, { force: true });
+        }
+    } catch (error) {
+        console.error('Restore failed', error);
+        return response.status(400).json({ error: error.message });
+    }
+});
+
+router.post('/restore-undo', jsonParser, async (request, response) => {
+    try {
+        const handle = request.body.handle;
+
+        if (!handle) {
+            console.log('Restore undo failed: Missing required fields');
+            return response.status(400).json({ error: 'Missing required fields' });
+        }
+
+        if (handle !== request.user.profile.handle && !request.user.profile.admin) {
+            console.log('Restore undo failed: Unauthorized');
+            return response.status(403).json({ error: 'Unauthorized' });
+        }
+
+        const archivePath = getLatestPreRestoreBackup(handle);
+
+        if (!archivePath) {
+            console.log('Restore undo failed: No pre-restore backup found');
+            return response.status(404).json({ error: 'No pre-restore backup found' });
+        }
+
+        const result = await restoreBackupArchive(handle, archivePath, { mode: 'replace', skipBackup: true });
+        return response.json({ ...result, backup: path.basename(archivePath) });
+    } catch (error) {
+        console.error('Restore undo failed', error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/reset-settings', jsonParser, async (request, response) => {
     try {
         const password = request.body.password;
@@ -4,7 +4,8 @@ const express = require('express');
 const { RateLimiterMemory, RateLimiterRes } = require('rate-limiter-flexible');
 const { jsonParser, getIpFromRequest } = require('../express-common');
 const { color, Cache, getConfigValue } = require('../util');
-const { KEY_PREFIX, getUserAvatar, toKey, getPasswordHash, getPasswordSalt } = require('../users');
+const { KEY_PREFIX, getUserAvatar, toKey, getPasswordHash, getPasswordSalt, getUserDirectories } = require('../users');
+const { canUpdateSecretsPassword, setAsideLockedSecrets, unlockSecretsOnLogin, updateSecretsPassword } = require('./secrets');
 
 const DISCREET_LOGIN = getConfigValue('enableDiscreetLogin', false);
 const MFA_CACHE = new Cache(5 * 60 * 1000);
@@ -87,6 +88,7 @@ router.post('/login', jsonParser, async (request, response) => {
 
         await loginLimiter.delete(ip);
         request.session.handle = user.handle;
+        unlockSecretsOnLogin(getUserDirectories(user.handle), request.body.password);
         console.log('Login successful:', user.handle, request.session);
         return response.json({ handle: user.handle });
     } catch (error) {
@@ -180,9 +182,20 @@ router.post('/recover-step2', jsonParser, async (request, response) => {
             await storage.setItem(toKey(user.handle), user);
         }
 
+        const directories = getUserDirectories(user.handle);
+        let warning = '';
+
+        // The forgotten password is the only key to the API keys encrypted with it
+        if (!canUpdateSecretsPassword(directories)) {
+            const fileName = setAsideLockedSecrets(directories);
+            console.warn(color.yellow(`Recovered user ${user.handle} had the secrets encrypted with the forgotten password. They were moved to ${fileName}.`));
+            warning = `Your API keys were encrypted with the forgotten password and can't be unlocked. They were moved to ${fileName} in your data folder. Please enter your API keys again.`;
+        }
+
+        updateSecretsPassword(directories, request.body.newPassword);
         await recoverLimiter.delete(ip);
         MFA_CACHE.remove(user.handle);
-        return response.sendStatus(204);
+        return warning ? response.json({ warning }) : response.sendStatus(204);
     } catch (error) {
         if (error instanceof RateLimiterRes) {
             console.log('Recover step 2 failed: Rate limited from', getIpFromRequest(request));
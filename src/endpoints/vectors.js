@@ -1,8 +1,11 @@
 const vectra = require('vectra');
+const fs = require('fs');
 const path = require('path');
 const express = require('express');
 const sanitize = require('sanitize-filename');
 const { jsonParser } = require('../express-common');
+const { getConfigValue } = require('../util');
+const { loadKeywordIndex, saveKeywordIndex, createKeywordIndex, addKeywordItems, removeKeywordItems, queryKeywordIndex } = require('../vectors/keyword-index');
 
 // Don't forget to add new sources to the SOURCES array
 const SOURCES = [
@@ -18,6 +21,61 @@ const SOURCES = [
     'llamacpp',
 ];
 
+/**
+ * Name of the file in the collection folder that records which embedding model produced the vectors.
+ */
+const MODEL_METADATA_FILE = 'model.json';
+
+/**
+ * Background re-vectorization jobs, keyed by the user's vectors directory.
+ * @type {Map<string, RevectorizeJob>}
+ */
+const REVECTORIZE_JOBS = new Map();
+
+/**
+ * @typedef {Object} RevectorizeJob
+ * @property {boolean} running Whether the job is still running
+ * @property {boolean} cancelled Whether the job was cancelled by the user
+ * @property {string} source The source of the vectors
+ * @property {string} model The embedding model used for the new vectors
+ * @property {number} total Number of the collections to re-vectorize
+ * @property {number} done Number of the processed collections
+ * @property {string} current ID of the collection that is being processed
+ * @property {string[]} failed IDs of the collections that failed to re-vectorize
+ * @property {string} error Error message if the job has failed
+ */
+
+/**
+ * Thrown when the vectors of the collection were produced by a different embedding model.
+ */
+class VectorModelMismatchError extends Error {
+    /**
+     * @param {string} message Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'VectorModelMismatchError';
+    }
+}
+
+/**
+ * Constant of the reciprocal rank fusion. Higher values flatten the difference between the top ranks.
+ */
+const RRF_K = 60;
+
+/**
+ * @typedef {Object} RetrievalSettings
+ * @property {'vector'|'hybrid'} mode Vector similarity only, or fused with the keyword (BM25) search
+ * @property {boolean} rerank Whether to rerank the top results with a cross-encoder
+ * @property {number} rerankTopN Number of the top results to rerank
+ */
+
+/**
+ * Default retrieval settings: pure vector similarity search.
+ * @type {RetrievalSettings}
+ */
+const DEFAULT_RETRIEVAL = Object.freeze({ mode: 'vector', rerank: false, rerankTopN: 20 });
+
 /**
  * Gets the vector for the given text from the given source.
  * @param {string} source - The source of the vector
@@ -103,15 +161,47 @@ async function getBatchVector(source, sourceSettings, texts, isQuery, directorie
 }
 
 /**
- * Gets the index for the vector collection
+ * Gets the name of the embedding model used by the source.
+ * @param {string} source - The source of the vector
+ * @param {Object} sourceSettings - Settings for the source, if it needs any
+ * @returns {string} - The model name, or an empty string if the source doesn't expose it
+ */
+function getSourceModel(source, sourceSettings) {
+    if (source === 'transformers') {
+        return String(getConfigValue('extras.embeddingModel', '') ?? '');
+    }
+
+    const model = sourceSettings?.model;
+    return model && model !== 'undefined' ? String(model) : '';
+}
+
+/**
+ * Gets the name of the folder that holds the collections of the embedding model.
+ * @param {string} model - The model name
+ * @returns {string} - The folder name, or an empty string for the collections of unknown models
+ */
+function getModelNamespace(model) {
+    return model ? sanitize(model, { replacement: '_' }) : '';
+}
+
+/**
+ * Gets the index for the vector collection.
+ * Collections of the known models live in the model folder, so switching the model doesn't mix up the vectors.
  * @param {import('../users').UserDirectoryList} directories - User directories
  * @param {string} collectionId - The collection ID
  * @param {string} source - The source of the vector
+ * @param {string} model - The embedding model name, or an empty string if unknown
  * @param {boolean} create - Whether to create the index if it doesn't exist
  * @returns {Promise<vectra.LocalIndex>} - The index for the collection
  */
-async function getIndex(directories, collectionId, source, create = true) {
-    const pathToFile = path.join(directories.vectors, sanitize(source), sanitize(collectionId));
+async function getIndex(directories, collectionId, source, model, create = true) {
+    const namespace = getModelNamespace(model);
+    const pathToFile = path.join(directories.vectors, sanitize(source), namespace, sanitize(collectionId));
+
+    if (namespace && !fs.existsSync(path.join(pathToFile, 'index.json'))) {
+        await migrateLegacyIndex(directories, collectionId, source, namespace, pathToFile);
+    }
+
     const store = new vectra.LocalIndex(pathToFile);
 
     if (create && !await store.isIndexCreated()) {
@@ -121,6 +211,146 @@ async function getIndex(directories, collectionId, source, create = true) {
     return store;
 }
 
+/**
+ * Moves a collection stored before the model folders existed to the folder of the current model,
+ * so that upgrading doesn't orphan the existing vectors. The legacy vectors are assumed to be made by the current model,
+ * mismatched dimensions are still caught by the model validation.
+ * @param {import('../users').UserDirectoryList} directories - User directories
+ * @param {string} collectionId - The collection ID
+ * @param {string} source - The source of the vector
+ * @param {string} namespace - The folder name of the current model
+ * @param {string} pathToFile - The collection folder in the model folder
+ */
+async function migrateLegacyIndex(directories, collectionId, source, namespace, pathToFile) {
+    const legacyPath = path.join(directories.vectors, sanitize(source), sanitize(collectionId));
+
+    if (!fs.existsSync(path.join(legacyPath, 'index.json'))) {
+        return;
+    }
+
+    const metadata = readModelMetadata(legacyPath);
+
+    // Recorded for another model, leave it for the re-vectorization
+    if (metadata?.model && getModelNamespace(metadata.model) !== namespace) {
+        return;
+    }
+
+    await fs.promises.mkdir(path.dirname(pathToFile), { recursive: true });
+    await fs.promises.rename(legacyPath, pathToFile);
+    console.log(`Moved vector collection ${collectionId} to the ${source} ${namespace} model folder`);
+}
+
+/**
+ * Lists all collections of the source, including the ones stored for other embedding models.
+ * @param {import('../users').UserDirectoryList} directories - User directories
+ * @param {string} source - The source of the vector
+ * @returns {{ collectionId: string, namespace: string, folderPath: string }[]} - The collections
+ */
+function listCollections(directories, source) {
+    const sourcePath = path.join(directories.vectors, sanitize(source));
+
+    if (!fs.existsSync(sourcePath)) {
+        return [];
+    }
+
+    const collections = [];
+    const getSubfolders = (folderPath) => fs.readdirSync(folderPath, { withFileTypes: true }).filter(x => x.isDirectory()).map(x => x.name);
+    const isCollection = (folderPath) => fs.existsSync(path.join(folderPath, 'index.json'));
+
+    for (const name of getSubfolders(sourcePath)) {
+        const folderPath = path.join(sourcePath, name);
+
+        if (isCollection(folderPath)) {
+            collections.push({ collectionId: name, namespace: '', folderPath });
+            continue;
+        }
+
+        for (const collectionId of getSubfolders(folderPath)) {
+            const collectionPath = path.join(folderPath, collectionId);
+
+            if (isCollection(collectionPath)) {
+                collections.push({ collectionId, namespace: name, folderPath: collectionPath });
+            }
+        }
+    }
+
+    return collections;
+}
+
+/**
+ * Reads the embedding model metadata of the collection.
+ * @param {string} folderPath - The collection folder
+ * @returns {{ source: string, model: string, dimensions: number } | null} - The metadata, or null if not recorded
+ */
+function readModelMetadata(folderPath) {
+    const filePath = path.join(folderPath, MODEL_METADATA_FILE);
+
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Checks that the vectors of the collection are compatible with the current embedding model.
+ * Records the model metadata if the collection doesn't have it yet.
+ * @param {vectra.LocalIndex} store - The vector index of the collection
+ * @param {string} collectionId - The collection ID
+ * @param {string} source - The source of the vector
+ * @param {string} model - The embedding model name
+ * @param {number} dimensions - The number of dimensions of the current model's vectors
+ * @throws {VectorModelMismatchError} If the collection was vectorized with a different model
+ */
+async function validateIndexModel(store, collectionId, source, model, dimensions) {
+    const describe = (m) => [m.source, m.model].filter(x => x).join(' / ');
+    const metadata = readModelMetadata(store.folderPath);
+
+    if (metadata) {
+        const modelChanged = metadata.model && model && metadata.model !== model;
+        const dimensionsChanged = metadata.dimensions && metadata.dimensions !== dimensions;
+
+        if (modelChanged || dimensionsChanged) {
+            throw new VectorModelMismatchError(`Collection "${collectionId}" was vectorized with ${describe(metadata)} (${metadata.dimensions} dimensions), but the current embedding model ${describe({ source, model })} produces ${dimensions} dimensions. Re-vectorize the collections or switch back to the previous model.`);
+        }
+
+        return;
+    }
+
+    const items = await store.listItems();
+    const storedDimensions = items.length > 0 ? items[0].vector.length : 0;
+
+    if (storedDimensions && storedDimensions !== dimensions) {
+        throw new VectorModelMismatchError(`Collection "${collectionId}" has vectors of ${storedDimensions} dimensions, but the current embedding model ${describe({ source, model })} produces ${dimensions} dimensions. Re-vectorize the collections or switch back to the previous model.`);
+    }
+
+    const newMetadata = { source, model, dimensions };
+    fs.writeFileSync(path.join(store.folderPath, MODEL_METADATA_FILE), JSON.stringify(newMetadata, null, 4), 'utf8');
+}
+
+/**
+ * Gets the keyword index of the collection. Builds it from the stored items if it doesn't exist yet.
+ * @param {vectra.LocalIndex} store - The vector index of the collection
+ * @returns {Promise<import('../vectors/keyword-index').KeywordIndex>} - The keyword index
+ */
+async function getKeywordIndex(store) {
+    const index = loadKeywordIndex(store.folderPath);
+
+    if (index) {
+        return index;
+    }
+
+    const newIndex = createKeywordIndex();
+
+    if (await store.isIndexCreated()) {
+        const items = await store.listItems();
+        addKeywordItems(newIndex, items.map(x => ({ hash: Number(x.metadata.hash), text: String(x.metadata.text) })));
+        saveKeywordIndex(store.folderPath, newIndex);
+    }
+
+    return newIndex;
+}
+
 /**
  * Inserts items into the vector collection
  * @param {import('../users').UserDirectoryList} directories - User directories
@@ -130,11 +360,28 @@ async function getIndex(directories, collectionId, source, create = true) {
  * @param {{ hash: number; text: string; index: number; }[]} items - The items to insert
  */
 async function insertVectorItems(directories, collectionId, source, sourceSettings, items) {
-    const store = await getIndex(directories, collectionId, source);
+    const model = getSourceModel(source, sourceSettings);
+    const store = await getIndex(directories, collectionId, source, model);
+    const vectors = await getBatchVector(source, sourceSettings, items.map(x => x.text), false, directories);
 
-    await store.beginUpdate();
+    await storeVectorItems(store, collectionId, source, model, items, vectors);
+}
 
-    const vectors = await getBatchVector(source, sourceSettings, items.map(x => x.text), false, directories);
+/**
+ * Stores the items with their precomputed vectors in the vector collection
+ * @param {vectra.LocalIndex} store - The vector index of the collection
+ * @param {string} collectionId - The collection ID
+ * @param {string} source - The source of the vector
+ * @param {string} model - The embedding model name
+ * @param {{ hash: number; text: string; index: number; }[]} items - The items to insert
+ * @param {number[][]} vectors - The vectors of the items
+ */
+async function storeVectorItems(store, collectionId, source, model, items, vectors) {
+    if (vectors.length > 0) {
+        await validateIndexModel(store, collectionId, source, model, vectors[0].length);
+    }
+
+    await store.beginUpdate();
 
     for (let i = 0; i < items.length; i++) {
         const item = items[i];
@@ -143,6 +390,10 @@ async function insertVectorItems(directories, collectionId, source, sourceSettin
     }
 
     await store.endUpdate();
+
+    const keywordIndex = await getKeywordIndex(store);
+    addKeywordItems(keywordIndex, items.map(x => ({ hash: Number(x.hash), text: x.text })));
+    saveKeywordIndex(store.folderPath, keywordIndex);
 }
 
 /**
@@ -150,10 +401,11 @@ async function insertVectorItems(directories, collectionId, source, sourceSettin
  * @param {import('../users').UserDirectoryList} directories - User directories
  * @param {string} collectionId - The collection ID
  * @param {string} source - The source of the vector
+ * @param {string} model - The embedding model name
  * @returns {Promise<number[]>} - The hashes of the items in the collection
  */
-async function getSavedHashes(directories, collectionId, source) {
-    const store = await getIndex(directories, collectionId, source);
+async function getSavedHashes(directories, collectionId, source, model) {
+    const store = await getIndex(directories, collectionId, source, model);
 
     const items = await store.listItems();
     const hashes = items.map(x => Number(x.metadata.hash));
@@ -166,10 +418,11 @@ async function getSavedHashes(directories, collectionId, source) {
  * @param {import('../users').UserDirectoryList} directories - User directories
  * @param {string} collectionId - The collection ID
  * @param {string} source - The source of the vector
+ * @param {string} model - The embedding model name
  * @param {number[]} hashes - The hashes of the items to delete
  */
-async function deleteVectorItems(directories, collectionId, source, hashes) {
-    const store = await getIndex(directories, collectionId, source);
+async function deleteVectorItems(directories, collectionId, source, model, hashes) {
+    const store = await getIndex(directories, collectionId, source, model);
     const items = await store.listItemsByMetadata({ hash: { '$in': hashes } });
 
     await store.beginUpdate();
@@ -179,6 +432,108 @@ async function deleteVectorItems(directories, collectionId, source, hashes) {
     }
 
     await store.endUpdate();
+
+    const keywordIndex = await getKeywordIndex(store);
+    removeKeywordItems(keywordIndex, hashes);
+    saveKeywordIndex(store.folderPath, keywordIndex);
+}
+
+/**
+ * Fuses multiple rankings of the same items with reciprocal rank fusion.
+ * @param {number[][]} rankings - Lists of item hashes, best match first
+ * @returns {{ hash: number, score: number }[]} - Fused ranking, best match first
+ */
+function fuseRankings(rankings) {
+    const scores = new Map();
+
+    for (const ranking of rankings) {
+        ranking.forEach((hash, rank) => scores.set(hash, (scores.get(hash) ?? 0) + 1 / (RRF_K + rank + 1)));
+    }
+
+    return Array.from(scores.entries())
+        .map(([hash, score]) => ({ hash, score }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Ranks the items of a collection by the vector similarity, fused with the keyword search in the hybrid mode.
+ * @param {vectra.LocalIndex} store - The vector index of the collection
+ * @param {number[]} vector - The vector of the search text
+ * @param {string} searchText - The text to search for
+ * @param {number} count - The number of results to return
+ * @param {number} threshold - The similarity threshold for the vector search results
+ * @param {RetrievalSettings} retrieval - Retrieval settings
+ * @returns {Promise<{ score: number, metadata: object }[]>} - Ranked items, best match first
+ */
+async function rankCollectionItems(store, vector, searchText, count, threshold, retrieval) {
+    const vectorResults = (await store.queryItems(vector, count)).filter(x => x.score >= threshold);
+
+    if (retrieval.mode !== 'hybrid') {
+        return vectorResults.map(x => ({ score: x.score, metadata: x.item.metadata }));
+    }
+
+    const keywordResults = queryKeywordIndex(await getKeywordIndex(store), searchText, count);
+    const metadataByHash = new Map(vectorResults.map(x => [Number(x.item.metadata.hash), x.item.metadata]));
+    const missingHashes = keywordResults.map(x => x.hash).filter(x => !metadataByHash.has(x));
+
+    if (missingHashes.length > 0) {
+        const items = await store.listItemsByMetadata({ hash: { '$in': missingHashes } });
+        items.forEach(x => metadataByHash.set(Number(x.metadata.hash), x.metadata));
+    }
+
+    return fuseRankings([vectorResults.map(x => Number(x.item.metadata.hash)), keywordResults.map(x => x.hash)])
+        .filter(x => metadataByHash.has(x.hash))
+        .slice(0, count)
+        .map(x => ({ score: x.score, metadata: metadataByHash.get(x.hash) }));
+}
+
+/**
+ * Reranks the top results with a cross-encoder. The rest of the results keep their order.
+ * @param {string} searchText - The text to search for
+ * @param {{ score: number, metadata: object }[]} results - Ranked results, best match first
+ * @param {number} topN - The number of top results to rerank
+ * @returns {Promise<{ score: number, metadata: object }[]>} - Reranked results
+ */
+async function rerankResults(searchText, results, topN) {
+    const head = results.slice(0, topN);
+    const tail = results.slice(topN);
+    const scores = await require('../vectors/reranking').getTransformersRerankScores(searchText, head.map(x => String(x.metadata.text)));
+    const reranked = head.map((x, i) => ({ ...x, score: scores[i] })).sort((a, b) => b.score - a.score);
+    return [...reranked, ...tail];
+}
+
+/**
+ * Queries the collections with the hybrid search and/or reranking. Returns the overall top K results.
+ * @param {import('../users').UserDirectoryList} directories - User directories
+ * @param {string[]} collectionIds - The collection IDs to query
+ * @param {string} source - The source of the vector
+ * @param {Object} sourceSettings - Settings for the source, if it needs any
+ * @param {string} searchText - The text to search for
+ * @param {number} topK - The number of results to return
+ * @param {number} threshold - The similarity threshold for the vector search results
+ * @param {RetrievalSettings} retrieval - Retrieval settings
+ * @returns {Promise<{ collectionId: string, score: number, metadata: object }[]>} - The top K results, best match first
+ */
+async function retrieveFromCollections(directories, collectionIds, source, sourceSettings, searchText, topK, threshold, retrieval) {
+    const model = getSourceModel(source, sourceSettings);
+    const vector = await getVector(source, sourceSettings, searchText, true, directories);
+    const count = Math.max(topK * 2, retrieval.rerank ? retrieval.rerankTopN : 0);
+    let results = [];
+
+    for (const collectionId of collectionIds) {
+        const store = await getIndex(directories, collectionId, source, model);
+        await validateIndexModel(store, collectionId, source, model, vector.length);
+        const items = await rankCollectionItems(store, vector, searchText, count, threshold, retrieval);
+        results.push(...items.map(x => ({ collectionId, ...x })));
+    }
+
+    results.sort((a, b) => b.score - a.score);
+
+    if (retrieval.rerank) {
+        results = await rerankResults(searchText, results, retrieval.rerankTopN);
+    }
+
+    return results.slice(0, topK);
 }
 
 /**
@@ -190,11 +545,21 @@ async function deleteVectorItems(directories, collectionId, source, hashes) {
  * @param {string} searchText - The text to search for
  * @param {number} topK - The number of results to return
  * @param {number} threshold - The threshold for the search
+ * @param {RetrievalSettings} [retrieval] - Retrieval settings
  * @returns {Promise<{hashes: number[], metadata: object[]}>} - The metadata of the items that match the search text
  */
-async function queryCollection(directories, collectionId, source, sourceSettings, searchText, topK, threshold) {
-    const store = await getIndex(directories, collectionId, source);
+async function queryCollection(directories, collectionId, source, sourceSettings, searchText, topK, threshold, retrieval = DEFAULT_RETRIEVAL) {
+    if (retrieval.mode === 'hybrid' || retrieval.rerank) {
+        const results = await retrieveFromCollections(directories, [collectionId], source, sourceSettings, searchText, topK, threshold, retrieval);
+        const metadata = results.map(x => x.metadata);
+        const hashes = metadata.map(x => Number(x.hash));
+        return { metadata, hashes };
+    }
+
+    const model = getSourceModel(source, sourceSettings);
+    const store = await getIndex(directories, collectionId, source, model);
     const vector = await getVector(source, sourceSettings, searchText, true, directories);
+    await validateIndexModel(store, collectionId, source, model, vector.length);
 
     const result = await store.queryItems(vector, topK);
     const metadata = result.filter(x => x.score >= threshold).map(x => x.item.metadata);
@@ -211,15 +576,23 @@ async function queryCollection(directories, collectionId, source, sourceSettings
  * @param {string} searchText - The text to search for
  * @param {number} topK - The number of results to return
  * @param {number} threshold - The threshold for the search
+ * @param {RetrievalSettings} [retrieval] - Retrieval settings
  *
  * @returns {Promise<Record<string, { hashes: number[], metadata: object[] }>>} - The top K results from each collection
  */
-async function multiQueryCollection(directories, collectionIds, source, sourceSettings, searchText, topK, threshold) {
+async function multiQueryCollection(directories, collectionIds, source, sourceSettings, searchText, topK, threshold, retrieval = DEFAULT_RETRIEVAL) {
+    if (retrieval.mode === 'hybrid' || retrieval.rerank) {
+        const results = await retrieveFromCollections(directories, collectionIds, source, sourceSettings, searchText, topK, threshold, retrieval);
+        return groupResultsByCollection(results);
+    }
+
+    const model = getSourceModel(source, sourceSettings);
     const vector = await getVector(source, sourceSettings, searchText, true, directories);
     const results = [];
 
     for (const collectionId of collectionIds) {
-        const store = await getIndex(directories, collectionId, source);
+        const store = await getIndex(directories, collectionId, source, model);
+        await validateIndexModel(store, collectionId, source, model, vector.length);
         const result = await store.queryItems(vector, topK);
         results.push(...result.map(result => ({ collectionId, result })));
     }
@@ -228,20 +601,30 @@ async function multiQueryCollection(directories, collectionIds, source, sourceSe
     const sortedResults = results
         .sort((a, b) => b.result.score - a.result.score)
         .filter(x => x.result.score >= threshold)
-        .slice(0, topK);
+        .slice(0, topK)
+        .map(x => ({ collectionId: x.collectionId, metadata: x.result.item.metadata }));
+
+    return groupResultsByCollection(sortedResults);
+}
 
+/**
+ * Groups the query results by collection ID.
+ * @param {{ collectionId: string, metadata: object }[]} results - Query results, best match first
+ * @returns {Record<string, { hashes: number[], metadata: object[] }>} - Results mapped to collection IDs
+ */
+function groupResultsByCollection(results) {
     /**
      * Group the results by collection ID
      * @type {Record<string, { hashes: number[], metadata: object[] }>}
      */
     const groupedResults = {};
-    for (const result of sortedResults) {
+    for (const result of results) {
         if (!groupedResults[result.collectionId]) {
             groupedResults[result.collectionId] = { hashes: [], metadata: [] };
         }
 
-        groupedResults[result.collectionId].hashes.push(Number(result.result.item.metadata.hash));
-        groupedResults[result.collectionId].metadata.push(result.result.item.metadata);
+        groupedResults[result.collectionId].hashes.push(Number(result.metadata.hash));
+        groupedResults[result.collectionId].metadata.push(result.metadata);
     }
 
     return groupedResults;
@@ -304,6 +687,97 @@ function getSourceSettings(source, request) {
     }
 }
 
+/**
+ * Extracts the retrieval settings from the HTTP request body.
+ * @param {object} request - The HTTP request object.
+ * @returns {RetrievalSettings} - Retrieval settings
+ */
+function getRetrievalSettings(request) {
+    const retrieval = request.body.retrieval ?? {};
+
+    return {
+        mode: retrieval.mode === 'hybrid' ? 'hybrid' : 'vector',
+        rerank: Boolean(retrieval.rerank),
+        rerankTopN: Number(retrieval.rerankTopN) || DEFAULT_RETRIEVAL.rerankTopN,
+    };
+}
+
+/**
+ * Re-vectorizes all collections of the source with the current embedding model.
+ * Collections of the known models are copied to the current model's folder, leaving the old vectors intact.
+ * Collections of the unknown models are replaced in place.
+ * @param {import('../users').UserDirectoryList} directories - User directories
+ * @param {string} source - The source of the vector
+ * @param {Object} sourceSettings - Settings for the source, if it needs any
+ * @param {RevectorizeJob} job - The job state to report the progress to
+ */
+async function revectorizeCollections(directories, source, sourceSettings, job) {
+    const model = getSourceModel(source, sourceSettings);
+    const namespace = getModelNamespace(model);
+    const collections = [];
+
+    for (const collection of listCollections(directories, source)) {
+        const items = await new vectra.LocalIndex(collection.folderPath).listItems();
+
+        if (items.length > 0) {
+            collections.push(collection);
+        }
+    }
+
+    const upToDate = new Set(namespace ? collections.filter(x => x.namespace === namespace).map(x => x.collectionId) : []);
+    const pending = new Map();
+
+    for (const collection of collections) {
+        if (upToDate.has(collection.collectionId)) {
+            continue;
+        }
+
+        // Collections already in the current folder are re-vectorized in place
+        if (pending.has(collection.collectionId) && collection.namespace !== namespace) {
+            continue;
+        }
+
+        pending.set(collection.collectionId, collection);
+    }
+
+    job.total = pending.size;
+
+    for (const collection of pending.values()) {
+        if (job.cancelled) {
+            break;
+        }
+
+        job.current = collection.collectionId;
+
+        try {
+            const oldStore = new vectra.LocalIndex(collection.folderPath);
+            const items = (await oldStore.listItems()).map(x => ({ hash: Number(x.metadata.hash), text: String(x.metadata.text), index: Number(x.metadata.index) }));
+            const vectors = await getBatchVector(source, sourceSettings, items.map(x => x.text), false, directories);
+
+            if (collection.namespace === namespace) {
+                await oldStore.deleteIndex();
+            }
+
+            let store = await getIndex(directories, collection.collectionId, source, model);
+
+            // A legacy collection was moved to the current model folder with its old vectors
+            if (!collection.namespace && namespace && (await store.listItems()).length > 0) {
+                await store.deleteIndex();
+                store = await getIndex(directories, collection.collectionId, source, model);
+            }
+            await storeVectorItems(store, collection.collectionId, source, model, items, vectors);
+            console.log(`Re-vectorized collection ${collection.collectionId} with ${source} ${model}`.trim());
+        } catch (error) {
+            console.error(`Failed to re-vectorize collection ${collection.collectionId}`, error);
+            job.failed.push(collection.collectionId);
+        }
+
+        job.done++;
+    }
+
+    job.current = '';
+}
+
 /**
  * Performs a request to regenerate the index if it is corrupted.
  * @param {import('express').Request} req Express request object
@@ -312,12 +786,18 @@ function getSourceSettings(source, request) {
  * @returns {Promise<any>} Promise
  */
 async function regenerateCorruptedIndexErrorHandler(req, res, error) {
+    if (error instanceof VectorModelMismatchError) {
+        console.warn(error.message);
+        return res.status(409).json({ error: error.message });
+    }
+
     if (error instanceof SyntaxError && !req.query.regenerated) {
         const collectionId = String(req.body.collectionId);
         const source = String(req.body.source) || 'transformers';
 
         if (collectionId && source) {
-            const index = await getIndex(req.user.directories, collectionId, source, false);
+            const model = getSourceModel(source, getSourceSettings(source, req));
+            const index = await getIndex(req.user.directories, collectionId, source, model, false);
             const exists = await index.isIndexCreated();
 
             if (exists) {
@@ -347,8 +827,9 @@ router.post('/query', jsonParser, async (req, res) => {
         const threshold = Number(req.body.threshold) || 0.0;
         const source = String(req.body.source) || 'transformers';
         const sourceSettings = getSourceSettings(source, req);
+        const retrieval = getRetrievalSettings(req);
 
-        const results = await queryCollection(req.user.directories, collectionId, source, sourceSettings, searchText, topK, threshold);
+        const results = await queryCollection(req.user.directories, collectionId, source, sourceSettings, searchText, topK, threshold, retrieval);
         return res.json(results);
     } catch (error) {
         return regenerateCorruptedIndexErrorHandler(req, res, error);
@@ -367,8 +848,9 @@ router.post('/query-multi', jsonParser, async (req, res) => {
         const threshold = Number(req.body.threshold) || 0.0;
         const source = String(req.body.source) || 'transformers';
         const sourceSettings = getSourceSettings(source, req);
+        const retrieval = getRetrievalSettings(req);
 
-        const results = await multiQueryCollection(req.user.directories, collectionIds, source, sourceSettings, searchText, topK, threshold);
+        const results = await multiQueryCollection(req.user.directories, collectionIds, source, sourceSettings, searchText, topK, threshold, retrieval);
         return res.json(results);
     } catch (error) {
         return regenerateCorruptedIndexErrorHandler(req, res, error);
@@ -401,8 +883,9 @@ router.post('/list', jsonParser, async (req, res) => {
 
         const collectionId = String(req.body.collectionId);
         const source = String(req.body.source) || 'transformers';
+        const model = getSourceModel(source, getSourceSettings(source, req));
 
-        const hashes = await getSavedHashes(req.user.directories, collectionId, source);
+        const hashes = await getSavedHashes(req.user.directories, collectionId, source, model);
         return res.json(hashes);
     } catch (error) {
         return regenerateCorruptedIndexErrorHandler(req, res, error);
@@ -418,8 +901,9 @@ router.post('/delete', jsonParser, async (req, res) => {
         const collectionId = String(req.body.collectionId);
         const hashes = req.body.hashes.map(x => Number(x));
         const source = String(req.body.source) || 'transformers';
+        const model = getSourceModel(source, getSourceSettings(source, req));
 
-        await deleteVectorItems(req.user.directories, collectionId, source, hashes);
+        await deleteVectorItems(req.user.directories, collectionId, source, model, hashes);
         return res.sendStatus(200);
     } catch (error) {
         return regenerateCorruptedIndexErrorHandler(req, res, error);
@@ -435,17 +919,13 @@ router.post('/purge', jsonParser, async (req, res) => {
         const collectionId = String(req.body.collectionId);
 
         for (const source of SOURCES) {
-            const index = await getIndex(req.user.directories, collectionId, source, false);
-
-            const exists = await index.isIndexCreated();
+            const collections = listCollections(req.user.directories, source).filter(x => x.collectionId === sanitize(collectionId));
 
-            if (!exists) {
-                continue;
+            for (const collection of collections) {
+                const index = new vectra.LocalIndex(collection.folderPath);
+                await index.deleteIndex();
+                console.log(`Deleted vector index at ${collection.folderPath}`);
             }
-
-            const path = index.folderPath;
-            await index.deleteIndex();
-            console.log(`Deleted vector index at ${path}`);
         }
 
         return res.sendStatus(200);
@@ -455,4 +935,62 @@ router.post('/purge', jsonParser, async (req, res) => {
     }
 });
 
+router.post('/revectorize', jsonParser, async (req, res) => {
+    try {
+        const directories = req.user.directories;
+        const existingJob = REVECTORIZE_JOBS.get(directories.vectors);
+
+        if (existingJob?.running) {
+            return res.status(409).json({ error: 'Re-vectorization is already running' });
+        }
+
+        const source = String(req.body.source) || 'transformers';
+        const sourceSettings = getSourceSettings(source, req);
+
+        /** @type {RevectorizeJob} */
+        const job = {
+            running: true,
+            cancelled: false,
+            source: source,
+            model: getSourceModel(source, sourceSettings),
+            total: 0,
+            done: 0,
+            current: '',
+            failed: [],
+            error: '',
+        };
+
+        REVECTORIZE_JOBS.set(directories.vectors, job);
+
+        revectorizeCollections(directories, source, sourceSettings, job)
+            .catch(error => {
+                console.error('Re-vectorization failed', error);
+                job.error = error.message;
+            })
+            .finally(() => {
+                job.running = false;
+            });
+
+        return res.json(job);
+    } catch (error) {
+        console.error(error);
+        return res.sendStatus(500);
+    }
+});
+
+router.post('/revectorize-status', jsonParser, (req, res) => {
+    const job = REVECTORIZE_JOBS.get(req.user.directories.vectors);
+    return res.json(job ?? { running: false });
+});
+
+router.post('/revectorize-cancel', jsonParser, (req, res) => {
+    const job = REVECTORIZE_JOBS.get(req.user.directories.vectors);
+
+    if (job?.running) {
+        job.cancelled = true;
+    }
+
+    return res.sendStatus(200);
+});
+
 module.exports = { router };
@@ -0,0 +1,309 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Types of generation hooks that server plugins can subscribe to.
+ * @readonly
+ * @enum {string}
+ */
+const GENERATION_HOOKS = {
+    /** Called before the request is sent to the API. Can mutate or replace the request payload, or throw to reject it. */
+    BEFORE_REQUEST: 'beforeRequest',
+    /** Called with the parsed response of a non-streaming generation. Can mutate or replace the response. */
+    AFTER_RESPONSE: 'afterResponse',
+    /** Called synchronously with every server-sent event of a streaming generation. Can replace the event text. */
+    STREAM_CHUNK: 'streamChunk',
+    /** Called when a generation fails. Can replace the error response. */
+    ERROR: 'error',
+};
+
+/**
+ * Context of a generation request passed to every hook.
+ * @typedef {object} GenerationHookContext
+ * @property {string} api - Backend that handles the request ('chat-completions' or 'text-completions')
+ * @property {string} source - API source (chat completion source or text completion type)
+ * @property {string} model - Requested model, if any
+ * @property {boolean} stream - Whether the response is streamed
+ * @property {string} user - Handle of the user that made the request
+ * @property {import('express').Request} request - Express request
+ */
+
+/**
+ * @typedef {object} GenerationHook
+ * @property {string} type - Hook type
+ * @property {Function} handler - Hook handler
+ * @property {string} owner - Name of the plugin that registered the hook
+ * @property {() => boolean} isActive - Returns false when the hook should be skipped
+ */
+
+/**
+ * Registered generation hooks, in registration order.
+ * @type {GenerationHook[]}
+ */
+const hooks = [];
+
+/**
+ * Registers a generation hook.
+ * @param {string} type Hook type, one of GENERATION_HOOKS
+ * @param {Function} handler Hook handler
+ * @param {string} owner Name of the plugin that registered the hook
+ * @param {() => boolean} [isActive] Returns false when the hook should be skipped
+ * @returns {() => void} Function that unregisters the hook
+ */
+function registerGenerationHook(type, handler, owner, isActive = () => true) {
+    if (!Object.values(GENERATION_HOOKS).includes(type)) {
+        throw new Error(`Unknown generation hook type '${type}'`);
+    }
+
+    if (typeof handler !== 'function') {
+        throw new Error('Generation hook handler must be a function');
+    }
+
+    const hook = { type, handler, owner, isActive };
+    hooks.push(hook);
+
+    return () => {
+        const index = hooks.indexOf(hook);
+        if (index !== -1) {
+            hooks.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * Gets the active hooks of a type.
+ * @param {string} type Hook type
+ * @returns {GenerationHook[]} Active hooks
+ */
+function getActiveHooks(type) {
+    return hooks.filter(x => x.type === type && x.isActive());
+}
+
+/**
+ * Runs the asynchronous hooks of a type, passing the value through every handler.
+ * A handler can mutate the value or return a replacement. Errors are logged and ignored.
+ * @param {string} type Hook type
+ * @param {GenerationHookContext} context Generation context
+ * @param {any} value Value to pass through the hooks
+ * @returns {Promise<any>} Resulting value
+ */
+async function runHooks(type, context, value) {
+    for (const hook of getActiveHooks(type)) {
+        try {
+            const result = await hook.handler(context, value);
+            if (result !== undefined) {
+                value = result;
+            }
+        } catch (error) {
+            console.error(`Generation hook '${type}' of plugin ${hook.owner} failed:`, error);
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Runs the stream chunk hooks. They are synchronous to preserve the order of the chunks.
+ * @param {GenerationHookContext} context Generation context
+ * @param {string} chunk Text of a complete event, including the blank line that terminates it
+ * @returns {string} Resulting chunk text
+ */
+function runStreamHooks(context, chunk) {
+    for (const hook of getActiveHooks(GENERATION_HOOKS.STREAM_CHUNK)) {
+        try {
+            const result = hook.handler(context, chunk);
+            if (typeof result === 'string') {
+                chunk = result;
+            }
+        } catch (error) {
+            console.error(`Generation hook '${GENERATION_HOOKS.STREAM_CHUNK}' of plugin ${hook.owner} failed:`, error);
+        }
+    }
+
+    return chunk;
+}
+
+/**
+ * Checks if a response body represents a failed generation.
+ * @param {import('express').Response} response Express response
+ * @param {any} body Response body
+ * @returns {boolean} True if the generation failed
+ */
+function isErrorResponse(response, body) {
+    return response.statusCode >= 400 || (typeof body === 'object' && body !== null && !!body.error);
+}
+
+/**
+ * Wraps the response methods to pass the generation output through the hooks.
+ * @param {GenerationHookContext} context Generation context
+ * @param {import('express').Response} response Express response
+ */
+function wrapResponse(context, response) {
+    const originalJson = response.json.bind(response);
+    const originalSend = response.send.bind(response);
+    const originalWrite = response.write.bind(response);
+    const originalEnd = response.end.bind(response);
+    let isHandled = false;
+
+    /**
+     * Runs the response or error hooks on an object body before sending it.
+     * @param {any} body Response body
+     * @param {Function} send Original send function
+     */
+    const sendWithHooks = (body, send) => {
+        if (isHandled) {
+            return send(body);
+        }
+
+        isHandled = true;
+        const type = isErrorResponse(response, body) ? GENERATION_HOOKS.ERROR : GENERATION_HOOKS.AFTER_RESPONSE;
+
+        if (!getActiveHooks(type).length) {
+            return send(body);
+        }
+
+        runHooks(type, context, body)
+            .then(result => send(result))
+            .catch(error => {
+                console.error(`Failed to send the response of generation hook '${type}':`, error);
+                if (!response.headersSent) {
+                    response.status(500);
+                    originalEnd();
+                }
+            });
+        return response;
+    };
+
+    response.json = (body) => sendWithHooks(body, originalJson);
+    response.send = (body) => typeof body === 'object' && body !== null && !Buffer.isBuffer(body)
+        ? sendWithHooks(body, originalSend)
+        : originalSend(body);
+
+    if (!context.stream) {
+        return;
+    }
+
+    const decoder = new StringDecoder('utf8');
+    // Text of the event that has not been terminated by a blank line yet
+    let pending = '';
+
+    /**
+     * Collects the written text and passes every complete event through the hooks.
+     * Transport chunks can split or merge events, so the hooks only see whole events.
+     * @param {any} chunk Written chunk
+     * @param {boolean} isLast Whether the stream is ending, flushing the incomplete event
+     * @returns {string} Text to write
+     */
+    const transformChunk = (chunk, isLast) => {
+        if (chunk !== undefined && chunk !== null) {
+            pending += Buffer.isBuffer(chunk) ? decoder.write(chunk) : String(chunk);
+        }
+
+        if (isLast) {
+            pending += decoder.end();
+        }
+
+        let output = '';
+        const separator = /\r?\n\r?\n/g;
+        let start = 0;
+        let match;
+
+        while ((match = separator.exec(pending)) !== null) {
+            const end = match.index + match[0].length;
+            output += runStreamHooks(context, pending.slice(start, end));
+            start = end;
+        }
+
+        pending = pending.slice(start);
+
+        if (isLast && pending) {
+            output += runStreamHooks(context, pending);
+            pending = '';
+        }
+
+        return output;
+    };
+
+    const hasStreamHooks = () => !!pending || getActiveHooks(GENERATION_HOOKS.STREAM_CHUNK).length > 0;
+
+    // @ts-ignore
+    response.write = (chunk, encoding, callback) => {
+        if (!hasStreamHooks()) {
+            return originalWrite(chunk, encoding, callback);
+        }
+
+        if (typeof encoding === 'function') {
+            callback = encoding;
+            encoding = undefined;
+        }
+
+        return originalWrite(transformChunk(chunk, false), 'utf8', callback);
+    };
+
+    // @ts-ignore
+    response.end = (chunk, encoding, callback) => {
+        if (typeof chunk === 'function') {
+            callback = chunk;
+            chunk = undefined;
+        }
+
+        if (typeof encoding === 'function') {
+            callback = encoding;
+            encoding = undefined;
+        }
+
+        if (!hasStreamHooks()) {
+            return originalEnd(chunk, encoding, callback);
+        }
+
+        return originalEnd(transformChunk(chunk, true), 'utf8', callback);
+    };
+}
+
+/**
+ * Creates a middleware that runs the generation hooks for a backend.
+ * @param {string} api Backend name passed to the hooks
+ * @returns {import('express').RequestHandler} Express middleware
+ */
+function generationHooksMiddleware(api) {
+    return async function (request, response, next) {
+        if (!hooks.length || !request.body) {
+            return next();
+        }
+
+        /** @type {GenerationHookContext} */
+        const context = {
+            api: api,
+            source: String(request.body.chat_completion_source ?? request.body.api_type ?? ''),
+            model: String(request.body.model ?? ''),
+            stream: !!request.body.stream,
+            user: request.user?.profile?.handle,
+            request: request,
+        };
+
+        for (const hook of getActiveHooks(GENERATION_HOOKS.BEFORE_REQUEST)) {
+            try {
+                const result = await hook.handler(context, request.body);
+                if (result !== undefined) {
+                    request.body = result;
+                }
+            } catch (error) {
+                // Throwing from a request hook rejects the generation, e.g. for content filtering
+                console.warn(`Generation request rejected by plugin ${hook.owner}:`, error.message);
+                return response.status(400).send({ error: { message: error.message, plugin: hook.owner } });
+            }
+        }
+
+        // Request hooks may have changed the model or the streaming mode
+        context.model = String(request.body.model ?? '');
+        context.stream = !!request.body.stream;
+
+        wrapResponse(context, response);
+        return next();
+    };
+}
+
+module.exports = {
+    GENERATION_HOOKS,
+    registerGenerationHook,
+    generationHooksMiddleware,
+};
@@ -2,7 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const url = require('url');
 const express = require('express');
-const { getConfigValue } = require('./util');
+const { getConfigValue, setConfigValue } = require('./util');
+const { GENERATION_HOOKS, registerGenerationHook } = require('./generation-hooks');
 const enableServerPlugins = getConfigValue('enableServerPlugins', false);
 
 /**
@@ -11,6 +12,41 @@ const enableServerPlugins = getConfigValue('enableServerPlugins', false);
  */
 const loadedPlugins = new Map();
 
+/**
+ * @typedef {object} PluginStatus
+ * @property {string} entry - Name of the file or directory of the plugin in the plugins directory
+ * @property {string} [id] - Plugin ID
+ * @property {string} [name] - Plugin name
+ * @property {string} [description] - Plugin description
+ * @property {string} [version] - Plugin version
+ * @property {boolean} loaded - Whether the plugin was initialized
+ * @property {string[]} routes - API routes registered by the plugin
+ * @property {string|null} error - Load error, if any
+ */
+
+/**
+ * Status of every plugin found on startup, keyed by the plugin entry name.
+ * @type {Map<string, PluginStatus>}
+ */
+const pluginStatuses = new Map();
+
+/**
+ * IDs of plugins disabled at runtime. Their routes respond with 404 until re-enabled.
+ * @type {Set<string>}
+ */
+const disabledPlugins = new Set(getConfigValue('disabledServerPlugins', []));
+
+/**
+ * Plugin IDs that can't be used because they clash with the plugin manager routes.
+ */
+const RESERVED_PLUGIN_IDS = ['list', 'toggle', 'install', 'update', 'delete'];
+
+/**
+ * Path to the plugins directory, set when the plugins are loaded.
+ * @type {string}
+ */
+let pluginsDirectory = '';
+
 /**
  * Determine if a file is a CommonJS module.
  * @param {string} file Path to file
@@ -35,6 +71,7 @@ const isESModule = (file) => path.extname(file) === '.mjs';
 async function loadPlugins(app, pluginsPath) {
     const exitHooks = [];
     const emptyFn = () => {};
+    pluginsDirectory = pluginsPath;
 
     // Server plugins are disabled.
     if (!enableServerPlugins) {
@@ -57,6 +94,11 @@ async function loadPlugins(app, pluginsPath) {
         const pluginFilePath = path.join(pluginsPath, file);
 
         if (fs.statSync(pluginFilePath).isDirectory()) {
+            if (file.startsWith('.')) {
+                continue;
+            }
+
+            pluginStatuses.set(file, { entry: file, loaded: false, routes: [], error: null });
             await loadFromDirectory(app, pluginFilePath, exitHooks);
             continue;
         }
@@ -66,6 +108,7 @@ async function loadPlugins(app, pluginsPath) {
             continue;
         }
 
+        pluginStatuses.set(file, { entry: file, loaded: false, routes: [], error: null });
         await loadFromFile(app, pluginFilePath, exitHooks);
     }
 
@@ -78,6 +121,7 @@ async function loadFromDirectory(app, pluginDirectoryPath, exitHooks) {
 
     // No plugins to load.
     if (files.length === 0) {
+        setPluginError(pluginDirectoryPath, 'Plugin directory is empty');
         return;
     }
 
@@ -104,6 +148,55 @@ async function loadFromDirectory(app, pluginDirectoryPath, exitHooks) {
             return;
         }
     }
+
+    const status = getPluginStatus(pluginDirectoryPath);
+    if (status && !status.loaded && !status.error) {
+        setPluginError(pluginDirectoryPath, 'No entry point found (package.json "main", index.js or index.mjs)');
+    }
+}
+
+/**
+ * Gets the status record of the plugin that a file belongs to.
+ * @param {string} filePath Path to a file or directory inside the plugins directory
+ * @returns {PluginStatus|undefined} Plugin status
+ */
+function getPluginStatus(filePath) {
+    const entry = path.relative(pluginsDirectory, filePath).split(path.sep)[0];
+    return pluginStatuses.get(entry);
+}
+
+/**
+ * Logs a plugin load error and records it in the plugin status.
+ * @param {string} filePath Path to the plugin file or directory
+ * @param {string} message Error message
+ */
+function setPluginError(filePath, message) {
+    console.error(`Failed to load plugin from ${filePath}: ${message}`);
+    const status = getPluginStatus(filePath);
+    if (status) {
+        status.error = message;
+    }
+}
+
+/**
+ * Lists the routes registered on a plugin router.
+ * @param {import('express').Router} router Plugin router
+ * @param {string} basePath Path the router is mounted at
+ * @returns {string[]} Routes in the "METHOD /path" format
+ */
+function getRouterRoutes(router, basePath) {
+    const routes = [];
+
+    for (const layer of router.stack) {
+        if (layer.route) {
+            const methods = Object.keys(layer.route.methods).map(x => x.toUpperCase());
+            routes.push(`${methods.join(', ')} ${basePath}${layer.route.path}`);
+        } else if (layer.name === 'router') {
+            routes.push(`* ${basePath}/*`);
+        }
+    }
+
+    return routes;
 }
 
 /**
@@ -119,10 +212,10 @@ async function loadFromPackage(app, packageJsonPath, exitHooks) {
         const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
         if (packageJson.main) {
             const pluginFilePath = path.join(path.dirname(packageJsonPath), packageJson.main);
-            return await loadFromFile(app, pluginFilePath, exitHooks);
+            return await loadFromFile(app, pluginFilePath, exitHooks, packageJson.version);
         }
     } catch (error) {
-        console.error(`Failed to load plugin from ${packageJsonPath}: ${error}`);
+        setPluginError(packageJsonPath, String(error));
     }
     return false;
 }
@@ -133,16 +226,17 @@ async function loadFromPackage(app, packageJsonPath, exitHooks) {
  * @param {string} pluginFilePath Path to plugin directory
  * @param {Array.<Function>} exitHooks Array of functions to be run on plugin exit. Will be pushed to if the plugin has
  * an "exit" function.
+ * @param {string} [packageVersion] Version from the plugin's package.json, if any
  * @returns {Promise<boolean>} Promise that resolves to true if plugin was loaded successfully
  */
-async function loadFromFile(app, pluginFilePath, exitHooks) {
+async function loadFromFile(app, pluginFilePath, exitHooks, packageVersion) {
     try {
         const fileUrl = url.pathToFileURL(pluginFilePath).toString();
         const plugin = await import(fileUrl);
         console.log(`Initializing plugin from ${pluginFilePath}`);
-        return await initPlugin(app, plugin, exitHooks);
+        return await initPlugin(app, plugin, exitHooks, pluginFilePath, packageVersion);
     } catch (error) {
-        console.error(`Failed to load plugin from ${pluginFilePath}: ${error}`);
+        setPluginError(pluginFilePath, String(error));
         return false;
     }
 }
@@ -153,7 +247,7 @@ async function loadFromFile(app, pluginFilePath, exitHooks) {
  * @returns {boolean} True if the plugin ID is valid.
  */
 function isValidPluginID(id) {
-    return /^[a-z0-9_-]+$/.test(id);
+    return /^[a-z0-9_-]+$/.test(id) && !RESERVED_PLUGIN_IDS.includes(id);
 }
 
 /**
@@ -162,52 +256,79 @@ function isValidPluginID(id) {
  * @param {any} plugin Plugin module
  * @param {Array.<Function>} exitHooks Array of functions to be run on plugin exit. Will be pushed to if the plugin has
  * an "exit" function.
+ * @param {string} pluginFilePath Path to the plugin file
+ * @param {string} [packageVersion] Version from the plugin's package.json, if any
  * @returns {Promise<boolean>} Promise that resolves to true if plugin was initialized successfully
  */
-async function initPlugin(app, plugin, exitHooks) {
+async function initPlugin(app, plugin, exitHooks, pluginFilePath, packageVersion) {
     const info = plugin.info || plugin.default?.info;
     if (typeof info !== 'object') {
-        console.error('Failed to load plugin module; plugin info not found');
+        setPluginError(pluginFilePath, 'plugin info not found');
         return false;
     }
 
-    // We don't currently use "name" or "description" but it would be nice to have a UI for listing server plugins, so
-    // require them now just to be safe
+    // "name" and "description" are shown in the server plugin manager
     for (const field of ['id', 'name', 'description']) {
         if (typeof info[field] !== 'string') {
-            console.error(`Failed to load plugin module; plugin info missing field '${field}'`);
+            setPluginError(pluginFilePath, `plugin info missing field '${field}'`);
             return false;
         }
     }
 
+    const status = getPluginStatus(pluginFilePath);
+    if (status) {
+        status.id = info.id;
+        status.name = info.name;
+        status.description = info.description;
+        status.version = typeof info.version === 'string' ? info.version : packageVersion;
+    }
+
     const init = plugin.init || plugin.default?.init;
     if (typeof init !== 'function') {
-        console.error('Failed to load plugin module; no init function');
+        setPluginError(pluginFilePath, 'no init function');
         return false;
     }
 
     const { id } = info;
 
     if (!isValidPluginID(id)) {
-        console.error(`Failed to load plugin module; invalid plugin ID '${id}'`);
+        setPluginError(pluginFilePath, `invalid plugin ID '${id}'`);
         return false;
     }
 
     if (loadedPlugins.has(id)) {
-        console.error(`Failed to load plugin module; plugin ID '${id}' is already in use`);
+        setPluginError(pluginFilePath, `plugin ID '${id}' is already in use`);
         return false;
     }
 
+    if (disabledPlugins.has(id)) {
+        console.log(`Plugin ${id} is disabled, skipping`);
+        return true;
+    }
+
     // Allow the plugin to register API routes under /api/plugins/[plugin ID] via a router
     const router = express.Router();
 
-    await init(router);
+    // Allow the plugin to observe and modify generation requests. Hooks are skipped while the plugin is disabled
+    const hooks = {
+        types: GENERATION_HOOKS,
+        on: (type, handler) => registerGenerationHook(type, handler, id, () => !disabledPlugins.has(id)),
+    };
+
+    await init(router, { hooks });
 
     loadedPlugins.set(id, plugin);
 
+    if (status) {
+        status.loaded = true;
+        status.error = null;
+        status.routes = getRouterRoutes(router, `/api/plugins/${id}`);
+    }
+
     // Add API routes to the app if the plugin registered any
     if (router.stack.length > 0) {
-        app.use(`/api/plugins/${id}`, router);
+        // Plugins disabled at runtime stay loaded until restart, but stop serving requests
+        app.use(`/api/plugins/${id}`, (_request, response, next) => disabledPlugins.has(id) ? response.sendStatus(404) : next(), router);
     }
 
     const exit = plugin.exit || plugin.default?.exit;
@@ -218,6 +339,55 @@ async function initPlugin(app, plugin, exitHooks) {
     return true;
 }
 
+/**
+ * Gets the plugins directory path.
+ * @returns {string} Path to the plugins directory
+ */
+function getPluginsDirectory() {
+    return pluginsDirectory;
+}
+
+/**
+ * Gets the status of every plugin found on startup.
+ * @returns {PluginStatus[]} Plugin statuses
+ */
+function getPluginStatuses() {
+    return Array.from(pluginStatuses.values());
+}
+
+/**
+ * Enables or disables a plugin at runtime and persists the choice in the config.
+ * @param {string} id Plugin ID
+ * @param {boolean} enabled Whether the plugin should be enabled
+ * @returns {boolean} True if a server restart is required for the change to take effect
+ */
+function setPluginEnabled(id, enabled) {
+    if (enabled) {
+        disabledPlugins.delete(id);
+    } else {
+        disabledPlugins.add(id);
+    }
+
+    setConfigValue('disabledServerPlugins', Array.from(disabledPlugins));
+
+    // Enabling a plugin that was never initialized requires a restart
+    return enabled && !loadedPlugins.has(id);
+}
+
+/**
+ * Checks if a plugin is disabled.
+ * @param {string} id Plugin ID
+ * @returns {boolean} True if the plugin is disabled
+ */
+function isPluginDisabled(id) {
+    return disabledPlugins.has(id);
+}
+
 module.exports = {
     loadPlugins,
+    getPluginsDirectory,
+    getPluginStatuses,
+    setPluginEnabled,
+    isPluginDisabled,
+    isValidPluginID,
 };
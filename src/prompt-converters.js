@@ -1,4 +1,5 @@
 require('./polyfill.js');
+const { tryParse } = require('./util');
 
 /**
  * Convert a prompt from the ChatML objects to the format used by Claude.
@@ -157,8 +158,15 @@ function convertClaudeMessages(messages, prefillString, useSysPrompt, humanMsgFi
             delete message.name;
         }
 
+        const hasToolBlocks = (content) => Array.isArray(content) && content.some(x => x.type === 'tool_use' || x.type === 'tool_result');
+        const toContentBlocks = (content) => Array.isArray(content) ? content : [{ type: 'text', text: content }];
+
         if (mergedMessages.length > 0 && mergedMessages[mergedMessages.length - 1].role === message.role) {
-            if (Array.isArray(message.content)) {
+            if (hasToolBlocks(message.content) || hasToolBlocks(mergedMessages[mergedMessages.length - 1].content)) {
+                // Tool blocks can't be merged into text, so concatenate the content blocks instead
+                const lastMessage = mergedMessages[mergedMessages.length - 1];
+                lastMessage.content = [...toContentBlocks(lastMessage.content), ...toContentBlocks(message.content)];
+            } else if (Array.isArray(message.content)) {
                 if (Array.isArray(mergedMessages[mergedMessages.length - 1].content)) {
                     mergedMessages[mergedMessages.length - 1].content[0].text += '\n\n' + message.content[0].text;
                 } else {
@@ -191,12 +199,47 @@ function convertClaudeMessages(messages, prefillString, useSysPrompt, humanMsgFi
     return { messages: mergedMessages, systemPrompt: systemPrompt.trim() };
 }
 
+/**
+ * Convert OpenAI-style tool calls and tool results in ChatML objects to Claude content blocks.
+ * Must be called before convertClaudeMessages.
+ * @param {object[]} messages Array of messages
+ * @returns {object[]} Messages with tool calls converted to tool_use and tool_result blocks
+ */
+function convertClaudeToolMessages(messages) {
+    return messages.map((message) => {
+        if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+            const text = message.content ? `${message.name ? `${message.name}: ` : ''}${message.content}` : '';
+            const content = text ? [{ type: 'text', text }] : [];
+
+            for (const toolCall of message.tool_calls) {
+                content.push({
+                    type: 'tool_use',
+                    id: toolCall.id,
+                    name: toolCall.function?.name,
+                    input: tryParse(toolCall.function?.arguments) ?? {},
+                });
+            }
+
+            return { role: 'assistant', content };
+        }
+
+        if (message.role === 'tool') {
+            return {
+                role: 'user',
+                content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: String(message.content ?? '') }],
+            };
+        }
+
+        return message;
+    });
+}
+
 /**
  * Convert a prompt from the ChatML objects to the format used by Cohere.
  * @param {object[]} messages Array of messages
  * @param {string}   charName Character name
  * @param {string}   userName User name
- * @returns {{systemPrompt: string, chatHistory: object[], userPrompt: string}} Prompt for Cohere
+ * @returns {{systemPrompt: string, chatHistory: object[], userPrompt: string, toolResults: object[]}} Prompt for Cohere
  */
 function convertCohereMessages(messages, charName = '', userName = '') {
     const roleMap = {
@@ -236,6 +279,29 @@ function convertCohereMessages(messages, charName = '', userName = '') {
         });
     }
 
+    // Tool calls and their results that follow the last user message are sent as tool results
+    const toolResults = [];
+    const lastUserMessageIndex = messages.findLastIndex(msg => msg.role === 'user');
+    const firstToolMessageIndex = messages.findIndex((msg, index) => index > lastUserMessageIndex && (msg.role === 'tool' || Array.isArray(msg.tool_calls)));
+
+    if (lastUserMessageIndex !== -1 && firstToolMessageIndex !== -1) {
+        const toolMessages = messages.splice(firstToolMessageIndex);
+        const toolCalls = toolMessages.flatMap(msg => Array.isArray(msg.tool_calls) ? msg.tool_calls : []);
+
+        for (const message of toolMessages.filter(msg => msg.role === 'tool')) {
+            const toolCall = toolCalls.find(call => call.id === message.tool_call_id);
+
+            if (!toolCall) {
+                continue;
+            }
+
+            toolResults.push({
+                call: { name: toolCall.function?.name, parameters: tryParse(toolCall.function?.arguments) ?? {} },
+                outputs: [{ result: String(message.content ?? '') }],
+            });
+        }
+    }
+
     const lastNonSystemMessageIndex = messages.findLastIndex(msg => msg.role === 'user' || msg.role === 'assistant');
     const userPrompt = messages.slice(lastNonSystemMessageIndex).map(msg => msg.content).join('\n\n') || placeholder;
 
@@ -246,7 +312,7 @@ function convertCohereMessages(messages, charName = '', userName = '') {
         };
     });
 
-    return { systemPrompt: systemPrompt.trim(), chatHistory, userPrompt };
+    return { systemPrompt: systemPrompt.trim(), chatHistory, userPrompt, toolResults };
 }
 
 /**
@@ -392,6 +458,11 @@ function convertMistralMessages(messages, model, charName = '', userName = '') {
     //system prompts can be stacked at the start, but any futher sys prompts after the first user/assistant message will break the model
     let encounteredNonSystemMessage = false;
     messages.forEach(msg => {
+        // Tool results must keep their names to be matched with the tool calls
+        if (msg.role === 'tool') {
+            return;
+        }
+
         if (msg.role === 'system' && msg.name === 'example_assistant') {
             if (charName) {
                 msg.content = `${charName}: ${msg.content}`;
@@ -524,6 +595,7 @@ function convertCohereTools(tools) {
 module.exports = {
     convertClaudePrompt,
     convertClaudeMessages,
+    convertClaudeToolMessages,
     convertGooglePrompt,
     convertTextCompletionPrompt,
     convertCohereMessages,
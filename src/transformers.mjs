@@ -49,6 +49,14 @@ const tasks = {
         configField: 'extras.textToSpeechModel',
         quantized: false,
     },
+    // Cross-encoder models are loaded as text classifiers and called with text pairs
+    'text-ranking': {
+        defaultModel: 'Xenova/ms-marco-MiniLM-L-6-v2',
+        pipeline: null,
+        configField: 'extras.rerankingModel',
+        quantized: true,
+        pipelineType: 'text-classification',
+    },
 }
 
 /**
@@ -88,7 +96,7 @@ function getModelForTask(task) {
 
 /**
  * Gets the transformers.js pipeline for a given task.
- * @param {import('sillytavern-transformers').PipelineType} task The task to get the pipeline for
+ * @param {import('sillytavern-transformers').PipelineType|'text-ranking'} task The task to get the pipeline for
  * @param {string} forceModel The model to use for the pipeline, if any
  * @returns {Promise<Pipeline>} Pipeline for the task
  */
@@ -101,7 +109,7 @@ async function getPipeline(task, forceModel = '') {
     const model = forceModel || getModelForTask(task);
     const localOnly = getConfigValue('extras.disableAutoDownload', false);
     console.log('Initializing transformers.js pipeline for task', task, 'with model', model);
-    const instance = await pipeline(task, model, { cache_dir, quantized: tasks[task].quantized ?? true, local_files_only: localOnly });
+    const instance = await pipeline(tasks[task].pipelineType ?? task, model, { cache_dir, quantized: tasks[task].quantized ?? true, local_files_only: localOnly });
     tasks[task].pipeline = instance;
     return instance;
 }
@@ -9,9 +9,10 @@ const storage = require('node-persist');
 const express = require('express');
 const mime = require('mime-types');
 const archiver = require('archiver');
+const yauzl = require('yauzl');
 
 const { USER_DIRECTORY_TEMPLATE, DEFAULT_USER, PUBLIC_DIRECTORIES, DEFAULT_AVATAR, SETTINGS_FILE } = require('./constants');
-const { getConfigValue, color, delay, setConfigValue, generateTimestamp } = require('./util');
+const { getConfigValue, color, delay, setConfigValue, generateTimestamp, removeOldBackups } = require('./util');
 const { readSecret, writeSecret } = require('./endpoints/secrets');
 
 const KEY_PREFIX = 'user:';
@@ -31,6 +32,47 @@ let DATA_ROOT = './data';
  */
 const DIRECTORIES_CACHE = new Map();
 
+/**
+ * Prefix of the backup archives taken automatically before restoring a backup.
+ */
+const PRE_RESTORE_BACKUP_PREFIX = 'pre_restore_';
+
+/**
+ * Number of pre-restore backups kept per user. Each one is a full copy of the user data.
+ */
+const PRE_RESTORE_BACKUPS_LIMIT = 3;
+
+/**
+ * Maximum number of files in a restored backup archive. Protects the restore against ZIP bombs.
+ */
+const BACKUP_ARCHIVE_MAX_ENTRIES = 100000;
+
+/**
+ * Maximum total uncompressed size of a restored backup archive, in bytes. Protects the restore against ZIP bombs.
+ */
+const BACKUP_ARCHIVE_MAX_TOTAL_SIZE = 8 * 1024 * 1024 * 1024;
+
+/**
+ * User directories that are never touched when restoring a backup.
+ */
+const RESTORE_EXCLUDED_DIRECTORIES = ['backups'];
+
+/**
+ * Root files that are kept in the replace mode when the backup doesn't contain them.
+ * Losing them would reset the settings or the API keys, that backups often leave out on purpose.
+ */
+const RESTORE_KEPT_FILES = [SETTINGS_FILE, 'secrets.json'];
+
+/**
+ * Groups of user directories shown in the backup restore preview.
+ */
+const RESTORE_PREVIEW_CATEGORIES = Object.freeze({
+    characters: ['characters'],
+    chats: ['chats', 'groupChats'],
+    worlds: ['worlds'],
+    presets: ['openAI_Settings', 'textGen_Settings', 'koboldAI_Settings', 'novelAI_Settings', 'instruct', 'context'],
+});
+
 const STORAGE_KEYS = {
     csrfSecret: 'csrfSecret',
     cookieSecret: 'cookieSecret',
@@ -88,6 +130,7 @@ const STORAGE_KEYS = {
  * @property {string} files - The directory where the uploaded files are stored
  * @property {string} vectors - The directory where the vectors are stored
  * @property {string} backups - The directory where the backups are stored
+ * @property {string} ttsCache - The directory where the generated TTS audio is cached
  */
 
 /**
@@ -680,6 +723,314 @@ async function createBackupArchive(handle, response) {
     archive.finalize();
 }
 
+/**
+ * Writes a backup archive of the user data to the backups directory.
+ * The backups directory itself is not included in the archive.
+ * @param {UserDirectoryList} directories User directories
+ * @param {string} prefix Backup file name prefix
+ * @param {number} [limit] Number of backups with the prefix to keep
+ * @returns {Promise<string>} Name of the backup file
+ */
+async function writeBackupArchiveFile(directories, prefix, limit) {
+    if (!fs.existsSync(directories.backups)) {
+        fs.mkdirSync(directories.backups, { recursive: true });
+    }
+
+    const fileName = `${prefix}${generateTimestamp()}.zip`;
+    const output = fs.createWriteStream(path.join(directories.backups, fileName));
+    const archive = archiver('zip');
+
+    await new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+        archive.pipe(output);
+        archive.glob('**/*', { cwd: directories.root, dot: true, ignore: RESTORE_EXCLUDED_DIRECTORIES.map(x => `${USER_DIRECTORY_TEMPLATE[x]}/**`) });
+        archive.finalize();
+    });
+
+    removeOldBackups(directories.backups, prefix, limit);
+    return fileName;
+}
+
+/**
+ * Lists the file entries of a ZIP archive without extracting them.
+ * @param {string} archivePath Path to the archive
+ * @returns {Promise<string[]>} Archive entry names
+ * @throws {Error} If the archive has too many files or is too large when uncompressed
+ */
+async function getArchiveFileNames(archivePath) {
+    return await new Promise((resolve, reject) => yauzl.open(archivePath, { lazyEntries: true }, (err, zipfile) => {
+        if (err) {
+            return reject(err);
+        }
+
+        const fileNames = [];
+        let totalSize = 0;
+        zipfile.readEntry();
+        zipfile.on('entry', (entry) => {
+            if (!entry.fileName.endsWith('/')) {
+                fileNames.push(entry.fileName);
+                totalSize += entry.uncompressedSize;
+            }
+
+            if (fileNames.length > BACKUP_ARCHIVE_MAX_ENTRIES) {
+                zipfile.close();
+                return reject(new Error(`The archive has more than ${BACKUP_ARCHIVE_MAX_ENTRIES} files`));
+            }
+
+            if (totalSize > BACKUP_ARCHIVE_MAX_TOTAL_SIZE) {
+                zipfile.close();
+                return reject(new Error(`The archive is larger than ${BACKUP_ARCHIVE_MAX_TOTAL_SIZE} bytes when uncompressed`));
+            }
+
+            zipfile.readEntry();
+        });
+        zipfile.on('end', () => resolve(fileNames));
+        zipfile.on('error', reject);
+    }));
+}
+
+/**
+ * Finds the user directory that contains the given path.
+ * @param {string} relativePath Path relative to the user root, using forward slashes
+ * @returns {string} Key of the user directory, or 'root' for the files in the user root
+ */
+function getUserDirectoryKey(relativePath) {
+    let result = 'root';
+    let resultLength = 0;
+
+    for (const [key, value] of Object.entries(USER_DIRECTORY_TEMPLATE)) {
+        if (value && relativePath.startsWith(`${value}/`) && value.length > resultLength) {
+            result = key;
+            resultLength = value.length;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Validates the entries of a user backup archive against the user directory layout.
+ * Archives with all the data wrapped in a single folder are accepted as well.
+ * @param {string[]} fileNames Archive entry names
+ * @returns {{ prefix: string, files: string[], skipped: string[] }} Archive prefix, restorable files and skipped entries
+ */
+function validateBackupArchive(fileNames) {
+    const isKnownEntry = (/** @type {string} */ name) => name === SETTINGS_FILE || getUserDirectoryKey(name) !== 'root';
+    let prefix = '';
+
+    if (!fileNames.some(isKnownEntry)) {
+        const topFolders = new Set(fileNames.map(x => x.split('/')[0]));
+        const [folder] = topFolders;
+
+        if (topFolders.size === 1 && fileNames.some(x => isKnownEntry(x.slice(folder.length + 1)))) {
+            prefix = `${folder}/`;
+        } else {
+            throw new Error('The archive is not a user data backup');
+        }
+    }
+
+    const files = [];
+    const skipped = [];
+
+    for (const fileName of fileNames) {
+        const relativePath = path.posix.normalize(fileName.slice(prefix.length));
+        const isUnsafe = !fileName.startsWith(prefix) || path.posix.isAbsolute(relativePath) || relativePath.startsWith('..');
+        const isExcluded = RESTORE_EXCLUDED_DIRECTORIES.includes(getUserDirectoryKey(relativePath));
+        const isUnknown = getUserDirectoryKey(relativePath) === 'root' && relativePath.includes('/');
+
+        if (isUnsafe || isExcluded || isUnknown) {
+            skipped.push(fileName);
+            continue;
+        }
+
+        files.push(relativePath);
+    }
+
+    return { prefix, files, skipped };
+}
+
+/**
+ * Lists the existing user files that can be affected by a backup restore.
+ * @param {UserDirectoryList} directories User directories
+ * @returns {string[]} Paths relative to the user root, using forward slashes
+ */
+function getRestorableUserFiles(directories) {
+    if (!fs.existsSync(directories.root)) {
+        return [];
+    }
+
+    const result = [];
+    const pending = [''];
+
+    // Walked manually: the recursive option of readdirSync is not available in all supported Node versions
+    while (pending.length) {
+        const relativeDirectory = pending.pop();
+
+        for (const entry of fs.readdirSync(path.join(directories.root, relativeDirectory), { withFileTypes: true })) {
+            const relativePath = relativeDirectory ? `${relativeDirectory}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                pending.push(relativePath);
+            } else if (entry.isFile()) {
+                result.push(relativePath);
+            }
+        }
+    }
+
+    return result.filter(x => !RESTORE_EXCLUDED_DIRECTORIES.includes(getUserDirectoryKey(x)));
+}
+
+/**
+ * Builds a diff-style preview of a user backup restore.
+ * @param {UserDirectoryList} directories User directories
+ * @param {string[]} files Files to restore, relative to the user root
+ * @param {string[]} skipped Skipped archive entries
+ * @returns {BackupRestorePreview} Restore preview
+ * @typedef {{ added: string[], overwritten: string[], removed: string[] }} BackupRestoreChanges
+ * @typedef {Object} BackupRestorePreview
+ * @property {Object.<string, BackupRestoreChanges>} categories Changes grouped by category. Removed files only apply to the replace mode.
+ * @property {string[]} skipped Archive entries that will not be restored
+ */
+function getBackupRestorePreview(directories, files, skipped) {
+    const existingFiles = new Set(getRestorableUserFiles(directories));
+    const archiveFiles = new Set(files);
+    /** @type {Object.<string, BackupRestoreChanges>} */
+    const categories = {};
+
+    const getChanges = (/** @type {string} */ relativePath) => {
+        const key = getUserDirectoryKey(relativePath);
+        const category = Object.keys(RESTORE_PREVIEW_CATEGORIES).find(x => RESTORE_PREVIEW_CATEGORIES[x].includes(key)) ?? 'other';
+        return categories[category] ??= { added: [], overwritten: [], removed: [] };
+    };
+
+    for (const file of files) {
+        getChanges(file)[existingFiles.has(file) ? 'overwritten' : 'added'].push(file);
+    }
+
+    for (const file of existingFiles) {
+        if (!archiveFiles.has(file) && !RESTORE_KEPT_FILES.includes(file)) {
+            getChanges(file).removed.push(file);
+        }
+    }
+
+    return { categories, skipped };
+}
+
+/**
+ * Extracts the given files of a user backup archive into the user root.
+ * @param {string} archivePath Path to the archive
+ * @param {string} prefix Archive entries prefix
+ * @param {Set<string>} files Files to extract, relative to the user root
+ * @param {string} root User root directory
+ * @returns {Promise<void>}
+ */
+async function extractBackupArchive(archivePath, prefix, files, root) {
+    const rootPath = path.resolve(root);
+
+    return await new Promise((resolve, reject) => yauzl.open(archivePath, { lazyEntries: true }, (err, zipfile) => {
+        if (err) {
+            return reject(err);
+        }
+
+        let totalSize = 0;
+        const fail = (error) => {
+            zipfile.close();
+            reject(error);
+        };
+
+        zipfile.readEntry();
+        zipfile.on('entry', (entry) => {
+            const relativePath = path.posix.normalize(entry.fileName.slice(prefix.length));
+            const targetPath = path.resolve(rootPath, relativePath);
+
+            if (entry.fileName.endsWith('/') || !files.has(relativePath) || !targetPath.startsWith(rootPath + path.sep)) {
+                return zipfile.readEntry();
+            }
+
+            // yauzl checks that the entries don't inflate beyond their declared size
+            totalSize += entry.uncompressedSize;
+            if (totalSize > BACKUP_ARCHIVE_MAX_TOTAL_SIZE) {
+                return fail(new Error(`The archive is larger than ${BACKUP_ARCHIVE_MAX_TOTAL_SIZE} bytes when uncompressed`));
+            }
+
+            zipfile.openReadStream(entry, (err, readStream) => {
+                if (err) {
+                    return fail(err);
+                }
+
+                fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+                const writeStream = fs.createWriteStream(targetPath);
+                writeStream.on('close', () => zipfile.readEntry());
+                writeStream.on('error', reject);
+                readStream.on('error', reject);
+                readStream.pipe(writeStream);
+            });
+        });
+        zipfile.on('end', () => resolve());
+        zipfile.on('error', reject);
+    }));
+}
+
+/**
+ * Restores the user data from a backup archive made by createBackupArchive.
+ * An automatic backup of the current data is taken before anything is changed.
+ * @param {string} handle User handle
+ * @param {string} archivePath Path to the uploaded archive
+ * @param {object} options Restore options
+ * @param {'merge'|'replace'} [options.mode] Merge keeps the files missing from the archive, replace removes them except for the settings and secrets
+ * @param {boolean} [options.dryRun] Only build a preview without changing anything
+ * @param {boolean} [options.skipBackup] Don't take a pre-restore backup, e.g. when undoing a restore
+ * @returns {Promise<{ preview: BackupRestorePreview, backup: string|null }>} Restore preview and the name of the pre-restore backup
+ */
+async function restoreBackupArchive(handle, archivePath, { mode = 'merge', dryRun = false, skipBackup = false } = {}) {
+    const directories = getUserDirectories(handle);
+    const { prefix, files, skipped } = validateBackupArchive(await getArchiveFileNames(archivePath));
+    const preview = getBackupRestorePreview(directories, files, skipped);
+
+    if (dryRun) {
+        return { preview, backup: null };
+    }
+
+    console.log('Restore requested for', handle, 'in', mode, 'mode');
+    const backup = skipBackup ? null : await writeBackupArchiveFile(directories, `${PRE_RESTORE_BACKUP_PREFIX}${handle}_`, PRE_RESTORE_BACKUPS_LIMIT);
+    backup && console.log('Pre-restore backup saved as', backup);
+
+    if (mode === 'replace') {
+        for (const changes of Object.values(preview.categories)) {
+            for (const file of changes.removed) {
+                fs.rmSync(path.join(directories.root, file), { force: true });
+            }
+        }
+    }
+
+    await extractBackupArchive(archivePath, prefix, new Set(files), directories.root);
+    await ensurePublicDirectoriesExist();
+    return { preview, backup };
+}
+
+/**
+ * Gets the path to the latest pre-restore backup of the user.
+ * @param {string} handle User handle
+ * @returns {string|null} Path to the backup archive or null if there are none
+ */
+function getLatestPreRestoreBackup(handle) {
+    const directories = getUserDirectories(handle);
+    const prefix = `${PRE_RESTORE_BACKUP_PREFIX}${handle}_`;
+
+    if (!fs.existsSync(directories.backups)) {
+        return null;
+    }
+
+    const [latest] = fs.readdirSync(directories.backups)
+        .filter(x => x.startsWith(prefix) && x.endsWith('.zip'))
+        .sort()
+        .reverse();
+
+    return latest ? path.join(directories.backups, latest) : null;
+}
+
 /**
  * Checks if any admin users are not password protected. If so, logs a warning.
  * @returns {Promise<void>}
@@ -737,6 +1088,8 @@ module.exports = {
     getUserAvatar,
     shouldRedirectToLogin,
     createBackupArchive,
+    restoreBackupArchive,
+    getLatestPreRestoreBackup,
     tryAutoLogin,
     checkAccountsProtection,
     router,
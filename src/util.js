@@ -174,6 +174,85 @@ async function extractFileFromZipBuffer(archiveBuffer, fileExtension) {
     }));
 }
 
+/**
+ * Extracts all files from a ZIP archive buffer.
+ * @param {ArrayBuffer|Buffer} archiveBuffer Buffer of the ZIP archive
+ * @param {object} [limits] Limits protecting against ZIP bombs
+ * @param {number} [limits.maxEntries] Maximum number of extracted files
+ * @param {number} [limits.maxTotalSize] Maximum total uncompressed size of the extracted files, in bytes
+ * @returns {Promise<Map<string, Buffer>>} Map of file paths inside the archive to their contents
+ */
+async function extractAllFilesFromZipBuffer(archiveBuffer, { maxEntries = 1000, maxTotalSize = 512 * 1024 * 1024 } = {}) {
+    return await new Promise((resolve, reject) => yauzl.fromBuffer(Buffer.from(archiveBuffer), { lazyEntries: true }, (err, zipfile) => {
+        if (err) {
+            reject(err);
+            return;
+        }
+
+        const files = new Map();
+        let totalSize = 0;
+
+        const fail = (error) => {
+            zipfile.close();
+            reject(error);
+        };
+
+        zipfile.readEntry();
+        zipfile.on('entry', (entry) => {
+            // Skip directories and macOS metadata
+            if (entry.fileName.endsWith('/') || entry.fileName.startsWith('__MACOSX')) {
+                zipfile.readEntry();
+                return;
+            }
+
+            if (files.size >= maxEntries) {
+                fail(new Error(`ZIP archive has more than ${maxEntries} files`));
+                return;
+            }
+
+            // The declared size is checked up front, the actual size while reading
+            if (totalSize + entry.uncompressedSize > maxTotalSize) {
+                fail(new Error(`ZIP archive is larger than ${maxTotalSize} bytes when uncompressed`));
+                return;
+            }
+
+            zipfile.openReadStream(entry, (err, readStream) => {
+                if (err) {
+                    fail(err);
+                } else {
+                    const chunks = [];
+                    readStream.on('data', (chunk) => {
+                        totalSize += chunk.length;
+                        if (totalSize > maxTotalSize) {
+                            readStream.destroy();
+                            fail(new Error(`ZIP archive is larger than ${maxTotalSize} bytes when uncompressed`));
+                            return;
+                        }
+                        chunks.push(chunk);
+                    });
+
+                    readStream.on('error', (err) => {
+                        fail(err);
+                    });
+
+                    readStream.on('end', () => {
+                        files.set(entry.fileName, Buffer.concat(chunks));
+                        zipfile.readEntry(); // Continue to the next entry
+                    });
+                }
+            });
+        });
+
+        zipfile.on('end', () => {
+            resolve(files);
+        });
+
+        zipfile.on('error', (err) => {
+            reject(err);
+        });
+    }));
+}
+
 /**
  * Extracts all images from a ZIP archive.
  * @param {string} zipFilePath Path to the ZIP archive
@@ -361,16 +440,17 @@ function generateTimestamp() {
  * Remove old backups with the given prefix from a specified directory.
  * @param {string} directory The root directory to remove backups from.
  * @param {string} prefix File prefix to filter backups by.
+ * @param {number} [limit] Number of the most recent backups to keep.
  */
-function removeOldBackups(directory, prefix) {
-    const MAX_BACKUPS = 50;
-
+function removeOldBackups(directory, prefix, limit = 50) {
     let files = fs.readdirSync(directory).filter(f => f.startsWith(prefix));
-    if (files.length > MAX_BACKUPS) {
+    if (files.length > limit) {
         files = files.map(f => path.join(directory, f));
         files.sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
 
-        fs.rmSync(files[0]);
+        for (const file of files.slice(0, files.length - limit)) {
+            fs.rmSync(file);
+        }
     }
 }
 
@@ -609,6 +689,7 @@ module.exports = {
     getVersion,
     getBasicAuthHeader,
     extractFileFromZipBuffer,
+    extractAllFilesFromZipBuffer,
     getImageBuffers,
     readAllChunks,
     delay,
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const writeFileAtomicSync = require('write-file-atomic').sync;
+
+const KEYWORD_INDEX_FILE = 'keywords.json';
+const KEYWORD_INDEX_VERSION = 1;
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * @typedef {Object} KeywordIndex
+ * @property {number} version Index format version
+ * @property {Object.<string, { length: number, terms: Object.<string, number> }>} documents Term frequencies by item hash
+ * @property {Object.<string, number>} frequencies Number of documents containing each term
+ * @property {number} totalLength Total number of terms in all documents
+ */
+
+/**
+ * Creates a dictionary without a prototype, so that tokens like 'constructor' don't resolve to Object.prototype members.
+ * @param {object} [entries] Entries to copy into the dictionary
+ * @returns {object} Dictionary
+ */
+function createDictionary(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+/**
+ * Splits the text into lowercase word tokens.
+ * @param {string} text Text to tokenize
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+    return String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Gets the path to the keyword index file of a collection.
+ * @param {string} folderPath Path to the collection folder
+ * @returns {string} Path to the keyword index file
+ */
+function getKeywordIndexPath(folderPath) {
+    return path.join(folderPath, KEYWORD_INDEX_FILE);
+}
+
+/**
+ * Loads the keyword index of a collection.
+ * @param {string} folderPath Path to the collection folder
+ * @returns {KeywordIndex|null} Keyword index, or null if it doesn't exist
+ */
+function loadKeywordIndex(folderPath) {
+    const pathToFile = getKeywordIndexPath(folderPath);
+
+    if (!fs.existsSync(pathToFile)) {
+        return null;
+    }
+
+    try {
+        const index = JSON.parse(fs.readFileSync(pathToFile, 'utf-8'));
+
+        if (index?.version !== KEYWORD_INDEX_VERSION) {
+            return null;
+        }
+
+        index.frequencies = createDictionary(index.frequencies);
+        index.documents = createDictionary(index.documents);
+
+        for (const document of Object.values(index.documents)) {
+            document.terms = createDictionary(document.terms);
+        }
+
+        return index;
+    } catch {
+        console.warn('Keyword index is corrupted and will be rebuilt:', pathToFile);
+        return null;
+    }
+}
+
+/**
+ * Saves the keyword index of a collection.
+ * @param {string} folderPath Path to the collection folder
+ * @param {KeywordIndex} index Keyword index
+ */
+function saveKeywordIndex(folderPath, index) {
+    if (!fs.existsSync(folderPath)) {
+        fs.mkdirSync(folderPath, { recursive: true });
+    }
+
+    writeFileAtomicSync(getKeywordIndexPath(folderPath), JSON.stringify(index), 'utf-8');
+}
+
+/**
+ * Creates an empty keyword index.
+ * @returns {KeywordIndex} Keyword index
+ */
+function createKeywordIndex() {
+    return { version: KEYWORD_INDEX_VERSION, documents: createDictionary(), frequencies: createDictionary(), totalLength: 0 };
+}
+
+/**
+ * Adds the items to the keyword index. Items that are already indexed are replaced.
+ * @param {KeywordIndex} index Keyword index
+ * @param {{ hash: number, text: string }[]} items Items to add
+ */
+function addKeywordItems(index, items) {
+    removeKeywordItems(index, items.map(x => x.hash));
+
+    for (const item of items) {
+        const tokens = tokenize(item.text);
+        const terms = createDictionary();
+
+        for (const token of tokens) {
+            terms[token] = (terms[token] ?? 0) + 1;
+        }
+
+        for (const term of Object.keys(terms)) {
+            index.frequencies[term] = (index.frequencies[term] ?? 0) + 1;
+        }
+
+        index.documents[item.hash] = { length: tokens.length, terms };
+        index.totalLength += tokens.length;
+    }
+}
+
+/**
+ * Removes the items from the keyword index.
+ * @param {KeywordIndex} index Keyword index
+ * @param {number[]} hashes Hashes of the items to remove
+ */
+function removeKeywordItems(index, hashes) {
+    for (const hash of hashes) {
+        const document = index.documents[hash];
+
+        if (!document) {
+            continue;
+        }
+
+        for (const term of Object.keys(document.terms)) {
+            if (--index.frequencies[term] <= 0) {
+                delete index.frequencies[term];
+            }
+        }
+
+        index.totalLength -= document.length;
+        delete index.documents[hash];
+    }
+}
+
+/**
+ * Ranks the indexed items against the query using BM25.
+ * @param {KeywordIndex} index Keyword index
+ * @param {string} query Search query
+ * @param {number} topK Maximum number of results
+ * @returns {{ hash: number, score: number }[]} Matching items sorted by descending score
+ */
+function queryKeywordIndex(index, query, topK) {
+    const hashes = Object.keys(index.documents);
+    const documentCount = hashes.length;
+
+    if (documentCount === 0) {
+        return [];
+    }
+
+    const averageLength = index.totalLength / documentCount || 1;
+    const queryTerms = [...new Set(tokenize(query))].filter(term => index.frequencies[term]);
+    const results = [];
+
+    for (const hash of hashes) {
+        const document = index.documents[hash];
+        let score = 0;
+
+        for (const term of queryTerms) {
+            const frequency = document.terms[term];
+
+            if (!frequency) {
+                continue;
+            }
+
+            const documentFrequency = index.frequencies[term];
+            const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            const norm = BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength);
+            score += idf * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+        }
+
+        if (score > 0) {
+            results.push({ hash: Number(hash), score });
+        }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+module.exports = {
+    loadKeywordIndex,
+    saveKeywordIndex,
+    createKeywordIndex,
+    addKeywordItems,
+    removeKeywordItems,
+    queryKeywordIndex,
+};
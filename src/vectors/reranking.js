@@ -0,0 +1,32 @@
+const TASK = 'text-ranking';
+
+/**
+ * Scores the relevance of the texts to the query with a cross-encoder model.
+ * @param {string} query - The search query
+ * @param {string[]} texts - The texts to score
+ * @returns {Promise<number[]>} - Relevance scores in the [0, 1] range, in the order of the texts
+ */
+async function getTransformersRerankScores(query, texts) {
+    if (texts.length === 0) {
+        return [];
+    }
+
+    const module = await import('../transformers.mjs');
+    const pipe = await module.default.getPipeline(TASK);
+    const inputs = pipe.tokenizer(new Array(texts.length).fill(query), { text_pair: texts, padding: true, truncation: true });
+    const { logits } = await pipe.model(inputs);
+    const [, labels] = logits.dims;
+    const scores = [];
+
+    for (let i = 0; i < texts.length; i++) {
+        // Single-label models return a relevance logit, the others have it as the last label
+        const logit = logits.data[i * labels + labels - 1];
+        scores.push(1 / (1 + Math.exp(-logit)));
+    }
+
+    return scores;
+}
+
+module.exports = {
+    getTransformersRerankScores,
+};